@@ -9,33 +9,97 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { exec } = require('child_process');
 const logger = require('./logger');
 const config = require('./config');
 const dnsconfig = require('./dnsconfig');
 
+const auth = require('./auth');
+const users = require('./users');
+const subscriptions = require('./subscriptions');
+const healthcheck = require('./healthcheck');
+const stats = require('./stats');
+const logfiles = require('./logfiles');
+const backup = require('./backup');
+
 // Import routes
 const indexRoutes = require('./routes/index');
 const apiRoutes = require('./routes/api');
+const authRoutes = require('./routes/auth');
+const usersRoutes = require('./routes/users');
+const dohRoutes = require('./routes/doh');
+const subscriptionsRoutes = require('./routes/subscriptions');
+const groupsRoutes = require('./routes/groups');
+const clientsRoutes = require('./routes/clients');
+const historyRoutes = require('./routes/history');
+const stagingRoutes = require('./routes/staging');
+const backupRoutes = require('./routes/backup');
+const metricsRoutes = require('./routes/metrics');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: false }));
-app.use(express.static(path.join(__dirname, 'public')));
+const requestLogger = logger.child('api');
 
-// Set up logging middleware
+// Log every request once it is done, with its status and how long it took.
+// Records written while handling it carry its id, which is taken from the
+// X-Request-Id header when a proxy sets one.
 app.use((req, res, next) => {
-    logger.info(`${req.method} ${req.path}`);
-    next();
+    const header = req.get('X-Request-Id');
+    const requestId = header && /^[\w.:-]{1,64}$/.test(header) ? header : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    // Routers change req.path to the part after where they are mounted
+    const requestPath = req.path;
+    res.set('X-Request-Id', requestId);
+    
+    res.on('close', () => {
+        const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+        const fields = { requestId, method: req.method, path: requestPath, status: res.statusCode, durationMs };
+        if (!res.writableFinished) {
+            fields.aborted = true;
+        }
+        const message = `${req.method} ${req.originalUrl} ${res.statusCode} ${durationMs} ms`;
+        if (res.statusCode >= 500) {
+            requestLogger.error(message, fields);
+        } else if (res.statusCode >= 400) {
+            requestLogger.warn(message, fields);
+        } else {
+            requestLogger.info(message, fields);
+        }
+    });
+    
+    logger.runWithContext({ requestId }, next);
 });
 
+// Imported domain lists can run to thousands of lines. Backups are read
+// whole by the restore route, with its own limit
+const parseJson = express.json({ limit: '5mb' });
+app.use((req, res, next) => (req.path === '/api/restore' ? next() : parseJson(req, res, next)));
+app.use(express.urlencoded({ extended: false }));
+
+// DNS-over-HTTPS clients can't log in
+app.use(dohRoutes);
+// Prometheus authenticates with a bearer token, if at all
+app.use(metricsRoutes);
+
+// Authentication, before anything that serves pages or data
+app.use(authRoutes);
+app.use(auth.requireAuth);
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
+
 // Routes
 app.use('/', indexRoutes);
 app.use('/api', apiRoutes);
+app.use('/api', usersRoutes);
+app.use('/api', subscriptionsRoutes);
+app.use('/api', groupsRoutes);
+app.use('/api', clientsRoutes);
+app.use('/api', historyRoutes);
+app.use('/api', stagingRoutes);
+app.use('/api', backupRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -51,25 +115,54 @@ app.use((err, req, res, next) => {
 app.listen(PORT, '0.0.0.0', () => {
     logger.info(`Server started on port ${PORT}`);
     
-    // Initialize DNS configuration
-    dnsconfig.initializeDNSConfig()
+    // Move legacy single-account credentials into the users file
+    users.ensureUsersExist()
+        .catch(err => {
+            logger.error(`Failed to initialize users: ${err.message}`);
+        });
+    
+    // Rotate the logs and delete old ones as they age
+    logfiles.start();
+    config.getConfig()
+        .then(appConfig => logger.setLevel((appConfig.logging && appConfig.logging.level) || 'info'))
+        .catch(err => {
+            logger.error(`Failed to set the log level: ${err.message}`);
+        });
+    
+    // Load the saved query statistics before any queries are answered
+    stats.start()
+        .then(() => dnsconfig.initializeDNSConfig())
         .then(() => {
             logger.info('DNS configuration initialized successfully');
         })
         .catch(err => {
             logger.error(`Failed to initialize DNS configuration: ${err.message}`);
+        })
+        .then(() => {
+            // Keep subscribed domain lists up to date
+            subscriptions.start(() => dnsconfig.reloadDNSConfig({ message: 'Subscribed lists updated' }));
+            // Fail over from upstreams that stop answering, and back
+            healthcheck.start(() => dnsconfig.reloadDNSConfig({ message: 'Upstream health changed' }));
+            // Save scheduled backups when they are switched on
+            backup.start();
         });
 });
 
-// Handle process termination gracefully
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM received, shutting down gracefully');
-    process.exit(0);
-});
+/**
+ * Stop the DNS engine and save the statistics, then exit
+ */
+function shutdown(signal) {
+    logger.info(`${signal} received, shutting down gracefully`);
+    dnsconfig.shutdown()
+        .catch(err => {
+            logger.error(`Failed to stop the DNS engine: ${err.message}`);
+        })
+        .then(() => stats.stop())
+        .finally(() => process.exit(0));
+}
 
-process.on('SIGINT', () => {
-    logger.info('SIGINT received, shutting down gracefully');
-    process.exit(0);
-});
+// Handle process termination gracefully
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
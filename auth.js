@@ -0,0 +1,244 @@
+/**
+ * Authentication Module
+ *
+ * Session handling and access control for the web interface. When
+ * webInterface.enableAuth is set, every page and API route except the
+ * login flow requires either a session cookie obtained from
+ * POST /api/auth/login or an API token sent as a bearer token.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger').child('auth');
+const config = require('./config');
+const users = require('./users');
+
+const SESSION_COOKIE = 'sdp_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+
+// Paths reachable without a session
+const PUBLIC_PATHS = ['/login', '/api/auth/login', '/api/auth/session', '/css/', '/js/'];
+// Paths reachable while a password change is pending
+const PASSWORD_CHANGE_PATHS = ['/login', '/api/auth/'];
+
+// Active sessions by id; sessions don't survive a restart
+const sessions = new Map();
+
+/**
+ * Parse the Cookie header into an object
+ */
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) {
+            return;
+        }
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (err) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+/**
+ * Check whether a path starts with any of the given prefixes
+ */
+function matchesPath(path, prefixes) {
+    return prefixes.some(prefix => path === prefix || (prefix.endsWith('/') && path.startsWith(prefix)));
+}
+
+/**
+ * Create a session and return its id
+ */
+function createSession(username) {
+    const id = crypto.randomBytes(32).toString('hex');
+    sessions.set(id, {
+        username,
+        expires: Date.now() + SESSION_TTL
+    });
+    return id;
+}
+
+/**
+ * Look up the session for a request
+ */
+function getSession(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!id) {
+        return null;
+    }
+    const session = sessions.get(id);
+    if (!session) {
+        return null;
+    }
+    if (session.expires < Date.now()) {
+        sessions.delete(id);
+        return null;
+    }
+    return { id, ...session };
+}
+
+/**
+ * Remove a session
+ */
+function destroySession(id) {
+    sessions.delete(id);
+}
+
+/**
+ * Remove every session of a user, e.g. after their password changed
+ */
+function destroyUserSessions(username) {
+    for (const [id, session] of sessions) {
+        if (session.username === username) {
+            sessions.delete(id);
+        }
+    }
+}
+
+/**
+ * Set the session cookie on a response
+ */
+function setSessionCookie(req, res, id) {
+    res.cookie(SESSION_COOKIE, id, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: SESSION_TTL,
+        path: '/'
+    });
+}
+
+/**
+ * Clear the session cookie on a response
+ */
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Check whether authentication is enabled
+ */
+async function isAuthEnabled() {
+    const appConfig = await config.getConfig();
+    return Boolean(appConfig.webInterface && appConfig.webInterface.enableAuth);
+}
+
+/**
+ * Identify the caller from a bearer token or session cookie
+ *
+ * Returns { username, role, mustChangePassword } or null. Roles are read
+ * from the users file on every request so changes apply immediately.
+ */
+async function identify(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        const token = await users.verifyToken(header.slice('Bearer '.length).trim());
+        if (!token) {
+            return null;
+        }
+        return {
+            username: `token:${token.name}`,
+            role: token.role,
+            mustChangePassword: false
+        };
+    }
+
+    const session = getSession(req);
+    if (!session) {
+        return null;
+    }
+
+    const user = await users.getUser(session.username);
+    if (!user) {
+        // The account was removed while signed in
+        destroySession(session.id);
+        return null;
+    }
+
+    return {
+        username: user.username,
+        role: user.role,
+        mustChangePassword: Boolean(user.mustChangePassword),
+        sessionId: session.id
+    };
+}
+
+/**
+ * Middleware guarding the web interface and API
+ */
+async function requireAuth(req, res, next) {
+    try {
+        if (!(await isAuthEnabled())) {
+            // Without authentication everyone has full access
+            req.user = { username: null, role: 'admin', mustChangePassword: false };
+            return next();
+        }
+
+        if (matchesPath(req.path, PUBLIC_PATHS)) {
+            return next();
+        }
+
+        const isApi = req.path.startsWith('/api/');
+        const user = await identify(req);
+
+        if (!user) {
+            if (isApi) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required'
+                });
+            }
+            return res.redirect('/login');
+        }
+
+        if (user.mustChangePassword && !matchesPath(req.path, PASSWORD_CHANGE_PATHS)) {
+            if (isApi) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Password change required',
+                    passwordChangeRequired: true
+                });
+            }
+            return res.redirect('/login');
+        }
+
+        req.user = user;
+        logger.runWithContext({ user: user.username }, next);
+    } catch (error) {
+        logger.error(`Authentication check failed: ${error.message}`);
+        next(error);
+    }
+}
+
+/**
+ * Middleware factory requiring at least the given role
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || !users.hasRole(req.user.role, role)) {
+            return res.status(403).json({
+                success: false,
+                message: `This action requires the ${role} role`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    destroySession,
+    destroyUserSessions,
+    identify,
+    setSessionCookie,
+    clearSessionCookie,
+    isAuthEnabled,
+    requireAuth,
+    requireRole
+};
@@ -0,0 +1,652 @@
+/**
+ * Backup and Restore
+ *
+ * Packs everything needed to set the proxy up again into one archive, a
+ * gzipped JSON file:
+ *
+ *   { "format": "smart-dns-proxy-backup", "version": 1, "createdAt": "...", "appVersion": "1.0.0",
+ *     "files": { "config.json": {...}, "ips.json": {...}, "users.json": {...},
+ *                "clients.json": {...}, "subscriptions.json": {...}, "stats.json": {...} },
+ *     "logs": { "dns": "...", "access": "...", "error": "..." } }
+ *
+ * config.json holds the settings only; accounts and tokens, as password
+ * and token hashes, are in users.json. Statistics and the current log
+ * files are included on request. The generated dnsmasq files are left
+ * out, as they are made again from the rest.
+ *
+ * Restoring checks the whole archive before anything is written, brings
+ * older archives and data formats up to date and replaces each file the
+ * archive has, leaving the others alone. Restored logs become rotated
+ * segments (see logfiles.js) rather than replacing the current logs.
+ *
+ * Scheduled backups are saved to data/backups every backup.intervalHours
+ * when backup.enabled is set in config.json, keeping the newest
+ * backup.retain of them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('./logger').child('backup');
+const config = require('./config');
+const settings = require('./settings');
+const storage = require('./storage');
+const passwords = require('./passwords');
+const users = require('./users');
+const rules = require('./rules');
+const domainlists = require('./domainlists');
+const groups = require('./groups');
+const clients = require('./clients');
+const subscriptions = require('./subscriptions');
+const stats = require('./stats');
+const logfiles = require('./logfiles');
+const dnsconfig = require('./dnsconfig');
+const { version: APP_VERSION } = require('./package.json');
+
+const FORMAT = 'smart-dns-proxy-backup';
+const VERSION = 1;
+const DATA_DIR = path.join(__dirname, 'data');
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const BACKUP_PATTERN = /^smart-dns-proxy-(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2}\.\d{3}Z)\.json\.gz$/;
+// Files copied as they are; config.json and ips.json are read through config.js
+const DATA_FILES = ['users.json', 'clients.json', 'subscriptions.json'];
+// Files the DNS configuration is generated from
+const DNS_FILES = ['config.json', 'ips.json', 'clients.json', 'subscriptions.json'];
+// Largest archive read, as uploaded and once decompressed
+const MAX_ARCHIVE_SIZE = 50 * 1024 * 1024;
+const CHECK_INTERVAL = 10 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+let timer = null;
+let running = false;
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function backupError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function copy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read a JSON file from the data directory, or null if there is none
+ */
+async function readDataFile(name) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(DATA_DIR, name), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Name a backup after the time it was made
+ */
+function backupName(date) {
+    return `smart-dns-proxy-${date.toISOString().replace(/:/g, '-')}.json.gz`;
+}
+
+/**
+ * Make a backup archive, as { name, createdAt, content }
+ *
+ * includeLogs adds the current log files and includeStats the query
+ * statistics.
+ */
+async function createBackup({ includeLogs = false, includeStats = false } = {}) {
+    // Moves the accounts out of a configuration that still has them
+    await users.ensureUsersExist();
+
+    const createdAt = new Date();
+    const files = {
+        'config.json': settings.publicSettings(await config.getConfig()),
+        'ips.json': await config.getDomainList()
+    };
+    for (const name of DATA_FILES) {
+        const content = await readDataFile(name);
+        if (content) {
+            files[name] = content;
+        }
+    }
+    if (includeStats) {
+        files['stats.json'] = stats.snapshot();
+    }
+
+    const archive = { format: FORMAT, version: VERSION, createdAt: createdAt.toISOString(), appVersion: APP_VERSION, files };
+    if (includeLogs) {
+        archive.logs = {};
+        for (const type of logfiles.LOG_TYPES) {
+            try {
+                archive.logs[type] = await fs.readFile(logger.getLogPath(type), 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    return {
+        name: backupName(createdAt),
+        createdAt: archive.createdAt,
+        content: await gzip(JSON.stringify(archive))
+    };
+}
+
+/**
+ * Read an archive from an upload: gzipped or plain JSON, or already parsed
+ */
+async function readArchive(input) {
+    let archive = input;
+    if (Buffer.isBuffer(input)) {
+        try {
+            const isGzip = input[0] === 0x1f && input[1] === 0x8b;
+            const text = isGzip ? await gunzip(input, { maxOutputLength: MAX_ARCHIVE_SIZE }) : input;
+            archive = JSON.parse(text.toString('utf8'));
+        } catch (error) {
+            throw backupError('The file is not a readable backup', 400);
+        }
+    }
+
+    if (!isObject(archive) || archive.format !== FORMAT || !isObject(archive.files)) {
+        throw backupError('The file is not a Smart DNS Proxy backup', 400);
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+        throw backupError('The backup has no valid format version', 400);
+    }
+    if (archive.version > VERSION) {
+        throw backupError(`The backup was made by a newer version (format ${archive.version}); this version reads up to format ${VERSION}`, 400);
+    }
+    return archive;
+}
+
+/**
+ * Bring the files of an archive up to date, as { files, logs, warnings }
+ *
+ * Version 1 is the current format; a new version adds a step here turning
+ * the one before into it. Data written by older releases is converted as
+ * it is at startup: the single account in config.json becomes users.json
+ * and rules get the fields added since. Settings added since get their
+ * defaults when they are checked.
+ */
+async function migrate(archive) {
+    const files = copy(archive.files);
+    const warnings = [];
+
+    const appConfig = files['config.json'];
+    if (isObject(appConfig) && isObject(appConfig.webInterface)) {
+        const { username, password, passwordHash, ...webInterface } = appConfig.webInterface;
+        appConfig.webInterface = webInterface;
+        if (!files['users.json'] && (typeof password === 'string' || typeof passwordHash === 'string')) {
+            const hash = typeof passwordHash === 'string' ? passwordHash : await passwords.hashPassword(password);
+            const name = username || passwords.DEFAULT_USERNAME;
+            files['users.json'] = {
+                users: [{
+                    username: name,
+                    role: 'admin',
+                    passwordHash: hash,
+                    mustChangePassword: await passwords.verifyPassword(passwords.DEFAULT_PASSWORD, hash),
+                    createdAt: archive.createdAt || new Date().toISOString()
+                }],
+                tokens: []
+            };
+            warnings.push(`The backup predates user accounts; its login becomes the admin account ${name}`);
+        }
+    }
+
+    const domainList = files['ips.json'];
+    if (isObject(domainList) && Array.isArray(domainList.domains)) {
+        domainList.domains = domainList.domains.map(item => (isObject(item) ? rules.normalizeEntry(item) : item));
+    }
+
+    return { files, logs: archive.logs || {}, warnings };
+}
+
+/**
+ * Check the domain rules and groups, adding { field, message } problems to errors
+ */
+function checkDomainList(domainList, errors) {
+    if (!isObject(domainList) || !Array.isArray(domainList.domains)) {
+        errors.push({ field: 'ips.json', message: 'Must have a list of domains' });
+        return;
+    }
+    const groupList = domainList.groups === undefined ? [] : domainList.groups;
+    if (!Array.isArray(groupList)) {
+        errors.push({ field: 'ips.json groups', message: 'Must be a list' });
+        return;
+    }
+
+    const groupsById = new Map();
+    groupList.forEach((group, index) => {
+        const problem = !isObject(group) || typeof group.id !== 'string' || !group.id
+            ? 'Groups need an id'
+            : groups.validateGroup(group);
+        if (problem) {
+            errors.push({ field: `ips.json groups.${index}`, message: problem });
+        } else {
+            groupsById.set(group.id, group);
+        }
+    });
+
+    domainList.domains.forEach((item, index) => {
+        if (!isObject(item)) {
+            errors.push({ field: `ips.json domains.${index}`, message: 'Must be an object' });
+            return;
+        }
+        // Rules in a group may take its DNS server instead of their own
+        const group = item.group && groupsById.get(item.group);
+        const effective = group && groups.inheritsUpstream(item) ? { ...item, resolveVia: group.resolveVia } : item;
+        const problem = domainlists.validateEntry(effective);
+        if (problem) {
+            errors.push({ field: `ips.json domains.${index}`, message: `${item.domain}: ${problem}` });
+        }
+    });
+}
+
+/**
+ * Check the accounts, adding problems to errors
+ */
+function checkUsers(store, errors) {
+    if (!isObject(store) || !Array.isArray(store.users) || (store.tokens !== undefined && !Array.isArray(store.tokens))) {
+        errors.push({ field: 'users.json', message: 'Must have a list of users and of tokens' });
+        return;
+    }
+    store.users.forEach((user, index) => {
+        if (!isObject(user) || typeof user.username !== 'string' || !user.username) {
+            errors.push({ field: `users.json users.${index}`, message: 'Users need a username' });
+        } else if (!users.ROLES.includes(user.role)) {
+            errors.push({ field: `users.json users.${index}`, message: `${user.username}: Role must be one of ${users.ROLES.join(', ')}` });
+        } else if (!passwords.isHash(user.passwordHash)) {
+            errors.push({ field: `users.json users.${index}`, message: `${user.username}: No valid password hash` });
+        }
+    });
+    if (!store.users.some(user => isObject(user) && user.role === 'admin')) {
+        errors.push({ field: 'users.json', message: 'There must be at least one admin' });
+    }
+}
+
+/**
+ * Check the clients and policies, adding problems to errors
+ */
+function checkClients(store, errors) {
+    if (!isObject(store) || !Array.isArray(store.clients) || !Array.isArray(store.policies)) {
+        errors.push({ field: 'clients.json', message: 'Must have a list of clients and of policies' });
+        return;
+    }
+    store.policies.forEach((policy, index) => {
+        const problem = isObject(policy) ? clients.validatePolicy(policy) : 'Must be an object';
+        if (problem) {
+            errors.push({ field: `clients.json policies.${index}`, message: problem });
+        }
+    });
+    store.clients.forEach((client, index) => {
+        const problem = isObject(client) ? clients.validateClient(client, store) : 'Must be an object';
+        if (problem) {
+            errors.push({ field: `clients.json clients.${index}`, message: problem });
+        }
+    });
+}
+
+/**
+ * Check the subscriptions, adding problems to errors
+ */
+function checkSubscriptions(store, errors) {
+    if (!isObject(store) || !Array.isArray(store.subscriptions)) {
+        errors.push({ field: 'subscriptions.json', message: 'Must have a list of subscriptions' });
+        return;
+    }
+    store.subscriptions.forEach((subscription, index) => {
+        const problem = isObject(subscription) ? subscriptions.validateSubscription(subscription) : 'Must be an object';
+        if (problem) {
+            errors.push({ field: `subscriptions.json subscriptions.${index}`, message: problem });
+        }
+    });
+}
+
+/**
+ * Check every file of a migrated archive, throwing an error listing the
+ * problems as { field, message } in its errors
+ *
+ * The settings come back with defaults filled in.
+ */
+function validate(files, logs) {
+    const errors = [];
+
+    if (files['config.json'] !== undefined) {
+        try {
+            files['config.json'] = settings.publicSettings(settings.apply({}, files['config.json']));
+        } catch (error) {
+            if (!error.errors) {
+                throw error;
+            }
+            error.errors.forEach(({ field, message }) => errors.push({ field: `config.json ${field}`.trim(), message }));
+        }
+    }
+    if (files['ips.json'] !== undefined) {
+        checkDomainList(files['ips.json'], errors);
+    }
+    if (files['users.json'] !== undefined) {
+        checkUsers(files['users.json'], errors);
+    }
+    if (files['clients.json'] !== undefined) {
+        checkClients(files['clients.json'], errors);
+    }
+    if (files['subscriptions.json'] !== undefined) {
+        checkSubscriptions(files['subscriptions.json'], errors);
+    }
+    if (files['stats.json'] !== undefined && !isObject(files['stats.json'])) {
+        errors.push({ field: 'stats.json', message: 'Must be an object' });
+    }
+    Object.keys(files)
+        .filter(name => !['config.json', 'ips.json', 'stats.json', ...DATA_FILES].includes(name))
+        .forEach(name => errors.push({ field: name, message: 'Unknown file' }));
+    if (!isObject(logs) || Object.entries(logs).some(([type, content]) => !logfiles.LOG_TYPES.includes(type) || typeof content !== 'string')) {
+        errors.push({ field: 'logs', message: `Must map ${logfiles.LOG_TYPES.join(', ')} to their contents` });
+    }
+
+    if (errors.length > 0) {
+        const error = backupError(`The backup can't be restored: ${errors.map(({ field, message }) => `${field}: ${message}`).join('; ')}`, 400);
+        error.errors = errors;
+        throw error;
+    }
+}
+
+/**
+ * Compare two lists of records by a key, as the keys { added, removed, changed }
+ */
+function compareLists(current, restored, key, pick = record => record) {
+    const before = new Map((current || []).map(record => [record[key], JSON.stringify(pick(record))]));
+    const after = new Map((restored || []).map(record => [record[key], JSON.stringify(pick(record))]));
+    return {
+        added: [...after.keys()].filter(id => !before.has(id)),
+        removed: [...before.keys()].filter(id => !after.has(id)),
+        changed: [...after.keys()].filter(id => before.has(id) && before.get(id) !== after.get(id))
+    };
+}
+
+/**
+ * List the settings that differ, as { field, from, to }
+ */
+function compareSettings(current, restored, field = '', changes = []) {
+    if (isObject(current) && isObject(restored)) {
+        const keys = [...new Set([...Object.keys(current), ...Object.keys(restored)])];
+        keys.forEach(key => compareSettings(current[key], restored[key], field ? `${field}.${key}` : key, changes));
+    } else if (JSON.stringify(current) !== JSON.stringify(restored)) {
+        changes.push({ field, from: current === undefined ? null : current, to: restored === undefined ? null : restored });
+    }
+    return changes;
+}
+
+/**
+ * Get the settings of a configuration with defaults for anything not set,
+ * so settings added since it was saved don't show as changes
+ */
+function withDefaults(appConfig) {
+    try {
+        return settings.publicSettings(settings.apply(appConfig, settings.publicSettings(appConfig)));
+    } catch (error) {
+        return settings.publicSettings(appConfig);
+    }
+}
+
+/**
+ * The settings of a subscription, without what was fetched
+ */
+function subscriptionSettings({ name, url, format, resolveVia, type, refreshHours, enabled }) {
+    return { name, url, format, resolveVia, type, refreshHours, enabled };
+}
+
+/**
+ * List the files of an archive that match what is saved now
+ *
+ * Both sides are compared as restoring would write them, so a backup of
+ * rules saved before they were normalized, or of settings from before
+ * newer settings had defaults, still counts as unchanged.
+ */
+async function listUnchanged(files, changes) {
+    const unchanged = [];
+
+    if (files['config.json'] && changes.settings.length === 0) {
+        unchanged.push('config.json');
+    }
+    if (files['ips.json']) {
+        const current = await config.getDomainList();
+        const normalized = { ...current, domains: current.domains.map(rules.normalizeEntry) };
+        if (JSON.stringify(normalized) === JSON.stringify(files['ips.json'])) {
+            unchanged.push('ips.json');
+        }
+    }
+    for (const name of DATA_FILES.filter(name => files[name])) {
+        if (JSON.stringify(await readDataFile(name)) === JSON.stringify(files[name])) {
+            unchanged.push(name);
+        }
+    }
+    return unchanged;
+}
+
+/**
+ * Describe what restoring the files would change, section by section
+ */
+async function describeChanges(files, logs) {
+    const changes = {};
+
+    if (files['config.json']) {
+        changes.settings = compareSettings(withDefaults(await config.getConfig()), files['config.json']);
+    }
+    if (files['ips.json']) {
+        const current = await config.getDomainList();
+        changes.domains = compareLists(current.domains.map(rules.normalizeEntry), files['ips.json'].domains, 'domain');
+        changes.groups = compareLists(current.groups, files['ips.json'].groups, 'id');
+    }
+    if (files['users.json']) {
+        const current = await readDataFile('users.json') || {};
+        changes.users = compareLists(current.users, files['users.json'].users, 'username');
+        changes.tokens = compareLists(current.tokens, files['users.json'].tokens, 'id');
+    }
+    if (files['clients.json']) {
+        const current = await clients.getStore();
+        changes.clients = compareLists(current.clients, files['clients.json'].clients, 'id');
+        changes.policies = compareLists(current.policies, files['clients.json'].policies, 'id');
+    }
+    if (files['subscriptions.json']) {
+        const current = await readDataFile('subscriptions.json') || {};
+        changes.subscriptions = compareLists(current.subscriptions, files['subscriptions.json'].subscriptions, 'id', subscriptionSettings);
+    }
+    changes.stats = Boolean(files['stats.json']);
+    changes.logs = Object.keys(logs);
+    return changes;
+}
+
+/**
+ * Check a backup and describe what restoring it would change, restoring
+ * it too when apply is set
+ *
+ * input is the uploaded archive (see readArchive). Resolves to
+ * { applied, createdAt, appVersion, version, files, unchanged, changes, warnings },
+ * unchanged listing the files that already match what is saved; those
+ * are left alone. With staged changes on, the restored configuration is
+ * staged like any other change.
+ */
+async function restore(input, { apply = false } = {}) {
+    const archive = await readArchive(input);
+    const { files, logs, warnings } = await migrate(archive);
+    validate(files, logs);
+
+    const changes = await describeChanges(files, logs);
+    const summary = {
+        createdAt: archive.createdAt || null,
+        appVersion: archive.appVersion || null,
+        version: archive.version,
+        files: Object.keys(files),
+        unchanged: await listUnchanged(files, changes),
+        changes,
+        warnings
+    };
+    if (!apply) {
+        return { applied: false, ...summary };
+    }
+
+    const replaced = summary.files.filter(name => !summary.unchanged.includes(name));
+    if (replaced.includes('config.json')) {
+        const restored = await config.updateConfig(appConfig => settings.apply(appConfig, files['config.json']));
+        logger.setLevel(restored.logging.level);
+    }
+    if (replaced.includes('ips.json')) {
+        await config.updateDomainList(() => files['ips.json']);
+    }
+    // Through each module, so changes it has queued apply to the restored file
+    if (replaced.includes('users.json')) {
+        await users.restoreStore(files['users.json']);
+    }
+    if (replaced.includes('clients.json')) {
+        await clients.restoreStore(files['clients.json']);
+    }
+    if (replaced.includes('subscriptions.json')) {
+        await subscriptions.restoreStore(files['subscriptions.json']);
+    }
+    if (files['stats.json']) {
+        await stats.restore(files['stats.json']);
+    }
+    const createdAt = new Date(archive.createdAt);
+    for (const [type, content] of Object.entries(logs)) {
+        await logfiles.addSegment(type, content, isNaN(createdAt) ? new Date() : createdAt);
+    }
+
+    const message = `Restored the backup from ${summary.createdAt || 'an unknown date'}`;
+    logger.info(`${message}: ${replaced.length > 0 ? replaced.join(', ') : 'nothing differed'}`);
+    // A backup of what is already saved leaves the DNS configuration and its history alone
+    if (replaced.some(name => DNS_FILES.includes(name))) {
+        await dnsconfig.updateDNSConfig({ message });
+        await logger.dnsChange(message);
+    }
+    return { applied: true, ...summary };
+}
+
+/**
+ * List the saved backups, newest first, as { name, createdAt, size }
+ */
+async function listBackups() {
+    let names;
+    try {
+        names = await fs.readdir(BACKUP_DIR);
+    } catch (error) {
+        return [];
+    }
+
+    const backups = [];
+    for (const name of names) {
+        const match = name.match(BACKUP_PATTERN);
+        if (match) {
+            const { size } = await fs.stat(path.join(BACKUP_DIR, name));
+            backups.push({ name, createdAt: new Date(`${match[1]}:${match[2]}:${match[3]}`).toISOString(), size });
+        }
+    }
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Read a saved backup, throwing a 404 error if there is none by that name
+ */
+async function readBackup(name) {
+    if (!BACKUP_PATTERN.test(name)) {
+        throw backupError(`Backup ${name} not found`, 404);
+    }
+    try {
+        return await fs.readFile(path.join(BACKUP_DIR, name));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw backupError(`Backup ${name} not found`, 404);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Save a backup to data/backups with the scheduled backup settings,
+ * deleting the oldest beyond backup.retain
+ *
+ * Resolves to the new backup, as listBackups() describes it.
+ */
+async function saveBackup() {
+    const { backup: schedule = {} } = await config.getConfig();
+    const { name, createdAt, content } = await createBackup({
+        includeLogs: Boolean(schedule.includeLogs),
+        includeStats: schedule.includeStats !== false
+    });
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    await storage.writeFileAtomic(path.join(BACKUP_DIR, name), content);
+    logger.info(`Saved backup ${name}`);
+
+    const retain = schedule.retain || 7;
+    for (const old of (await listBackups()).slice(retain)) {
+        await fs.rm(path.join(BACKUP_DIR, old.name), { force: true });
+        logger.info(`Deleted old backup ${old.name}`);
+    }
+    return { name, createdAt, size: content.length };
+}
+
+/**
+ * Save a backup when scheduled backups are on and the last is old enough
+ */
+async function runSchedule() {
+    if (running) {
+        return;
+    }
+    running = true;
+    try {
+        const { backup: schedule } = await config.getConfig();
+        if (!schedule || !schedule.enabled) {
+            return;
+        }
+        const [latest] = await listBackups();
+        if (latest && Date.now() - new Date(latest.createdAt) < schedule.intervalHours * HOUR) {
+            return;
+        }
+        await saveBackup();
+    } catch (error) {
+        logger.error(`Scheduled backup failed: ${error.message}`);
+    } finally {
+        running = false;
+    }
+}
+
+function start() {
+    if (timer) {
+        return;
+    }
+    runSchedule();
+    timer = setInterval(runSchedule, CHECK_INTERVAL);
+    timer.unref();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    MAX_ARCHIVE_SIZE,
+    createBackup,
+    restore,
+    listBackups,
+    readBackup,
+    saveBackup,
+    runSchedule,
+    start,
+    stop
+};
@@ -0,0 +1,386 @@
+/**
+ * Clients and Routing Policies
+ *
+ * Lets different parts of the network get different routing. Stored in
+ * data/clients.json:
+ *
+ *   clients    a name, the addresses it is recognised by (IPs, CIDR
+ *              ranges and MAC addresses) and the policy it uses
+ *   policies   which domain groups apply and which DNS servers answer
+ *              everything else; groups: null means all groups and an
+ *              empty alternativeDNS means the global alternative servers
+ *
+ * A query is matched to the client with a matching MAC address, or else
+ * the one with the narrowest matching range. Queries from anything else
+ * get the global routing. Ungrouped and subscribed domains apply to every
+ * client, and a group that is switched off is off for everyone.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const net = require('net');
+const logger = require('./logger').child('clients');
+const upstreams = require('./upstreams');
+
+const CLIENTS_PATH = path.join(__dirname, 'data', 'clients.json');
+const ARP_TABLE = '/proc/net/arp';
+const ARP_CACHE_TIME = 10000;
+const MAC_PATTERN = /^[0-9a-f]{2}(?:[:-][0-9a-f]{2}){5}$/i;
+
+let arpCache = { expires: 0, entries: new Map() };
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function clientError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Turn a name into an id
+ */
+function slug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+async function getStore() {
+    try {
+        const data = await fs.readFile(CLIENTS_PATH, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { clients: [], policies: [] };
+        }
+        throw error;
+    }
+}
+
+async function saveStore(store) {
+    await fs.mkdir(path.dirname(CLIENTS_PATH), { recursive: true });
+    await fs.writeFile(CLIENTS_PATH, JSON.stringify(store, null, 2));
+    return true;
+}
+
+/**
+ * Replace every client and policy, as when restoring a backup
+ */
+async function restoreStore(store) {
+    await saveStore(store);
+}
+
+/**
+ * Check whether any client is given a policy
+ */
+function hasPolicies(store) {
+    return store.clients.some(client => client.policy);
+}
+
+/**
+ * Strip an IPv4-mapped IPv6 prefix and any zone from an address
+ */
+function normalizeAddress(address) {
+    const plain = String(address || '').replace(/%.*$/, '');
+    const mapped = plain.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? mapped[1] : plain;
+}
+
+/**
+ * Parse an address, CIDR range or MAC address a client is recognised by
+ *
+ * Returns { mac } or { family, prefix, list }, or null if it isn't valid.
+ */
+function parseMatcher(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const text = value.trim();
+
+    if (MAC_PATTERN.test(text)) {
+        return { mac: text.toLowerCase().replace(/-/g, ':') };
+    }
+
+    const [address, prefixText] = text.split('/');
+    const family = net.isIP(address);
+    if (!family) {
+        return null;
+    }
+    if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) {
+        return null;
+    }
+    const maxPrefix = family === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (prefix > maxPrefix) {
+        return null;
+    }
+
+    const list = new net.BlockList();
+    list.addSubnet(address, prefix, family === 4 ? 'ipv4' : 'ipv6');
+    return { family, prefix, list };
+}
+
+/**
+ * Check client settings against the policies, returning a problem or null
+ */
+function validateClient({ name, match, policy }, store) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 64 || !slug(name)) {
+        return 'Client name is required, up to 64 characters with at least one letter or digit';
+    }
+    // Names end up in comments in the generated dnsmasq configuration
+    if (/[\x00-\x1f\x7f]/.test(name)) {
+        return 'Client names may not contain control characters';
+    }
+    if (!Array.isArray(match) || match.length === 0) {
+        return 'Give at least one IP address, CIDR range or MAC address';
+    }
+    const invalid = match.find(value => !parseMatcher(value));
+    if (invalid !== undefined) {
+        return `${invalid} is not an IP address, CIDR range or MAC address`;
+    }
+    if (policy && !store.policies.some(existing => existing.id === policy)) {
+        return `Policy ${policy} does not exist`;
+    }
+    return null;
+}
+
+/**
+ * Check policy settings, returning a problem description or null
+ */
+function validatePolicy({ name, groups, alternativeDNS }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 64 || !slug(name)) {
+        return 'Policy name is required, up to 64 characters with at least one letter or digit';
+    }
+    // Names end up in comments in the generated dnsmasq configuration
+    if (/[\x00-\x1f\x7f]/.test(name)) {
+        return 'Policy names may not contain control characters';
+    }
+    if (groups !== null && (!Array.isArray(groups) || groups.some(group => typeof group !== 'string'))) {
+        return 'Groups must be a list of group ids, or null for all groups';
+    }
+    if (!Array.isArray(alternativeDNS)) {
+        return 'Alternative DNS must be a list of DNS servers';
+    }
+    const invalid = alternativeDNS.find(dns => !upstreams.isValidUpstream(dns));
+    if (invalid !== undefined) {
+        return `Invalid DNS server ${invalid}`;
+    }
+    return null;
+}
+
+async function listClients() {
+    return (await getStore()).clients;
+}
+
+async function listPolicies() {
+    return (await getStore()).policies;
+}
+
+async function addClient({ name, match, policy }) {
+    const store = await getStore();
+    const problem = validateClient({ name, match, policy }, store);
+    if (problem) {
+        throw clientError(problem, 400);
+    }
+
+    const client = {
+        id: slug(name),
+        name: name.trim(),
+        match: match.map(value => value.trim()),
+        policy: policy || null
+    };
+    const clash = store.clients.find(existing => existing.id === client.id);
+    if (clash) {
+        throw clientError(`A client named ${clash.name} already exists`, 409);
+    }
+
+    store.clients.push(client);
+    await saveStore(store);
+    logger.info(`Client ${client.name} added`);
+    return client;
+}
+
+async function updateClient(id, changes) {
+    const store = await getStore();
+    const client = store.clients.find(existing => existing.id === id);
+    if (!client) {
+        throw clientError('Client not found', 404);
+    }
+
+    const updated = { ...client, ...changes };
+    const problem = validateClient(updated, store);
+    if (problem) {
+        throw clientError(problem, 400);
+    }
+
+    Object.assign(client, {
+        name: updated.name.trim(),
+        match: updated.match.map(value => value.trim()),
+        policy: updated.policy || null
+    });
+    await saveStore(store);
+    logger.info(`Client ${client.name} updated`);
+    return client;
+}
+
+async function removeClient(id) {
+    const store = await getStore();
+    const client = store.clients.find(existing => existing.id === id);
+    if (!client) {
+        throw clientError('Client not found', 404);
+    }
+
+    store.clients = store.clients.filter(existing => existing.id !== id);
+    await saveStore(store);
+    logger.info(`Client ${client.name} removed`);
+    return client;
+}
+
+async function addPolicy({ name, groups = null, alternativeDNS = [] }) {
+    const problem = validatePolicy({ name, groups, alternativeDNS });
+    if (problem) {
+        throw clientError(problem, 400);
+    }
+
+    const store = await getStore();
+    const policy = { id: slug(name), name: name.trim(), groups, alternativeDNS };
+    const clash = store.policies.find(existing => existing.id === policy.id);
+    if (clash) {
+        throw clientError(`A policy named ${clash.name} already exists`, 409);
+    }
+
+    store.policies.push(policy);
+    await saveStore(store);
+    logger.info(`Policy ${policy.name} added`);
+    return policy;
+}
+
+async function updatePolicy(id, changes) {
+    const store = await getStore();
+    const policy = store.policies.find(existing => existing.id === id);
+    if (!policy) {
+        throw clientError('Policy not found', 404);
+    }
+
+    const updated = { ...policy, ...changes };
+    const problem = validatePolicy(updated);
+    if (problem) {
+        throw clientError(problem, 400);
+    }
+
+    Object.assign(policy, {
+        name: updated.name.trim(),
+        groups: updated.groups,
+        alternativeDNS: updated.alternativeDNS
+    });
+    await saveStore(store);
+    logger.info(`Policy ${policy.name} updated`);
+    return policy;
+}
+
+async function removePolicy(id) {
+    const store = await getStore();
+    const policy = store.policies.find(existing => existing.id === id);
+    if (!policy) {
+        throw clientError('Policy not found', 404);
+    }
+
+    const users = store.clients.filter(client => client.policy === id);
+    if (users.length > 0) {
+        throw clientError(`Policy ${policy.name} is used by ${users.map(client => client.name).join(', ')}`, 400);
+    }
+
+    store.policies = store.policies.filter(existing => existing.id !== id);
+    await saveStore(store);
+    logger.info(`Policy ${policy.name} removed`);
+    return policy;
+}
+
+/**
+ * Prepare clients for matching
+ *
+ * Returns identify(address, mac), which resolves to { client, policy }
+ * (policy may be null) or null for an unknown client, and needsMac,
+ * which tells whether any client is recognised by its MAC address.
+ */
+function compile(store) {
+    const policies = new Map(store.policies.map(policy => [policy.id, policy]));
+    const compiled = store.clients.map(client => ({
+        client,
+        policy: policies.get(client.policy) || null,
+        matchers: client.match.map(parseMatcher).filter(Boolean)
+    }));
+
+    function identify(address, mac) {
+        const normalized = normalizeAddress(address);
+        const family = net.isIP(normalized);
+
+        if (mac) {
+            const byMac = compiled.find(entry => entry.matchers.some(matcher => matcher.mac === mac));
+            if (byMac) {
+                return byMac;
+            }
+        }
+
+        let best = null;
+        let bestPrefix = -1;
+        compiled.forEach(entry => {
+            entry.matchers.forEach(matcher => {
+                if (matcher.family === family && matcher.prefix > bestPrefix &&
+                    matcher.list.check(normalized, family === 4 ? 'ipv4' : 'ipv6')) {
+                    best = entry;
+                    bestPrefix = matcher.prefix;
+                }
+            });
+        });
+        return best;
+    }
+
+    return {
+        identify,
+        needsMac: compiled.some(entry => entry.matchers.some(matcher => matcher.mac))
+    };
+}
+
+/**
+ * Look up the MAC address of an IPv4 neighbour in the kernel's ARP table
+ *
+ * Only clients on the same network segment can be recognised this way.
+ */
+async function lookupMac(address) {
+    if (Date.now() > arpCache.expires) {
+        const entries = new Map();
+        try {
+            const table = await fs.readFile(ARP_TABLE, 'utf8');
+            table.split('\n').slice(1).forEach(line => {
+                const [ip, , , mac] = line.trim().split(/\s+/);
+                if (ip && mac && mac !== '00:00:00:00:00:00') {
+                    entries.set(ip, mac.toLowerCase());
+                }
+            });
+        } catch (error) {
+            // No ARP table on this system, MAC matching only works through dnsmasq
+        }
+        arpCache = { expires: Date.now() + ARP_CACHE_TIME, entries };
+    }
+    return arpCache.entries.get(normalizeAddress(address)) || null;
+}
+
+module.exports = {
+    getStore,
+    hasPolicies,
+    normalizeAddress,
+    validateClient,
+    validatePolicy,
+    listClients,
+    listPolicies,
+    addClient,
+    updateClient,
+    removeClient,
+    addPolicy,
+    updatePolicy,
+    removePolicy,
+    restoreStore,
+    compile,
+    lookupMac
+};
@@ -4,26 +4,63 @@
  * Manages loading and saving configuration settings
  */
 
-const fs = require('fs').promises;
 const path = require('path');
-const logger = require('./logger');
+const logger = require('./logger').child('config');
+const passwords = require('./passwords');
+const rules = require('./rules');
+const storage = require('./storage');
 
 const CONFIG_PATH = path.join(__dirname, 'data', 'config.json');
 const IPS_PATH = path.join(__dirname, 'data', 'ips.json');
 
 const defaultConfig = {
     dnsServer: {
+        mode: 'dnsmasq',
+        listenAddress: '0.0.0.0',
+        listenAddress6: '::',
         port: 53,
         cacheSize: 1000,
         logQueries: true,
+        forwarderPort: 5353,
+        dohMethod: 'POST',
+        tlsFallback: 'none',
+        serveDoh: false,
+        serveJson: false
     },
     alternativeDNS: [
         '8.8.8.8',
         '1.1.1.1'
     ],
+    alternativeStrategy: 'order',
+    healthCheck: {
+        enabled: true,
+        interval: 30,
+        testName: 'example.com',
+        timeout: 2000,
+        failureThreshold: 3,
+        backupDNS: []
+    },
+    staging: {
+        enabled: false
+    },
+    backup: {
+        enabled: false,
+        intervalHours: 24,
+        retain: 7,
+        includeLogs: false,
+        includeStats: true
+    },
+    logging: {
+        level: 'info',
+        dns: { maxSizeMB: 10, rotateHours: 24, retainDays: 7 },
+        access: { maxSizeMB: 10, rotateHours: 24, retainDays: 14 },
+        error: { maxSizeMB: 5, rotateHours: 24, retainDays: 30 }
+    },
     webInterface: {
         port: 5000,
         enableAuth: false,
+        serveMetrics: true,
+        metricsAuth: true,
         username: 'admin',
         password: 'admin'
     }
@@ -42,78 +79,113 @@ const defaultIpList = {
     ]
 };
 
-async function ensureConfigExists() {
-    try {
-        await fs.access(CONFIG_PATH);
-    } catch (error) {
-        // Config doesn't exist, create it
-        logger.info('Creating default configuration file');
-        await fs.mkdir(path.dirname(CONFIG_PATH), { recursive: true });
-        await fs.writeFile(CONFIG_PATH, JSON.stringify(defaultConfig, null, 2));
-    }
+const configStore = storage.createStore(CONFIG_PATH, { name: 'configuration', defaults: defaultConfig });
+const domainStore = storage.createStore(IPS_PATH, { name: 'domain list', defaults: defaultIpList });
 
-    try {
-        await fs.access(IPS_PATH);
-    } catch (error) {
-        // IP list doesn't exist, create it
-        logger.info('Creating default IP list file');
-        await fs.mkdir(path.dirname(IPS_PATH), { recursive: true });
-        await fs.writeFile(IPS_PATH, JSON.stringify(defaultIpList, null, 2));
-    }
+/**
+ * Get a copy of the configuration, which the caller may change freely
+ */
+async function getConfig() {
+    const appConfig = await configStore.read();
+    return hasPlaintextPassword(appConfig) ? migratePassword() : appConfig;
 }
 
-async function getConfig() {
-    await ensureConfigExists();
-    const configData = await fs.readFile(CONFIG_PATH, 'utf8');
-    return JSON.parse(configData);
+function hasPlaintextPassword(appConfig) {
+    return Boolean(appConfig.webInterface && typeof appConfig.webInterface.password === 'string');
+}
+
+/**
+ * Replace a plaintext web interface password with its hash
+ *
+ * The check is repeated in the queued update, so reads arriving together
+ * migrate the password once.
+ */
+async function migratePassword() {
+    let migrated = false;
+    const updated = await configStore.update(async current => {
+        if (hasPlaintextPassword(current)) {
+            current.webInterface.passwordHash = await passwords.hashPassword(current.webInterface.password);
+            delete current.webInterface.password;
+            migrated = true;
+        }
+    });
+    if (migrated) {
+        logger.info('Replaced plaintext web interface password with a hash');
+    }
+    return updated;
 }
 
 async function getDomainList() {
-    await ensureConfigExists();
-    const ipData = await fs.readFile(IPS_PATH, 'utf8');
-    return JSON.parse(ipData);
+    return domainStore.read();
 }
 
 async function saveConfig(config) {
-    await fs.writeFile(CONFIG_PATH, JSON.stringify(config, null, 2));
+    await configStore.write(config);
     logger.info('Configuration saved successfully');
     return true;
 }
 
-async function saveDomainList(domains) {
-    await fs.writeFile(IPS_PATH, JSON.stringify({ domains }, null, 2));
-    logger.info('Domain list saved successfully');
+/**
+ * Change the configuration with no other change in between
+ *
+ * fn gets a copy of the configuration and returns the new one, or changes
+ * the copy and returns nothing. Throwing from it saves nothing. Resolves
+ * to the saved configuration.
+ */
+async function updateConfig(fn) {
+    const updated = await configStore.update(fn);
+    logger.info('Configuration saved successfully');
+    return updated;
+}
+
+/**
+ * Save the domain list, keeping the current groups unless new ones are given
+ */
+async function saveDomainList(domains, groups) {
+    await updateDomainList(domainList => {
+        const kept = groups === undefined ? domainList.groups : groups;
+        return kept ? { groups: kept, domains } : { domains };
+    });
     return true;
 }
 
-async function addDomain(domain, resolveVia) {
-    const domainList = await getDomainList();
-    
-    // Check if domain already exists
-    const existingIndex = domainList.domains.findIndex(d => d.domain === domain);
-    
-    if (existingIndex !== -1) {
-        domainList.domains[existingIndex].resolveVia = resolveVia;
-    } else {
-        domainList.domains.push({ domain, resolveVia });
-    }
+/**
+ * Change the domain list with no other change in between, as updateConfig
+ */
+async function updateDomainList(fn) {
+    const updated = await domainStore.update(fn);
+    logger.info('Domain list saved successfully');
+    return updated;
+}
+
+async function addDomain(domain, resolveVia, { type = 'suffix', strategy, filterAAAA = false, group } = {}) {
+    const entry = rules.normalizeEntry({ domain, type, resolveVia, strategy, filterAAAA, group });
     
-    await saveDomainList(domainList.domains);
-    return domainList;
+    return updateDomainList(domainList => {
+        // Check if domain already exists
+        const existingIndex = domainList.domains.findIndex(d => d.domain === domain);
+        
+        if (existingIndex !== -1) {
+            domainList.domains[existingIndex] = entry;
+        } else {
+            domainList.domains.push(entry);
+        }
+    });
 }
 
 async function removeDomain(domain) {
-    const domainList = await getDomainList();
-    domainList.domains = domainList.domains.filter(d => d.domain !== domain);
-    await saveDomainList(domainList.domains);
-    return domainList;
+    return updateDomainList(domainList => {
+        domainList.domains = domainList.domains.filter(d => d.domain !== domain);
+    });
 }
 
 module.exports = {
     getConfig,
     saveConfig,
+    updateConfig,
     getDomainList,
     saveDomainList,
+    updateDomainList,
     addDomain,
     removeDomain
 };
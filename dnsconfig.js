@@ -1,25 +1,101 @@
 /**
  * DNS Configuration Handler
  * 
- * Manages the configuration of DNS routing rules.
- * In Replit environment, we simulate the DNS configuration
- * since we don't have direct access to system services.
+ * Manages the configuration of DNS routing rules: the hand-entered
+ * rules in data/ips.json plus the entries of list subscriptions.
+ * Upstreams that fail their health checks are swapped out first (see
+ * healthcheck.js).
+ * The generated configuration is served either by a supervised dnsmasq
+ * process (dnsmasq.js) or, when dnsServer.mode is "builtin", by the
+ * in-process server in dnsserver.js.
+ * Every configuration applied is saved as a revision in history.js, and
+ * can be rolled back to.
+ *
+ * With staging.enabled, saved changes don't go live one by one: the DNS
+ * engine keeps running the configuration last applied (kept in
+ * data/staging.json) until applyChanges() applies them all at once.
+ * Subscribed lists and upstream failover still update it as they change.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
-const logger = require('./logger');
+const logger = require('./logger').child('dnsconfig');
 const config = require('./config');
+const dnsserver = require('./dnsserver');
+const resolver = require('./resolver');
+const dnsmasq = require('./dnsmasq');
+const upstreams = require('./upstreams');
+const rules = require('./rules');
+const domainlists = require('./domainlists');
+const subscriptions = require('./subscriptions');
+const groups = require('./groups');
+const clients = require('./clients');
+const healthcheck = require('./healthcheck');
+const stats = require('./stats');
+const settings = require('./settings');
+const history = require('./history');
+const storage = require('./storage');
+const textdiff = require('./textdiff');
 
-// Use local directory for configuration files in Replit
 const DNSMASQ_CONFIG_DIR = path.join(__dirname, 'data', 'dns_config');
 const CUSTOM_CONFIG_FILE = path.join(DNSMASQ_CONFIG_DIR, 'smartdns.conf');
+// Upstream servers live in a separate file that dnsmasq re-reads on SIGHUP
+const SERVERS_FILE = path.join(DNSMASQ_CONFIG_DIR, 'smartdns-servers.conf');
+// dnsmasq hands encrypted upstreams to the built-in server listening here
+const FORWARDER_ADDRESS = '127.0.0.1';
+const DEFAULT_FORWARDER_PORT = 5353;
+
+// The configuration the DNS engine runs with, the changes saved since that
+// wait to be applied, and what to revert to if an apply isn't confirmed
+const stagingStore = storage.createStore(path.join(__dirname, 'data', 'staging.json'), {
+    name: 'staged configuration',
+    defaults: { applied: null, pending: [], revert: null }
+});
+let revertTimer = null;
+// Configurations are generated and activated one at a time, as they are
+// written to the same files and the DNS engine can only take one
+let activating = Promise.resolve();
+
+// Outcome of every attempt to generate and apply the configuration
+const reloads = {
+    total: 0,
+    failures: 0,
+    last: null
+};
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function configError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Count an attempt to apply the configuration
+ */
+function countReload(success, message) {
+    reloads.total++;
+    if (!success) {
+        reloads.failures++;
+    }
+    reloads.last = { at: new Date().toISOString(), success, message };
+}
+
+/**
+ * Get how many times the configuration was applied and how the last attempt went
+ */
+function getReloadStatus() {
+    return { ...reloads };
+}
 
 /**
  * Initialize DNS configuration
+ *
+ * When changes are staged, the configuration last applied is started
+ * again rather than the stored one, and an apply that was waiting for
+ * confirmation keeps waiting for the rest of its time.
  */
 async function initializeDNSConfig() {
     logger.info('Initializing DNS configuration');
@@ -28,98 +104,689 @@ async function initializeDNSConfig() {
         // Create custom config directory if it doesn't exist
         await fs.mkdir(DNSMASQ_CONFIG_DIR, { recursive: true });
         
-        // Get current configuration
-        const appConfig = await config.getConfig();
-        const domainList = await config.getDomainList();
-        
-        // Generate configuration
-        await generateDnsmasqConfig(appConfig, domainList);
+        const { revert } = await serialize(async () => {
+            const stored = await readStoredConfig();
+            const state = await stagingStore.read();
+            const source = isStaged(stored.appConfig) && state.applied ? state.applied : stored;
+            
+            // Generate configuration and start the DNS engine
+            await activate(source, { restart: true });
+            return state;
+        });
         
-        // In Replit, we don't actually restart a service,
-        // but we simulate the result for the UI
+        countReload(true, 'DNS configuration initialized');
         logger.info('DNS configuration initialized successfully');
+        await recordRevision('Configuration loaded at startup');
+        if (revert) {
+            scheduleRevert(revert.deadline);
+        }
         return true;
     } catch (error) {
+        countReload(false, error.message);
         logger.error(`Failed to initialize DNS configuration: ${error.message}`);
         throw error;
     }
 }
 
 /**
- * Generate DNS configuration based on application settings
+ * Check whether changes wait to be applied with applyChanges()
  */
-async function generateDnsmasqConfig(appConfig, domainList) {
-    logger.info('Generating DNS configuration');
-    
+function isStaged(appConfig) {
+    return Boolean(appConfig.staging && appConfig.staging.enabled);
+}
+
+/**
+ * Load the settings, domain list and clients as they were last saved
+ */
+async function readStoredConfig() {
+    return {
+        appConfig: await config.getConfig(),
+        domainList: await config.getDomainList(),
+        clientStore: await clients.getStore()
+    };
+}
+
+/**
+ * Load the settings, domain list and clients the DNS engine runs with:
+ * those last applied, or the stored ones before anything was
+ */
+async function readLiveConfig() {
+    const { applied } = await stagingStore.read();
+    return applied || readStoredConfig();
+}
+
+/**
+ * Get the effective domain list and the configuration to route by
+ *
+ * source is { appConfig, domainList, clientStore }. Subscriptions are
+ * added to its domain list and upstreams that are down are replaced;
+ * configured is the domain list with subscriptions, as entered.
+ */
+async function getRoutingConfig(source) {
+    const configured = await subscriptions.getEffectiveDomainList(source.domainList);
+    const routing = healthcheck.applyFailover(source.appConfig, configured, source.clientStore);
+    return { ...routing, configured };
+}
+
+/**
+ * Check whether queries are answered by the built-in server instead of dnsmasq
+ */
+function isBuiltinMode(appConfig) {
+    return appConfig.dnsServer.mode === 'builtin';
+}
+
+/**
+ * Get the loopback port of the local forwarder
+ */
+function getForwarderPort(appConfig) {
+    return appConfig.dnsServer.forwarderPort || DEFAULT_FORWARDER_PORT;
+}
+
+/**
+ * Get the addresses the DNS server listens on, IPv4 then IPv6
+ *
+ * An empty address turns that family off.
+ */
+function getListenAddresses(appConfig) {
+    const { listenAddress = '0.0.0.0', listenAddress6 = '::' } = appConfig.dnsServer;
+    return [listenAddress, listenAddress6].filter(Boolean);
+}
+
+/**
+ * Get the strategy dnsmasq itself applies to a domain with several servers
+ *
+ * With strict-order it tries them in order, otherwise it prefers the
+ * fastest. strict-order is set when the alternative DNS servers are to
+ * be tried in order.
+ */
+function nativeStrategy(appConfig) {
+    return (appConfig.alternativeStrategy || 'order') === 'order' ? 'order' : 'latency';
+}
+
+/**
+ * Check whether a list of upstreams with a strategy can be handed to dnsmasq
+ */
+function isNativePool(appConfig, list, strategy) {
+    return list.every(dns => upstreams.isPlain(dns)) &&
+        (list.length < 2 || (strategy || 'order') === nativeStrategy(appConfig));
+}
+
+/**
+ * Check whether a domain rule can be handed to dnsmasq directly
+ *
+ * dnsmasq only matches a domain with its subdomains, can only forward
+ * plain DNS, can't filter AAAA per domain and has one way of choosing
+ * between several servers. Exclusions map onto its '#' server, which
+ * means "use the standard servers".
+ */
+function isNativeRule(appConfig, item) {
+    if (item.filterAAAA) {
+        return false;
+    }
+    const type = rules.typeOf(item);
+    return type === 'exclude' ||
+        (type === 'suffix' && isNativePool(appConfig, rules.upstreamsOf(item), rules.strategyOf(item)));
+}
+
+/**
+ * Describe a rule for a comment in the generated configuration
+ */
+function describeRule(item) {
+    const list = rules.upstreamsOf(item);
+    const via = rules.hasUpstream(item) ? list.join(', ') : 'alternative DNS';
+    const strategy = list.length > 1 ? ` (${rules.strategyOf(item)})` : '';
+    const filtered = item.filterAAAA ? ', AAAA filtered' : '';
+    return `${rules.typeOf(item)} ${item.domain} via ${via}${strategy}${filtered}`;
+}
+
+/**
+ * Check whether any upstream needs the local forwarder in dnsmasq mode
+ */
+function needsForwarder(appConfig, domainList, clientStore) {
+    const domains = domainList.domains || [];
+    return clients.hasPolicies(clientStore) ||
+        !isNativePool(appConfig, appConfig.alternativeDNS, appConfig.alternativeStrategy) ||
+        domains.some(item => !isNativeRule(appConfig, item));
+}
+
+/**
+ * Render the client policy section of the main configuration
+ *
+ * dnsmasq's tags only select DHCP options, not upstream servers, so
+ * clients with a policy can't be told apart by dnsmasq itself. Instead it
+ * passes every client's address and MAC on to the local forwarder, which
+ * applies the policies. dnsmasq's cache would hand one client's answers
+ * to another, so it is turned off and the forwarder caches per policy.
+ */
+function renderClientConfig(clientStore) {
+    const policies = new Map(clientStore.policies.map(policy => [policy.id, policy.name]));
+    let configContent = `\n# Client policies, applied by the local forwarder\n`;
+    clientStore.clients.filter(client => client.policy).forEach(client => {
+        configContent += `# ${client.name} (${client.match.join(', ')}): policy ${policies.get(client.policy) || client.policy}\n`;
+    });
+    configContent += `add-mac\n`;
+    configContent += `add-subnet=32,128\n`;
+    return configContent;
+}
+
+/**
+ * Render the main dnsmasq configuration file
+ */
+function renderMainConfig(appConfig, serversFile, clientStore) {
+    const policies = clients.hasPolicies(clientStore);
     let configContent = `# Smart DNS Proxy Configuration\n`;
     configContent += `# Generated at ${new Date().toISOString()}\n\n`;
     configContent += `# Basic configuration\n`;
     configContent += `port=${appConfig.dnsServer.port}\n`;
-    configContent += `cache-size=${appConfig.dnsServer.cacheSize}\n`;
-    configContent += `log-queries=${appConfig.dnsServer.logQueries ? 'true' : 'false'}\n\n`;
+    configContent += `cache-size=${policies ? 0 : appConfig.dnsServer.cacheSize}\n`;
+    // dnsmasq listens everywhere unless given specific addresses
+    const addresses = getListenAddresses(appConfig);
+    if (!addresses.some(address => address === '0.0.0.0' || address === '::')) {
+        addresses.forEach(address => {
+            configContent += `listen-address=${address}\n`;
+        });
+    }
+    // The query log feeds the statistics, so it is always on (see stats.js)
+    configContent += `log-queries=extra\n`;
+    configContent += `no-resolv\n`;
+    if (nativeStrategy(appConfig) === 'order') {
+        configContent += `strict-order\n`;
+    }
+    if (policies) {
+        configContent += renderClientConfig(clientStore);
+    }
     
-    // Set up alternative DNS servers
-    configContent += `# Alternative DNS servers\n`;
-    appConfig.alternativeDNS.forEach(dns => {
-        configContent += `server=${dns}\n`;
+    configContent += `\n# Upstream servers (re-read on SIGHUP)\n`;
+    configContent += `servers-file=${serversFile}\n`;
+    return configContent;
+}
+
+/**
+ * Render the upstream servers file
+ */
+function renderServersConfig(appConfig, domainList, clientStore) {
+    let configContent = `# Smart DNS Proxy upstream servers\n`;
+    configContent += `# Generated at ${new Date().toISOString()}\n\n`;
+    
+    // dnsmasq only speaks plain DNS, anything else goes through the local forwarder
+    const forwarder = `${FORWARDER_ADDRESS}#${getForwarderPort(appConfig)}`;
+    
+    // Any name may be routed differently per client, so the forwarder sees every query
+    if (clients.hasPolicies(clientStore)) {
+        configContent += `# Client policies are in use, every query goes through the local forwarder\n`;
+        configContent += `server=${forwarder}\n`;
+        return configContent;
+    }
+    
+    const domains = domainList.domains || [];
+    
+    // Domains the forwarder decides on, with the rules that need it
+    const forwarded = new Map();
+    let unanchored = 0;
+    domains.filter(item => !isNativeRule(appConfig, item)).forEach(item => {
+        const anchor = rules.anchorOf(item);
+        if (anchor === null) {
+            unanchored++;
+        } else {
+            forwarded.set(anchor, (forwarded.get(anchor) || []).concat(describeRule(item)));
+        }
     });
     
-    configContent += `\n# Domain specific configurations\n`;
-    if (domainList.domains && domainList.domains.length > 0) {
-        domainList.domains.forEach(item => {
-            configContent += `server=/${item.domain}/${item.resolveVia}\n`;
+    // Set up alternative DNS servers
+    configContent += `# Alternative DNS servers\n`;
+    if (unanchored === 0 && isNativePool(appConfig, appConfig.alternativeDNS, appConfig.alternativeStrategy)) {
+        appConfig.alternativeDNS.forEach(dns => {
+            configContent += `server=${upstreams.toDnsmasq(dns)}\n`;
         });
     } else {
+        // Mixing plain servers in here would leak queries in cleartext, rules
+        // that can match any name have to see every query, and dnsmasq
+        // can't rotate between servers
+        const strategy = appConfig.alternativeDNS.length > 1 ? ` (${appConfig.alternativeStrategy || 'order'})` : '';
+        configContent += `# Via local forwarder: ${appConfig.alternativeDNS.join(', ')}${strategy}\n`;
+        if (unanchored > 0) {
+            configContent += `# which also applies ${unanchored} regex or wildcard rules that can match any name\n`;
+        }
+        configContent += `server=${forwarder}\n`;
+    }
+    
+    configContent += `\n# Domain specific configurations\n`;
+    if (domains.length === 0) {
         configContent += `# No domains configured yet\n`;
     }
+    // Ungrouped rules first, then each enabled group; disabled groups aren't in the list
+    const groupList = domainList.groups || [];
+    const sections = [null].concat(groupList.filter(group => group.enabled !== false));
+    sections.forEach(group => {
+        const members = domains.filter(item => isNativeRule(appConfig, item) && (item.group || null) === (group && group.id) &&
+            // Another rule for this domain needs the forwarder, which applies this one too
+            !forwarded.has(item.domain.toLowerCase()));
+        if (group && members.length > 0) {
+            configContent += `# Group: ${group.name}\n`;
+        }
+        members.forEach(item => {
+            if (rules.typeOf(item) === 'exclude') {
+                configContent += `server=/${item.domain}/#\n`;
+            } else {
+                rules.upstreamsOf(item).forEach(dns => {
+                    configContent += `server=/${item.domain}/${upstreams.toDnsmasq(dns)}\n`;
+                });
+            }
+        });
+    });
+    groupList.filter(group => group.enabled === false).forEach(group => {
+        configContent += `# Group ${group.name} is disabled\n`;
+    });
+    forwarded.forEach((descriptions, anchor) => {
+        descriptions.forEach(description => {
+            configContent += `# ${description}\n`;
+        });
+        configContent += `server=/${anchor}/${forwarder}\n`;
+    });
+    return configContent;
+}
+
+/**
+ * Strip comments so regenerated files compare equal when only timestamps differ
+ */
+function significantLines(content) {
+    return content.split('\n').filter(line => line.trim() && !line.startsWith('#')).join('\n');
+}
+
+/**
+ * Read a file, returning an empty string if it doesn't exist
+ */
+async function readIfExists(file) {
+    try {
+        return await fs.readFile(file, 'utf8');
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Generate DNS configuration based on application settings
+ *
+ * The new files are written next to the live ones and, in dnsmasq mode,
+ * checked with `dnsmasq --test` before being swapped in, so a bad
+ * configuration never replaces a working one.
+ */
+async function generateDnsmasqConfig(appConfig, domainList, clientStore) {
+    logger.info('Generating DNS configuration');
+    
+    const pendingMain = `${CUSTOM_CONFIG_FILE}.new`;
+    const pendingServers = `${SERVERS_FILE}.new`;
+    const mainContent = renderMainConfig(appConfig, SERVERS_FILE, clientStore);
+    const previousMain = await readIfExists(CUSTOM_CONFIG_FILE);
+    
+    await fs.mkdir(DNSMASQ_CONFIG_DIR, { recursive: true });
+    await fs.writeFile(pendingMain, renderMainConfig(appConfig, pendingServers, clientStore));
+    await fs.writeFile(pendingServers, renderServersConfig(appConfig, domainList, clientStore));
+    
+    try {
+        if (!isBuiltinMode(appConfig)) {
+            const result = await dnsmasq.validateConfig(pendingMain);
+            if (!result.valid) {
+                dnsmasq.recordReload('test', false, result.output);
+                throw new Error(`dnsmasq rejected the generated configuration: ${result.output}`);
+            }
+        }
+        
+        // Swap the validated files in
+        await fs.rename(pendingServers, SERVERS_FILE);
+        await fs.writeFile(pendingMain, mainContent);
+        await fs.rename(pendingMain, CUSTOM_CONFIG_FILE);
+    } finally {
+        await fs.rm(pendingMain, { force: true });
+        await fs.rm(pendingServers, { force: true });
+    }
     
-    // Write configuration to file
-    await fs.writeFile(CUSTOM_CONFIG_FILE, configContent);
     logger.info(`DNS configuration generated at ${CUSTOM_CONFIG_FILE}`);
+    return {
+        mainChanged: significantLines(previousMain) !== significantLines(mainContent)
+    };
 }
 
 /**
- * Simulate restarting the DNS service
- * In Replit environment, we don't have dnsmasq service,
- * so we just simulate a successful restart
+ * Apply the generated configuration to whichever DNS engine is active
+ *
+ * dnsmasq only re-reads the servers file on SIGHUP, so a change to the
+ * main configuration (port, cache size, ...) needs a full restart.
  */
-async function restartDnsmasq() {
+async function activateConfig(appConfig, domainList, clientStore, { mainChanged }) {
+    if (isBuiltinMode(appConfig)) {
+        await dnsmasq.stop();
+        await dnsserver.reload({
+            port: appConfig.dnsServer.port,
+            addresses: getListenAddresses(appConfig),
+            appConfig,
+            domainList,
+            clientStore
+        });
+        return;
+    }
+    
+    stats.configure({
+        forwarder: `${FORWARDER_ADDRESS}#${getForwarderPort(appConfig)}`,
+        logQueries: Boolean(appConfig.dnsServer.logQueries),
+        clientMatcher: clients.compile(clientStore),
+        findRule: name => resolver.findRule(name)
+    });
+    
+    if (needsForwarder(appConfig, domainList, clientStore)) {
+        await dnsserver.reload({
+            port: getForwarderPort(appConfig),
+            addresses: [FORWARDER_ADDRESS],
+            appConfig,
+            domainList,
+            clientStore
+        });
+    } else {
+        await dnsserver.stop();
+        // /dns-query still resolves through the built-in resolver
+        resolver.loadRules(appConfig, domainList, clientStore);
+    }
+    
+    if (mainChanged) {
+        await dnsmasq.restart(CUSTOM_CONFIG_FILE);
+    } else {
+        await dnsmasq.reload(CUSTOM_CONFIG_FILE);
+    }
+}
+
+/**
+ * Drop the generation time from a generated file, as it changes every time
+ */
+function withoutTimestamp(content) {
+    return content.split('\n').filter(line => !line.startsWith('# Generated at ')).join('\n');
+}
+
+/**
+ * Save the settings, domain rules and generated files as a history revision
+ *
+ * A failure is only logged, so it never stops a change from being applied.
+ */
+async function recordRevision(message) {
     try {
-        logger.info('Simulating DNS service restart');
-        // In a real environment, we would restart the service
-        // But here we just log it for simulation
-        await fs.appendFile(
-            path.join(__dirname, 'logs', 'dns.log'), 
-            `[${new Date().toISOString()}] INFO: DNS service restarted\n`
-        );
-        logger.info('DNS service restart simulated successfully');
-        return true;
+        const files = {
+            'config.json': JSON.stringify(settings.publicSettings(await config.getConfig()), null, 2),
+            'ips.json': JSON.stringify(await config.getDomainList(), null, 2)
+        };
+        for (const file of [CUSTOM_CONFIG_FILE, SERVERS_FILE]) {
+            files[path.basename(file)] = withoutTimestamp(await readIfExists(file));
+        }
+        await history.record({ message, files });
     } catch (error) {
-        logger.error(`Failed to simulate DNS restart: ${error.message}`);
-        throw error;
+        logger.error(`Failed to save the configuration history: ${error.message}`);
     }
 }
 
+/**
+ * Generate a configuration and start it in the DNS engine
+ *
+ * source is { appConfig, domainList, clientStore }; restart restarts
+ * dnsmasq even if its main configuration didn't change. source is then
+ * kept as the live configuration, without the account fields, and the
+ * first `applied` pending changes are taken off the list.
+ */
+async function activate(source, { restart = false, applied = 0 } = {}) {
+    const { appConfig, domainList, clientStore, configured } = await getRoutingConfig(source);
+    
+    const result = await generateDnsmasqConfig(appConfig, domainList, clientStore);
+    await activateConfig(appConfig, domainList, clientStore, { mainChanged: restart || result.mainChanged });
+    
+    // Also generate a report of bypassed domains, as they were entered
+    await generateBypassReport(configured);
+    
+    await stagingStore.update(state => {
+        state.applied = {
+            appConfig: settings.publicSettings(source.appConfig),
+            domainList: source.domainList,
+            clientStore: source.clientStore
+        };
+        state.pending = state.pending.slice(applied);
+    });
+}
+
+/**
+ * Run fn once every activation queued before it has finished
+ */
+function serialize(fn) {
+    const run = activating.then(fn);
+    activating = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Apply a configuration, counting the attempt and saving it in the history
+ *
+ * source is the configuration, or a function loading it once the
+ * activations queued before have finished, so it is as recent as they are.
+ */
+function applyConfig(source, message, options) {
+    return serialize(async () => {
+        try {
+            await activate(typeof source === 'function' ? await source() : source, options);
+            countReload(true, 'DNS configuration updated');
+            logger.info('DNS configuration updated successfully');
+            await recordRevision(message);
+            return true;
+        } catch (error) {
+            countReload(false, error.message);
+            logger.error(`Failed to update DNS configuration: ${error.message}`);
+            // The settings and rules were saved all the same
+            await recordRevision(`${message} (failed to apply)`);
+            throw error;
+        }
+    });
+}
+
 /**
  * Update DNS configuration with new settings
+ *
+ * Called once a change is saved; message describes it in the configuration
+ * history. When changes are staged, the change is only listed as pending
+ * until applyChanges(). Resolves to whether it was applied.
  */
-async function updateDNSConfig() {
+async function updateDNSConfig({ message = 'DNS configuration updated' } = {}) {
+    const stored = await readStoredConfig();
+    if (!isStaged(stored.appConfig)) {
+        // Everything stored goes live, including changes left pending
+        return applyConfig(readStoredConfig, message, { applied: Infinity });
+    }
+    
+    await stagingStore.update(state => {
+        state.pending.push({ time: new Date().toISOString(), author: history.currentAuthor(), message });
+    });
+    logger.info(`Staged change: ${message}`);
+    await recordRevision(`${message} (staged)`);
+    return false;
+}
+
+/**
+ * Generate the live configuration again, for changes that are never
+ * staged: subscribed lists and upstream health
+ */
+async function reloadDNSConfig({ message = 'DNS configuration reloaded' } = {}) {
+    return applyConfig(readLiveConfig, message);
+}
+
+/**
+ * Compare what the stored configuration would generate with the live files
+ *
+ * Resolves to { staged, pending, changed, files, revert }: pending lists
+ * the changes waiting to be applied as { time, author, message }, files
+ * has { name, content, diff, added, removed } for each generated file,
+ * content being what it would become, and revert is { deadline } while an
+ * apply waits to be confirmed.
+ */
+async function previewChanges() {
+    const stored = await readStoredConfig();
+    const { pending, revert } = await stagingStore.read();
+    const { appConfig, domainList, clientStore } = await getRoutingConfig(stored);
+    const generated = [
+        [CUSTOM_CONFIG_FILE, renderMainConfig(appConfig, SERVERS_FILE, clientStore)],
+        [SERVERS_FILE, renderServersConfig(appConfig, domainList, clientStore)]
+    ];
+    
+    const files = [];
+    for (const [file, content] of generated) {
+        const name = path.basename(file);
+        const live = withoutTimestamp(await readIfExists(file));
+        const { diff, added, removed } = textdiff.unifiedDiff(live, withoutTimestamp(content), {
+            oldName: `live/${name}`,
+            newName: `pending/${name}`
+        });
+        files.push({ name, content, diff, added, removed });
+    }
+    
+    return {
+        staged: isStaged(stored.appConfig),
+        pending,
+        changed: files.some(file => file.diff),
+        files,
+        revert: revert ? { deadline: revert.deadline } : null
+    };
+}
+
+/**
+ * Describe the changes an apply takes live, for the history
+ */
+function describeApply(pending) {
+    if (pending.length === 0) {
+        return 'Applied the stored configuration';
+    }
+    if (pending.length > 3) {
+        return `Applied ${pending.length} staged changes`;
+    }
+    return `Applied staged changes: ${pending.map(change => change.message).join('; ')}`;
+}
+
+/**
+ * Restore the live configuration at the deadline unless it is confirmed
+ */
+function scheduleRevert(deadline) {
+    clearTimeout(revertTimer);
+    // The revert is made by the system, not by the request that applied
+    revertTimer = logger.runWithoutContext(() => setTimeout(() => {
+        revertTimer = null;
+        revertChanges({ message: 'Reverted changes that were not confirmed in time' }).catch(error => {
+            logger.error(`Failed to revert unconfirmed changes: ${error.message}`);
+        });
+    }, Math.max(0, Date.parse(deadline) - Date.now())));
+    revertTimer.unref();
+}
+
+/**
+ * Validate and apply the stored configuration with every staged change
+ *
+ * With confirmSeconds, the configuration live before is restored unless
+ * confirmChanges() is called within that time, in case the new one
+ * breaks resolution. Applying again before then extends the wait, and
+ * still reverts to the configuration live before the first apply.
+ * Resolves to { applied, confirmBy }: the number of pending changes
+ * applied and the deadline, if any.
+ */
+async function applyChanges({ confirmSeconds = 0 } = {}) {
+    const before = await stagingStore.read();
+    const message = describeApply(before.pending);
+    
+    await applyConfig(readStoredConfig, message, { applied: before.pending.length });
+    await logger.dnsChange(message);
+    
+    let confirmBy = null;
+    if (confirmSeconds > 0 && before.applied) {
+        confirmBy = new Date(Date.now() + confirmSeconds * 1000).toISOString();
+        await stagingStore.update(state => {
+            state.revert = {
+                deadline: confirmBy,
+                previous: before.revert ? before.revert.previous : before.applied,
+                pending: [...(before.revert ? before.revert.pending : []), ...before.pending]
+            };
+        });
+        scheduleRevert(confirmBy);
+    } else if (before.revert) {
+        // Applying without a deadline keeps what is live for good
+        clearTimeout(revertTimer);
+        await stagingStore.update(state => {
+            state.revert = null;
+        });
+    }
+    
+    return { applied: before.pending.length, confirmBy };
+}
+
+/**
+ * Keep the configuration applied with a deadline
+ */
+async function confirmChanges() {
+    const { revert } = await stagingStore.read();
+    if (!revert) {
+        throw configError('No applied changes are waiting to be confirmed', 409);
+    }
+    clearTimeout(revertTimer);
+    revertTimer = null;
+    await stagingStore.update(state => {
+        state.revert = null;
+    });
+    logger.info('The applied DNS configuration was confirmed');
+}
+
+/**
+ * Restore the configuration that was live before an unconfirmed apply
+ *
+ * The stored settings and rules are left as they are, so the changes
+ * that were applied are pending again.
+ */
+async function revertChanges({ message = 'Reverted unconfirmed changes' } = {}) {
+    const { revert } = await stagingStore.read();
+    if (!revert) {
+        throw configError('No applied changes are waiting to be confirmed', 409);
+    }
+    clearTimeout(revertTimer);
+    revertTimer = null;
+    
+    await applyConfig(revert.previous, message);
+    await stagingStore.update(state => {
+        state.pending = [...revert.pending, ...state.pending];
+        state.revert = null;
+    });
+    logger.warn(message);
+    await logger.dnsChange(message);
+}
+
+/**
+ * Restore the settings and domain rules of a history revision
+ *
+ * The restored settings are checked as if they were saved through the API,
+ * and the account fields are left as they are. They are applied, or
+ * staged, like any other change.
+ */
+async function rollback(rev) {
+    const revision = await history.getRevision(rev);
+    let restoredSettings;
+    let restoredDomains;
     try {
-        const appConfig = await config.getConfig();
-        const domainList = await config.getDomainList();
-        
-        await generateDnsmasqConfig(appConfig, domainList);
-        await restartDnsmasq();
-        
-        // Also generate a report of bypassed domains
-        await generateBypassReport(domainList);
-        
-        logger.info('DNS configuration updated successfully');
-        return true;
+        restoredSettings = JSON.parse(revision.files['config.json']);
+        restoredDomains = JSON.parse(revision.files['ips.json']);
     } catch (error) {
-        logger.error(`Failed to update DNS configuration: ${error.message}`);
-        throw error;
+        throw configError(`Revision ${rev} has no settings or domain rules to restore`, 400);
     }
+
+    const restored = await config.updateConfig(appConfig => settings.apply(appConfig, restoredSettings));
+    await config.updateDomainList(() => restoredDomains);
+    logger.setLevel(restored.logging.level);
+    await updateDNSConfig({ message: `Rolled back to revision ${rev}` });
+    await logger.dnsChange(`Rolled back the configuration to revision ${rev}`);
+    return true;
+}
+
+/**
+ * Stop whichever DNS engine is running
+ */
+async function shutdown() {
+    await dnsserver.stop();
+    await dnsmasq.stop();
 }
 
 /**
@@ -132,16 +799,42 @@ async function generateBypassReport(domainList) {
             timestamp: new Date().toISOString(),
             totalDomains: domainList.domains.length,
             domains: domainList.domains,
-            dnsServers: {} // Group by DNS server for stats
+            dnsServers: {}, // Group by DNS server for stats
+            groups: [],
+            ungrouped: 0
         };
         
-        // Count domains per DNS server
+        // Count the rules in each group from the stored list, since the
+        // routed one leaves disabled groups out
+        const stored = await config.getDomainList();
+        const resolved = groups.resolveDomains(stored);
+        report.groups = (stored.groups || []).map(group => {
+            const members = resolved.filter(item => item.group === group.id);
+            return {
+                id: group.id,
+                name: group.name,
+                enabled: group.enabled !== false,
+                resolveVia: group.resolveVia,
+                domains: members.length,
+                dnsServers: members.reduce((counts, item) => {
+                    rules.upstreamsOf(item).forEach(dns => {
+                        counts[dns] = (counts[dns] || 0) + 1;
+                    });
+                    return counts;
+                }, {})
+            };
+        });
+        report.ungrouped = resolved.filter(item => !item.group).length;
+        
+        // Count domains per DNS server (exclusions have none of their own)
         domainList.domains.forEach(item => {
-            if (!report.dnsServers[item.resolveVia]) {
-                report.dnsServers[item.resolveVia] = 1;
-            } else {
-                report.dnsServers[item.resolveVia]++;
-            }
+            rules.upstreamsOf(item).forEach(dns => {
+                if (!report.dnsServers[dns]) {
+                    report.dnsServers[dns] = 1;
+                } else {
+                    report.dnsServers[dns]++;
+                }
+            });
         });
         
         await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
@@ -152,18 +845,29 @@ async function generateBypassReport(domainList) {
     }
 }
 
+/**
+ * Describe where an added rule sends its queries, for the DNS log
+ */
+function describeTarget(resolveVia, options) {
+    if (!rules.hasUpstream(options)) {
+        return options.group ? `to the exclusions in group ${options.group}` : 'to the exclusions';
+    }
+    if (resolveVia) {
+        return `to bypass via ${upstreams.listOf(resolveVia).join(', ')}`;
+    }
+    return `to bypass via the DNS server of group ${options.group}`;
+}
+
 /**
  * Add a new domain to the DNS configuration
  */
-async function addDomain(domain, resolveVia) {
+async function addDomain(domain, resolveVia, options = {}) {
     try {
-        await config.addDomain(domain, resolveVia);
-        await updateDNSConfig();
-        // Log the addition for DNS log view
-        await fs.appendFile(
-            path.join(__dirname, 'logs', 'dns.log'),
-            `[${new Date().toISOString()}] INFO: Added domain ${domain} to bypass via ${resolveVia}\n`
-        );
+        const message = `Added ${rules.typeOf(options)} rule ${domain} ${describeTarget(resolveVia, options)}`;
+        await config.addDomain(domain, resolveVia, options);
+        await updateDNSConfig({ message });
+        // Show the change in the DNS log
+        await logger.dnsChange(message);
         return true;
     } catch (error) {
         logger.error(`Failed to add domain: ${error.message}`);
@@ -171,18 +875,72 @@ async function addDomain(domain, resolveVia) {
     }
 }
 
+/**
+ * Merge imported rules into the domain list and apply it once
+ *
+ * The import is planned against the list as it is when saved, so rules
+ * added meanwhile are kept. Resolves to the plan (see domainlists.planImport).
+ */
+async function importDomains(entries) {
+    try {
+        let plan;
+        await config.updateDomainList(domainList => {
+            plan = domainlists.planImport(domainList.domains, entries);
+            domainList.domains = plan.merged;
+        });
+        const message = `Imported domain list (${plan.adds.length} added, ${plan.updates.length} updated)`;
+        await updateDNSConfig({ message });
+        await logger.dnsChange(message);
+        return plan;
+    } catch (error) {
+        logger.error(`Failed to import domains: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Change a domain group, such as turning it on or off, and apply it
+ */
+async function updateGroup(id, changes) {
+    try {
+        const group = await groups.updateGroup(id, changes);
+        const action = changes.enabled === undefined ? 'Updated' : group.enabled ? 'Enabled' : 'Disabled';
+        const message = `${action} group ${group.name}`;
+        await updateDNSConfig({ message });
+        await logger.dnsChange(message);
+        return group;
+    } catch (error) {
+        logger.error(`Failed to update group: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Remove a domain group, keeping its domains, and apply it
+ */
+async function removeGroup(id) {
+    try {
+        const group = await groups.removeGroup(id);
+        const message = `Removed group ${group.name}, its domains are now ungrouped`;
+        await updateDNSConfig({ message });
+        await logger.dnsChange(message);
+        return group;
+    } catch (error) {
+        logger.error(`Failed to remove group: ${error.message}`);
+        throw error;
+    }
+}
+
 /**
  * Remove a domain from the DNS configuration
  */
 async function removeDomain(domain) {
     try {
+        const message = `Removed domain ${domain} from bypass list`;
         await config.removeDomain(domain);
-        await updateDNSConfig();
-        // Log the removal for DNS log view
-        await fs.appendFile(
-            path.join(__dirname, 'logs', 'dns.log'),
-            `[${new Date().toISOString()}] INFO: Removed domain ${domain} from bypass list\n`
-        );
+        await updateDNSConfig({ message });
+        // Show the change in the DNS log
+        await logger.dnsChange(message);
         return true;
     } catch (error) {
         logger.error(`Failed to remove domain: ${error.message}`);
@@ -193,6 +951,17 @@ async function removeDomain(domain) {
 module.exports = {
     initializeDNSConfig,
     updateDNSConfig,
+    reloadDNSConfig,
+    previewChanges,
+    applyChanges,
+    confirmChanges,
+    revertChanges,
+    rollback,
     addDomain,
-    removeDomain
+    importDomains,
+    removeDomain,
+    updateGroup,
+    removeGroup,
+    shutdown,
+    getReloadStatus
 };
@@ -0,0 +1,276 @@
+/**
+ * Dnsmasq Process Manager
+ *
+ * Runs dnsmasq as a supervised child process: validates configuration
+ * with `dnsmasq --test`, reloads the upstream server list with SIGHUP,
+ * and restarts the daemon with exponential backoff when it crashes.
+ */
+
+const { spawn, execFile } = require('child_process');
+const util = require('util');
+const execFilePromise = util.promisify(execFile);
+const logger = require('./logger').child('dnsmasq');
+const stats = require('./stats');
+
+const DNSMASQ_BINARY = process.env.DNSMASQ_PATH || 'dnsmasq';
+const MIN_BACKOFF = 1000;
+const MAX_BACKOFF = 60000;
+// A process that stays up this long resets the crash backoff
+const STABLE_UPTIME = 30000;
+const STOP_TIMEOUT = 5000;
+
+let child = null;
+let confFile = null;
+let stopping = false;
+let restartTimer = null;
+let backoff = MIN_BACKOFF;
+let version = null;
+
+const state = {
+    pid: null,
+    startedAt: null,
+    restarts: 0,
+    lastExit: null,
+    lastReload: null,
+    lastError: null
+};
+
+/**
+ * Record the outcome of a reload or restart
+ */
+function recordReload(method, success, message) {
+    state.lastReload = {
+        at: new Date().toISOString(),
+        method,
+        success,
+        message
+    };
+}
+
+/**
+ * Check a configuration file with `dnsmasq --test`
+ *
+ * Resolves to { valid, output }. When dnsmasq is not installed the
+ * check is skipped and `skipped` is set.
+ */
+async function validateConfig(file) {
+    try {
+        const { stdout, stderr } = await execFilePromise(DNSMASQ_BINARY, ['--test', `--conf-file=${file}`]);
+        return { valid: true, output: `${stdout}${stderr}`.trim() };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            logger.warn('dnsmasq is not installed, skipping configuration test');
+            return { valid: true, skipped: true, output: 'dnsmasq not installed' };
+        }
+        return { valid: false, output: `${error.stdout || ''}${error.stderr || ''}`.trim() || error.message };
+    }
+}
+
+/**
+ * Get the installed dnsmasq version string
+ */
+async function getVersion() {
+    if (version === null) {
+        try {
+            const { stdout } = await execFilePromise(DNSMASQ_BINARY, ['--version']);
+            version = stdout.split('\n')[0].replace(/\s+Copyright.*$/, '').trim();
+        } catch (error) {
+            return 'dnsmasq not installed';
+        }
+    }
+    return version;
+}
+
+/**
+ * Schedule a restart after a crash, doubling the delay each time
+ */
+function scheduleRestart() {
+    if (restartTimer || stopping) {
+        return;
+    }
+    const delay = backoff;
+    backoff = Math.min(backoff * 2, MAX_BACKOFF);
+    logger.warn(`Restarting dnsmasq in ${delay / 1000}s`);
+    restartTimer = setTimeout(() => {
+        restartTimer = null;
+        // Started again in the meantime
+        if (child) {
+            return;
+        }
+        spawnDnsmasq().catch(() => {
+            // Already logged by the process error handler
+        });
+    }, delay);
+}
+
+/**
+ * Spawn the dnsmasq child process
+ *
+ * Resolves once the process is running, rejects if it cannot be spawned.
+ */
+function spawnDnsmasq() {
+    const args = ['--keep-in-foreground', '--log-facility=-', `--conf-file=${confFile}`];
+    const proc = spawn(DNSMASQ_BINARY, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const startedAt = Date.now();
+
+    child = proc;
+    stopping = false;
+
+    const spawned = new Promise((resolve, reject) => {
+        proc.once('spawn', resolve);
+        proc.once('error', reject);
+    });
+
+    proc.on('spawn', () => {
+        state.pid = proc.pid;
+        state.startedAt = new Date(startedAt).toISOString();
+        state.lastError = null;
+        logger.info(`dnsmasq started with pid ${proc.pid}`);
+    });
+
+    // Query log lines feed the statistics instead of the access log
+    const forwardOutput = data => {
+        data.toString().split('\n').filter(line => line.trim()).forEach(line => {
+            if (!stats.ingestDnsmasqLine(line)) {
+                logger.info(`dnsmasq: ${line}`);
+            }
+        });
+    };
+    proc.stdout.on('data', forwardOutput);
+    proc.stderr.on('data', forwardOutput);
+
+    proc.on('error', error => {
+        state.lastError = error.message;
+        if (proc.pid === undefined && child === proc) {
+            child = null;
+        }
+        if (error.code === 'ENOENT') {
+            // Retrying won't help until dnsmasq is installed
+            logger.error(`Cannot start dnsmasq: ${DNSMASQ_BINARY} not found`);
+            stopping = true;
+        } else {
+            logger.error(`dnsmasq process error: ${error.message}`);
+        }
+    });
+
+    proc.on('close', (code, signal) => {
+        if (child === proc) {
+            child = null;
+        }
+        state.pid = null;
+        state.startedAt = null;
+        state.lastExit = {
+            at: new Date().toISOString(),
+            code,
+            signal
+        };
+
+        if (stopping) {
+            return;
+        }
+
+        logger.error(`dnsmasq exited unexpectedly (code ${code}, signal ${signal})`);
+        if (Date.now() - startedAt >= STABLE_UPTIME) {
+            backoff = MIN_BACKOFF;
+        }
+        state.restarts++;
+        scheduleRestart();
+    });
+
+    return spawned;
+}
+
+/**
+ * Start dnsmasq with the given configuration file
+ */
+async function start(file) {
+    confFile = file;
+    // Starting now replaces a restart waiting out its backoff
+    if (restartTimer) {
+        clearTimeout(restartTimer);
+        restartTimer = null;
+    }
+    if (child) {
+        return;
+    }
+    backoff = MIN_BACKOFF;
+    await spawnDnsmasq();
+}
+
+/**
+ * Stop dnsmasq and wait for it to exit
+ */
+async function stop() {
+    stopping = true;
+    if (restartTimer) {
+        clearTimeout(restartTimer);
+        restartTimer = null;
+    }
+    if (!child) {
+        return;
+    }
+
+    const proc = child;
+    await new Promise(resolve => {
+        const timer = setTimeout(() => proc.kill('SIGKILL'), STOP_TIMEOUT);
+        proc.once('close', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+        proc.kill('SIGTERM');
+    });
+    logger.info('dnsmasq stopped');
+}
+
+/**
+ * Restart dnsmasq, used when options outside the servers file changed
+ */
+async function restart(file) {
+    await stop();
+    try {
+        await start(file);
+        recordReload('restart', true, 'dnsmasq restarted');
+    } catch (error) {
+        recordReload('restart', false, error.message);
+    }
+}
+
+/**
+ * Ask dnsmasq to re-read its servers file
+ */
+async function reload(file) {
+    if (!child || !state.pid) {
+        // Nothing to signal, start it instead
+        try {
+            await start(file);
+            recordReload('start', true, 'dnsmasq started');
+        } catch (error) {
+            recordReload('start', false, error.message);
+        }
+        return;
+    }
+    child.kill('SIGHUP');
+    recordReload('sighup', true, 'Sent SIGHUP to dnsmasq');
+    logger.info(`Sent SIGHUP to dnsmasq (pid ${state.pid})`);
+}
+
+/**
+ * Get the current process state for the status API
+ */
+function getStatus() {
+    return {
+        running: state.pid !== null,
+        ...state
+    };
+}
+
+module.exports = {
+    getVersion,
+    validateConfig,
+    start,
+    stop,
+    restart,
+    reload,
+    recordReload,
+    getStatus
+};
@@ -0,0 +1,503 @@
+/**
+ * DNS Packet Helpers
+ *
+ * Minimal DNS wire-format (RFC 1035) helpers used by the built-in
+ * forwarder. We only decode what routing needs (header and question)
+ * and pass everything else through to the upstream untouched. Full
+ * response decoding is only used by the /resolve JSON API.
+ */
+
+const HEADER_LENGTH = 12;
+
+const TYPE_OPT = 41;
+const OPTION_CLIENT_SUBNET = 8;
+// dnsmasq's add-mac sends the MAC in the option Nominum registered
+const OPTION_MAC = 65001;
+
+const RCODE = {
+    NOERROR: 0,
+    FORMERR: 1,
+    SERVFAIL: 2,
+    NXDOMAIN: 3,
+    NOTIMP: 4,
+    REFUSED: 5
+};
+
+const TYPE_NAMES = {
+    1: 'A',
+    2: 'NS',
+    5: 'CNAME',
+    6: 'SOA',
+    12: 'PTR',
+    15: 'MX',
+    16: 'TXT',
+    28: 'AAAA',
+    33: 'SRV',
+    41: 'OPT',
+    64: 'SVCB',
+    65: 'HTTPS',
+    255: 'ANY'
+};
+
+/**
+ * Get a readable name for a record type
+ */
+function typeName(type) {
+    return TYPE_NAMES[type] || `TYPE${type}`;
+}
+
+/**
+ * Get the numeric record type for a name ('AAAA', 'TYPE65', '28'), or null
+ */
+function typeCode(name) {
+    const value = String(name).toUpperCase();
+    const known = Object.keys(TYPE_NAMES).find(code => TYPE_NAMES[code] === value);
+    if (known) {
+        return Number(known);
+    }
+    const match = value.match(/^(?:TYPE)?([0-9]{1,5})$/);
+    const code = match ? Number(match[1]) : NaN;
+    return code >= 1 && code <= 65535 ? code : null;
+}
+
+/**
+ * Read a (possibly compressed) domain name starting at offset
+ */
+function readName(buf, offset) {
+    const labels = [];
+    let jumped = false;
+    let next = offset;
+    let hops = 0;
+
+    while (true) {
+        if (offset >= buf.length) {
+            throw new Error('Name extends past end of packet');
+        }
+        const length = buf[offset];
+
+        if (length === 0) {
+            offset += 1;
+            break;
+        }
+
+        if ((length & 0xc0) === 0xc0) {
+            // Compression pointer
+            if (offset + 1 >= buf.length) {
+                throw new Error('Truncated compression pointer');
+            }
+            if (++hops > 64) {
+                throw new Error('Too many compression pointers');
+            }
+            const pointer = ((length & 0x3f) << 8) | buf[offset + 1];
+            if (!jumped) {
+                next = offset + 2;
+                jumped = true;
+            }
+            offset = pointer;
+            continue;
+        }
+
+        if (offset + 1 + length > buf.length) {
+            throw new Error('Label extends past end of packet');
+        }
+        labels.push(buf.toString('ascii', offset + 1, offset + 1 + length));
+        offset += 1 + length;
+    }
+
+    return {
+        name: labels.join('.').toLowerCase(),
+        offset: jumped ? next : offset
+    };
+}
+
+/**
+ * Skip over a resource record and return the offset after it
+ */
+function skipRecord(buf, offset) {
+    offset = readName(buf, offset).offset;
+    if (offset + 10 > buf.length) {
+        throw new Error('Truncated resource record');
+    }
+    const rdLength = buf.readUInt16BE(offset + 8);
+    return offset + 10 + rdLength;
+}
+
+/**
+ * Parse the header and first question of a DNS query
+ */
+function parseQuery(buf) {
+    if (!Buffer.isBuffer(buf) || buf.length < HEADER_LENGTH) {
+        throw new Error('Packet too short');
+    }
+
+    const id = buf.readUInt16BE(0);
+    const flags = buf.readUInt16BE(2);
+    const qdCount = buf.readUInt16BE(4);
+
+    if (qdCount < 1) {
+        throw new Error('Query has no question');
+    }
+
+    const { name, offset } = readName(buf, HEADER_LENGTH);
+    if (offset + 4 > buf.length) {
+        throw new Error('Truncated question');
+    }
+
+    return {
+        id,
+        flags,
+        name,
+        type: buf.readUInt16BE(offset),
+        qclass: buf.readUInt16BE(offset + 2),
+        questionEnd: offset + 4
+    };
+}
+
+/**
+ * Build an error response (SERVFAIL, REFUSED, ...) for a query
+ */
+function buildErrorResponse(queryBuf, rcode) {
+    let questionEnd = HEADER_LENGTH;
+    try {
+        questionEnd = parseQuery(queryBuf).questionEnd;
+    } catch (err) {
+        // Unparseable question, answer with the header only
+    }
+
+    const response = Buffer.from(queryBuf.subarray(0, questionEnd));
+    const queryFlags = queryBuf.length >= 4 ? queryBuf.readUInt16BE(2) : 0;
+
+    // QR=1, keep opcode and RD, RA=1, set rcode
+    const flags = 0x8000 | (queryFlags & 0x7900) | 0x0080 | (rcode & 0x0f);
+    response.writeUInt16BE(flags, 2);
+    response.writeUInt16BE(questionEnd > HEADER_LENGTH ? 1 : 0, 4);
+    response.writeUInt16BE(0, 6);
+    response.writeUInt16BE(0, 8);
+    response.writeUInt16BE(0, 10);
+    return response;
+}
+
+/**
+ * Get the rcode of a response
+ */
+function getRcode(buf) {
+    return buf.readUInt16BE(2) & 0x0f;
+}
+
+/**
+ * Get the lowest TTL in the answer and authority sections, or null
+ */
+function getMinTtl(buf) {
+    try {
+        const { questionEnd } = parseQuery(buf);
+        const anCount = buf.readUInt16BE(6);
+        const nsCount = buf.readUInt16BE(8);
+        let offset = questionEnd;
+        let minTtl = null;
+
+        for (let i = 0; i < anCount + nsCount; i++) {
+            const nameEnd = readName(buf, offset).offset;
+            const ttl = buf.readUInt32BE(nameEnd + 4);
+            if (minTtl === null || ttl < minTtl) {
+                minTtl = ttl;
+            }
+            offset = skipRecord(buf, offset);
+        }
+
+        return minTtl;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Build a recursive query for a single question
+ */
+function buildQuery(name, type, id = 0) {
+    const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+    const parts = [Buffer.alloc(HEADER_LENGTH)];
+    parts[0].writeUInt16BE(id, 0);
+    parts[0].writeUInt16BE(0x0100, 2); // RD
+    parts[0].writeUInt16BE(1, 4);
+
+    for (const label of labels) {
+        const bytes = Buffer.from(label, 'ascii');
+        if (bytes.length < 1 || bytes.length > 63) {
+            throw new Error(`Invalid label in ${name}`);
+        }
+        parts.push(Buffer.from([bytes.length]), bytes);
+    }
+
+    const question = Buffer.alloc(5);
+    question.writeUInt16BE(type, 1);
+    question.writeUInt16BE(1, 3); // IN
+    parts.push(question);
+
+    const packet = Buffer.concat(parts);
+    if (packet.length - HEADER_LENGTH - 4 > 255) {
+        throw new Error(`Name too long: ${name}`);
+    }
+    return packet;
+}
+
+/**
+ * Format an IPv6 address from 16 bytes, compressing the longest zero run
+ */
+function formatIPv6(bytes) {
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(bytes.readUInt16BE(i).toString(16));
+    }
+
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === '0') {
+            length++;
+        }
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+
+    if (bestStart === -1) {
+        return groups.join(':');
+    }
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Render record data as text, the way zone files and DoH JSON APIs do
+ */
+function formatRdata(buf, type, offset, length) {
+    const rdata = buf.subarray(offset, offset + length);
+
+    switch (type) {
+        case 1:
+            if (length === 4) {
+                return Array.from(rdata).join('.');
+            }
+            break;
+        case 28:
+            if (length === 16) {
+                return formatIPv6(rdata);
+            }
+            break;
+        case 2:
+        case 5:
+        case 12:
+            return `${readName(buf, offset).name}.`;
+        case 15:
+            return `${buf.readUInt16BE(offset)} ${readName(buf, offset + 2).name}.`;
+        case 16: {
+            const strings = [];
+            for (let i = 0; i < length; i += 1 + rdata[i]) {
+                strings.push(`"${rdata.toString('utf8', i + 1, i + 1 + rdata[i]).replace(/(["\\])/g, '\\$1')}"`);
+            }
+            return strings.join(' ');
+        }
+        case 6: {
+            const mname = readName(buf, offset);
+            const rname = readName(buf, mname.offset);
+            const numbers = [0, 4, 8, 12, 16].map(i => buf.readUInt32BE(rname.offset + i));
+            return `${mname.name}. ${rname.name}. ${numbers.join(' ')}`;
+        }
+    }
+
+    // Unknown types use the RFC 3597 generic form
+    return `\\# ${length} ${rdata.toString('hex')}`.trim();
+}
+
+/**
+ * Decode a response into its question and records
+ */
+function parseResponse(buf) {
+    if (!Buffer.isBuffer(buf) || buf.length < HEADER_LENGTH) {
+        throw new Error('Packet too short');
+    }
+
+    const flags = buf.readUInt16BE(2);
+    const counts = [4, 6, 8, 10].map(i => buf.readUInt16BE(i));
+    let offset = HEADER_LENGTH;
+
+    const questions = [];
+    for (let i = 0; i < counts[0]; i++) {
+        const question = readName(buf, offset);
+        if (question.offset + 4 > buf.length) {
+            throw new Error('Truncated question');
+        }
+        questions.push({ name: question.name, type: buf.readUInt16BE(question.offset) });
+        offset = question.offset + 4;
+    }
+
+    const sections = [[], [], []];
+    for (let section = 0; section < 3; section++) {
+        for (let i = 0; i < counts[section + 1]; i++) {
+            const { name, offset: nameEnd } = readName(buf, offset);
+            const end = skipRecord(buf, offset);
+            if (end > buf.length) {
+                throw new Error('Truncated resource record');
+            }
+            const type = buf.readUInt16BE(nameEnd);
+            sections[section].push({
+                name,
+                type,
+                ttl: buf.readUInt32BE(nameEnd + 4),
+                data: type === TYPE_OPT ? '' : formatRdata(buf, type, nameEnd + 10, end - nameEnd - 10)
+            });
+            offset = end;
+        }
+    }
+
+    return {
+        id: buf.readUInt16BE(0),
+        flags,
+        rcode: flags & 0x0f,
+        questions,
+        answers: sections[0],
+        authority: sections[1],
+        additional: sections[2]
+    };
+}
+
+/**
+ * Find the EDNS OPT record of a message, or null
+ *
+ * Returns the offsets of its RDLENGTH field and of the RDATA after it.
+ */
+function findOpt(buf) {
+    try {
+        const counts = [4, 6, 8, 10].map(i => buf.readUInt16BE(i));
+        let offset = HEADER_LENGTH;
+
+        for (let i = 0; i < counts[0]; i++) {
+            offset = readName(buf, offset).offset + 4;
+        }
+        for (let i = 0; i < counts[1] + counts[2]; i++) {
+            offset = skipRecord(buf, offset);
+        }
+        for (let i = 0; i < counts[3]; i++) {
+            const nameEnd = readName(buf, offset).offset;
+            const end = skipRecord(buf, offset);
+            if (end > buf.length) {
+                return null;
+            }
+            if (buf.readUInt16BE(nameEnd) === TYPE_OPT) {
+                return { lengthOffset: nameEnd + 8, rdataOffset: nameEnd + 10, end };
+            }
+            offset = end;
+        }
+    } catch (err) {
+        // Malformed records, treat as having no options
+    }
+    return null;
+}
+
+/**
+ * List the EDNS options of a message as { code, data }
+ */
+function getEdnsOptions(buf) {
+    const opt = findOpt(buf);
+    const options = [];
+    if (!opt) {
+        return options;
+    }
+
+    let offset = opt.rdataOffset;
+    while (offset + 4 <= opt.end) {
+        const code = buf.readUInt16BE(offset);
+        const length = buf.readUInt16BE(offset + 2);
+        if (offset + 4 + length > opt.end) {
+            break;
+        }
+        options.push({ code, data: buf.subarray(offset + 4, offset + 4 + length) });
+        offset += 4 + length;
+    }
+    return options;
+}
+
+/**
+ * Get the client address and MAC that dnsmasq's add-subnet and add-mac
+ * options put in a forwarded query
+ *
+ * The address is only returned when the full address was sent
+ * (add-subnet=32,128), not just the network.
+ */
+function getClientInfo(buf) {
+    const info = { address: null, mac: null };
+
+    getEdnsOptions(buf).forEach(({ code, data }) => {
+        if (code === OPTION_CLIENT_SUBNET && data.length >= 4) {
+            const family = data.readUInt16BE(0);
+            const prefix = data[2];
+            const bytes = data.subarray(4);
+            if (family === 1 && prefix === 32 && bytes.length === 4) {
+                info.address = Array.from(bytes).join('.');
+            } else if (family === 2 && prefix === 128 && bytes.length === 16) {
+                info.address = formatIPv6(bytes);
+            }
+        } else if (code === OPTION_MAC && data.length === 6) {
+            info.mac = Array.from(data).map(byte => byte.toString(16).padStart(2, '0')).join(':');
+        }
+    });
+
+    return info;
+}
+
+/**
+ * Return a copy of a message without the given EDNS options
+ */
+function stripEdnsOptions(buf, codes) {
+    const opt = findOpt(buf);
+    if (!opt) {
+        return buf;
+    }
+
+    const kept = [];
+    let offset = opt.rdataOffset;
+    while (offset + 4 <= opt.end) {
+        const length = buf.readUInt16BE(offset + 2);
+        const next = Math.min(offset + 4 + length, opt.end);
+        if (!codes.includes(buf.readUInt16BE(offset))) {
+            kept.push(buf.subarray(offset, next));
+        }
+        offset = next;
+    }
+
+    const rdata = Buffer.concat(kept);
+    const copy = Buffer.concat([buf.subarray(0, opt.rdataOffset), rdata, buf.subarray(opt.end)]);
+    copy.writeUInt16BE(rdata.length, opt.lengthOffset);
+    return copy;
+}
+
+/**
+ * Return a copy of a packet with a different transaction id
+ */
+function withId(buf, id) {
+    const copy = Buffer.from(buf);
+    copy.writeUInt16BE(id, 0);
+    return copy;
+}
+
+module.exports = {
+    RCODE,
+    OPTION_CLIENT_SUBNET,
+    OPTION_MAC,
+    typeName,
+    typeCode,
+    readName,
+    skipRecord,
+    parseQuery,
+    parseResponse,
+    buildQuery,
+    buildErrorResponse,
+    getRcode,
+    getMinTtl,
+    getClientInfo,
+    stripEdnsOptions,
+    withId
+};
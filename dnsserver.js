@@ -0,0 +1,213 @@
+/**
+ * Built-in DNS Server
+ *
+ * Listens for DNS queries over UDP and TCP on dnsServer.port and
+ * answers them through the resolver. Used instead of dnsmasq when
+ * dnsServer.mode is set to "builtin", and as a local forwarder for
+ * upstreams dnsmasq can't talk to itself.
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const logger = require('./logger').child('dns');
+const resolver = require('./resolver');
+
+const TCP_IDLE_TIMEOUT = 10000;
+
+// One { address, udp, tcp } per bound address
+let listeners = [];
+let listening = null;
+
+/**
+ * Handle a query received over UDP
+ */
+async function handleUdpMessage(socket, message, rinfo) {
+    const response = await resolver.resolve(message, { transport: 'udp', client: rinfo.address });
+    if (listeners.some(listener => listener.udp === socket)) {
+        socket.send(response, rinfo.port, rinfo.address);
+    }
+}
+
+/**
+ * Handle a TCP connection (length-prefixed messages, RFC 7766)
+ */
+function handleTcpConnection(socket) {
+    let buffer = Buffer.alloc(0);
+
+    socket.setTimeout(TCP_IDLE_TIMEOUT, () => socket.destroy());
+    socket.on('error', err => logger.warn(`DNS TCP connection error: ${err.message}`));
+
+    socket.on('data', async chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+            const length = buffer.readUInt16BE(0);
+            const message = buffer.subarray(2, 2 + length);
+            buffer = buffer.subarray(2 + length);
+
+            const response = await resolver.resolve(message, { transport: 'tcp', client: socket.remoteAddress });
+            if (!socket.destroyed) {
+                const prefix = Buffer.alloc(2);
+                prefix.writeUInt16BE(response.length);
+                socket.write(Buffer.concat([prefix, response]));
+            }
+        }
+    });
+}
+
+/**
+ * Bind the UDP socket
+ *
+ * IPv6 sockets are IPv6-only so '::' and '0.0.0.0' can share a port.
+ */
+function listenUdp(port, address) {
+    return new Promise((resolve, reject) => {
+        const socket = net.isIPv6(address)
+            ? dgram.createSocket({ type: 'udp6', ipv6Only: true })
+            : dgram.createSocket('udp4');
+        socket.once('error', reject);
+        socket.on('message', (message, rinfo) => {
+            handleUdpMessage(socket, message, rinfo).catch(err => {
+                logger.error(`Failed to answer DNS query: ${err.message}`);
+            });
+        });
+        socket.bind(port, address, () => {
+            socket.removeListener('error', reject);
+            socket.on('error', err => logger.error(`DNS UDP socket error: ${err.message}`));
+            resolve(socket);
+        });
+    });
+}
+
+/**
+ * Bind the TCP server
+ */
+function listenTcp(port, address) {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer(handleTcpConnection);
+        server.once('error', reject);
+        server.listen({ port, host: address, ipv6Only: net.isIPv6(address) }, () => {
+            server.removeListener('error', reject);
+            server.on('error', err => logger.error(`DNS TCP server error: ${err.message}`));
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Bind UDP and TCP on one address
+ */
+async function listenOn(port, address) {
+    const listener = { address, udp: null, tcp: null };
+    try {
+        listener.udp = await listenUdp(port, address);
+        listener.tcp = await listenTcp(port, address);
+        return listener;
+    } catch (error) {
+        await closeListener(listener);
+        throw error;
+    }
+}
+
+async function closeListener(listener) {
+    if (listener.udp) {
+        listener.udp.close();
+    }
+    if (listener.tcp) {
+        await new Promise(resolve => listener.tcp.close(() => resolve()));
+    }
+}
+
+/**
+ * Format an address and port, bracketing IPv6 addresses
+ */
+function formatEndpoint(address, port) {
+    return net.isIPv6(address) ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+/**
+ * Start the built-in DNS server on the given addresses and port
+ *
+ * This is either the public listener (builtin mode) or a loopback
+ * forwarder that dnsmasq hands encrypted upstreams to. An address that
+ * can't be bound is skipped as long as another one works, so a '::'
+ * listener doesn't take the server down on hosts without IPv6.
+ *
+ * Queries are answered with the rules of appConfig, domainList and
+ * clientStore, as routed by dnsconfig.js.
+ */
+async function start({ port, addresses, appConfig, domainList, clientStore }) {
+    resolver.loadRules(appConfig, domainList, clientStore);
+
+    const requested = addresses.join(',');
+    if (listening) {
+        if (listening.port === port && listening.requested === requested) {
+            return;
+        }
+        await stop();
+    }
+
+    const failures = [];
+    for (const address of addresses) {
+        try {
+            listeners.push(await listenOn(port, address));
+        } catch (error) {
+            failures.push(`${formatEndpoint(address, port)}: ${error.message}`);
+        }
+    }
+
+    if (listeners.length === 0) {
+        throw new Error(`Cannot listen on ${failures.join('; ')}`);
+    }
+    failures.forEach(failure => logger.warn(`Built-in DNS server skipped ${failure}`));
+
+    listening = {
+        port,
+        requested,
+        addresses: listeners.map(listener => listener.address),
+        startedAt: new Date().toISOString()
+    };
+    const endpoints = listening.addresses.map(address => formatEndpoint(address, port));
+    logger.info(`Built-in DNS server listening on ${endpoints.join(', ')} (UDP/TCP)`);
+}
+
+/**
+ * Stop the built-in DNS server
+ */
+async function stop() {
+    const closing = listeners;
+    listeners = [];
+    for (const listener of closing) {
+        await closeListener(listener);
+    }
+    if (listening) {
+        logger.info('Built-in DNS server stopped');
+    }
+    listening = null;
+}
+
+/**
+ * Reload rules, rebinding only if the listen address or port changed
+ */
+async function reload(listen) {
+    await start(listen);
+}
+
+/**
+ * Get the current server status
+ */
+function getStatus() {
+    return {
+        running: listening !== null,
+        port: listening ? listening.port : null,
+        addresses: listening ? listening.addresses : [],
+        startedAt: listening ? listening.startedAt : null
+    };
+}
+
+module.exports = {
+    start,
+    stop,
+    reload,
+    getStatus
+};
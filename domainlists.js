@@ -0,0 +1,323 @@
+/**
+ * Domain List Formats
+ *
+ * Reads and writes domain lists in the formats people keep them in:
+ *
+ *   text      one domain per line, '#' comments; every entry gets the
+ *             default DNS server and rule type given with the import
+ *   csv       domain,resolveVia[,type[,filterAAAA[,strategy]]] with an
+ *             optional header; several DNS servers are separated by spaces
+ *   dnsmasq   server=/domain/.../server lines ('#' as the server excludes);
+ *             several lines for a domain become one rule with all servers
+ *   json      { "domains": [...] } as in data/ips.json, or a bare array
+ *
+ * Parsing never throws on bad entries; they are returned with the line
+ * they came from so they can be shown before anything is saved.
+ */
+
+const rules = require('./rules');
+const upstreams = require('./upstreams');
+const strategies = require('./strategies');
+
+const FORMATS = ['text', 'csv', 'dnsmasq', 'json'];
+
+/**
+ * Check an entry, returning a problem description or null
+ */
+function validateEntry(entry) {
+    const problem = rules.validatePattern(entry.type, entry.domain);
+    if (problem) {
+        return problem;
+    }
+    if (rules.hasUpstream(entry) && !upstreams.isValidList(entry.resolveVia)) {
+        const list = upstreams.listOf(entry.resolveVia);
+        if (list.length === 0) {
+            return 'No DNS server given';
+        }
+        const invalid = list.find(dns => !upstreams.isValidUpstream(dns));
+        return invalid !== undefined ? `Invalid DNS server ${invalid}` : `DNS servers must be distinct and at most 8: ${list.join(' ')}`;
+    }
+    if (entry.strategy !== undefined && !strategies.isValidStrategy(entry.strategy)) {
+        return `Strategy must be one of ${strategies.STRATEGIES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Split content into numbered lines, skipping blanks and comments
+ */
+function contentLines(content) {
+    return content.split(/\r?\n/)
+        .map((text, index) => ({ line: index + 1, text: text.trim() }))
+        .filter(({ text }) => text && !text.startsWith('#'));
+}
+
+/**
+ * Split a CSV line, honouring double quotes
+ */
+function splitCsv(text) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Quote a CSV field if it needs it
+ */
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseText(content, defaults) {
+    return contentLines(content).map(({ line, text }) => ({
+        line,
+        text,
+        entry: { domain: text.replace(/\.$/, ''), type: defaults.type, resolveVia: defaults.resolveVia }
+    }));
+}
+
+function parseCsv(content, defaults) {
+    const lines = contentLines(content);
+    // Skip a header row such as "domain,resolveVia"
+    if (lines.length > 0 && /^"?domain"?\s*,/i.test(lines[0].text)) {
+        lines.shift();
+    }
+
+    return lines.map(({ line, text }) => {
+        const [domain, resolveVia, type, filterAAAA, strategy] = splitCsv(text);
+        return {
+            line,
+            text,
+            entry: {
+                domain: (domain || '').replace(/\.$/, ''),
+                type: type || defaults.type,
+                resolveVia: resolveVia ? resolveVia.split(/\s+/) : defaults.resolveVia,
+                strategy: strategy || undefined,
+                filterAAAA: /^(?:true|yes|1)$/i.test(filterAAAA || '')
+            }
+        };
+    });
+}
+
+function parseDnsmasq(content) {
+    const results = [];
+    // Rules by domain, so later servers for a domain join its first line
+    const servers = new Map();
+
+    contentLines(content).forEach(({ line, text }) => {
+        const match = text.match(/^server=\/(.+)\/([^/]*)$/);
+        if (!match) {
+            results.push({ line, text, error: 'Not a server=/domain/server line' });
+            return;
+        }
+
+        const server = match[2].trim();
+        match[1].split('/').filter(Boolean).forEach(domain => {
+            if (server === '') {
+                results.push({ line, text, error: `${domain} is answered locally, which isn't supported` });
+            } else if (server === '#') {
+                results.push({ line, text, entry: { domain, type: 'exclude' } });
+            } else if (servers.has(domain)) {
+                const entry = servers.get(domain);
+                entry.resolveVia = upstreams.listOf(entry.resolveVia).concat(server);
+                // dnsmasq itself asks whichever server has been fastest
+                entry.strategy = 'latency';
+            } else {
+                const entry = { domain, type: 'suffix', resolveVia: server };
+                servers.set(domain, entry);
+                results.push({ line, text, entry });
+            }
+        });
+    });
+
+    return results;
+}
+
+function parseJson(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        return [{ line: 1, text: '', error: `Invalid JSON: ${error.message}` }];
+    }
+
+    const items = Array.isArray(data) ? data : data && data.domains;
+    if (!Array.isArray(items)) {
+        return [{ line: 1, text: '', error: 'Expected an array of domains or an object with a domains array' }];
+    }
+
+    // JSON has no useful line numbers, number the entries instead
+    return items.map((item, index) => {
+        if (!item || typeof item.domain !== 'string') {
+            return { line: index + 1, text: JSON.stringify(item), error: 'Entry has no domain' };
+        }
+        return {
+            line: index + 1,
+            text: item.domain,
+            entry: {
+                domain: item.domain,
+                type: item.type || 'suffix',
+                resolveVia: item.resolveVia,
+                strategy: item.strategy,
+                filterAAAA: item.filterAAAA === true
+            }
+        };
+    });
+}
+
+/**
+ * Parse a domain list
+ *
+ * defaults.resolveVia and defaults.type fill in what a format doesn't
+ * carry. Returns { entries, invalid }; each invalid item has the line
+ * number, the text and the reason.
+ */
+function parseList(format, content, defaults = {}) {
+    const fallback = { type: defaults.type || 'suffix', resolveVia: defaults.resolveVia };
+    let results;
+
+    switch (format) {
+        case 'text':
+            results = parseText(content, fallback);
+            break;
+        case 'csv':
+            results = parseCsv(content, fallback);
+            break;
+        case 'dnsmasq':
+            results = parseDnsmasq(content);
+            break;
+        case 'json':
+            results = parseJson(content);
+            break;
+        default:
+            throw new Error(`Format must be one of ${FORMATS.join(', ')}`);
+    }
+
+    const entries = [];
+    const invalid = [];
+    results.forEach(({ line, text, entry, error }) => {
+        const problem = error || validateEntry(entry);
+        if (problem) {
+            invalid.push({ line, text, reason: problem });
+        } else {
+            entries.push(rules.normalizeEntry(entry));
+        }
+    });
+
+    return { entries, invalid };
+}
+
+/**
+ * Work out what importing entries into an existing list would change
+ *
+ * Returns the merged list along with the entries that would be added,
+ * the ones that would change an existing rule for the same pattern and
+ * the ones that are already there (or repeated within the import).
+ */
+function planImport(existing, entries) {
+    const merged = existing.map(item => rules.normalizeEntry(item));
+    const positions = new Map(merged.map((item, index) => [item.domain, index]));
+    const seen = new Set();
+    const adds = [];
+    const updates = [];
+    const duplicates = [];
+
+    entries.forEach(entry => {
+        if (seen.has(entry.domain)) {
+            duplicates.push(entry);
+            return;
+        }
+        seen.add(entry.domain);
+
+        if (!positions.has(entry.domain)) {
+            positions.set(entry.domain, merged.length);
+            merged.push(entry);
+            adds.push(entry);
+            return;
+        }
+
+        const index = positions.get(entry.domain);
+        // Imported rules stay in the group of the rule they replace
+        const grouped = merged[index].group && !entry.group
+            ? rules.normalizeEntry({ ...entry, group: merged[index].group })
+            : entry;
+        if (JSON.stringify(merged[index]) === JSON.stringify(grouped)) {
+            duplicates.push(entry);
+        } else {
+            updates.push({ from: merged[index], to: grouped });
+            merged[index] = grouped;
+        }
+    });
+
+    return { merged, adds, updates, duplicates };
+}
+
+/**
+ * Write a domain list in one of the supported formats
+ */
+function formatList(format, domains) {
+    const entries = domains.map(item => rules.normalizeEntry(item));
+
+    switch (format) {
+        case 'text':
+            return entries.map(entry => entry.domain).join('\n') + '\n';
+        case 'csv':
+            return ['domain,resolveVia,type,filterAAAA,strategy']
+                .concat(entries.map(entry => [
+                    entry.domain,
+                    upstreams.listOf(entry.resolveVia).join(' '),
+                    entry.type,
+                    entry.filterAAAA ? 'true' : '',
+                    entry.strategy
+                ].map(csvField).join(',')))
+                .join('\n') + '\n';
+        case 'dnsmasq':
+            return entries.map(entry => {
+                if (entry.type === 'exclude') {
+                    return `server=/${entry.domain}/#`;
+                }
+                const list = upstreams.listOf(entry.resolveVia);
+                const servers = list.map(upstreams.toDnsmasq);
+                if (entry.type !== 'suffix' || servers.length === 0 || servers.some(server => !server) || entry.filterAAAA) {
+                    return `# ${entry.type} rule ${entry.domain} via ${list.join(', ')} can't be written for dnsmasq`;
+                }
+                return servers.map(server => `server=/${entry.domain}/${server}`).join('\n');
+            }).join('\n') + '\n';
+        case 'json':
+            return JSON.stringify({ domains: entries }, null, 2) + '\n';
+        default:
+            throw new Error(`Format must be one of ${FORMATS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    validateEntry,
+    parseList,
+    planImport,
+    formatList
+};
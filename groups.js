@@ -0,0 +1,213 @@
+/**
+ * Domain Groups
+ *
+ * Named sets of domain rules ("Streaming", "GitHub & npm") kept in
+ * data/ips.json next to the domains:
+ *
+ *   { "groups": [{ "id": "streaming", "name": "Streaming", "description": "...",
+ *                  "resolveVia": "1.1.1.1", "enabled": true }],
+ *     "domains": [{ "domain": "netflix.com", "group": "streaming", ... }] }
+ *
+ * A rule in a group that has no resolveVia of its own uses the group's.
+ * Rules in a disabled group are left out of the DNS configuration; rules
+ * without a group are always active.
+ */
+
+const config = require('./config');
+const rules = require('./rules');
+const upstreams = require('./upstreams');
+const logger = require('./logger').child('groups');
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function groupError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Turn a group name into the id its domains refer to it by
+ */
+function groupId(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Check group settings, returning a problem description or null
+ */
+function validateGroup({ name, description, resolveVia }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 64 || !groupId(name)) {
+        return 'Group name is required, up to 64 characters with at least one letter or digit';
+    }
+    // Names end up in comments in the generated dnsmasq configuration
+    if (/[\x00-\x1f\x7f]/.test(name)) {
+        return 'Group names may not contain control characters';
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 256)) {
+        return 'Description may be at most 256 characters';
+    }
+    if (resolveVia && !upstreams.isValidList(resolveVia)) {
+        return `Invalid DNS servers ${upstreams.listOf(resolveVia).join(' ')}`;
+    }
+    return null;
+}
+
+/**
+ * Check whether a rule depends on its group for a DNS server
+ */
+function inheritsUpstream(item) {
+    return rules.hasUpstream(item) && !item.resolveVia;
+}
+
+/**
+ * Get every rule with its group's DNS server filled in where it has none
+ *
+ * Each rule gets active: false when its group is disabled. Rules naming a
+ * group that doesn't exist are treated as ungrouped.
+ */
+function resolveDomains(domainList) {
+    const groups = new Map((domainList.groups || []).map(group => [group.id, group]));
+
+    return (domainList.domains || []).map(item => {
+        const group = item.group && groups.get(item.group);
+        if (!group) {
+            const { group: unknown, ...rest } = item;
+            return { ...rest, active: true };
+        }
+        const resolved = inheritsUpstream(item) ? { ...item, resolveVia: group.resolveVia } : { ...item };
+        resolved.active = group.enabled !== false;
+        return resolved;
+    });
+}
+
+/**
+ * Get the rules of enabled groups and ungrouped rules, ready to route by
+ */
+function getActiveDomains(domainList) {
+    return resolveDomains(domainList)
+        .filter(item => item.active && (!rules.hasUpstream(item) || item.resolveVia))
+        .map(({ active, ...item }) => item);
+}
+
+/**
+ * List groups with how many rules each has
+ */
+async function listGroups() {
+    const domainList = await config.getDomainList();
+    return (domainList.groups || []).map(group => ({
+        ...group,
+        domainCount: (domainList.domains || []).filter(item => item.group === group.id).length
+    }));
+}
+
+async function getGroup(id) {
+    const domainList = await config.getDomainList();
+    return (domainList.groups || []).find(group => group.id === id) || null;
+}
+
+async function addGroup({ name, description = '', resolveVia, enabled = true }) {
+    const problem = validateGroup({ name, description, resolveVia });
+    if (problem) {
+        throw groupError(problem, 400);
+    }
+
+    const group = {
+        id: groupId(name),
+        name: name.trim(),
+        description,
+        resolveVia: resolveVia || undefined,
+        enabled: enabled !== false
+    };
+
+    await config.updateDomainList(domainList => {
+        const groups = domainList.groups || [];
+        const clash = groups.find(existing => existing.id === group.id);
+        if (clash) {
+            throw groupError(`A group named ${clash.name} already exists`, 409);
+        }
+        domainList.groups = [...groups, group];
+    });
+    logger.info(`Group ${group.name} added`);
+    return group;
+}
+
+/**
+ * Change a group's name, description, DNS server or enabled flag
+ *
+ * The id stays the same when the group is renamed, so its rules keep
+ * pointing at it.
+ */
+async function updateGroup(id, changes) {
+    let group;
+    await config.updateDomainList(domainList => {
+        const groups = domainList.groups || [];
+        group = groups.find(existing => existing.id === id);
+
+        if (!group) {
+            throw groupError('Group not found', 404);
+        }
+
+        const updated = { ...group, ...changes };
+        const problem = validateGroup(updated);
+        if (problem) {
+            throw groupError(problem, 400);
+        }
+
+        if (!updated.resolveVia &&
+            domainList.domains.some(item => item.group === id && inheritsUpstream(item))) {
+            throw groupError('Some domains in this group use its DNS server, so it can\'t be removed', 400);
+        }
+
+        Object.assign(group, {
+            name: updated.name.trim(),
+            description: updated.description || '',
+            resolveVia: updated.resolveVia || undefined,
+            enabled: updated.enabled !== false
+        });
+    });
+    logger.info(`Group ${group.name} updated`);
+    return group;
+}
+
+/**
+ * Remove a group, keeping its rules as ungrouped ones
+ *
+ * Rules that used the group's DNS server get it as their own.
+ */
+async function removeGroup(id) {
+    let group;
+    await config.updateDomainList(domainList => {
+        const groups = domainList.groups || [];
+        group = groups.find(existing => existing.id === id);
+
+        if (!group) {
+            throw groupError('Group not found', 404);
+        }
+
+        const domains = domainList.domains.map(item => {
+            if (item.group !== id) {
+                return item;
+            }
+            const { group: removed, ...rest } = item;
+            return inheritsUpstream(rest) ? rules.normalizeEntry({ ...rest, resolveVia: group.resolveVia }) : rest;
+        });
+
+        return { groups: groups.filter(existing => existing.id !== id), domains };
+    });
+    logger.info(`Group ${group.name} removed`);
+    return group;
+}
+
+module.exports = {
+    inheritsUpstream,
+    resolveDomains,
+    getActiveDomains,
+    listGroups,
+    validateGroup,
+    getGroup,
+    addGroup,
+    updateGroup,
+    removeGroup
+};
@@ -0,0 +1,329 @@
+/**
+ * Upstream Health Checks
+ *
+ * Probes every configured upstream (alternative DNS servers, the servers
+ * domain rules and client policies resolve via, and the backup servers)
+ * by resolving a test name on an interval. An upstream that fails
+ * failureThreshold checks in a row is marked down, and one answer marks
+ * it up again. Settings live in config.json:
+ *
+ *   "healthCheck": { "enabled": true, "interval": 30, "testName": "example.com",
+ *                    "timeout": 2000, "failureThreshold": 3, "backupDNS": ["9.9.9.9"] }
+ *
+ * While an upstream is down, applyFailover() takes it out of the
+ * configuration the DNS engine is given: rules and pools drop it, and
+ * those left with no server that is up use the backup servers that are.
+ * Once it answers again the configuration is regenerated with it back in
+ * place. Check round-trip times also feed latency-based upstream
+ * selection (see strategies.js).
+ */
+
+const logger = require('./logger').child('healthcheck');
+const config = require('./config');
+const dnspacket = require('./dnspacket');
+const upstreams = require('./upstreams');
+const rules = require('./rules');
+const subscriptions = require('./subscriptions');
+const clients = require('./clients');
+const strategies = require('./strategies');
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    interval: 30,
+    testName: 'example.com',
+    timeout: 2000,
+    failureThreshold: 3,
+    backupDNS: []
+};
+
+// Answers that mean the server is there but can't resolve anything
+const FAILED_RCODES = [dnspacket.RCODE.SERVFAIL, dnspacket.RCODE.REFUSED];
+
+// Health of each upstream by its configured string
+const health = new Map();
+let timer = null;
+let checking = false;
+
+/**
+ * Get the health check settings with defaults for anything not set
+ */
+function getSettings(appConfig) {
+    return { ...DEFAULT_SETTINGS, ...(appConfig.healthCheck || {}) };
+}
+
+/**
+ * List every upstream in use with what uses it
+ *
+ * Returns a Map of upstream to { roles, domains }, where domains counts
+ * the rules that resolve via it.
+ */
+function collectTargets(appConfig, domainList, clientStore) {
+    const targets = new Map();
+    const add = (upstream, role) => {
+        const target = targets.get(upstream) || { roles: [], domains: 0 };
+        if (!target.roles.includes(role)) {
+            target.roles.push(role);
+        }
+        targets.set(upstream, target);
+        return target;
+    };
+
+    (appConfig.alternativeDNS || []).forEach(dns => add(dns, 'alternative'));
+    (domainList.domains || []).forEach(item => {
+        rules.upstreamsOf(item).forEach(dns => {
+            add(dns, 'domain').domains++;
+        });
+    });
+    clientStore.policies.forEach(policy => policy.alternativeDNS.forEach(dns => add(dns, 'policy')));
+    getSettings(appConfig).backupDNS.forEach(dns => add(dns, 'backup'));
+    return targets;
+}
+
+function isDown(upstream) {
+    const state = health.get(upstream);
+    return Boolean(state && state.status === 'down');
+}
+
+/**
+ * Resolve the test name through one upstream
+ *
+ * Resolves to the round-trip time in milliseconds, or rejects.
+ */
+async function probe(upstream, settings, appConfig) {
+    const packet = dnspacket.buildQuery(settings.testName.replace(/\.$/, ''), dnspacket.typeCode('A'),
+        Math.floor(Math.random() * 65536));
+    const started = Date.now();
+    let timeout;
+
+    try {
+        const response = await Promise.race([
+            upstreams.query(upstream, packet, {
+                transport: 'udp',
+                dohMethod: appConfig.dnsServer.dohMethod === 'GET' ? 'GET' : 'POST',
+                tlsFallback: 'none'
+            }),
+            new Promise((resolve, reject) => {
+                timeout = setTimeout(() => reject(new Error(`No answer within ${settings.timeout} ms`)), settings.timeout);
+            })
+        ]);
+        const rcode = dnspacket.getRcode(response);
+        if (FAILED_RCODES.includes(rcode)) {
+            throw new Error(`Answered ${rcode === dnspacket.RCODE.SERVFAIL ? 'SERVFAIL' : 'REFUSED'}`);
+        }
+        return Date.now() - started;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Probe one upstream and record the outcome
+ *
+ * Returns true if the upstream went down or came back up.
+ */
+async function checkUpstream(upstream, settings, appConfig) {
+    const state = health.get(upstream) || {
+        status: 'unknown',
+        failures: 0,
+        lastCheck: null,
+        lastSuccess: null,
+        lastError: null,
+        latency: null
+    };
+    health.set(upstream, state);
+    const previous = state.status;
+
+    try {
+        state.latency = await probe(upstream, settings, appConfig);
+        strategies.recordLatency(upstream, state.latency);
+        state.lastSuccess = new Date().toISOString();
+        state.lastError = null;
+        state.failures = 0;
+        state.status = 'up';
+    } catch (error) {
+        strategies.recordFailure(upstream);
+        state.latency = null;
+        state.lastError = error.message;
+        state.failures++;
+        if (state.failures >= settings.failureThreshold) {
+            state.status = 'down';
+        }
+    }
+    state.lastCheck = new Date().toISOString();
+
+    if (state.status === 'down' && previous !== 'down') {
+        logger.warn(`Upstream ${upstream} is down after ${state.failures} failed checks: ${state.lastError}`);
+    } else if (state.status === 'up' && previous === 'down') {
+        logger.info(`Upstream ${upstream} is answering again`);
+    }
+    return (state.status === 'down') !== (previous === 'down');
+}
+
+/**
+ * Check every upstream in use, then call onChange once if any went down
+ * or came back up
+ */
+async function runChecks(onChange) {
+    if (checking) {
+        return;
+    }
+    checking = true;
+
+    try {
+        const appConfig = await config.getConfig();
+        const settings = getSettings(appConfig);
+        if (!settings.enabled) {
+            // Nothing is failed over while checks are off
+            const wasFailedOver = Array.from(health.keys()).some(isDown);
+            health.clear();
+            if (wasFailedOver) {
+                await onChange();
+            }
+            return;
+        }
+
+        const targets = collectTargets(appConfig, await subscriptions.getEffectiveDomainList(), await clients.getStore());
+
+        // Forget upstreams that are no longer configured
+        let changed = false;
+        Array.from(health.keys()).filter(upstream => !targets.has(upstream)).forEach(upstream => {
+            changed = changed || isDown(upstream);
+            health.delete(upstream);
+        });
+
+        const outcomes = await Promise.all(Array.from(targets.keys()).map(upstream => checkUpstream(upstream, settings, appConfig)));
+        if (changed || outcomes.some(Boolean)) {
+            await onChange();
+        }
+    } catch (error) {
+        logger.error(`Failed to check upstream health: ${error.message}`);
+    } finally {
+        checking = false;
+    }
+}
+
+/**
+ * Get the servers a pool should use: those that aren't down, else the
+ * backup servers that aren't down, else all of them anyway
+ */
+function healthyPool(pool, backups) {
+    const healthy = pool.filter(dns => !isDown(dns));
+    if (healthy.length > 0 || pool.length === 0) {
+        return healthy;
+    }
+    const healthyBackups = backups.filter(dns => !isDown(dns));
+    return healthyBackups.length > 0 ? healthyBackups : pool;
+}
+
+/**
+ * Check whether two lists of upstreams are the same
+ */
+function sameList(a, b) {
+    return a.length === b.length && a.every((dns, index) => dns === b[index]);
+}
+
+/**
+ * Get the configuration with down upstreams replaced
+ *
+ * Returns copies of appConfig, domainList and clientStore; the stored
+ * configuration keeps the upstreams as they were entered.
+ */
+function applyFailover(appConfig, domainList, clientStore) {
+    const settings = getSettings(appConfig);
+    if (!settings.enabled) {
+        return { appConfig, domainList, clientStore };
+    }
+    const backups = settings.backupDNS;
+
+    return {
+        appConfig: { ...appConfig, alternativeDNS: healthyPool(appConfig.alternativeDNS || [], backups) },
+        domainList: {
+            ...domainList,
+            domains: (domainList.domains || []).map(item => {
+                const configured = rules.upstreamsOf(item);
+                const healthy = healthyPool(configured, backups);
+                if (sameList(configured, healthy)) {
+                    return item;
+                }
+                return rules.normalizeEntry({ ...item, resolveVia: healthy });
+            })
+        },
+        clientStore: {
+            ...clientStore,
+            policies: clientStore.policies.map(policy => ({
+                ...policy,
+                alternativeDNS: healthyPool(policy.alternativeDNS, backups)
+            }))
+        }
+    };
+}
+
+/**
+ * Describe the health of every upstream in use, for the API
+ */
+function getStatus(appConfig, domainList, clientStore) {
+    const settings = getSettings(appConfig);
+    const targets = collectTargets(appConfig, domainList, clientStore);
+
+    return {
+        enabled: settings.enabled,
+        settings,
+        upstreams: Array.from(targets, ([upstream, { roles, domains }]) => {
+            const state = settings.enabled ? health.get(upstream) : null;
+            return {
+                upstream,
+                protocol: upstreams.protocolOf(upstream),
+                roles,
+                domains,
+                status: state ? state.status : 'unknown',
+                failures: state ? state.failures : 0,
+                lastCheck: state ? state.lastCheck : null,
+                lastSuccess: state ? state.lastSuccess : null,
+                lastError: state ? state.lastError : null,
+                latency: state ? state.latency : null,
+                failoverTo: state && state.status === 'down' ? settings.backupDNS.filter(dns => !isDown(dns)) : null
+            };
+        })
+    };
+}
+
+/**
+ * Start checking upstreams, waiting the configured interval between rounds
+ *
+ * onChange is called when an upstream goes down or comes back up.
+ */
+function start(onChange) {
+    if (timer) {
+        return;
+    }
+    const schedule = async () => {
+        await runChecks(onChange);
+        let interval = DEFAULT_SETTINGS.interval;
+        try {
+            interval = getSettings(await config.getConfig()).interval;
+        } catch (error) {
+            // Keep the default interval until the configuration can be read
+        }
+        if (timer) {
+            timer = setTimeout(schedule, interval * 1000);
+            timer.unref();
+        }
+    };
+    timer = setTimeout(schedule, 0);
+    timer.unref();
+}
+
+function stop() {
+    clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = {
+    getSettings,
+    isDown,
+    applyFailover,
+    getStatus,
+    runChecks,
+    start,
+    stop
+};
@@ -0,0 +1,242 @@
+/**
+ * Configuration History
+ *
+ * Keeps every applied version of the configuration as a numbered revision:
+ * the settings (config.json without the account fields), the domain rules
+ * (ips.json) and the generated dnsmasq files. Revisions are listed in
+ * data/history/index.json:
+ *
+ *   { "revisions": [{ "rev": 3, "time": "...", "author": "admin", "message": "Settings updated",
+ *                     "files": { "config.json": "<sha256>", ... }, "changed": ["config.json"] }] }
+ *
+ * File contents are stored once each under data/history/objects, named by
+ * their hash, so unchanged files take no extra space. The newest
+ * MAX_REVISIONS revisions are kept.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger').child('history');
+const storage = require('./storage');
+const textdiff = require('./textdiff');
+
+const HISTORY_DIR = path.join(__dirname, 'data', 'history');
+const OBJECTS_DIR = path.join(HISTORY_DIR, 'objects');
+const MAX_REVISIONS = 200;
+
+const indexStore = storage.createStore(path.join(HISTORY_DIR, 'index.json'), {
+    name: 'configuration history',
+    defaults: { revisions: [] }
+});
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function historyError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function hashOf(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function objectPath(hash) {
+    return path.join(OBJECTS_DIR, hash);
+}
+
+/**
+ * Store a file's contents, unless the same contents already are
+ */
+async function writeObject(content) {
+    const hash = hashOf(content);
+    try {
+        await fs.access(objectPath(hash));
+    } catch (error) {
+        await fs.mkdir(OBJECTS_DIR, { recursive: true });
+        await storage.writeFileAtomic(objectPath(hash), content);
+    }
+    return hash;
+}
+
+async function readObject(hash) {
+    try {
+        return await fs.readFile(objectPath(hash), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw historyError('The contents of this revision are missing from the history', 500);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Delete stored contents that no revision refers to any more
+ */
+async function removeUnused(revisions) {
+    const used = new Set(revisions.flatMap(revision => Object.values(revision.files)));
+    let names;
+    try {
+        names = await fs.readdir(OBJECTS_DIR);
+    } catch (error) {
+        return;
+    }
+    for (const name of names.filter(name => !used.has(name))) {
+        await fs.rm(path.join(OBJECTS_DIR, name), { force: true });
+    }
+}
+
+/**
+ * Get who made the current change: the signed in user, anonymous for
+ * requests without one, or system for changes made in the background
+ */
+function currentAuthor() {
+    const { user, requestId } = logger.getContext();
+    if (user) {
+        return user;
+    }
+    return requestId ? 'anonymous' : 'system';
+}
+
+/**
+ * Describe a revision without its file hashes
+ */
+function summarize({ rev, time, author, message, files, changed }) {
+    return { rev, time, author, message, files: Object.keys(files), changed };
+}
+
+/**
+ * Save the configuration as a new revision
+ *
+ * files maps file names to their contents. Nothing is saved when they are
+ * the same as in the latest revision. Resolves to the new revision, or
+ * null.
+ */
+async function record({ message, files }) {
+    const author = currentAuthor();
+    let added = null;
+
+    await indexStore.update(async index => {
+        const latest = index.revisions[index.revisions.length - 1];
+        const hashes = {};
+        Object.entries(files).forEach(([name, content]) => {
+            hashes[name] = hashOf(content);
+        });
+        const names = [...new Set([...Object.keys(hashes), ...Object.keys(latest ? latest.files : {})])];
+        const changed = names.filter(name => !latest || latest.files[name] !== hashes[name]);
+        if (changed.length === 0) {
+            return index;
+        }
+
+        for (const content of Object.values(files)) {
+            await writeObject(content);
+        }
+        added = {
+            rev: latest ? latest.rev + 1 : 1,
+            time: new Date().toISOString(),
+            author,
+            message,
+            files: hashes,
+            changed
+        };
+        index.revisions.push(added);
+
+        if (index.revisions.length > MAX_REVISIONS) {
+            index.revisions = index.revisions.slice(-MAX_REVISIONS);
+            await removeUnused(index.revisions);
+        }
+        return index;
+    });
+
+    if (added) {
+        logger.info(`Saved configuration revision ${added.rev}: ${message}`);
+    }
+    return added && summarize(added);
+}
+
+/**
+ * List revisions newest first, as { revisions, total }
+ */
+async function list({ limit = 50, offset = 0 } = {}) {
+    const { revisions } = await indexStore.read();
+    return {
+        revisions: revisions.slice().reverse().slice(offset, offset + limit).map(summarize),
+        total: revisions.length
+    };
+}
+
+/**
+ * Find a revision, throwing a 404 error if it isn't kept
+ */
+function findRevision(revisions, rev) {
+    const revision = revisions.find(item => item.rev === rev);
+    if (!revision) {
+        throw historyError(`Revision ${rev} not found`, 404);
+    }
+    return revision;
+}
+
+/**
+ * Read the files of a revision, as a map of names to contents
+ */
+async function readFiles(revision) {
+    const files = {};
+    for (const [name, hash] of Object.entries(revision.files)) {
+        files[name] = await readObject(hash);
+    }
+    return files;
+}
+
+/**
+ * Get a revision with the contents of its files
+ */
+async function getRevision(rev) {
+    const { revisions } = await indexStore.read();
+    const revision = findRevision(revisions, rev);
+    return { ...summarize(revision), files: await readFiles(revision) };
+}
+
+/**
+ * Compare a revision with an earlier one, by default the one before it
+ *
+ * Resolves to { rev, against, files: [{ name, diff, added, removed }] },
+ * listing only the files that differ. against is null for the first
+ * revision, which is compared with empty files.
+ */
+async function diff(rev, against) {
+    const { revisions } = await indexStore.read();
+    const revision = findRevision(revisions, rev);
+    let base = null;
+    if (against !== undefined) {
+        base = findRevision(revisions, against);
+    } else {
+        const position = revisions.indexOf(revision);
+        base = position > 0 ? revisions[position - 1] : null;
+    }
+
+    const newFiles = await readFiles(revision);
+    const oldFiles = base ? await readFiles(base) : {};
+    const names = [...new Set([...Object.keys(oldFiles), ...Object.keys(newFiles)])];
+    const files = names
+        .map(name => ({
+            name,
+            ...textdiff.unifiedDiff(oldFiles[name] || '', newFiles[name] || '', {
+                oldName: base ? `a/${name} (revision ${base.rev})` : '/dev/null',
+                newName: `b/${name} (revision ${revision.rev})`
+            })
+        }))
+        .filter(file => file.diff);
+
+    return { rev: revision.rev, against: base ? base.rev : null, files };
+}
+
+module.exports = {
+    MAX_REVISIONS,
+    currentAuthor,
+    record,
+    list,
+    getRevision,
+    diff
+};
@@ -0,0 +1,402 @@
+/**
+ * Log Files
+ *
+ * Rotates the DNS, access and error logs and reads them back across the
+ * rotated segments. Settings per log type live in config.json:
+ *
+ *   "logging": { "level": "info", "dns": { "maxSizeMB": 10, "rotateHours": 24, "retainDays": 7 }, ... }
+ *
+ * A log is rotated once it reaches maxSizeMB or its first line is
+ * rotateHours old (0 turns either off). The file is renamed to
+ * <type>.log.<rotation time>.gz and compressed; segments older than
+ * retainDays are deleted. Checks run every minute.
+ *
+ * readLines() returns matching records newest first, one page at a time.
+ * Its cursor is the time of the last line returned, so pages stay right
+ * when the log rotates in between.
+ */
+
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const logger = require('./logger').child('logs');
+const config = require('./config');
+
+const LOG_TYPES = ['dns', 'access', 'error'];
+const DEFAULT_SETTINGS = {
+    dns: { maxSizeMB: 10, rotateHours: 24, retainDays: 7 },
+    access: { maxSizeMB: 10, rotateHours: 24, retainDays: 14 },
+    error: { maxSizeMB: 5, rotateHours: 24, retainDays: 30 }
+};
+const CHECK_INTERVAL = 60000;
+const MAX_LIMIT = 1000;
+
+// Records are JSON lines starting with their time (see logger.js)
+const RECORD_PATTERN = /^\{"time":"([^"]+)"/;
+// Lines written before logs were structured: [time] LEVEL: message
+const LEGACY_PATTERN = /^\[([^\]]+)\] (INFO|WARN|ERROR|DNS QUERY): /;
+
+let timer = null;
+let rotating = false;
+
+/**
+ * Get the rotation settings of every log type, with defaults for anything not set
+ */
+function getSettings(appConfig) {
+    const logging = appConfig.logging || {};
+    const settings = {};
+    LOG_TYPES.forEach(type => {
+        settings[type] = { ...DEFAULT_SETTINGS[type], ...(logging[type] || {}) };
+    });
+    return settings;
+}
+
+/**
+ * Turn a rotation time into the part of a segment name after <type>.log.
+ */
+function segmentStamp(date) {
+    return date.toISOString().replace(/:/g, '-');
+}
+
+/**
+ * List the rotated segments of a log, newest first
+ *
+ * Each is { path, end }, end being when it was rotated.
+ */
+async function listSegments(type) {
+    const livePath = logger.getLogPath(type);
+    const prefix = `${path.basename(livePath)}.`;
+    let names;
+    try {
+        names = await fsPromises.readdir(path.dirname(livePath));
+    } catch (error) {
+        return [];
+    }
+
+    return names
+        .map(name => {
+            const match = name.startsWith(prefix) && name.slice(prefix.length)
+                .match(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2}\.\d{3}Z)(\.gz)?$/);
+            if (!match) {
+                return null;
+            }
+            return {
+                path: path.join(path.dirname(livePath), name),
+                end: new Date(`${match[1]}:${match[2]}:${match[3]}`),
+                compressed: Boolean(match[4])
+            };
+        })
+        .filter(segment => segment && !isNaN(segment.end))
+        .sort((a, b) => b.end - a.end);
+}
+
+/**
+ * Get the time of the first line of a log file, or null
+ */
+async function firstLineTime(file) {
+    let handle;
+    try {
+        handle = await fsPromises.open(file, 'r');
+        const buffer = Buffer.alloc(64);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        const start = buffer.toString('utf8', 0, bytesRead);
+        const match = start.match(RECORD_PATTERN) || start.match(LEGACY_PATTERN);
+        return match ? new Date(match[1]) : null;
+    } catch (error) {
+        return null;
+    } finally {
+        if (handle) {
+            await handle.close();
+        }
+    }
+}
+
+/**
+ * Move the current log aside and compress it
+ *
+ * The logger opens the file for every line, so new lines start a new
+ * file as soon as the old one is renamed.
+ */
+async function rotate(type) {
+    const livePath = logger.getLogPath(type);
+    const rotatedPath = `${livePath}.${segmentStamp(new Date())}`;
+    await fsPromises.rename(livePath, rotatedPath);
+
+    try {
+        await pipeline(fs.createReadStream(rotatedPath), zlib.createGzip(), fs.createWriteStream(`${rotatedPath}.gz`));
+        await fsPromises.rm(rotatedPath);
+    } catch (error) {
+        // Keep the uncompressed segment rather than lose it
+        await fsPromises.rm(`${rotatedPath}.gz`, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Rotate the logs that are due and delete segments past their retention
+ */
+async function runRotation() {
+    if (rotating) {
+        return;
+    }
+    rotating = true;
+
+    try {
+        const settings = getSettings(await config.getConfig());
+        const now = Date.now();
+
+        for (const type of LOG_TYPES) {
+            const { maxSizeMB, rotateHours, retainDays } = settings[type];
+            const livePath = logger.getLogPath(type);
+
+            try {
+                const { size } = await fsPromises.stat(livePath);
+                const started = await firstLineTime(livePath);
+                const tooBig = maxSizeMB > 0 && size >= maxSizeMB * 1024 * 1024;
+                const tooOld = rotateHours > 0 && started && now - started.getTime() >= rotateHours * 3600000;
+                if (size > 0 && (tooBig || tooOld)) {
+                    await rotate(type);
+                    logger.info(`Rotated the ${type} log`);
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Failed to rotate the ${type} log: ${error.message}`);
+                }
+            }
+
+            const expired = (await listSegments(type)).filter(segment => now - segment.end.getTime() > retainDays * 86400000);
+            for (const segment of expired) {
+                await fsPromises.rm(segment.path, { force: true });
+            }
+        }
+    } catch (error) {
+        logger.error(`Failed to rotate logs: ${error.message}`);
+    } finally {
+        rotating = false;
+    }
+}
+
+/**
+ * Delete every rotated segment of every log
+ */
+async function removeSegments() {
+    for (const type of LOG_TYPES) {
+        for (const segment of await listSegments(type)) {
+            await fsPromises.rm(segment.path, { force: true });
+        }
+    }
+}
+
+/**
+ * Add lines from elsewhere, such as a backup, as a compressed segment
+ * rotated at end, so they are read and deleted like any other
+ */
+async function addSegment(type, content, end) {
+    const livePath = logger.getLogPath(type);
+    await fsPromises.mkdir(path.dirname(livePath), { recursive: true });
+    await fsPromises.writeFile(`${livePath}.${segmentStamp(end)}.gz`, zlib.gzipSync(content));
+}
+
+/**
+ * Read a log file line by line, decompressing segments
+ */
+function openLines(segment) {
+    const input = fs.createReadStream(segment.path);
+    const stream = segment.compressed ? input.pipe(zlib.createGunzip()) : input;
+    input.on('error', error => stream.destroy(error));
+    return readline.createInterface({ input: stream, crlfDelay: Infinity });
+}
+
+/**
+ * Turn a log line into a record
+ *
+ * Lines from before logs were structured are converted. Lines that are
+ * neither take the time of the line before.
+ */
+function parseLine(line, previousTime) {
+    if (line.startsWith('{')) {
+        try {
+            const record = JSON.parse(line);
+            if (record && typeof record.time === 'string') {
+                return record;
+            }
+        } catch (error) {
+            // Not a record after all
+        }
+    }
+
+    const match = line.match(LEGACY_PATTERN);
+    if (!match) {
+        return { time: previousTime, level: null, component: null, message: line };
+    }
+    const query = match[2] === 'DNS QUERY';
+    return {
+        time: match[1],
+        level: query ? 'info' : match[2].toLowerCase(),
+        component: query ? 'dns' : null,
+        message: line.slice(match[0].length)
+    };
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a cursor, returning null if it isn't one
+ */
+function decodeCursor(text) {
+    try {
+        const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+        if (typeof cursor.before === 'string' && !isNaN(Date.parse(cursor.before)) &&
+            Number.isInteger(cursor.skip) && cursor.skip >= 0) {
+            return cursor;
+        }
+    } catch (error) {
+        // Fall through
+    }
+    return null;
+}
+
+/**
+ * Check read options, returning a problem description or null
+ */
+function validateQuery({ since, until, level, limit, cursor }) {
+    if (since !== undefined && isNaN(Date.parse(since))) {
+        return 'since must be a date';
+    }
+    if (until !== undefined && isNaN(Date.parse(until))) {
+        return 'until must be a date';
+    }
+    if (level !== undefined && level.split(',').some(value => !logger.LEVELS.includes(value.trim().toLowerCase()))) {
+        return `level must be a comma separated list of ${logger.LEVELS.join(', ')}`;
+    }
+    if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_LIMIT)) {
+        return `limit must be between 1 and ${MAX_LIMIT}`;
+    }
+    if (cursor !== undefined && !decodeCursor(cursor)) {
+        return 'Invalid cursor';
+    }
+    return null;
+}
+
+/**
+ * Read the records of a log matching the options, newest first
+ *
+ * Options (strings, as in the query of GET /api/logs/:type): since and
+ * until dates, level and component (comma separated), requestId, q (text
+ * to look for in the line, any case), limit (default 100) and cursor (from
+ * the previous page). Resolves to { lines: [record], nextCursor },
+ * nextCursor being null on the last page. Only a page's worth of records
+ * is held in memory at a time.
+ */
+async function readLines(type, options = {}) {
+    const since = options.since !== undefined ? new Date(options.since).getTime() : -Infinity;
+    const cursor = options.cursor !== undefined ? decodeCursor(options.cursor) : null;
+    let until = options.until !== undefined ? new Date(options.until).getTime() : Infinity;
+    if (cursor) {
+        until = Math.min(until, Date.parse(cursor.before));
+    }
+    const levels = options.level !== undefined ? options.level.split(',').map(value => value.trim().toLowerCase()) : null;
+    const components = options.component !== undefined ? options.component.split(',').map(value => value.trim()) : null;
+    const text = options.q ? options.q.toLowerCase() : null;
+    const limit = options.limit !== undefined ? Number(options.limit) : 100;
+    // Lines at the cursor's time that earlier pages already returned
+    let skip = cursor ? cursor.skip : 0;
+
+    const matches = (entry, line) => {
+        const time = Date.parse(entry.time);
+        return !isNaN(time) && time >= since && time <= until &&
+            (!levels || levels.includes(entry.level)) &&
+            (!components || components.includes(entry.component)) &&
+            (options.requestId === undefined || entry.requestId === options.requestId) &&
+            (!text || line.toLowerCase().includes(text));
+    };
+
+    const segments = [{ path: logger.getLogPath(type), end: null, compressed: false }, ...(await listSegments(type))];
+    const found = [];
+
+    for (let index = 0; index < segments.length && found.length < limit; index++) {
+        const segment = segments[index];
+        // Segments run from the previous rotation to their own
+        const start = segments[index + 1] ? segments[index + 1].end.getTime() : -Infinity;
+        if (segment.end && segment.end.getTime() < since) {
+            break;
+        }
+        if (start > until) {
+            continue;
+        }
+
+        // Keep the newest lines of this segment that could still be needed
+        const wanted = limit - found.length + skip;
+        const newest = [];
+        let previousTime = null;
+        try {
+            for await (const line of openLines(segment)) {
+                if (!line.trim()) {
+                    continue;
+                }
+                const entry = parseLine(line, previousTime);
+                previousTime = entry.time;
+                if (matches(entry, line)) {
+                    newest.push(entry);
+                    if (newest.length > wanted) {
+                        newest.shift();
+                    }
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        newest.reverse();
+        while (skip > 0 && newest.length > 0 && Date.parse(newest[0].time) === until) {
+            newest.shift();
+            skip--;
+        }
+        found.push(...newest.slice(0, limit - found.length));
+    }
+
+    let nextCursor = null;
+    if (found.length === limit && limit > 0) {
+        const last = found[found.length - 1];
+        const sameTime = found.filter(entry => entry.time === last.time).length;
+        const carried = cursor && Date.parse(cursor.before) === Date.parse(last.time) ? cursor.skip : 0;
+        nextCursor = encodeCursor({ before: last.time, skip: sameTime + carried });
+    }
+    return { lines: found, nextCursor };
+}
+
+/**
+ * Check the logs every minute from now on
+ */
+function start() {
+    if (timer) {
+        return;
+    }
+    runRotation();
+    timer = setInterval(runRotation, CHECK_INTERVAL);
+    timer.unref();
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    LOG_TYPES,
+    getSettings,
+    validateQuery,
+    readLines,
+    runRotation,
+    removeSegments,
+    addSegment,
+    start,
+    stop
+};
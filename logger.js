@@ -2,11 +2,27 @@
  * Logger Module
  * 
  * Handles logging for the Smart DNS Proxy application
+ *
+ * Every record is written as a line of JSON:
+ *
+ *   {"time":"...","level":"info","component":"api","message":"GET /api/status 200 3.2 ms",
+ *    "requestId":"...","method":"GET","path":"/api/status","status":200,"durationMs":3.2}
+ *
+ * Debug and info records go to the access log, warnings and errors to the
+ * error log and DNS queries to the DNS log. Records below the minimum level
+ * (setLevel) are dropped; the console gets a readable version of the rest.
+ * Modules log through child(component), and records written while handling
+ * a request (see runWithContext) carry its request id and user.
+ *
+ * Every line written is also emitted as a 'line' event (type, line) on
+ * `events`, so the log can be streamed live; clearing emits 'clear'.
  */
 
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Ensure logs directory exists
 const logsDir = path.join(__dirname, 'logs');
@@ -22,69 +38,213 @@ try {
 const accessLogPath = path.join(logsDir, 'access.log');
 const errorLogPath = path.join(logsDir, 'error.log');
 const dnsLogPath = path.join(logsDir, 'dns.log');
+const LOG_PATHS = {
+    dns: dnsLogPath,
+    access: accessLogPath,
+    error: errorLogPath
+};
+
+// How much of the end of a log file is read for its last lines
+const TAIL_BYTES = 256 * 1024;
+
+const events = new EventEmitter();
+// Every open log stream listens here
+events.setMaxListeners(0);
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+let minLevel = 'info';
+
+// Fields added to every record written while handling a request
+const context = new AsyncLocalStorage();
 
 /**
- * Format a log message with timestamp
+ * Set the lowest level that is logged
  */
-function formatLogMessage(message) {
-    const timestamp = new Date().toISOString();
-    return `[${timestamp}] ${message}\n`;
+function setLevel(level) {
+    if (!LEVELS.includes(level)) {
+        throw new Error(`Log level must be one of ${LEVELS.join(', ')}`);
+    }
+    minLevel = level;
+}
+
+function getLevel() {
+    return minLevel;
 }
 
 /**
- * Log an informational message
+ * Run a function with fields added to every record it writes, including
+ * from callbacks and promises it starts
  */
-async function info(message) {
-    const formattedMessage = formatLogMessage(`INFO: ${message}`);
-    console.log(formattedMessage.trim());
-    try {
-        await fs.appendFile(accessLogPath, formattedMessage);
-    } catch (err) {
-        console.error(`Failed to write to access log: ${err.message}`);
-    }
+function runWithContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Run a function outside any context, such as to start a timer that
+ * outlives the request starting it
+ */
+function runWithoutContext(fn) {
+    return context.exit(fn);
+}
+
+/**
+ * Get the fields of the current context, such as the request id and user
+ */
+function getContext() {
+    return { ...context.getStore() };
+}
+
+/**
+ * Format a record for the console
+ */
+function formatConsole(record) {
+    const { time, level, component, message, requestId } = record;
+    const request = requestId ? ` [${requestId}]` : '';
+    return `[${time}] ${level.toUpperCase()} ${component}${request}: ${message}`;
 }
 
 /**
- * Log an error message
+ * Write a record to a log file
  */
-async function error(message) {
-    const formattedMessage = formatLogMessage(`ERROR: ${message}`);
-    console.error(formattedMessage.trim());
+async function write(type, record) {
+    const line = JSON.stringify(record);
+    events.emit('line', type, line);
     try {
-        await fs.appendFile(errorLogPath, formattedMessage);
+        await fs.appendFile(LOG_PATHS[type], `${line}\n`);
     } catch (err) {
-        console.error(`Failed to write to error log: ${err.message}`);
+        console.error(`Failed to write to ${type} log: ${err.message}`);
     }
 }
 
 /**
- * Log a warning message
+ * Log a message at a level, with extra fields for the record
  */
-async function warn(message) {
-    const formattedMessage = formatLogMessage(`WARN: ${message}`);
-    console.warn(formattedMessage.trim());
-    try {
-        await fs.appendFile(accessLogPath, formattedMessage);
-    } catch (err) {
-        console.error(`Failed to write to access log: ${err.message}`);
+async function log(level, component, message, fields) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(minLevel)) {
+        return;
+    }
+    const record = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        message: String(message),
+        ...context.getStore(),
+        ...fields
+    };
+
+    const text = formatConsole(record);
+    if (level === 'error') {
+        console.error(text);
+    } else if (level === 'warn') {
+        console.warn(text);
+    } else {
+        console.log(text);
     }
+    await write(level === 'warn' || level === 'error' ? 'error' : 'access', record);
+}
+
+/**
+ * Get the logging functions for a component
+ *
+ * The result has everything this module exports, so it can stand in for it.
+ */
+function child(component) {
+    return {
+        ...module.exports,
+        debug: (message, fields) => log('debug', component, message, fields),
+        info: (message, fields) => log('info', component, message, fields),
+        warn: (message, fields) => log('warn', component, message, fields),
+        error: (message, fields) => log('error', component, message, fields),
+        dnsChange: message => dnsChange(component, message)
+    };
+}
+
+/**
+ * Log a change to the domain rules in the DNS log, next to the queries it
+ * affects
+ */
+async function dnsChange(component, message) {
+    await write('dns', {
+        time: new Date().toISOString(),
+        level: 'info',
+        component,
+        message,
+        ...context.getStore()
+    });
 }
 
 /**
- * Log a DNS query
+ * Log a DNS query, with the client that sent it when known
+ *
+ * The DNS log is turned on and off with the logQueries setting rather than
+ * the log level.
  */
-async function dnsQuery(query, response) {
-    const formattedMessage = formatLogMessage(`DNS QUERY: ${query} -> ${response}`);
+async function dnsQuery(query, response, client) {
+    const from = client ? ` from ${client}` : '';
+    await write('dns', {
+        time: new Date().toISOString(),
+        level: 'info',
+        component: 'dns',
+        message: `${query} -> ${response}${from}`,
+        ...context.getStore(),
+        query,
+        answer: response,
+        client: client || undefined
+    });
+}
+
+/**
+ * Get the path of a log file by type (dns, access or error), or null
+ */
+function getLogPath(type) {
+    return Object.prototype.hasOwnProperty.call(LOG_PATHS, type) ? LOG_PATHS[type] : null;
+}
+
+/**
+ * Read the last lines of a log file without reading all of it
+ */
+async function readTail(type, maxLines) {
+    let handle;
     try {
-        await fs.appendFile(dnsLogPath, formattedMessage);
+        handle = await fs.open(getLogPath(type), 'r');
     } catch (err) {
-        console.error(`Failed to write to DNS log: ${err.message}`);
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+
+    try {
+        const { size } = await handle.stat();
+        const length = Math.min(size, TAIL_BYTES);
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, size - length);
+        const lines = buffer.toString('utf8').split('\n');
+        // The first line is cut off when the file is bigger than what was read
+        if (length < size) {
+            lines.shift();
+        }
+        return lines.filter(line => line.trim()).slice(-maxLines);
+    } finally {
+        await handle.close();
     }
 }
 
 module.exports = {
-    info,
-    error,
-    warn,
-    dnsQuery
+    LEVELS,
+    debug: (message, fields) => log('debug', 'app', message, fields),
+    info: (message, fields) => log('info', 'app', message, fields),
+    warn: (message, fields) => log('warn', 'app', message, fields),
+    error: (message, fields) => log('error', 'app', message, fields),
+    dnsQuery,
+    dnsChange: message => dnsChange('app', message),
+    child,
+    setLevel,
+    getLevel,
+    runWithContext,
+    runWithoutContext,
+    getContext,
+    events,
+    getLogPath,
+    readTail
 };
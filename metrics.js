@@ -0,0 +1,131 @@
+/**
+ * Prometheus Metrics
+ *
+ * Renders the query counters, upstream health, configuration reloads and
+ * Node.js process figures in the Prometheus text exposition format for
+ * GET /metrics. Query counters and latency histograms count from process
+ * start (see stats.js); everything else is read when scraped.
+ */
+
+const config = require('./config');
+const subscriptions = require('./subscriptions');
+const clients = require('./clients');
+const healthcheck = require('./healthcheck');
+const dnsconfig = require('./dnsconfig');
+const stats = require('./stats');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a sample line, with labels when given
+ */
+function sample(name, labels, value) {
+    const pairs = Object.entries(labels || {}).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+    return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+/**
+ * Format a metric: its HELP and TYPE lines followed by its samples
+ *
+ * samples is a list of [labels, value].
+ */
+function metric(name, type, help, samples) {
+    return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...samples.map(([labels, value]) => sample(name, labels, value))
+    ].join('\n');
+}
+
+/**
+ * Get the samples of a histogram with cumulative bucket counts
+ */
+function histogramSamples(name, labels, bounds, histogram) {
+    return [
+        ...bounds.map((bound, index) => sample(`${name}_bucket`, { ...labels, le: bound }, histogram.buckets[index])),
+        sample(`${name}_bucket`, { ...labels, le: '+Inf' }, histogram.count),
+        sample(`${name}_sum`, labels, histogram.sum),
+        sample(`${name}_count`, labels, histogram.count)
+    ];
+}
+
+function histogram(name, help, bounds, series) {
+    return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...series.flatMap(({ labels, histogram: values }) => histogramSamples(name, labels, bounds, values))
+    ].join('\n');
+}
+
+/**
+ * Render the Node.js process metrics Prometheus clients usually export
+ */
+function processMetrics() {
+    const cpu = process.cpuUsage();
+    const memory = process.memoryUsage();
+    const startTime = Math.round(Date.now() / 1000 - process.uptime());
+
+    return [
+        metric('process_cpu_user_seconds_total', 'counter', 'User CPU time spent in seconds.', [[null, cpu.user / 1e6]]),
+        metric('process_cpu_system_seconds_total', 'counter', 'System CPU time spent in seconds.', [[null, cpu.system / 1e6]]),
+        metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', [[null, memory.rss]]),
+        metric('process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch in seconds.', [[null, startTime]]),
+        metric('nodejs_heap_size_total_bytes', 'gauge', 'Process heap size from Node.js in bytes.', [[null, memory.heapTotal]]),
+        metric('nodejs_heap_size_used_bytes', 'gauge', 'Process heap size used from Node.js in bytes.', [[null, memory.heapUsed]]),
+        metric('nodejs_external_memory_bytes', 'gauge', 'Node.js external memory size in bytes.', [[null, memory.external]]),
+        metric('nodejs_version_info', 'gauge', 'Node.js version info.', [[{ version: process.version }, 1]])
+    ];
+}
+
+/**
+ * Render every metric
+ */
+async function render() {
+    const appConfig = await config.getConfig();
+    const domainList = await subscriptions.getEffectiveDomainList();
+    const clientStore = await clients.getStore();
+    const live = stats.getMetrics();
+    const health = healthcheck.getStatus(appConfig, domainList, clientStore);
+    const reloads = dnsconfig.getReloadStatus();
+
+    const sections = [
+        metric('smartdns_queries_total', 'counter',
+            'DNS queries answered, by the upstream that answered (cache, local, forwarder or none when none did), the rule matched and the response code.',
+            live.queries.map(({ upstream, rule, rcode, count }) => [{ upstream, rule, rcode }, count])),
+        histogram('smartdns_query_duration_seconds', 'Time taken to answer DNS queries.',
+            live.latencyBuckets, [{ labels: {}, histogram: live.queryDuration }]),
+        histogram('smartdns_upstream_latency_seconds', 'Round-trip time of queries answered by each upstream.',
+            live.latencyBuckets, live.upstreamLatency.map(entry => ({ labels: { upstream: entry.upstream }, histogram: entry }))),
+        metric('smartdns_cache_hits_total', 'counter', 'DNS queries answered from the cache.', [[null, live.cacheHits]]),
+        metric('smartdns_cache_misses_total', 'counter', 'DNS queries that had to be sent upstream.', [[null, live.cacheMisses]]),
+        metric('smartdns_domains_configured', 'gauge', 'Domain rules in use, hand-entered and from subscriptions.',
+            [[null, (domainList.domains || []).length]]),
+        metric('smartdns_upstream_up', 'gauge', 'Whether the last health checks found the upstream up (1) or down (0).',
+            health.upstreams
+                .filter(upstream => upstream.status !== 'unknown')
+                .map(upstream => [{ upstream: upstream.upstream }, upstream.status === 'up' ? 1 : 0])),
+        metric('smartdns_config_reloads_total', 'counter', 'Attempts to generate and apply the DNS configuration, by result.', [
+            [{ result: 'success' }, reloads.total - reloads.failures],
+            [{ result: 'failure' }, reloads.failures]
+        ]),
+        metric('smartdns_config_last_reload_success', 'gauge', 'Whether the last attempt to apply the DNS configuration succeeded.',
+            reloads.last ? [[null, reloads.last.success ? 1 : 0]] : []),
+        metric('smartdns_config_last_reload_timestamp_seconds', 'gauge', 'When the DNS configuration was last applied, since unix epoch in seconds.',
+            reloads.last ? [[null, Math.round(Date.parse(reloads.last.at) / 1000)]] : []),
+        ...processMetrics()
+    ];
+
+    return `${sections.join('\n')}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    render
+};
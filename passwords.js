@@ -0,0 +1,83 @@
+/**
+ * Password Hashing
+ *
+ * Hashes web interface passwords with scrypt. Hashes are stored as
+ * `scrypt$N$r$p$salt$hash` so the cost parameters can be raised later
+ * without invalidating existing hashes.
+ */
+
+const crypto = require('crypto');
+const util = require('util');
+const scrypt = util.promisify(crypto.scrypt);
+
+const DEFAULT_USERNAME = 'admin';
+const DEFAULT_PASSWORD = 'admin';
+const MIN_PASSWORD_LENGTH = 8;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Hash a password
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ */
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return false;
+    }
+
+    const parts = stored.split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return false;
+    }
+
+    const [, N, r, p, salt, expected] = parts;
+    const expectedBuffer = Buffer.from(expected, 'base64');
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuffer.length, {
+        N: parseInt(N, 10),
+        r: parseInt(r, 10),
+        p: parseInt(p, 10)
+    });
+    return crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+/**
+ * Check whether a value is already a password hash
+ */
+function isHash(value) {
+    return typeof value === 'string' && value.startsWith('scrypt$');
+}
+
+/**
+ * Check a new password against the minimum requirements
+ *
+ * Returns an error message, or null if the password is acceptable.
+ */
+function checkNewPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password === DEFAULT_PASSWORD) {
+        return 'The default password cannot be used';
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_USERNAME,
+    DEFAULT_PASSWORD,
+    hashPassword,
+    verifyPassword,
+    isHash,
+    checkNewPassword
+};
@@ -0,0 +1,117 @@
+/**
+ * Login page JavaScript for Smart DNS Proxy Web Interface
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    document.getElementById('login-form').addEventListener('submit', login);
+    document.getElementById('change-password-form').addEventListener('submit', changePassword);
+    
+    // Pick up an existing session that still needs a password change
+    fetch('/api/auth/session')
+        .then(response => response.json())
+        .then(data => {
+            if (!data.authEnabled || (data.authenticated && !data.mustChangePassword)) {
+                window.location.href = '/';
+            } else if (data.mustChangePassword) {
+                showPasswordChange();
+            }
+        })
+        .catch(error => {
+            console.error('Error checking session:', error);
+        });
+});
+
+/**
+ * Submit the login form
+ */
+function login(e) {
+    e.preventDefault();
+    hideError();
+    
+    const username = document.getElementById('login-username').value.trim();
+    const password = document.getElementById('login-password').value;
+    
+    fetch('/api/auth/login', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) {
+            showError(data.message || 'Login failed');
+        } else if (data.mustChangePassword) {
+            document.getElementById('current-password').value = password;
+            showPasswordChange();
+        } else {
+            window.location.href = '/';
+        }
+    })
+    .catch(error => {
+        console.error('Error logging in:', error);
+        showError('Error logging in. Please try again later.');
+    });
+}
+
+/**
+ * Submit the forced password change form
+ */
+function changePassword(e) {
+    e.preventDefault();
+    hideError();
+    
+    const currentPassword = document.getElementById('current-password').value;
+    const newPassword = document.getElementById('new-password').value;
+    const confirmPassword = document.getElementById('confirm-password').value;
+    
+    if (newPassword !== confirmPassword) {
+        showError('The new passwords do not match');
+        return;
+    }
+    
+    fetch('/api/auth/password', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ currentPassword, newPassword }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            window.location.href = '/';
+        } else {
+            showError(data.message || 'Failed to change password');
+        }
+    })
+    .catch(error => {
+        console.error('Error changing password:', error);
+        showError('Error changing password. Please try again later.');
+    });
+}
+
+/**
+ * Switch from the login form to the password change form
+ */
+function showPasswordChange() {
+    document.getElementById('login-card').style.display = 'none';
+    document.getElementById('change-password-card').style.display = 'block';
+}
+
+/**
+ * Show an error message above the form
+ */
+function showError(message) {
+    const alertElement = document.getElementById('login-alert');
+    alertElement.textContent = message;
+    alertElement.style.display = 'block';
+}
+
+/**
+ * Hide the error message
+ */
+function hideError() {
+    document.getElementById('login-alert').style.display = 'none';
+}
@@ -10,16 +10,55 @@ document.addEventListener('DOMContentLoaded', function() {
     // Initialize tab navigation
     initTabs();
     
-    // Load initial data
-    loadDashboardData();
-    loadDomainsList();
-    loadSettingsData();
-    loadLogs();
-    
     // Set up event listeners
     setupEventListeners();
+    
+    // Load initial data for the sections this user can see
+    loadSession().then(role => {
+        applyRole(role);
+        loadDashboardData();
+        loadStats();
+        loadUpstreamHealth();
+        loadLogs();
+        if (hasRole(role, 'operator')) {
+            loadGroups();
+            loadDomainsList();
+            loadSubscriptions();
+            loadClients();
+            canApplyChanges = true;
+            loadPendingChanges();
+        }
+        if (hasRole(role, 'admin')) {
+            loadSettingsData();
+            loadUsers();
+            loadTokens();
+            loadHistory();
+            loadBackups();
+        }
+    });
 });
 
+// Ordered from least to most privileged, as in users.js
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Check whether a role is at least as privileged as another
+ */
+function hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Hide the parts of the interface the current role can't use
+ */
+function applyRole(role) {
+    document.querySelectorAll('[data-role]').forEach(element => {
+        if (!hasRole(role, element.getAttribute('data-role'))) {
+            element.style.display = 'none';
+        }
+    });
+}
+
 /**
  * Initialize tab navigation
  */
@@ -55,10 +94,41 @@ function initTabs() {
  */
 function setupEventListeners() {
     // Dashboard refresh button
-    document.getElementById('refresh-status').addEventListener('click', loadDashboardData);
+    document.getElementById('refresh-status').addEventListener('click', () => {
+        loadDashboardData();
+        loadStats();
+        loadUpstreamHealth();
+    });
     
     // Add domain button in modal
     document.getElementById('add-domain-btn').addEventListener('click', addDomain);
+    document.getElementById('rule-type').addEventListener('change', updateRuleForm);
+    
+    // Domain list import
+    document.getElementById('import-file').addEventListener('change', readImportFile);
+    document.getElementById('preview-import-btn').addEventListener('click', () => importDomains(false));
+    document.getElementById('apply-import-btn').addEventListener('click', () => importDomains(true));
+    document.getElementById('importDomainsModal').addEventListener('hidden.bs.modal', resetImportForm);
+    ['import-format', 'import-dns-server', 'import-rule-type', 'import-content'].forEach(id => {
+        // A preview only holds for the input it was made from
+        document.getElementById(id).addEventListener('input', () => {
+            document.getElementById('apply-import-btn').disabled = true;
+        });
+    });
+    
+    // Domain groups
+    document.getElementById('add-group-btn').addEventListener('click', addGroup);
+    
+    // List subscriptions
+    document.getElementById('add-subscription-btn').addEventListener('click', addSubscription);
+    
+    // Clients and policies
+    document.getElementById('add-client-btn').addEventListener('click', addClient);
+    document.getElementById('add-policy-btn').addEventListener('click', addPolicy);
+    document.getElementById('addPolicyModal').addEventListener('show.bs.modal', loadPolicyGroups);
+    document.getElementById('policy-all-groups').addEventListener('change', function() {
+        document.getElementById('policy-groups').style.display = this.checked ? 'none' : '';
+    });
     
     // Save settings button
     document.getElementById('save-settings').addEventListener('click', saveSettings);
@@ -66,28 +136,104 @@ function setupEventListeners() {
     // Add DNS server button
     document.getElementById('add-dns-server').addEventListener('click', addDnsServerField);
     
-    // Enable/disable auth fields based on checkbox
-    document.getElementById('enable-auth').addEventListener('change', function() {
-        const authFields = document.querySelector('.auth-fields');
-        if (this.checked) {
-            authFields.style.display = 'flex';
-        } else {
-            authFields.style.display = 'none';
-        }
-    });
-    
     // Logs refresh button
     document.getElementById('refresh-logs').addEventListener('click', loadLogs);
+    document.getElementById('logs-follow').addEventListener('change', loadLogs);
+    document.getElementById('pause-logs').addEventListener('click', toggleLogsPaused);
+    document.getElementById('logs-filter').addEventListener('input', filterLogs);
+    document.getElementById('logs-level').addEventListener('change', filterLogs);
     
     // Logs clear button
     document.getElementById('clear-logs').addEventListener('click', clearLogs);
+    
+    // Logout button
+    document.getElementById('logout-btn').addEventListener('click', logout);
+    
+    // Users and tokens
+    document.getElementById('add-user-btn').addEventListener('click', addUser);
+    document.getElementById('create-token-btn').addEventListener('click', createToken);
+    document.getElementById('createTokenModal').addEventListener('hidden.bs.modal', resetTokenForm);
+    
+    // Staged changes
+    document.getElementById('preview-changes').addEventListener('click', previewChanges);
+    document.getElementById('apply-changes-btn').addEventListener('click', applyChanges);
+    document.getElementById('keep-changes').addEventListener('click', confirmChanges);
+    document.getElementById('revert-changes').addEventListener('click', revertChanges);
+    document.getElementById('apply-confirm').addEventListener('change', function() {
+        document.getElementById('apply-confirm-seconds').disabled = !this.checked;
+    });
+    
+    // Configuration history
+    document.getElementById('refresh-history').addEventListener('click', () => loadHistory());
+    document.getElementById('history-more').addEventListener('click', () => loadHistory(true));
+    
+    // Backup and restore
+    document.getElementById('download-backup').addEventListener('click', downloadBackup);
+    document.getElementById('save-backup').addEventListener('click', saveBackup);
+    document.getElementById('restore-file').addEventListener('change', readRestoreFile);
+    document.getElementById('apply-restore-btn').addEventListener('click', applyRestore);
+}
+
+/**
+ * Fetch wrapper that sends the user to the login page when the session is gone
+ *
+ * Anything saved may have staged a change, so pending changes are checked
+ * again after it.
+ */
+function apiFetch(url, options) {
+    return fetch(url, options).then(response => {
+        if (response.status === 401) {
+            window.location.href = '/login';
+        }
+        if (response.ok && options && options.method && options.method !== 'GET') {
+            refreshPendingChanges();
+        }
+        return response;
+    });
+}
+
+/**
+ * Load the current session and show the logout button when signed in
+ *
+ * Resolves to the role of the current user.
+ */
+function loadSession() {
+    return apiFetch('/api/auth/session')
+        .then(response => response.json())
+        .then(data => {
+            if (data.authEnabled && data.username) {
+                document.getElementById('session-username').textContent = data.username;
+                document.getElementById('session-info').style.display = 'block';
+            }
+            return data.role;
+        })
+        .catch(error => {
+            console.error('Error fetching session:', error);
+            return 'viewer';
+        });
+}
+
+/**
+ * Log out and return to the login page
+ */
+function logout() {
+    apiFetch('/api/auth/logout', {
+        method: 'POST',
+    })
+    .then(() => {
+        window.location.href = '/login';
+    })
+    .catch(error => {
+        console.error('Error logging out:', error);
+        showAlert('Error logging out. Please try again later.', 'danger');
+    });
 }
 
 /**
  * Load dashboard data
  */
 function loadDashboardData() {
-    fetch('/api/status')
+    apiFetch('/api/status')
         .then(response => {
             if (!response.ok) {
                 throw new Error('Network response was not ok');
@@ -100,11 +246,15 @@ function loadDashboardData() {
             document.getElementById('dns-port').textContent = data.port || '53';
             document.getElementById('system-uptime').textContent = data.uptime || 'Unknown';
             document.getElementById('last-update').textContent = data.lastUpdate || 'Never';
+            document.getElementById('dns-pid').textContent = data.pid || '-';
+            document.getElementById('last-reload').textContent = formatLastReload(data);
             
             // Update stats
             document.getElementById('domains-count').textContent = data.domainCount || '0';
             document.getElementById('dns-queries').textContent = data.queryCount || '0';
-            document.getElementById('cache-size').textContent = data.cacheEntries || '0';
+            document.getElementById('cache-entries').textContent = data.cacheEntries !== null
+                ? `${data.cacheEntries} of ${data.cacheSize} entries in use`
+                : `Room for ${data.cacheSize} entries`;
             
             // Update DNS status
             const dnsStatus = document.querySelector('.dns-status');
@@ -123,11 +273,162 @@ function loadDashboardData() {
         });
 }
 
+/**
+ * Format a fraction as a percentage, or a dash when there is nothing to divide
+ */
+function formatRate(rate) {
+    return rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Load the query statistics into the dashboard
+ */
+function loadStats() {
+    apiFetch('/api/stats')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            document.getElementById('cache-hit-rate').textContent = formatRate(data.today.hitRate);
+            document.getElementById('stats-since').textContent = `Counting since ${new Date(data.since).toLocaleString()}`;
+            
+            const periods = [
+                ['Last hour', data.lastHour],
+                ['Last 24 hours', data.lastDay],
+                ['Last 30 days', data.lastMonth],
+                ['All time', data.totals]
+            ];
+            document.getElementById('stats-periods').innerHTML = periods.map(([label, period]) => `
+                <tr>
+                    <td>${label}</td>
+                    <td>${period.queries}</td>
+                    <td>${formatRate(period.hitRate)}</td>
+                    <td>${period.nxdomain} (${formatRate(period.nxdomainRate)})</td>
+                    <td>${period.servfail} (${formatRate(period.servfailRate)})</td>
+                </tr>
+            `).join('');
+            
+            const none = '<tr><td class="text-muted">No queries yet</td></tr>';
+            document.getElementById('stats-top-domains').innerHTML = data.topDomains.map(domain => `
+                <tr><td><code>${escapeHtml(domain.name)}</code></td><td class="text-end">${domain.queries}</td></tr>
+            `).join('') || none;
+            document.getElementById('stats-top-clients').innerHTML = data.topClients.map(client => `
+                <tr><td>${escapeHtml(client.client)}</td><td class="text-end">${client.queries}</td></tr>
+            `).join('') || none;
+            document.getElementById('stats-upstreams').innerHTML = data.upstreams.map(upstream => `
+                <tr>
+                    <td>${escapeHtml(upstream.upstream)}</td>
+                    <td>${upstream.queries}</td>
+                    <td>${formatRate(upstream.failureRate)}</td>
+                    <td>${upstream.latency !== null ? `${upstream.latency} ms` : '-'}</td>
+                </tr>
+            `).join('') || '<tr><td colspan="4" class="text-muted">No queries yet</td></tr>';
+        })
+        .catch(error => {
+            console.error('Error fetching statistics:', error);
+            showAlert('Error loading query statistics. Please try again later.', 'danger');
+        });
+}
+
+/**
+ * Load the health of each upstream into the dashboard
+ */
+function loadUpstreamHealth() {
+    apiFetch('/api/upstreams')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            const upstreamsList = document.getElementById('upstreams-list');
+            
+            if (!data.enabled || data.upstreams.length === 0) {
+                upstreamsList.innerHTML = `
+                    <tr>
+                        <td colspan="7" class="text-center">${data.enabled ? 'No upstreams configured' : 'Health checks are turned off'}</td>
+                    </tr>
+                `;
+                return;
+            }
+            
+            upstreamsList.innerHTML = data.upstreams.map(upstream => {
+                const usedFor = upstream.roles.map(role => {
+                    switch (role) {
+                        case 'alternative':
+                            return 'Alternative DNS';
+                        case 'domain':
+                            return `${upstream.domains} ${upstream.domains === 1 ? 'domain' : 'domains'}`;
+                        case 'policy':
+                            return 'Client policies';
+                        default:
+                            return 'Backup';
+                    }
+                }).join(', ');
+                let details = '';
+                if (upstream.status === 'down' && upstream.failoverTo && upstream.failoverTo.length > 0) {
+                    details = `Domains with no other server up use ${escapeHtml(upstream.failoverTo.join(', '))}. `;
+                }
+                if (upstream.lastError) {
+                    details += `<small class="text-danger">${escapeHtml(upstream.lastError)}</small>`;
+                }
+                return `
+                    <tr>
+                        <td>${escapeHtml(upstream.upstream)}</td>
+                        <td>${protocolBadge(upstream.protocol)}</td>
+                        <td>${usedFor}</td>
+                        <td>${healthBadge(upstream.status)}</td>
+                        <td>${upstream.latency !== null ? `${upstream.latency} ms` : '-'}</td>
+                        <td>${upstream.lastCheck ? new Date(upstream.lastCheck).toLocaleString() : 'Not yet'}</td>
+                        <td>${details}</td>
+                    </tr>
+                `;
+            }).join('');
+        })
+        .catch(error => {
+            console.error('Error fetching upstream health:', error);
+            showAlert('Error loading upstream health. Please try again later.', 'danger');
+        });
+}
+
+/**
+ * Render a badge for an upstream's health
+ */
+function healthBadge(status) {
+    switch (status) {
+        case 'up':
+            return '<span class="badge bg-success">Up</span>';
+        case 'down':
+            return '<span class="badge bg-danger">Down</span>';
+        default:
+            return '<span class="badge bg-light text-dark">Unknown</span>';
+    }
+}
+
+/**
+ * Describe the last reload (or last exit) of the DNS engine
+ */
+function formatLastReload(data) {
+    if (data.lastReload) {
+        const when = new Date(data.lastReload.at).toLocaleString();
+        const result = data.lastReload.success ? 'OK' : `Failed: ${data.lastReload.message}`;
+        return `${data.lastReload.method} at ${when} (${result})`;
+    }
+    if (data.lastError) {
+        return `Error: ${data.lastError}`;
+    }
+    return '-';
+}
+
 /**
  * Load domains list
  */
 function loadDomainsList() {
-    fetch('/api/domains')
+    apiFetch('/api/domains')
         .then(response => {
             if (!response.ok) {
                 throw new Error('Network response was not ok');
@@ -138,16 +439,34 @@ function loadDomainsList() {
             const domainsList = document.getElementById('domains-list');
             domainsList.innerHTML = '';
             
+            const groupNames = {};
+            (data.groups || []).forEach(group => {
+                groupNames[group.id] = group.name;
+            });
+            
             if (data.domains && data.domains.length > 0) {
                 data.domains.forEach(domain => {
+                    const servers = Array.isArray(domain.resolveVia) ? domain.resolveVia : [domain.resolveVia];
+                    let resolvedVia = domain.type === 'exclude' ? '<em>Alternative DNS</em>' : servers.map(escapeHtml).join('<br>');
+                    if (domain.type !== 'exclude' && servers.length > 1) {
+                        resolvedVia += ` <span class="badge bg-light text-dark">${escapeHtml(domain.strategy || 'order')}</span>`;
+                    }
+                    if (domain.inherited) {
+                        resolvedVia += ' <small class="text-muted">(group default)</small>';
+                    }
+                    
                     const row = document.createElement('tr');
                     row.innerHTML = `
-                        <td>${domain.domain}</td>
-                        <td>${domain.resolveVia}</td>
-                        <td><span class="badge bg-success">Active</span></td>
+                        <td><code>${escapeHtml(domain.domain)}</code></td>
+                        <td>${domain.group ? escapeHtml(groupNames[domain.group]) : ''}</td>
+                        <td>${ruleBadge(domain.type)}</td>
+                        <td>${resolvedVia}</td>
+                        <td>${domain.type === 'exclude' ? '' : domain.protocols.map(protocolBadge).join(' ')}</td>
+                        <td>${domain.filterAAAA ? '<span class="badge bg-warning text-dark">AAAA filtered</span>' : '<span class="badge bg-light text-dark">Allowed</span>'}</td>
+                        <td>${domain.active ? '<span class="badge bg-success">Active</span>' : '<span class="badge bg-secondary">Group disabled</span>'}</td>
                         <td>
                             <div class="dns-entry-actions">
-                                <button class="btn btn-sm btn-outline-danger delete-domain" data-domain="${domain.domain}">
+                                <button class="btn btn-sm btn-outline-danger delete-domain" data-domain="${escapeHtml(domain.domain)}">
                                     <i data-feather="trash-2"></i>
                                 </button>
                             </div>
@@ -169,7 +488,7 @@ function loadDomainsList() {
             } else {
                 domainsList.innerHTML = `
                     <tr>
-                        <td colspan="4" class="text-center">No domains configured</td>
+                        <td colspan="8" class="text-center">No domains configured</td>
                     </tr>
                 `;
             }
@@ -180,46 +499,115 @@ function loadDomainsList() {
         });
 }
 
+/**
+ * Render a badge for an upstream protocol
+ */
+function protocolBadge(protocol) {
+    switch (protocol) {
+        case 'https':
+            return '<span class="badge bg-primary">DoH</span>';
+        case 'tls':
+            return '<span class="badge bg-info text-dark">DoT</span>';
+        case 'udp':
+            return '<span class="badge bg-secondary">DNS</span>';
+        default:
+            return '<span class="badge bg-danger">Invalid</span>';
+    }
+}
+
+/**
+ * Render a badge for a rule type
+ */
+function ruleBadge(type) {
+    switch (type) {
+        case 'exact':
+            return '<span class="badge bg-primary">Exact</span>';
+        case 'wildcard':
+            return '<span class="badge bg-info text-dark">Wildcard</span>';
+        case 'regex':
+            return '<span class="badge bg-dark">Regex</span>';
+        case 'exclude':
+            return '<span class="badge bg-warning text-dark">Exclude</span>';
+        default:
+            return '<span class="badge bg-secondary">Domain + subdomains</span>';
+    }
+}
+
+/**
+ * Adapt the add domain form to the selected rule type
+ */
+function updateRuleForm() {
+    const type = document.getElementById('rule-type').value;
+    const placeholders = {
+        suffix: 'example.com',
+        exact: 'www.example.com',
+        wildcard: '*.cdn.example.com',
+        regex: '^edge-[0-9]+\\.example\\.com$',
+        exclude: 'login.example.com'
+    };
+    
+    document.getElementById('domain-name').placeholder = placeholders[type];
+    // Exclusions always use the alternative DNS servers
+    document.getElementById('dns-server-group').style.display = type === 'exclude' ? 'none' : '';
+    document.getElementById('strategy-group').style.display = type === 'exclude' ? 'none' : '';
+    document.getElementById('filter-aaaa-group').style.display = type === 'exclude' ? 'none' : '';
+}
+
 /**
  * Add a new domain
  */
 function addDomain() {
+    const ruleType = document.getElementById('rule-type').value;
     const domainName = document.getElementById('domain-name').value.trim();
-    const dnsServer = document.getElementById('dns-server').value.trim();
+    const dnsServers = document.getElementById('dns-server').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+    const strategy = document.getElementById('domain-strategy').value;
+    const filterAAAA = document.getElementById('filter-aaaa').checked;
+    const groupSelect = document.getElementById('domain-group');
+    const group = groupSelect.value;
+    const needsServer = ruleType !== 'exclude';
+    // Domains in a group with a default DNS server may leave theirs empty
+    const groupHasServer = Boolean(group && groupSelect.selectedOptions[0].getAttribute('data-resolve-via'));
     
-    if (!domainName || !dnsServer) {
+    if (!domainName || (needsServer && dnsServers.length === 0 && !groupHasServer)) {
         showAlert('Please enter both domain name and DNS server', 'warning');
         return;
     }
     
-    // Simple validation for domain format
-    if (!/^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9](?:\.[a-zA-Z]{2,})+$/.test(domainName)) {
+    // Simple validation for domain format; the server checks patterns and regular expressions
+    if ((ruleType === 'suffix' || ruleType === 'exact' || ruleType === 'exclude') &&
+        !/^(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,63}$/.test(domainName)) {
         showAlert('Please enter a valid domain name', 'warning');
         return;
     }
     
-    // Simple validation for IP address format
-    if (!/^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/.test(dnsServer)) {
-        showAlert('Please enter a valid IP address for the DNS server', 'warning');
+    // Simple validation for IP address (optionally with a port), DoH URL or DoT server format
+    const invalidServer = dnsServers.find(dnsServer =>
+        !/^\[?[0-9a-fA-F:.]+\]?(?:[:#][0-9]{1,5})?$/.test(dnsServer) && !/^(?:https?|tls):\/\/\S+$/.test(dnsServer));
+    if (needsServer && invalidServer) {
+        showAlert(`${invalidServer} is not a valid IP address, DNS-over-HTTPS URL or tls:// server`, 'warning');
         return;
     }
     
-    fetch('/api/domains', {
+    apiFetch('/api/domains', {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
         },
         body: JSON.stringify({
             domain: domainName,
-            resolveVia: dnsServer
+            type: ruleType,
+            // A single server is sent as a string, like rules store it
+            resolveVia: needsServer && dnsServers.length > 0 ? (dnsServers.length === 1 ? dnsServers[0] : dnsServers) : undefined,
+            strategy: needsServer && dnsServers.length > 1 ? strategy : undefined,
+            filterAAAA: needsServer && filterAAAA,
+            group: group || undefined
         }),
     })
-    .then(response => {
-        if (!response.ok) {
-            throw new Error('Network response was not ok');
-        }
-        return response.json();
-    })
+    // Validation errors come back as JSON with a message to show
+    .then(response => response.json())
     .then(data => {
         if (data.success) {
             // Close the modal
@@ -229,9 +617,14 @@ function addDomain() {
             // Clear form fields
             document.getElementById('domain-name').value = '';
             document.getElementById('dns-server').value = '';
+            document.getElementById('domain-strategy').value = 'order';
+            document.getElementById('filter-aaaa').checked = false;
+            document.getElementById('rule-type').value = 'suffix';
+            updateRuleForm();
             
-            // Reload domains list
+            // Reload domains list and group counts
             loadDomainsList();
+            loadGroups();
             
             // Update dashboard
             loadDashboardData();
@@ -248,6 +641,106 @@ function addDomain() {
     });
 }
 
+/**
+ * Load a chosen file into the import text area, guessing its format
+ */
+function readImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+    
+    const formats = { csv: 'csv', conf: 'dnsmasq', json: 'json' };
+    const extension = file.name.split('.').pop().toLowerCase();
+    document.getElementById('import-format').value = formats[extension] || 'text';
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('import-content').value = reader.result;
+        document.getElementById('apply-import-btn').disabled = true;
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Preview or apply an import
+ */
+function importDomains(apply) {
+    const content = document.getElementById('import-content').value;
+    
+    if (!content.trim()) {
+        showAlert('Please choose a file or paste a list to import', 'warning');
+        return;
+    }
+    
+    apiFetch('/api/domains/import', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            format: document.getElementById('import-format').value,
+            resolveVia: document.getElementById('import-dns-server').value.trim() || undefined,
+            type: document.getElementById('import-rule-type').value,
+            content: content,
+            apply: apply
+        }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (!data.success) {
+            showAlert(data.message || 'Failed to import domains', 'danger');
+            return;
+        }
+        
+        if (data.applied) {
+            bootstrap.Modal.getInstance(document.getElementById('importDomainsModal')).hide();
+            loadDomainsList();
+            loadDashboardData();
+            showAlert(data.message, 'success');
+            return;
+        }
+        
+        renderImportPreview(data);
+        document.getElementById('apply-import-btn').disabled = data.adds.length === 0 && data.updates.length === 0;
+    })
+    .catch(error => {
+        console.error('Error importing domains:', error);
+        showAlert('Error importing domains. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Show what an import would change
+ */
+function renderImportPreview(data) {
+    const describe = entry => `<code>${escapeHtml(entry.domain)}</code> ${entry.type === 'exclude' ? 'excluded' : `via ${escapeHtml(entry.resolveVia)}`}`;
+    const section = (title, className, items) => items.length === 0 ? '' : `
+        <h6 class="mt-3">${title} <span class="badge ${className}">${items.length}</span></h6>
+        <ul class="small mb-0" style="max-height: 10rem; overflow-y: auto;">
+            ${items.map(item => `<li>${item}</li>`).join('')}
+        </ul>`;
+    
+    const preview = document.getElementById('import-preview');
+    preview.innerHTML =
+        section('New', 'bg-success', data.adds.map(describe)) +
+        section('Updated', 'bg-primary', data.updates.map(update => `${describe(update.to)} (was ${update.from.type === 'exclude' ? 'excluded' : `via ${escapeHtml(update.from.resolveVia)}`})`)) +
+        section('Already present', 'bg-secondary', data.duplicates.map(describe)) +
+        section('Invalid', 'bg-danger', data.invalid.map(item => `Line ${item.line}: <code>${escapeHtml(item.text)}</code> ${escapeHtml(item.reason)}`)) ||
+        '<p class="text-muted mb-0">Nothing to import</p>';
+    preview.style.display = 'block';
+}
+
+/**
+ * Clear the import form when its modal closes
+ */
+function resetImportForm() {
+    document.getElementById('import-domains-form').reset();
+    document.getElementById('import-preview').style.display = 'none';
+    document.getElementById('import-preview').innerHTML = '';
+    document.getElementById('apply-import-btn').disabled = true;
+}
+
 /**
  * Show delete confirmation modal
  */
@@ -268,7 +761,7 @@ function showDeleteConfirmation(domain) {
  * Delete a domain
  */
 function deleteDomain(domain) {
-    fetch(`/api/domains/${encodeURIComponent(domain)}`, {
+    apiFetch(`/api/domains/${encodeURIComponent(domain)}`, {
         method: 'DELETE',
     })
     .then(response => {
@@ -283,8 +776,9 @@ function deleteDomain(domain) {
             const modal = bootstrap.Modal.getInstance(document.getElementById('confirmDeleteModal'));
             modal.hide();
             
-            // Reload domains list
+            // Reload domains list and group counts
             loadDomainsList();
+            loadGroups();
             
             // Update dashboard
             loadDashboardData();
@@ -302,10 +796,10 @@ function deleteDomain(domain) {
 }
 
 /**
- * Load settings data
+ * Load domain groups into the groups table and the add domain form
  */
-function loadSettingsData() {
-    fetch('/api/settings')
+function loadGroups() {
+    apiFetch('/api/groups')
         .then(response => {
             if (!response.ok) {
                 throw new Error('Network response was not ok');
@@ -313,215 +807,2166 @@ function loadSettingsData() {
             return response.json();
         })
         .then(data => {
-            // DNS Server settings
-            document.getElementById('dns-server-port').value = data.dnsServer.port || 53;
-            document.getElementById('cache-size-input').value = data.dnsServer.cacheSize || 1000;
-            document.getElementById('log-queries').checked = data.dnsServer.logQueries || false;
+            const groupsList = document.getElementById('groups-list');
+            const groupSelect = document.getElementById('domain-group');
+            groupsList.innerHTML = '';
+            groupSelect.innerHTML = '<option value="">No group</option>';
             
-            // Alternative DNS servers
-            const alternativeDnsContainer = document.getElementById('alternative-dns-container');
-            alternativeDnsContainer.innerHTML = '';
+            data.groups.forEach(group => {
+                const option = document.createElement('option');
+                option.value = group.id;
+                option.textContent = group.resolveVia ? `${group.name} (${group.resolveVia})` : group.name;
+                option.setAttribute('data-resolve-via', group.resolveVia || '');
+                groupSelect.appendChild(option);
+            });
             
-            if (data.alternativeDNS && data.alternativeDNS.length > 0) {
-                data.alternativeDNS.forEach((dns, index) => {
-                    alternativeDnsContainer.appendChild(createDnsServerElement(dns, index));
-                });
-            } else {
-                alternativeDnsContainer.appendChild(createDnsServerElement('8.8.8.8', 0));
+            if (data.groups.length === 0) {
+                groupsList.innerHTML = `
+                    <tr>
+                        <td colspan="6" class="text-center">No groups</td>
+                    </tr>
+                `;
+                return;
             }
             
-            // Web interface settings
-            document.getElementById('web-port').value = data.webInterface.port || 5000;
-            document.getElementById('enable-auth').checked = data.webInterface.enableAuth || false;
-            document.getElementById('username').value = data.webInterface.username || 'admin';
-            
-            // Show/hide auth fields
-            const authFields = document.querySelector('.auth-fields');
-            if (data.webInterface.enableAuth) {
-                authFields.style.display = 'flex';
-            } else {
-                authFields.style.display = 'none';
-            }
+            data.groups.forEach(group => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${escapeHtml(group.name)}</td>
+                    <td>${escapeHtml(group.description || '')}</td>
+                    <td>${group.resolveVia ? escapeHtml(group.resolveVia) : '<em>None</em>'}</td>
+                    <td>${group.domainCount}</td>
+                    <td>
+                        <div class="form-check form-switch">
+                            <input class="form-check-input group-enabled" type="checkbox" ${group.enabled !== false ? 'checked' : ''}>
+                        </div>
+                    </td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-danger delete-group" title="Remove group">
+                            <i data-feather="trash-2"></i>
+                        </button>
+                    </td>
+                `;
+                
+                row.querySelector('.group-enabled').addEventListener('change', function() {
+                    updateGroup(group, { enabled: this.checked });
+                });
+                row.querySelector('.delete-group').addEventListener('click', () => deleteGroup(group));
+                groupsList.appendChild(row);
+            });
             
-            // Re-initialize feather icons
             feather.replace();
         })
         .catch(error => {
-            console.error('Error fetching settings data:', error);
-            showAlert('Error loading settings. Please try again later.', 'danger');
+            console.error('Error fetching groups:', error);
+            showAlert('Error loading groups. Please try again later.', 'danger');
         });
 }
 
 /**
- * Create a DNS server input element
+ * Add a new domain group
  */
-function createDnsServerElement(dnsServer, index) {
-    const div = document.createElement('div');
-    div.className = 'alternative-dns-entry';
-    div.innerHTML = `
-        <input type="text" class="form-control dns-server-input" name="alternativeDNS[${index}]" value="${dnsServer}">
-        <button type="button" class="btn btn-sm btn-outline-danger remove-dns-server">
-            <i data-feather="x"></i>
-        </button>
-    `;
-    
-    // Add event listener for remove button
-    div.querySelector('.remove-dns-server').addEventListener('click', function() {
-        div.remove();
-    });
+function addGroup() {
+    const name = document.getElementById('group-name').value.trim();
+    const description = document.getElementById('group-description').value.trim();
+    const dnsServer = document.getElementById('group-dns-server').value.trim();
     
-    return div;
-}
-
-/**
- * Add a new DNS server input field
- */
-function addDnsServerField() {
-    const alternativeDnsContainer = document.getElementById('alternative-dns-container');
-    const index = alternativeDnsContainer.querySelectorAll('.alternative-dns-entry').length;
-    alternativeDnsContainer.appendChild(createDnsServerElement('', index));
+    if (!name) {
+        showAlert('Please enter a group name', 'warning');
+        return;
+    }
     
-    // Re-initialize feather icons
-    feather.replace();
+    apiFetch('/api/groups', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name, description, resolveVia: dnsServer || undefined }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            const modal = bootstrap.Modal.getInstance(document.getElementById('addGroupModal'));
+            modal.hide();
+            document.getElementById('add-group-form').reset();
+            loadGroups();
+            showAlert('Group added successfully', 'success');
+        } else {
+            showAlert(data.message || 'Failed to add group', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error adding group:', error);
+        showAlert('Error adding group. Please try again later.', 'danger');
+    });
 }
 
 /**
- * Save settings
+ * Change a group's settings, such as turning it on or off
  */
-function saveSettings() {
-    // Collect DNS server settings
-    const dnsServerPort = parseInt(document.getElementById('dns-server-port').value);
-    const cacheSize = parseInt(document.getElementById('cache-size-input').value);
-    const logQueries = document.getElementById('log-queries').checked;
+function updateGroup(group, changes) {
+    apiFetch(`/api/groups/${encodeURIComponent(group.id)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            const action = changes.enabled === undefined ? 'updated' : changes.enabled ? 'enabled' : 'disabled';
+            showAlert(`Group ${group.name} ${action}`, 'success');
+        } else {
+            showAlert(data.message || 'Failed to update group', 'danger');
+        }
+        loadGroups();
+        loadDomainsList();
+    })
+    .catch(error => {
+        console.error('Error updating group:', error);
+        showAlert('Error updating group. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Remove a group, keeping its domains
+ */
+function deleteGroup(group) {
+    if (!confirm(`Remove the group ${group.name}? Its domains are kept without a group.`)) {
+        return;
+    }
+    
+    apiFetch(`/api/groups/${encodeURIComponent(group.id)}`, {
+        method: 'DELETE',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert('Group removed successfully', 'success');
+            loadGroups();
+            loadDomainsList();
+        } else {
+            showAlert(data.message || 'Failed to remove group', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error removing group:', error);
+        showAlert('Error removing group. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Load list subscriptions with their fetch status
+ */
+function loadSubscriptions() {
+    apiFetch('/api/subscriptions')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            const subscriptionsList = document.getElementById('subscriptions-list');
+            subscriptionsList.innerHTML = '';
+            
+            if (data.subscriptions.length === 0) {
+                subscriptionsList.innerHTML = `
+                    <tr>
+                        <td colspan="8" class="text-center">No list subscriptions</td>
+                    </tr>
+                `;
+                return;
+            }
+            
+            data.subscriptions.forEach(subscription => {
+                let status = '<span class="badge bg-success">OK</span>';
+                if (!subscription.enabled) {
+                    status = '<span class="badge bg-secondary">Disabled</span>';
+                } else if (subscription.lastError) {
+                    status = `<span class="badge bg-danger">Error</span> <small class="text-danger">${escapeHtml(subscription.lastError)}</small>`;
+                } else if (!subscription.lastFetch) {
+                    status = '<span class="badge bg-light text-dark">Pending</span>';
+                }
+                
+                const change = subscription.lastChange;
+                const changeText = change
+                    ? `<br><small class="text-muted">+${change.added} −${change.removed} ~${change.changed} on ${new Date(change.at).toLocaleDateString()}</small>`
+                    : '';
+                
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${escapeHtml(subscription.name)}<br><small class="text-muted">${escapeHtml(subscription.url)}</small></td>
+                    <td>${escapeHtml(subscription.format)} ${ruleBadge(subscription.type)}</td>
+                    <td>${subscription.resolveVia ? escapeHtml(subscription.resolveVia) : '<em>From list</em>'}</td>
+                    <td>Every ${subscription.refreshHours} h</td>
+                    <td>${subscription.lastFetch ? new Date(subscription.lastFetch).toLocaleString() : 'Never'}${changeText}</td>
+                    <td>${subscription.entryCount}${subscription.invalidCount ? ` <small class="text-muted">(${subscription.invalidCount} invalid)</small>` : ''}</td>
+                    <td>${status}</td>
+                    <td>
+                        <div class="dns-entry-actions">
+                            <button class="btn btn-sm btn-outline-secondary refresh-subscription" title="Fetch now">
+                                <i data-feather="refresh-cw"></i>
+                            </button>
+                            <button class="btn btn-sm btn-outline-secondary toggle-subscription" title="${subscription.enabled ? 'Disable' : 'Enable'}">
+                                <i data-feather="${subscription.enabled ? 'pause' : 'play'}"></i>
+                            </button>
+                            <button class="btn btn-sm btn-outline-danger delete-subscription" title="Remove subscription">
+                                <i data-feather="trash-2"></i>
+                            </button>
+                        </div>
+                    </td>
+                `;
+                
+                row.querySelector('.refresh-subscription').addEventListener('click', () => refreshSubscription(subscription));
+                row.querySelector('.toggle-subscription').addEventListener('click', () => {
+                    updateSubscription(subscription, { enabled: !subscription.enabled });
+                });
+                row.querySelector('.delete-subscription').addEventListener('click', () => deleteSubscription(subscription));
+                subscriptionsList.appendChild(row);
+            });
+            
+            feather.replace();
+        })
+        .catch(error => {
+            console.error('Error fetching subscriptions:', error);
+            showAlert('Error loading list subscriptions. Please try again later.', 'danger');
+        });
+}
+
+/**
+ * Subscribe to a remote domain list
+ */
+function addSubscription() {
+    const name = document.getElementById('subscription-name').value.trim();
+    const url = document.getElementById('subscription-url').value.trim();
+    const dnsServer = document.getElementById('subscription-dns-server').value.trim();
+    
+    if (!name || !url) {
+        showAlert('Please enter both a name and the list URL', 'warning');
+        return;
+    }
+    
+    apiFetch('/api/subscriptions', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            name,
+            url,
+            format: document.getElementById('subscription-format').value,
+            type: document.getElementById('subscription-rule-type').value,
+            resolveVia: dnsServer || undefined,
+            refreshHours: parseInt(document.getElementById('subscription-refresh').value, 10)
+        }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            const modal = bootstrap.Modal.getInstance(document.getElementById('addSubscriptionModal'));
+            modal.hide();
+            document.getElementById('add-subscription-form').reset();
+            loadSubscriptions();
+            loadDashboardData();
+            
+            // The subscription is kept even when the first fetch fails
+            if (data.subscription.lastError) {
+                showAlert(`Subscription added, but fetching the list failed: ${data.subscription.lastError}`, 'warning');
+            } else {
+                showAlert(`Subscription added with ${data.subscription.entryCount} entries`, 'success');
+            }
+        } else {
+            showAlert(data.message || 'Failed to add subscription', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error adding subscription:', error);
+        showAlert('Error adding subscription. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Fetch a subscription's list now
+ */
+function refreshSubscription(subscription) {
+    apiFetch(`/api/subscriptions/${encodeURIComponent(subscription.id)}/refresh`, {
+        method: 'POST',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert(`${subscription.name} refreshed, ${data.subscription.entryCount} entries`, 'success');
+        } else {
+            showAlert(data.message || 'Failed to refresh subscription', 'danger');
+        }
+        loadSubscriptions();
+    })
+    .catch(error => {
+        console.error('Error refreshing subscription:', error);
+        showAlert('Error refreshing subscription. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Change a subscription's settings
+ */
+function updateSubscription(subscription, changes) {
+    apiFetch(`/api/subscriptions/${encodeURIComponent(subscription.id)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert('Subscription updated successfully', 'success');
+        } else {
+            showAlert(data.message || 'Failed to update subscription', 'danger');
+        }
+        loadSubscriptions();
+    })
+    .catch(error => {
+        console.error('Error updating subscription:', error);
+        showAlert('Error updating subscription. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Remove a subscription and the rules it provided
+ */
+function deleteSubscription(subscription) {
+    if (!confirm(`Remove the subscription ${subscription.name}? Its domains will no longer be routed.`)) {
+        return;
+    }
+    
+    apiFetch(`/api/subscriptions/${encodeURIComponent(subscription.id)}`, {
+        method: 'DELETE',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert('Subscription removed successfully', 'success');
+            loadSubscriptions();
+            loadDashboardData();
+        } else {
+            showAlert(data.message || 'Failed to remove subscription', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error removing subscription:', error);
+        showAlert('Error removing subscription. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Load clients and policies into their tables and the add client form
+ */
+function loadClients() {
+    Promise.all([apiFetch('/api/clients'), apiFetch('/api/policies')])
+        .then(responses => {
+            if (responses.some(response => !response.ok)) {
+                throw new Error('Network response was not ok');
+            }
+            return Promise.all(responses.map(response => response.json()));
+        })
+        .then(([clientData, policyData]) => {
+            renderClients(clientData.clients, policyData.policies);
+            renderPolicies(policyData.policies, clientData.clients);
+            
+            const policySelect = document.getElementById('client-policy');
+            policySelect.innerHTML = '<option value="">Global routing</option>';
+            policyData.policies.forEach(policy => {
+                const option = document.createElement('option');
+                option.value = policy.id;
+                option.textContent = policy.name;
+                policySelect.appendChild(option);
+            });
+            
+            feather.replace();
+        })
+        .catch(error => {
+            console.error('Error fetching clients:', error);
+            showAlert('Error loading clients. Please try again later.', 'danger');
+        });
+}
+
+/**
+ * Fill the clients table, with a policy picker on each row
+ */
+function renderClients(clients, policies) {
+    const clientsList = document.getElementById('clients-list');
+    clientsList.innerHTML = '';
+    
+    if (clients.length === 0) {
+        clientsList.innerHTML = `
+            <tr>
+                <td colspan="4" class="text-center">No clients</td>
+            </tr>
+        `;
+        return;
+    }
+    
+    clients.forEach(client => {
+        const options = ['<option value="">Global routing</option>']
+            .concat(policies.map(policy => `
+                <option value="${escapeHtml(policy.id)}" ${policy.id === client.policy ? 'selected' : ''}>${escapeHtml(policy.name)}</option>
+            `));
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(client.name)}</td>
+            <td>${client.match.map(value => `<code>${escapeHtml(value)}</code>`).join('<br>')}</td>
+            <td>
+                <select class="form-select form-select-sm client-policy">${options.join('')}</select>
+            </td>
+            <td>
+                <button class="btn btn-sm btn-outline-danger delete-client" title="Remove client">
+                    <i data-feather="trash-2"></i>
+                </button>
+            </td>
+        `;
+        
+        row.querySelector('.client-policy').addEventListener('change', function() {
+            updateClient(client, { policy: this.value || null });
+        });
+        row.querySelector('.delete-client').addEventListener('click', () => deleteClient(client));
+        clientsList.appendChild(row);
+    });
+}
+
+/**
+ * Fill the policies table
+ */
+function renderPolicies(policies, clients) {
+    const policiesList = document.getElementById('policies-list');
+    policiesList.innerHTML = '';
+    
+    if (policies.length === 0) {
+        policiesList.innerHTML = `
+            <tr>
+                <td colspan="5" class="text-center">No policies</td>
+            </tr>
+        `;
+        return;
+    }
+    
+    policies.forEach(policy => {
+        const users = clients.filter(client => client.policy === policy.id);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHtml(policy.name)}</td>
+            <td>${policy.groups === null ? '<em>All groups</em>' : policy.groups.length ? escapeHtml(policy.groups.join(', ')) : '<em>None</em>'}</td>
+            <td>${policy.alternativeDNS.length ? escapeHtml(policy.alternativeDNS.join(', ')) : '<em>From settings</em>'}</td>
+            <td>${users.length}</td>
+            <td>
+                <button class="btn btn-sm btn-outline-danger delete-policy" title="Remove policy">
+                    <i data-feather="trash-2"></i>
+                </button>
+            </td>
+        `;
+        
+        row.querySelector('.delete-policy').addEventListener('click', () => deletePolicy(policy));
+        policiesList.appendChild(row);
+    });
+}
+
+/**
+ * Add a new client
+ */
+function addClient() {
+    const name = document.getElementById('client-name').value.trim();
+    const match = document.getElementById('client-match').value
+        .split('\n')
+        .map(value => value.trim())
+        .filter(Boolean);
+    const policy = document.getElementById('client-policy').value;
+    
+    if (!name || match.length === 0) {
+        showAlert('Please enter a name and at least one address', 'warning');
+        return;
+    }
+    
+    apiFetch('/api/clients', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name, match, policy: policy || null }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            const modal = bootstrap.Modal.getInstance(document.getElementById('addClientModal'));
+            modal.hide();
+            document.getElementById('add-client-form').reset();
+            loadClients();
+            showAlert('Client added successfully', 'success');
+        } else {
+            showAlert(data.message || 'Failed to add client', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error adding client:', error);
+        showAlert('Error adding client. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Change a client's settings, such as its policy
+ */
+function updateClient(client, changes) {
+    apiFetch(`/api/clients/${encodeURIComponent(client.id)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert(`Client ${client.name} updated`, 'success');
+        } else {
+            showAlert(data.message || 'Failed to update client', 'danger');
+        }
+        loadClients();
+    })
+    .catch(error => {
+        console.error('Error updating client:', error);
+        showAlert('Error updating client. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Remove a client
+ */
+function deleteClient(client) {
+    if (!confirm(`Remove the client ${client.name}? Its queries will get the global routing.`)) {
+        return;
+    }
+    
+    apiFetch(`/api/clients/${encodeURIComponent(client.id)}`, {
+        method: 'DELETE',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert('Client removed successfully', 'success');
+            loadClients();
+        } else {
+            showAlert(data.message || 'Failed to remove client', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error removing client:', error);
+        showAlert('Error removing client. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Offer the current groups in the add policy form
+ */
+function loadPolicyGroups() {
+    apiFetch('/api/groups')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            const container = document.getElementById('policy-groups');
+            container.style.display = document.getElementById('policy-all-groups').checked ? 'none' : '';
+            
+            if (data.groups.length === 0) {
+                container.innerHTML = '<div class="form-text">No groups yet</div>';
+                return;
+            }
+            
+            container.innerHTML = data.groups.map(group => `
+                <div class="form-check">
+                    <input class="form-check-input policy-group" type="checkbox" value="${escapeHtml(group.id)}" id="policy-group-${escapeHtml(group.id)}">
+                    <label class="form-check-label" for="policy-group-${escapeHtml(group.id)}">${escapeHtml(group.name)}</label>
+                </div>
+            `).join('');
+        })
+        .catch(error => {
+            console.error('Error fetching groups:', error);
+            showAlert('Error loading groups. Please try again later.', 'danger');
+        });
+}
+
+/**
+ * Add a new routing policy
+ */
+function addPolicy() {
+    const name = document.getElementById('policy-name').value.trim();
+    const groups = document.getElementById('policy-all-groups').checked
+        ? null
+        : Array.from(document.querySelectorAll('.policy-group:checked')).map(input => input.value);
+    const alternativeDNS = document.getElementById('policy-dns-servers').value
+        .split('\n')
+        .map(value => value.trim())
+        .filter(Boolean);
+    
+    if (!name) {
+        showAlert('Please enter a policy name', 'warning');
+        return;
+    }
+    
+    apiFetch('/api/policies', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name, groups, alternativeDNS }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            const modal = bootstrap.Modal.getInstance(document.getElementById('addPolicyModal'));
+            modal.hide();
+            document.getElementById('add-policy-form').reset();
+            loadClients();
+            showAlert('Policy added successfully', 'success');
+        } else {
+            showAlert(data.message || 'Failed to add policy', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error adding policy:', error);
+        showAlert('Error adding policy. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Remove a policy that no client uses
+ */
+function deletePolicy(policy) {
+    if (!confirm(`Remove the policy ${policy.name}?`)) {
+        return;
+    }
+    
+    apiFetch(`/api/policies/${encodeURIComponent(policy.id)}`, {
+        method: 'DELETE',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert('Policy removed successfully', 'success');
+            loadClients();
+        } else {
+            showAlert(data.message || 'Failed to remove policy', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error removing policy:', error);
+        showAlert('Error removing policy. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Load settings data
+ */
+function loadSettingsData() {
+    apiFetch('/api/settings')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            // DNS Server settings
+            document.getElementById('dns-mode').value = data.dnsServer.mode || 'dnsmasq';
+            document.getElementById('listen-address').value = data.dnsServer.listenAddress !== undefined ? data.dnsServer.listenAddress : '0.0.0.0';
+            document.getElementById('listen-address6').value = data.dnsServer.listenAddress6 !== undefined ? data.dnsServer.listenAddress6 : '::';
+            document.getElementById('dns-server-port').value = data.dnsServer.port || 53;
+            document.getElementById('cache-size-input').value = data.dnsServer.cacheSize || 1000;
+            document.getElementById('log-queries').checked = data.dnsServer.logQueries || false;
+            document.getElementById('forwarder-port').value = data.dnsServer.forwarderPort || 5353;
+            document.getElementById('doh-method').value = data.dnsServer.dohMethod || 'POST';
+            document.getElementById('tls-fallback').value = data.dnsServer.tlsFallback || 'none';
+            document.getElementById('serve-doh').checked = data.dnsServer.serveDoh === true;
+            document.getElementById('serve-json').checked = data.dnsServer.serveJson === true;
+            
+            // Alternative DNS servers
+            const alternativeDnsContainer = document.getElementById('alternative-dns-container');
+            alternativeDnsContainer.innerHTML = '';
+            
+            if (data.alternativeDNS && data.alternativeDNS.length > 0) {
+                data.alternativeDNS.forEach((dns, index) => {
+                    alternativeDnsContainer.appendChild(createDnsServerElement(dns, index));
+                });
+            } else {
+                alternativeDnsContainer.appendChild(createDnsServerElement('8.8.8.8', 0));
+            }
+            document.getElementById('alternative-strategy').value = data.alternativeStrategy || 'order';
+            
+            // Health check settings
+            const healthCheck = data.healthCheck || {};
+            document.getElementById('health-enabled').checked = healthCheck.enabled !== false;
+            document.getElementById('health-test-name').value = healthCheck.testName || 'example.com';
+            document.getElementById('health-interval').value = healthCheck.interval || 30;
+            document.getElementById('health-timeout').value = healthCheck.timeout || 2000;
+            document.getElementById('health-failure-threshold').value = healthCheck.failureThreshold || 3;
+            document.getElementById('health-backup-dns').value = (healthCheck.backupDNS || []).join('\n');
+            
+            // Staged changes
+            document.getElementById('staging-enabled').checked = Boolean(data.staging && data.staging.enabled);
+            
+            // Scheduled backups
+            const backup = data.backup || {};
+            document.getElementById('backup-enabled').checked = Boolean(backup.enabled);
+            document.getElementById('backup-interval-hours').value = backup.intervalHours || 24;
+            document.getElementById('backup-retain').value = backup.retain || 7;
+            document.getElementById('backup-include-stats').checked = backup.includeStats !== false;
+            document.getElementById('backup-include-logs').checked = Boolean(backup.includeLogs);
+            
+            // Log file settings
+            const logging = data.logging || {};
+            document.getElementById('log-level').value = logging.level || 'info';
+            LOG_TYPES.forEach(type => {
+                const settings = { ...LOG_DEFAULTS[type], ...(logging[type] || {}) };
+                document.getElementById(`log-${type}-max-size`).value = settings.maxSizeMB;
+                document.getElementById(`log-${type}-rotate-hours`).value = settings.rotateHours;
+                document.getElementById(`log-${type}-retain-days`).value = settings.retainDays;
+            });
+            
+            // Web interface settings
+            document.getElementById('web-port').value = data.webInterface.port || 5000;
+            document.getElementById('enable-auth').checked = data.webInterface.enableAuth || false;
+            document.getElementById('serve-metrics').checked = data.webInterface.serveMetrics !== false;
+            document.getElementById('metrics-auth').checked = data.webInterface.metricsAuth !== false;
+            
+            // Re-initialize feather icons
+            feather.replace();
+        })
+        .catch(error => {
+            console.error('Error fetching settings data:', error);
+            showAlert('Error loading settings. Please try again later.', 'danger');
+        });
+}
+
+/**
+ * Create a DNS server input element
+ */
+function createDnsServerElement(dnsServer, index) {
+    const div = document.createElement('div');
+    div.className = 'alternative-dns-entry';
+    div.innerHTML = `
+        <input type="text" class="form-control dns-server-input" name="alternativeDNS[${index}]" value="${escapeHtml(dnsServer)}">
+        <button type="button" class="btn btn-sm btn-outline-danger remove-dns-server">
+            <i data-feather="x"></i>
+        </button>
+    `;
+    
+    // Add event listener for remove button
+    div.querySelector('.remove-dns-server').addEventListener('click', function() {
+        div.remove();
+    });
+    
+    return div;
+}
+
+/**
+ * Add a new DNS server input field
+ */
+function addDnsServerField() {
+    const alternativeDnsContainer = document.getElementById('alternative-dns-container');
+    const index = alternativeDnsContainer.querySelectorAll('.alternative-dns-entry').length;
+    alternativeDnsContainer.appendChild(createDnsServerElement('', index));
+    
+    // Re-initialize feather icons
+    feather.replace();
+}
+
+/**
+ * Save settings
+ */
+function saveSettings() {
+    // Collect DNS server settings
+    const dnsMode = document.getElementById('dns-mode').value;
+    const listenAddress = document.getElementById('listen-address').value.trim();
+    const listenAddress6 = document.getElementById('listen-address6').value.trim();
+    const dnsServerPort = numberInput(document.getElementById('dns-server-port'));
+    const cacheSize = numberInput(document.getElementById('cache-size-input'));
+    const logQueries = document.getElementById('log-queries').checked;
+    const forwarderPort = numberInput(document.getElementById('forwarder-port'));
+    const dohMethod = document.getElementById('doh-method').value;
+    const tlsFallback = document.getElementById('tls-fallback').value;
+    const serveDoh = document.getElementById('serve-doh').checked;
+    const serveJson = document.getElementById('serve-json').checked;
+    
+    // Collect alternative DNS servers, numbering the fields so errors
+    // about an entry can be shown next to it
+    const alternativeDNS = [];
+    document.querySelectorAll('.dns-server-input').forEach(input => {
+        const value = input.value.trim();
+        input.name = value ? `alternativeDNS[${alternativeDNS.length}]` : '';
+        if (value) {
+            alternativeDNS.push(value);
+        }
+    });
+    
+    // Collect health check settings
+    const healthCheck = {
+        enabled: document.getElementById('health-enabled').checked,
+        interval: numberInput(document.getElementById('health-interval')),
+        testName: document.getElementById('health-test-name').value.trim(),
+        timeout: numberInput(document.getElementById('health-timeout')),
+        failureThreshold: numberInput(document.getElementById('health-failure-threshold')),
+        backupDNS: document.getElementById('health-backup-dns').value
+            .split('\n')
+            .map(value => value.trim())
+            .filter(Boolean)
+    };
+    
+    // Collect log file settings
+    const logging = { level: document.getElementById('log-level').value };
+    LOG_TYPES.forEach(type => {
+        logging[type] = {
+            maxSizeMB: numberInput(document.getElementById(`log-${type}-max-size`)),
+            rotateHours: numberInput(document.getElementById(`log-${type}-rotate-hours`)),
+            retainDays: numberInput(document.getElementById(`log-${type}-retain-days`))
+        };
+    });
+    
+    // Collect web interface settings
+    const webPort = numberInput(document.getElementById('web-port'));
+    const enableAuth = document.getElementById('enable-auth').checked;
+    
+    // Create settings object
+    const settings = {
+        dnsServer: {
+            mode: dnsMode,
+            listenAddress: listenAddress,
+            listenAddress6: listenAddress6,
+            port: dnsServerPort,
+            cacheSize: cacheSize,
+            logQueries: logQueries,
+            forwarderPort: forwarderPort,
+            dohMethod: dohMethod,
+            tlsFallback: tlsFallback,
+            serveDoh: serveDoh,
+            serveJson: serveJson
+        },
+        alternativeDNS: alternativeDNS,
+        alternativeStrategy: document.getElementById('alternative-strategy').value,
+        healthCheck: healthCheck,
+        staging: {
+            enabled: document.getElementById('staging-enabled').checked
+        },
+        backup: {
+            enabled: document.getElementById('backup-enabled').checked,
+            intervalHours: numberInput(document.getElementById('backup-interval-hours')),
+            retain: numberInput(document.getElementById('backup-retain')),
+            includeLogs: document.getElementById('backup-include-logs').checked,
+            includeStats: document.getElementById('backup-include-stats').checked
+        },
+        logging: logging,
+        webInterface: {
+            port: webPort,
+            enableAuth: enableAuth,
+            serveMetrics: document.getElementById('serve-metrics').checked,
+            metricsAuth: document.getElementById('metrics-auth').checked
+        }
+    };
+    
+    // Save settings; ones the form doesn't show are kept as they are
+    clearSettingsErrors();
+    apiFetch('/api/settings', {
+        method: 'PATCH',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(settings),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            if (data.settings.staging.enabled) {
+                showAlert('Settings saved successfully. Changes to the DNS service are pending until you apply them.', 'success');
+            } else {
+                showAlert('Settings saved successfully. The DNS service is restarting.', 'success');
+            }
+            
+            // Reload settings and dashboard after a short delay
+            setTimeout(() => {
+                loadSettingsData();
+                loadDashboardData();
+            }, 2000);
+        } else if (data.errors) {
+            showSettingsErrors(data.errors);
+            showAlert('Some settings are not valid, see the highlighted fields', 'danger');
+        } else {
+            showAlert(data.message || 'Failed to save settings', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error saving settings:', error);
+        showAlert('Error saving settings. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Read a number field, keeping what was typed when it isn't a number so
+ * the server can say what's wrong with it
+ */
+function numberInput(element) {
+    const value = element.value.trim();
+    const number = Number(value);
+    return value !== '' && !isNaN(number) ? number : value;
+}
+
+/**
+ * Find the settings field a setting is entered in
+ *
+ * List entries are entered in their own fields (alternativeDNS[0]) or
+ * together in one (healthCheck.backupDNS).
+ */
+function settingsField(field) {
+    const form = document.getElementById('settings-form');
+    const entry = field.match(/^(.+)\.(\d+)$/);
+    if (entry) {
+        return form.querySelector(`[name="${entry[1]}[${entry[2]}]"]`) || form.querySelector(`[name="${entry[1]}"]`);
+    }
+    return form.querySelector(`[name="${field}"]`);
+}
+
+/**
+ * Mark the settings fields the server rejected, with its reasons
+ */
+function showSettingsErrors(errors) {
+    errors.forEach(({ field, message }) => {
+        const element = settingsField(field) ||
+            (field.startsWith('alternativeDNS') ? document.getElementById('alternative-dns-container') : null);
+        if (!element) {
+            showAlert(`${field}: ${message}`, 'danger');
+            return;
+        }
+        element.classList.add('is-invalid');
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback settings-error';
+        feedback.textContent = message;
+        element.insertAdjacentElement('afterend', feedback);
+    });
+    
+    const first = document.querySelector('#settings-form .is-invalid');
+    if (first) {
+        first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+function clearSettingsErrors() {
+    document.querySelectorAll('#settings-form .is-invalid').forEach(element => element.classList.remove('is-invalid'));
+    document.querySelectorAll('#settings-form .settings-error').forEach(element => element.remove());
+}
+
+// Lines kept in each log view; older ones are removed as new ones arrive
+const MAX_LOG_LINES = 1000;
+const LOG_TYPES = ['dns', 'access', 'error'];
+// Rotation settings used for log types config.json doesn't mention
+const LOG_DEFAULTS = {
+    dns: { maxSizeMB: 10, rotateHours: 24, retainDays: 7 },
+    access: { maxSizeMB: 10, rotateHours: 24, retainDays: 14 },
+    error: { maxSizeMB: 5, rotateHours: 24, retainDays: 30 }
+};
+const logStreams = {};
+const heldLogLines = { dns: [], access: [], error: [] };
+let logsPaused = false;
+
+/**
+ * Get the element log lines of a type are added to
+ */
+function logContent(type) {
+    return document.getElementById(`${type}-logs-content`);
+}
+
+/**
+ * Create the element showing one log line
+ *
+ * DNS queries become table rows; lines that aren't queries, such as
+ * configuration changes, span the row.
+ */
+function createLogLine(type, line) {
+    const record = parseLogLine(line);
+    let element;
     
-    // Collect alternative DNS servers
-    const dnsServerInputs = document.querySelectorAll('.dns-server-input');
-    const alternativeDNS = Array.from(dnsServerInputs)
-        .map(input => input.value)
-        .filter(value => value.trim() !== '');
+    if (type === 'dns') {
+        element = document.createElement('tr');
+        if (record.query) {
+            element.innerHTML = `
+                <td>${escapeHtml(record.time)}</td>
+                <td>${escapeHtml(record.client || '')}</td>
+                <td>${escapeHtml(record.query)}</td>
+                <td>${escapeHtml(record.answer)}</td>
+            `;
+        } else {
+            element.innerHTML = `
+                <td>${escapeHtml(record.time || '')}</td>
+                <td colspan="3">${escapeHtml(record.message)}</td>
+            `;
+        }
+    } else {
+        element = document.createElement('div');
+        element.className = `log-line log-${record.level}`;
+        const request = record.requestId ? ` [${record.requestId}]` : '';
+        element.textContent = record.time
+            ? `[${record.time}] ${record.level.toUpperCase()} ${record.component || ''}${request}: ${record.message}`
+            : record.message;
+    }
     
-    // Collect web interface settings
-    const webPort = parseInt(document.getElementById('web-port').value);
-    const enableAuth = document.getElementById('enable-auth').checked;
-    const username = document.getElementById('username').value;
-    const password = document.getElementById('password').value;
+    element.dataset.line = line.toLowerCase();
+    element.dataset.level = record.level || '';
+    applyLogFilter(element);
+    return element;
+}
+
+/**
+ * Turn a log line into a record, converting lines written before logs
+ * were structured
+ */
+function parseLogLine(line) {
+    if (line.startsWith('{')) {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            // Not a record after all
+        }
+    }
+    
+    const query = line.match(/^\[(.+?)\] DNS QUERY: (.+?) -> (\S+)(?: from (.+))?$/);
+    if (query) {
+        return { time: query[1], level: 'info', query: query[2], answer: query[3], client: query[4] };
+    }
+    const message = line.match(/^\[(.+?)\] (INFO|WARN|ERROR): (.*)$/);
+    if (message) {
+        return { time: message[1], level: message[2].toLowerCase(), message: message[3] };
+    }
+    return { time: null, level: '', message: line };
+}
+
+/**
+ * Hide a log line that doesn't match the text and level filters
+ */
+function applyLogFilter(element) {
+    const text = document.getElementById('logs-filter').value.trim().toLowerCase();
+    const level = document.getElementById('logs-level').value;
+    const matches = (!text || element.dataset.line.includes(text)) &&
+        (!level || element.dataset.level === level);
+    element.style.display = matches ? '' : 'none';
+}
+
+/**
+ * Apply the filters to every line shown
+ */
+function filterLogs() {
+    LOG_TYPES.forEach(type => {
+        logContent(type).querySelectorAll('[data-line]').forEach(applyLogFilter);
+    });
+}
+
+/**
+ * Show a placeholder while a log has no lines
+ */
+function showEmptyLog(type, message) {
+    const content = logContent(type);
+    content.innerHTML = type === 'dns'
+        ? `<tr class="log-empty"><td colspan="4">${escapeHtml(message)}</td></tr>`
+        : `<div class="log-empty">${escapeHtml(message)}</div>`;
+}
+
+/**
+ * Add lines to a log view, keeping at most MAX_LOG_LINES
+ */
+function appendLogLines(type, lines) {
+    if (lines.length === 0) {
+        return;
+    }
+    const content = logContent(type);
+    const scroller = content.closest('.logs-container');
+    const atBottom = scroller.scrollHeight - scroller.scrollTop - scroller.clientHeight < 20;
+    
+    const placeholder = content.querySelector('.log-empty');
+    if (placeholder) {
+        placeholder.remove();
+    }
+    
+    const fragment = document.createDocumentFragment();
+    lines.slice(-MAX_LOG_LINES).forEach(line => fragment.appendChild(createLogLine(type, line)));
+    content.appendChild(fragment);
+    while (content.children.length > MAX_LOG_LINES) {
+        content.removeChild(content.firstElementChild);
+    }
+    
+    // Keep showing the newest lines unless the user scrolled up to read
+    if (atBottom) {
+        scroller.scrollTop = scroller.scrollHeight;
+    }
+}
+
+/**
+ * Show how many lines are held back while paused
+ */
+function updateLogsStatus() {
+    const held = LOG_TYPES.reduce((total, type) => total + heldLogLines[type].length, 0);
+    let status = '';
+    if (!document.getElementById('logs-follow').checked) {
+        status = 'Not following: press Refresh to load the latest lines';
+    } else if (logsPaused) {
+        status = `Paused, ${held} new ${held === 1 ? 'line' : 'lines'} held back`;
+    }
+    document.getElementById('logs-status').textContent = status;
+}
+
+/**
+ * Open the live stream of one log
+ *
+ * When not following, the stream is closed once the latest lines are in.
+ */
+function openLogStream(type, follow) {
+    const stream = new EventSource(`/api/logs/${type}/stream?lines=${MAX_LOG_LINES}`);
+    logStreams[type] = stream;
+    
+    stream.addEventListener('backlog', event => {
+        const lines = JSON.parse(event.data);
+        showEmptyLog(type, `No ${type === 'dns' ? 'DNS' : type} logs available`);
+        appendLogLines(type, lines);
+        if (!follow) {
+            closeLogStream(type);
+        }
+    });
+    stream.addEventListener('lines', event => {
+        const lines = JSON.parse(event.data);
+        if (logsPaused) {
+            heldLogLines[type] = heldLogLines[type].concat(lines).slice(-MAX_LOG_LINES);
+            updateLogsStatus();
+        } else {
+            appendLogLines(type, lines);
+        }
+    });
+    stream.addEventListener('dropped', event => {
+        appendLogLines(type, [`[${new Date().toISOString()}] WARN: ${JSON.parse(event.data)} lines skipped, the log is busier than can be shown`]);
+    });
+    stream.addEventListener('clear', () => {
+        heldLogLines[type] = [];
+        showEmptyLog(type, 'Log cleared');
+        updateLogsStatus();
+    });
+    stream.onerror = () => {
+        // The browser reconnects by itself unless the server refused the stream
+        if (stream.readyState === EventSource.CLOSED) {
+            console.error(`Log stream for ${type} closed`);
+            showEmptyLog(type, `Error loading ${type === 'dns' ? 'DNS' : type} logs`);
+        }
+    };
+}
+
+function closeLogStream(type) {
+    if (logStreams[type]) {
+        logStreams[type].close();
+        delete logStreams[type];
+    }
+}
+
+/**
+ * Load the latest lines of each log, and keep following them when Follow is on
+ */
+function loadLogs() {
+    const follow = document.getElementById('logs-follow').checked;
+    LOG_TYPES.forEach(type => {
+        closeLogStream(type);
+        heldLogLines[type] = [];
+        openLogStream(type, follow);
+    });
+    updateLogsStatus();
+}
+
+/**
+ * Hold new log lines back while reading, or show them again
+ */
+function toggleLogsPaused() {
+    logsPaused = !logsPaused;
+    const button = document.getElementById('pause-logs');
+    button.querySelector('span').textContent = logsPaused ? 'Resume' : 'Pause';
+    if (!logsPaused) {
+        LOG_TYPES.forEach(type => {
+            appendLogLines(type, heldLogLines[type]);
+            heldLogLines[type] = [];
+        });
+    }
+    updateLogsStatus();
+}
+
+/**
+ * Clear logs
+ */
+function clearLogs() {
+    apiFetch('/api/logs/clear', {
+        method: 'POST',
+    })
+    .then(response => {
+        if (!response.ok) {
+            throw new Error('Network response was not ok');
+        }
+        return response.json();
+    })
+    .then(data => {
+        if (data.success) {
+            showAlert('Logs cleared successfully', 'success');
+            loadLogs();
+        } else {
+            showAlert(data.message || 'Failed to clear logs', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error clearing logs:', error);
+        showAlert('Error clearing logs. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Load users list
+ */
+function loadUsers() {
+    apiFetch('/api/users')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            const usersList = document.getElementById('users-list');
+            usersList.innerHTML = '';
+            
+            data.users.forEach(user => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${escapeHtml(user.username)}</td>
+                    <td>
+                        <select class="form-select form-select-sm user-role">
+                            ${ROLES.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td>${user.mustChangePassword ? '<span class="badge bg-warning text-dark">Password change pending</span>' : '<span class="badge bg-success">Active</span>'}</td>
+                    <td>
+                        <div class="dns-entry-actions">
+                            <button class="btn btn-sm btn-outline-secondary reset-password" title="Reset password">
+                                <i data-feather="key"></i>
+                            </button>
+                            <button class="btn btn-sm btn-outline-danger delete-user" title="Remove user">
+                                <i data-feather="trash-2"></i>
+                            </button>
+                        </div>
+                    </td>
+                `;
+                
+                row.querySelector('.user-role').addEventListener('change', function() {
+                    updateUser(user.username, { role: this.value });
+                });
+                row.querySelector('.reset-password').addEventListener('click', () => showResetPassword(user.username));
+                row.querySelector('.delete-user').addEventListener('click', () => deleteUser(user.username));
+                usersList.appendChild(row);
+            });
+            
+            feather.replace();
+        })
+        .catch(error => {
+            console.error('Error fetching users:', error);
+            showAlert('Error loading users. Please try again later.', 'danger');
+        });
+}
+
+/**
+ * Add a new user
+ */
+function addUser() {
+    const username = document.getElementById('new-user-name').value.trim();
+    const password = document.getElementById('new-user-password').value;
+    const role = document.getElementById('new-user-role').value;
+    
+    if (!username || !password) {
+        showAlert('Please enter both username and password', 'warning');
+        return;
+    }
+    
+    apiFetch('/api/users', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, password, role }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            const modal = bootstrap.Modal.getInstance(document.getElementById('addUserModal'));
+            modal.hide();
+            document.getElementById('add-user-form').reset();
+            loadUsers();
+            showAlert('User added successfully', 'success');
+        } else {
+            showAlert(data.message || 'Failed to add user', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error adding user:', error);
+        showAlert('Error adding user. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Update a user's role or password
+ */
+function updateUser(username, changes) {
+    return apiFetch(`/api/users/${encodeURIComponent(username)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert('User updated successfully', 'success');
+        } else {
+            showAlert(data.message || 'Failed to update user', 'danger');
+        }
+        loadUsers();
+        return data.success;
+    })
+    .catch(error => {
+        console.error('Error updating user:', error);
+        showAlert('Error updating user. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Show the reset password modal for a user
+ */
+function showResetPassword(username) {
+    document.getElementById('reset-password-user').textContent = username;
+    document.getElementById('reset-password-input').value = '';
+    
+    document.getElementById('reset-password-btn').onclick = function() {
+        const password = document.getElementById('reset-password-input').value;
+        updateUser(username, { password }).then(success => {
+            if (success) {
+                bootstrap.Modal.getInstance(document.getElementById('resetPasswordModal')).hide();
+            }
+        });
+    };
+    
+    const modal = new bootstrap.Modal(document.getElementById('resetPasswordModal'));
+    modal.show();
+}
+
+/**
+ * Remove a user
+ */
+function deleteUser(username) {
+    if (!confirm(`Remove user ${username}?`)) {
+        return;
+    }
+    
+    apiFetch(`/api/users/${encodeURIComponent(username)}`, {
+        method: 'DELETE',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert('User removed successfully', 'success');
+            loadUsers();
+        } else {
+            showAlert(data.message || 'Failed to remove user', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error removing user:', error);
+        showAlert('Error removing user. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Load API tokens list
+ */
+function loadTokens() {
+    apiFetch('/api/tokens')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            const tokensList = document.getElementById('tokens-list');
+            tokensList.innerHTML = '';
+            
+            if (data.tokens.length === 0) {
+                tokensList.innerHTML = `
+                    <tr>
+                        <td colspan="7" class="text-center">No API tokens</td>
+                    </tr>
+                `;
+                return;
+            }
+            
+            data.tokens.forEach(token => {
+                const expired = token.expiresAt && new Date(token.expiresAt) < new Date();
+                let status = '<span class="badge bg-success">Active</span>';
+                if (token.revokedAt) {
+                    status = '<span class="badge bg-secondary">Revoked</span>';
+                } else if (expired) {
+                    status = '<span class="badge bg-warning text-dark">Expired</span>';
+                }
+                
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${escapeHtml(token.name)} <code>${token.prefix}…</code></td>
+                    <td>${token.role}</td>
+                    <td>${new Date(token.createdAt).toLocaleString()}</td>
+                    <td>${token.expiresAt ? new Date(token.expiresAt).toLocaleDateString() : 'Never'}</td>
+                    <td>${token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'Never'}</td>
+                    <td>${status}</td>
+                    <td>
+                        ${token.revokedAt ? '' : `
+                        <button class="btn btn-sm btn-outline-danger revoke-token" title="Revoke token">
+                            <i data-feather="slash"></i>
+                        </button>`}
+                    </td>
+                `;
+                
+                const revokeButton = row.querySelector('.revoke-token');
+                if (revokeButton) {
+                    revokeButton.addEventListener('click', () => revokeToken(token));
+                }
+                tokensList.appendChild(row);
+            });
+            
+            feather.replace();
+        })
+        .catch(error => {
+            console.error('Error fetching tokens:', error);
+            showAlert('Error loading API tokens. Please try again later.', 'danger');
+        });
+}
+
+/**
+ * Create an API token and show its secret once
+ */
+function createToken() {
+    const name = document.getElementById('token-name').value.trim();
+    const role = document.getElementById('token-role').value;
+    const expires = document.getElementById('token-expires').value;
+    
+    if (!name) {
+        showAlert('Please enter a token name', 'warning');
+        return;
+    }
+    
+    apiFetch('/api/tokens', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            name,
+            role,
+            expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : null
+        }),
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            document.getElementById('create-token-form').style.display = 'none';
+            document.getElementById('create-token-btn').style.display = 'none';
+            document.getElementById('created-token-value').value = data.token;
+            document.getElementById('created-token').style.display = 'block';
+            loadTokens();
+        } else {
+            showAlert(data.message || 'Failed to create token', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error creating token:', error);
+        showAlert('Error creating token. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Reset the create token modal once it is closed
+ */
+function resetTokenForm() {
+    const form = document.getElementById('create-token-form');
+    form.reset();
+    form.style.display = 'block';
+    document.getElementById('create-token-btn').style.display = 'inline-block';
+    document.getElementById('created-token-value').value = '';
+    document.getElementById('created-token').style.display = 'none';
+}
+
+/**
+ * Revoke an API token
+ */
+function revokeToken(token) {
+    if (!confirm(`Revoke token ${token.name}? Jobs using it will stop working.`)) {
+        return;
+    }
+    
+    apiFetch(`/api/tokens/${encodeURIComponent(token.id)}`, {
+        method: 'DELETE',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert('Token revoked successfully', 'success');
+            loadTokens();
+        } else {
+            showAlert(data.message || 'Failed to revoke token', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error revoking token:', error);
+        showAlert('Error revoking token. Please try again later.', 'danger');
+    });
+}
+
+// Whether this user may preview and apply pending changes
+let canApplyChanges = false;
+let pendingRefreshTimer = null;
+let confirmCountdown = null;
+
+/**
+ * Check for pending changes shortly, once a burst of saves is over
+ */
+function refreshPendingChanges() {
+    if (!canApplyChanges) {
+        return;
+    }
+    clearTimeout(pendingRefreshTimer);
+    pendingRefreshTimer = setTimeout(loadPendingChanges, 500);
+}
+
+/**
+ * Show whether changes are waiting to be applied or confirmed
+ */
+function loadPendingChanges() {
+    apiFetch('/api/config/preview')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
+        .then(data => {
+            const count = data.pending.length;
+            let text = '';
+            if (count > 0) {
+                text = `${count} pending ${count === 1 ? 'change' : 'changes'} not applied to the DNS service yet`;
+            } else if (data.changed) {
+                text = 'The saved configuration differs from the one the DNS service runs';
+            }
+            document.getElementById('pending-changes-text').textContent = text;
+            document.getElementById('pending-changes').style.display = text ? 'block' : 'none';
+            showConfirmCountdown(data.revert ? data.revert.deadline : null);
+        })
+        .catch(error => {
+            console.error('Error fetching pending changes:', error);
+        });
+}
+
+/**
+ * Count down to the automatic revert of an unconfirmed apply, or hide it
+ */
+function showConfirmCountdown(deadline) {
+    clearInterval(confirmCountdown);
+    const banner = document.getElementById('confirm-changes');
+    if (!deadline) {
+        banner.style.display = 'none';
+        return;
+    }
     
-    // Create settings object
-    const settings = {
-        dnsServer: {
-            port: dnsServerPort,
-            cacheSize: cacheSize,
-            logQueries: logQueries
-        },
-        alternativeDNS: alternativeDNS,
-        webInterface: {
-            port: webPort,
-            enableAuth: enableAuth,
-            username: username
+    const update = () => {
+        const seconds = Math.max(0, Math.round((new Date(deadline) - Date.now()) / 1000));
+        document.getElementById('confirm-countdown').textContent = `${seconds} s`;
+        if (seconds === 0) {
+            clearInterval(confirmCountdown);
+            // Give the server a moment to revert
+            setTimeout(() => {
+                loadPendingChanges();
+                loadDashboardData();
+            }, 2000);
         }
     };
+    banner.style.display = 'block';
+    update();
+    confirmCountdown = setInterval(update, 1000);
+}
+
+/**
+ * Show the pending changes and what they would change in the generated files
+ */
+function previewChanges() {
+    const container = document.getElementById('preview-changes-body');
+    container.innerHTML = '<p class="text-muted">Loading...</p>';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('previewChangesModal')).show();
     
-    // Add password only if it was changed
-    if (password) {
-        settings.webInterface.password = password;
-    }
+    apiFetch('/api/config/preview')
+        .then(response => response.json())
+        .then(data => {
+            if (!data.files) {
+                container.innerHTML = `<div class="alert alert-danger">${escapeHtml(data.message || 'Failed to load the pending changes')}</div>`;
+                return;
+            }
+            
+            const pending = data.pending.length === 0
+                ? '<p class="text-muted">No changes are listed as pending.</p>'
+                : `<ul>${data.pending.map(change => `
+                    <li>${escapeHtml(change.message)} <small class="text-muted">${escapeHtml(change.author)}, ${new Date(change.time).toLocaleString()}</small></li>
+                `).join('')}</ul>`;
+            const files = data.files.map(file => `
+                <h6>${escapeHtml(file.name)} ${file.diff
+                    ? `<small class="text-success">+${file.added}</small> <small class="text-danger">-${file.removed}</small>`
+                    : '<small class="text-muted">unchanged</small>'}</h6>
+                ${file.diff ? `<pre class="diff-view">${renderDiff(file.diff)}</pre>` : ''}
+                <details class="mb-3">
+                    <summary class="small">Show the whole file</summary>
+                    <pre class="diff-view">${file.content.split('\n').map(line => `<div class="diff-line">${escapeHtml(line)}</div>`).join('')}</pre>
+                </details>
+            `).join('');
+            container.innerHTML = `${pending}${files}`;
+        })
+        .catch(error => {
+            console.error('Error previewing changes:', error);
+            container.innerHTML = '<div class="alert alert-danger">Error loading the pending changes. Please try again later.</div>';
+        });
+}
+
+/**
+ * Apply every pending change, optionally reverting unless confirmed
+ */
+function applyChanges() {
+    const waitForConfirmation = document.getElementById('apply-confirm').checked;
+    const confirmSeconds = waitForConfirmation ? numberInput(document.getElementById('apply-confirm-seconds')) : 0;
     
-    // Save settings
-    fetch('/api/settings', {
+    apiFetch('/api/config/apply', {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
         },
-        body: JSON.stringify(settings),
+        body: JSON.stringify({ confirmSeconds }),
     })
-    .then(response => {
-        if (!response.ok) {
-            throw new Error('Network response was not ok');
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            bootstrap.Modal.getInstance(document.getElementById('previewChangesModal')).hide();
+            showAlert(data.confirmBy
+                ? 'Changes applied. Check that names still resolve, then keep the changes.'
+                : 'Changes applied successfully', 'success');
+            loadDashboardData();
+        } else {
+            showAlert(data.message || 'Failed to apply the changes', 'danger');
         }
-        return response.json();
     })
+    .catch(error => {
+        console.error('Error applying changes:', error);
+        showAlert('Error applying changes. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Keep a configuration applied with a deadline
+ */
+function confirmChanges() {
+    apiFetch('/api/config/confirm', {
+        method: 'POST',
+    })
+    .then(response => response.json())
     .then(data => {
         if (data.success) {
-            showAlert('Settings saved successfully. The DNS service is restarting.', 'success');
-            
-            // Reload settings and dashboard after a short delay
-            setTimeout(() => {
-                loadSettingsData();
-                loadDashboardData();
-            }, 2000);
+            showAlert('Changes kept', 'success');
         } else {
-            showAlert(data.message || 'Failed to save settings', 'danger');
+            showAlert(data.message || 'Failed to keep the changes', 'danger');
         }
     })
     .catch(error => {
-        console.error('Error saving settings:', error);
-        showAlert('Error saving settings. Please try again later.', 'danger');
+        console.error('Error confirming changes:', error);
+        showAlert('Error keeping the changes. Please try again later.', 'danger');
     });
 }
 
 /**
- * Load logs
+ * Restore the configuration live before an unconfirmed apply
  */
-function loadLogs() {
-    // Load DNS logs
-    fetch('/api/logs/dns')
-        .then(response => response.text())
+function revertChanges() {
+    apiFetch('/api/config/revert', {
+        method: 'POST',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert(data.message, 'success');
+            loadDashboardData();
+        } else {
+            showAlert(data.message || 'Failed to revert the changes', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error reverting changes:', error);
+        showAlert('Error reverting the changes. Please try again later.', 'danger');
+    });
+}
+
+// Revisions shown per page of the configuration history
+const HISTORY_PAGE_SIZE = 50;
+let historyShown = 0;
+
+/**
+ * Load the configuration history, or with more, the next page of it
+ */
+function loadHistory(more = false) {
+    const offset = more ? historyShown : 0;
+    apiFetch(`/api/config/history?limit=${HISTORY_PAGE_SIZE}&offset=${offset}`)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
         .then(data => {
-            document.getElementById('dns-logs-content').textContent = data || 'No DNS logs available';
+            const historyList = document.getElementById('history-list');
+            if (!more) {
+                historyList.innerHTML = '';
+            }
+            historyShown = offset + data.revisions.length;
+            document.getElementById('history-more').style.display = historyShown < data.total ? 'inline-block' : 'none';
+            
+            if (data.total === 0) {
+                historyList.innerHTML = `
+                    <tr>
+                        <td colspan="6" class="text-center">No revisions yet</td>
+                    </tr>
+                `;
+                return;
+            }
+            
+            data.revisions.forEach((revision, index) => {
+                const latest = offset + index === 0;
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${revision.rev}${latest ? ' <span class="badge bg-success">Current</span>' : ''}</td>
+                    <td>${new Date(revision.time).toLocaleString()}</td>
+                    <td>${escapeHtml(revision.author)}</td>
+                    <td>${escapeHtml(revision.message)}</td>
+                    <td>${revision.changed.map(name => `<code>${escapeHtml(name)}</code>`).join(', ')}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-secondary show-diff" title="Show changes">
+                            <i data-feather="git-commit"></i>
+                        </button>
+                        ${latest ? '' : `
+                        <button class="btn btn-sm btn-outline-warning rollback-revision" title="Roll back to this revision">
+                            <i data-feather="rotate-ccw"></i>
+                        </button>`}
+                    </td>
+                `;
+                
+                row.querySelector('.show-diff').addEventListener('click', () => showRevisionDiff(revision));
+                const rollbackButton = row.querySelector('.rollback-revision');
+                if (rollbackButton) {
+                    rollbackButton.addEventListener('click', () => rollbackRevision(revision));
+                }
+                historyList.appendChild(row);
+            });
+            
+            feather.replace();
         })
         .catch(error => {
-            console.error('Error loading DNS logs:', error);
-            document.getElementById('dns-logs-content').textContent = 'Error loading DNS logs';
+            console.error('Error fetching configuration history:', error);
+            showAlert('Error loading the configuration history. Please try again later.', 'danger');
         });
+}
+
+/**
+ * Render a unified diff with added and removed lines colored
+ */
+function renderDiff(diff) {
+    return diff.split('\n').filter(line => line).map(line => {
+        let type = '';
+        if (line.startsWith('@@')) {
+            type = 'diff-hunk';
+        } else if (line.startsWith('+') && !line.startsWith('+++')) {
+            type = 'diff-added';
+        } else if (line.startsWith('-') && !line.startsWith('---')) {
+            type = 'diff-removed';
+        }
+        return `<div class="diff-line ${type}">${escapeHtml(line)}</div>`;
+    }).join('');
+}
+
+/**
+ * Show what a revision changed compared with the one before it
+ */
+function showRevisionDiff(revision) {
+    const container = document.getElementById('history-diff');
+    document.getElementById('historyDiffModalLabel').textContent = `Revision ${revision.rev}: ${revision.message}`;
+    container.innerHTML = '<p class="text-muted">Loading...</p>';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('historyDiffModal')).show();
     
-    // Load access logs
-    fetch('/api/logs/access')
-        .then(response => response.text())
+    apiFetch(`/api/config/history/${revision.rev}/diff`)
+        .then(response => response.json())
         .then(data => {
-            document.getElementById('access-logs-content').textContent = data || 'No access logs available';
+            if (!data.files) {
+                container.innerHTML = `<div class="alert alert-danger">${escapeHtml(data.message || 'Failed to load the changes')}</div>`;
+                return;
+            }
+            if (data.files.length === 0) {
+                container.innerHTML = '<p class="text-muted">Nothing changed in this revision.</p>';
+                return;
+            }
+            
+            const against = data.against === null ? 'the empty configuration' : `revision ${data.against}`;
+            container.innerHTML = `<p class="text-muted">Compared with ${against}</p>` + data.files.map(file => `
+                <h6>${escapeHtml(file.name)} <small class="text-success">+${file.added}</small> <small class="text-danger">-${file.removed}</small></h6>
+                <pre class="diff-view">${renderDiff(file.diff)}</pre>
+            `).join('');
         })
         .catch(error => {
-            console.error('Error loading access logs:', error);
-            document.getElementById('access-logs-content').textContent = 'Error loading access logs';
+            console.error('Error fetching revision diff:', error);
+            container.innerHTML = '<div class="alert alert-danger">Error loading the changes. Please try again later.</div>';
         });
+}
+
+/**
+ * Restore the settings and domain rules of a revision
+ */
+function rollbackRevision(revision) {
+    if (!confirm(`Roll back to revision ${revision.rev} (${revision.message})? Its settings and domain rules replace the current ones.`)) {
+        return;
+    }
     
-    // Load error logs
-    fetch('/api/logs/error')
-        .then(response => response.text())
+    apiFetch(`/api/config/rollback/${revision.rev}`, {
+        method: 'POST',
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.success) {
+            showAlert(data.message, 'success');
+            loadHistory();
+            loadSettingsData();
+            loadDomainsList();
+            loadGroups();
+        } else {
+            showAlert(data.message || 'Failed to roll back', 'danger');
+        }
+    })
+    .catch(error => {
+        console.error('Error rolling back:', error);
+        showAlert('Error rolling back. Please try again later.', 'danger');
+    });
+}
+
+// What the sections of a restore preview list, by name
+const RESTORE_SECTIONS = {
+    domains: 'Domain rules',
+    groups: 'Groups',
+    users: 'Users',
+    tokens: 'API tokens',
+    clients: 'Clients',
+    policies: 'Policies',
+    subscriptions: 'Subscriptions'
+};
+// The backup a restore preview was made from: { file } or { backup }
+let restoreSource = null;
+
+/**
+ * Load the backups saved in data/backups
+ */
+function loadBackups() {
+    apiFetch('/api/backups')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('Network response was not ok');
+            }
+            return response.json();
+        })
         .then(data => {
-            document.getElementById('error-logs-content').textContent = data || 'No error logs available';
+            const backupsList = document.getElementById('backups-list');
+            backupsList.innerHTML = '';
+            
+            if (data.backups.length === 0) {
+                backupsList.innerHTML = `
+                    <tr>
+                        <td colspan="4" class="text-center">No saved backups</td>
+                    </tr>
+                `;
+                return;
+            }
+            
+            data.backups.forEach(backup => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td><code>${escapeHtml(backup.name)}</code></td>
+                    <td>${new Date(backup.createdAt).toLocaleString()}</td>
+                    <td>${formatSize(backup.size)}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-secondary download-saved-backup" title="Download">
+                            <i data-feather="download"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-warning restore-saved-backup" title="Restore">
+                            <i data-feather="rotate-ccw"></i>
+                        </button>
+                    </td>
+                `;
+                
+                row.querySelector('.download-saved-backup').addEventListener('click', () => downloadFile(`/api/backups/${encodeURIComponent(backup.name)}`));
+                row.querySelector('.restore-saved-backup').addEventListener('click', () => previewRestore({ backup: backup.name }));
+                backupsList.appendChild(row);
+            });
+            
+            feather.replace();
         })
         .catch(error => {
-            console.error('Error loading error logs:', error);
-            document.getElementById('error-logs-content').textContent = 'Error loading error logs';
+            console.error('Error fetching backups:', error);
+            showAlert('Error loading the saved backups. Please try again later.', 'danger');
         });
 }
 
 /**
- * Clear logs
+ * Format a number of bytes for display
  */
-function clearLogs() {
-    fetch('/api/logs/clear', {
+function formatSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Download a file from the API under the name the server gives it
+ */
+function downloadFile(url) {
+    apiFetch(url)
+        .then(response => {
+            if (!response.ok) {
+                return response.json().then(data => {
+                    throw new Error(data.message || 'Download failed');
+                });
+            }
+            const match = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            return response.blob().then(blob => {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = match ? match[1] : 'smart-dns-proxy-backup.json.gz';
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            });
+        })
+        .catch(error => {
+            console.error('Error downloading backup:', error);
+            showAlert(`Error downloading the backup: ${escapeHtml(error.message)}`, 'danger');
+        });
+}
+
+/**
+ * Download a backup, including statistics and logs as set for scheduled backups
+ */
+function downloadBackup() {
+    const include = [];
+    if (document.getElementById('backup-include-stats').checked) {
+        include.push('stats');
+    }
+    if (document.getElementById('backup-include-logs').checked) {
+        include.push('logs');
+    }
+    downloadFile(`/api/backup${include.length > 0 ? `?include=${include.join(',')}` : ''}`);
+}
+
+/**
+ * Save a backup to data/backups now
+ */
+function saveBackup() {
+    apiFetch('/api/backups', {
         method: 'POST',
     })
-    .then(response => {
-        if (!response.ok) {
-            throw new Error('Network response was not ok');
-        }
-        return response.json();
-    })
+    .then(response => response.json())
     .then(data => {
         if (data.success) {
-            showAlert('Logs cleared successfully', 'success');
-            loadLogs();
+            showAlert(data.message, 'success');
+            loadBackups();
         } else {
-            showAlert(data.message || 'Failed to clear logs', 'danger');
+            showAlert(data.message || 'Failed to save the backup', 'danger');
         }
     })
     .catch(error => {
-        console.error('Error clearing logs:', error);
-        showAlert('Error clearing logs. Please try again later.', 'danger');
+        console.error('Error saving backup:', error);
+        showAlert('Error saving the backup. Please try again later.', 'danger');
+    });
+}
+
+/**
+ * Preview restoring the chosen backup file
+ */
+function readRestoreFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) {
+        previewRestore({ file });
+    }
+}
+
+/**
+ * Send a backup to be checked, or with apply, restored
+ */
+function restoreRequest(source, apply) {
+    const query = new URLSearchParams();
+    if (source.backup) {
+        query.set('backup', source.backup);
+    }
+    if (apply) {
+        query.set('apply', 'true');
+    }
+    return apiFetch(`/api/restore?${query}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/octet-stream',
+        },
+        body: source.file,
+    })
+    .then(response => response.json());
+}
+
+/**
+ * Show what restoring a backup would change
+ */
+function previewRestore(source) {
+    const container = document.getElementById('restore-preview');
+    const applyButton = document.getElementById('apply-restore-btn');
+    restoreSource = source;
+    applyButton.disabled = true;
+    container.innerHTML = '<p class="text-muted">Checking the backup...</p>';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('restoreBackupModal')).show();
+    
+    restoreRequest(source, false)
+        .then(data => {
+            if (!data.success) {
+                const errors = (data.errors || []).map(({ field, message }) => `<li><code>${escapeHtml(field)}</code> ${escapeHtml(message)}</li>`).join('');
+                container.innerHTML = `<div class="alert alert-danger">${escapeHtml(data.errors ? 'The backup has problems and can\'t be restored' : data.message || 'Failed to read the backup')}${errors ? `<ul class="mb-0 mt-2">${errors}</ul>` : ''}</div>`;
+                return;
+            }
+            container.innerHTML = renderRestorePreview(data);
+            applyButton.disabled = false;
+        })
+        .catch(error => {
+            console.error('Error checking backup:', error);
+            container.innerHTML = '<div class="alert alert-danger">Error checking the backup. Please try again later.</div>';
+        });
+}
+
+/**
+ * Describe the changes a restore would make
+ */
+function renderRestorePreview(data) {
+    const { changes } = data;
+    const made = data.createdAt ? new Date(data.createdAt).toLocaleString() : 'an unknown date';
+    const replaced = data.files.filter(name => !data.unchanged.includes(name));
+    const fileList = names => names.map(name => `<code>${escapeHtml(name)}</code>`).join(', ');
+    let html = `<p class="text-muted">Backup from ${escapeHtml(made)}${data.appVersion ? `, made by version ${escapeHtml(data.appVersion)}` : ''}. ${replaced.length > 0 ? `It replaces ${fileList(replaced)}.` : 'It matches what is saved now.'}${data.unchanged.length > 0 ? ` ${fileList(data.unchanged)} ${data.unchanged.length === 1 ? 'is' : 'are'} unchanged.` : ''}</p>`;
+    
+    if (data.warnings.length > 0) {
+        html += `<div class="alert alert-warning">${data.warnings.map(escapeHtml).join('<br>')}</div>`;
+    }
+    
+    if (changes.settings) {
+        html += `<h6>Settings <span class="badge bg-primary">${changes.settings.length}</span></h6>`;
+        html += changes.settings.length === 0 ? '<p class="small text-muted">No settings change</p>' : `
+            <table class="table table-sm small">
+                <thead><tr><th>Setting</th><th>Now</th><th>Restored</th></tr></thead>
+                <tbody>
+                    ${changes.settings.map(change => `
+                        <tr>
+                            <td><code>${escapeHtml(change.field)}</code></td>
+                            <td>${escapeHtml(JSON.stringify(change.from))}</td>
+                            <td>${escapeHtml(JSON.stringify(change.to))}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+    
+    Object.entries(RESTORE_SECTIONS).filter(([key]) => changes[key]).forEach(([key, title]) => {
+        const { added, removed, changed } = changes[key];
+        const list = (label, className, items) => items.length === 0 ? '' : `
+            <li><span class="badge ${className}">${items.length} ${label}</span> ${items.map(item => `<code>${escapeHtml(String(item))}</code>`).join(', ')}</li>`;
+        html += `<h6>${title}</h6>`;
+        html += added.length + removed.length + changed.length === 0
+            ? '<p class="small text-muted">No changes</p>'
+            : `<ul class="list-unstyled small" style="max-height: 10rem; overflow-y: auto;">
+                ${list('added', 'bg-success', added)}${list('removed', 'bg-danger', removed)}${list('changed', 'bg-primary', changed)}
+            </ul>`;
     });
+    
+    if (changes.stats) {
+        html += '<p class="small">The query statistics are replaced by the ones in the backup.</p>';
+    }
+    if (changes.logs.length > 0) {
+        html += `<p class="small">The ${changes.logs.map(escapeHtml).join(', ')} logs in the backup are added to the rotated logs.</p>`;
+    }
+    return html;
+}
+
+/**
+ * Restore the previewed backup
+ */
+function applyRestore() {
+    if (!restoreSource) {
+        return;
+    }
+    const applyButton = document.getElementById('apply-restore-btn');
+    applyButton.disabled = true;
+    
+    restoreRequest(restoreSource, true)
+        .then(data => {
+            if (!data.success) {
+                showAlert(data.message || 'Failed to restore the backup', 'danger');
+                applyButton.disabled = false;
+                return;
+            }
+            bootstrap.Modal.getInstance(document.getElementById('restoreBackupModal')).hide();
+            restoreSource = null;
+            showAlert(data.message, 'success');
+            loadSettingsData();
+            loadDashboardData();
+            loadDomainsList();
+            loadGroups();
+            loadSubscriptions();
+            loadClients();
+            loadUsers();
+            loadTokens();
+            loadHistory();
+        })
+        .catch(error => {
+            console.error('Error restoring backup:', error);
+            showAlert('Error restoring the backup. Please try again later.', 'danger');
+            applyButton.disabled = false;
+        });
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // innerHTML leaves quotes alone, which matters inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
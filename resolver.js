@@ -0,0 +1,316 @@
+/**
+ * DNS Resolver
+ *
+ * Routing and forwarding logic for the built-in DNS server.
+ * Each query is matched against the domain rules (see rules.js for the
+ * rule types and their precedence) and forwarded to that rule's
+ * resolveVia upstreams, or to the alternativeDNS pool when no rule
+ * matches or the matching rule is an exclusion. Which of several
+ * upstreams goes first depends on the strategy (see strategies.js), and
+ * the others are tried in turn when it fails. Upstreams may be plain DNS
+ * servers, DNS-over-HTTPS URLs or DNS-over-TLS servers (see upstreams.js).
+ * Rules with filterAAAA answer IPv6 address queries with no records.
+ *
+ * Clients with a policy (see clients.js) get their own set of rules and
+ * default upstreams; everyone else gets the global ones.
+ *
+ * Every upstream query is counted in stats.js. Answers are counted when
+ * this is the server clients talk to; behind dnsmasq, dnsmasq's log
+ * counts them instead.
+ */
+
+const logger = require('./logger').child('dns');
+const dnspacket = require('./dnspacket');
+const upstreams = require('./upstreams');
+const domainRules = require('./rules');
+const clients = require('./clients');
+const strategies = require('./strategies');
+const stats = require('./stats');
+
+const MIN_CACHE_TTL = 5;
+const MAX_CACHE_TTL = 3600;
+const TYPE_AAAA = 28;
+
+// Active routing state, replaced on every reload
+let defaultRoute = { rules: [], upstreams: [], strategy: 'order' };
+let policyRoutes = new Map();
+let clientMatcher = clients.compile({ clients: [], policies: [] });
+let logQueries = true;
+let countQueries = true;
+let cacheSize = 0;
+let dohMethod = 'POST';
+let tlsFallback = 'none';
+const cache = new Map();
+
+/**
+ * Compile the rules and default upstreams of one policy, or of the global routing
+ */
+function buildRoute(domains, defaults, strategy) {
+    return { rules: domainRules.compile(domains), upstreams: defaults, strategy };
+}
+
+/**
+ * Load routing rules from the application configuration
+ */
+function loadRules(appConfig, domainList, clientStore = { clients: [], policies: [] }) {
+    const domains = domainList.domains || [];
+    const strategy = appConfig.alternativeStrategy || 'order';
+    defaultRoute = buildRoute(domains, appConfig.alternativeDNS || [], strategy);
+
+    // A policy leaves out the groups it doesn't list
+    policyRoutes = new Map(clientStore.policies.map(policy => [policy.id, buildRoute(
+        policy.groups ? domains.filter(item => !item.group || policy.groups.includes(item.group)) : domains,
+        policy.alternativeDNS.length > 0 ? policy.alternativeDNS : defaultRoute.upstreams,
+        strategy
+    )]));
+    clientMatcher = clients.compile(clientStore);
+
+    logQueries = appConfig.dnsServer.logQueries !== false;
+    countQueries = appConfig.dnsServer.mode === 'builtin';
+    cacheSize = Math.max(0, parseInt(appConfig.dnsServer.cacheSize, 10) || 0);
+    dohMethod = appConfig.dnsServer.dohMethod === 'GET' ? 'GET' : 'POST';
+    tlsFallback = appConfig.dnsServer.tlsFallback === 'plain' ? 'plain' : 'none';
+    cache.clear();
+
+    logger.info(`Resolver loaded ${defaultRoute.rules.length} domain rules, ${defaultRoute.upstreams.length} default upstreams and ${policyRoutes.size} client policies`);
+}
+
+/**
+ * Find the rule matching a query name, using the global rules unless a
+ * client's route is given
+ */
+function findRule(name, route = defaultRoute) {
+    return domainRules.findMatch(route.rules, name);
+}
+
+/**
+ * Get the upstreams and strategy for the rule a query matched (or null for no rule)
+ */
+function getCandidates(route, rule) {
+    return rule && domainRules.hasUpstream(rule)
+        ? { upstreams: rule.resolveVia, strategy: rule.strategy }
+        : { upstreams: route.upstreams, strategy: route.strategy };
+}
+
+/**
+ * Get the upstreams to try for a query, in the order its strategy picks
+ */
+function getUpstreams(route, rule) {
+    const candidates = getCandidates(route, rule);
+    return strategies.order(candidates.upstreams, candidates.strategy);
+}
+
+/**
+ * Check whether an address is the local machine
+ */
+function isLoopback(address) {
+    return address.startsWith('127.') || address === '::1';
+}
+
+/**
+ * Work out who sent a query and which routing applies to them
+ *
+ * dnsmasq forwards queries from loopback with the real client's address
+ * and MAC in EDNS options (add-subnet and add-mac, see dnsconfig.js).
+ * Those are read here and removed from the packet before it goes
+ * upstream. DNS-over-HTTPS requests may come through a local proxy, so
+ * their options are never trusted. The built-in server looks MAC
+ * addresses up in the ARP table.
+ */
+async function identifyClient(packet, from, transport) {
+    let address = clients.normalizeAddress(from);
+    let mac = null;
+
+    if (transport !== 'https' && isLoopback(address)) {
+        const info = dnspacket.getClientInfo(packet);
+        if (info.address || info.mac) {
+            address = info.address || address;
+            mac = info.mac;
+            packet = dnspacket.stripEdnsOptions(packet, [dnspacket.OPTION_CLIENT_SUBNET, dnspacket.OPTION_MAC]);
+        }
+    }
+    if (!mac && clientMatcher.needsMac) {
+        mac = await clients.lookupMac(address);
+    }
+
+    const match = address ? clientMatcher.identify(address, mac) : null;
+    const route = match && match.policy ? policyRoutes.get(match.policy.id) : null;
+    return {
+        packet,
+        label: match ? `${address} (${match.client.name})` : address || 'unknown',
+        client: match ? match.client.name : address || 'unknown',
+        policy: route ? match.policy.id : null,
+        route: route || defaultRoute
+    };
+}
+
+/**
+ * Describe how a name is routed for a client, for debugging
+ */
+function describeRoute(name, address) {
+    const normalized = name.toLowerCase().replace(/\.$/, '');
+    const match = address ? clientMatcher.identify(address, null) : null;
+    const route = match && match.policy ? policyRoutes.get(match.policy.id) || defaultRoute : defaultRoute;
+    const rule = findRule(normalized, route);
+    const candidates = getCandidates(route, rule);
+    return {
+        client: match ? match.client.name : null,
+        policy: match && match.policy ? match.policy.name : null,
+        rule: rule ? rule.domain : null,
+        type: rule ? rule.type : null,
+        upstreams: candidates.upstreams,
+        strategy: candidates.strategy,
+        filterAAAA: rule ? rule.filterAAAA : false
+    };
+}
+
+/**
+ * Look up a cached response for a question
+ */
+function getCached(key, id) {
+    const entry = cache.get(key);
+    if (!entry) {
+        return null;
+    }
+    if (entry.expires < Date.now()) {
+        cache.delete(key);
+        return null;
+    }
+    // Refresh position so the least recently used entry is evicted first
+    cache.delete(key);
+    cache.set(key, entry);
+    return dnspacket.withId(entry.response, id);
+}
+
+/**
+ * Get how many answers are cached and how many can be
+ */
+function getCacheStatus() {
+    return { entries: cache.size, capacity: cacheSize };
+}
+
+/**
+ * Store a response in the cache
+ */
+function setCached(key, response) {
+    if (cacheSize === 0 || dnspacket.getRcode(response) !== dnspacket.RCODE.NOERROR) {
+        return;
+    }
+    const ttl = dnspacket.getMinTtl(response);
+    if (ttl === null) {
+        return;
+    }
+    const seconds = Math.min(Math.max(ttl, MIN_CACHE_TTL), MAX_CACHE_TTL);
+    cache.set(key, { response, expires: Date.now() + seconds * 1000 });
+    if (cache.size > cacheSize) {
+        cache.delete(cache.keys().next().value);
+    }
+}
+
+/**
+ * Count an answered query, unless dnsmasq is counting it
+ */
+function recordAnswer({ query, source, rule, transport, started }, answer, rcode, upstream = null) {
+    if (countQueries || transport === 'https') {
+        stats.recordQuery({
+            name: query.name,
+            client: source.client,
+            answer,
+            rcode,
+            upstream,
+            rule: rule ? rule.domain : null,
+            duration: Date.now() - started
+        });
+    }
+}
+
+/**
+ * Get the name of a response code for the statistics
+ */
+function rcodeName(response) {
+    const rcode = dnspacket.getRcode(response);
+    return Object.keys(dnspacket.RCODE).find(name => dnspacket.RCODE[name] === rcode) || String(rcode);
+}
+
+/**
+ * Resolve a raw DNS query and return the raw response
+ *
+ * Never throws: failures are answered with SERVFAIL.
+ */
+async function resolve(packet, options = {}) {
+    const started = Date.now();
+    let query;
+    try {
+        query = dnspacket.parseQuery(packet);
+    } catch (err) {
+        logger.warn(`Dropping malformed DNS query: ${err.message}`);
+        return dnspacket.buildErrorResponse(packet, dnspacket.RCODE.FORMERR);
+    }
+
+    const label = `${query.name} ${dnspacket.typeName(query.type)}`;
+    const source = await identifyClient(packet, options.client, options.transport);
+
+    const rule = findRule(query.name, source.route);
+    const answered = { query, source, rule, transport: options.transport, started };
+
+    // Keep IPv6 addresses from leaking where geo-checks would see them
+    if (rule && rule.filterAAAA && query.type === TYPE_AAAA) {
+        if (logQueries) {
+            logger.dnsQuery(label, 'filtered', source.label);
+        }
+        recordAnswer(answered, 'local', 'NOERROR');
+        return dnspacket.buildErrorResponse(packet, dnspacket.RCODE.NOERROR);
+    }
+
+    // Policies can route the same name differently, so they don't share answers
+    const cacheKey = `${source.policy || ''}|${query.name}|${query.type}|${query.qclass}`;
+
+    const cached = getCached(cacheKey, query.id);
+    if (cached) {
+        if (logQueries) {
+            logger.dnsQuery(label, 'cache', source.label);
+        }
+        recordAnswer(answered, 'cache', rcodeName(cached));
+        return cached;
+    }
+
+    const candidates = getUpstreams(source.route, rule);
+
+    for (const upstream of candidates) {
+        const sent = Date.now();
+        try {
+            const response = await upstreams.query(upstream, source.packet, {
+                transport: options.transport,
+                dohMethod,
+                tlsFallback
+            });
+            const latency = Date.now() - sent;
+            strategies.recordLatency(upstream, latency);
+            stats.recordUpstream(upstream, { ok: true, latency });
+            setCached(cacheKey, response);
+            if (logQueries) {
+                logger.dnsQuery(label, upstream, source.label);
+            }
+            recordAnswer(answered, 'upstream', rcodeName(response), upstream);
+            return response;
+        } catch (err) {
+            strategies.recordFailure(upstream);
+            stats.recordUpstream(upstream, { ok: false });
+            logger.warn(`Upstream ${upstream} failed for ${label}: ${err.message}`);
+        }
+    }
+
+    if (logQueries) {
+        logger.dnsQuery(label, 'SERVFAIL', source.label);
+    }
+    recordAnswer(answered, 'upstream', 'SERVFAIL');
+    return dnspacket.buildErrorResponse(packet, dnspacket.RCODE.SERVFAIL);
+}
+
+module.exports = {
+    loadRules,
+    findRule,
+    describeRoute,
+    getCacheStatus,
+    resolve
+};
@@ -13,99 +13,83 @@ const util = require('util');
 const execPromise = util.promisify(exec);
 const config = require('../config');
 const dnsconfig = require('../dnsconfig');
-const logger = require('../logger');
+const dnsserver = require('../dnsserver');
+const dnsmasq = require('../dnsmasq');
+const upstreams = require('../upstreams');
+const rules = require('../rules');
+const domainlists = require('../domainlists');
+const groups = require('../groups');
+const subscriptions = require('../subscriptions');
+const clients = require('../clients');
+const healthcheck = require('../healthcheck');
+const strategies = require('../strategies');
+const stats = require('../stats');
+const resolver = require('../resolver');
+const logfiles = require('../logfiles');
+const settingsSchema = require('../settings');
+const logger = require('../logger').child('api');
+const { requireRole } = require('../auth');
+
+// Live log streams send new lines this often, holding at most this many
+const LOG_STREAM_INTERVAL = 250;
+const LOG_STREAM_BUFFER = 1000;
 
 /**
  * GET /api/status
  * Returns the current status of the DNS server
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requireRole('viewer'), async (req, res) => {
     try {
-        // In Replit environment we simulate DNS service status
-        // Check for the configuration file to determine if the service is "running"
-        let running = false;
-        try {
-            const configFilePath = path.join(__dirname, '../data/dns_config/smartdns.conf');
-            await fs.access(configFilePath);
-            running = true;
-        } catch (err) {
-            // Config file doesn't exist, we'll set running to false
-        }
+        const appConfig = await config.getConfig();
+        const builtin = appConfig.dnsServer.mode === 'builtin';
+        
+        // Both engines report their own process state
+        const engineStatus = builtin ? dnsserver.getStatus() : dnsmasq.getStatus();
+        const running = engineStatus.running;
         
         // Get domain count
         const domainList = await config.getDomainList();
         const domainCount = domainList.domains ? domainList.domains.length : 0;
         
-        // Set simulated DNS version for Replit
-        const version = 'Smart DNS Proxy v1.0';
+        const version = builtin ? 'Smart DNS Proxy v1.0 (built-in server)' : await dnsmasq.getVersion();
         
-        // Get server uptime - in Replit we simulate this
-        const startTime = new Date(Date.now() - (Math.floor(Math.random() * 48) + 1) * 3600000); // Random between 1-48 hours
-        const uptime = `Running since ${startTime.toLocaleString()}`;
+        const uptime = running && engineStatus.startedAt
+            ? `Running since ${new Date(engineStatus.startedAt).toLocaleString()}`
+            : 'Not running';
         
         // Get last configuration update time
         let lastUpdate = 'Unknown';
         try {
-            const stats = await fs.stat(path.join(__dirname, '../data/config.json'));
-            lastUpdate = new Date(stats.mtime).toLocaleString();
+            const fileStats = await fs.stat(path.join(__dirname, '../data/config.json'));
+            lastUpdate = new Date(fileStats.mtime).toLocaleString();
         } catch (err) {
             logger.error(`Failed to get last update time: ${err.message}`);
         }
         
-        // Get query count from logs
-        let queryCount = 0;
-        try {
-            // Create logs directory if it doesn't exist
-            const logsDir = path.join(__dirname, '../logs');
-            await fs.mkdir(logsDir, { recursive: true });
-            
-            // Try to read the log file, create it if it doesn't exist
-            let logContent = '';
-            try {
-                logContent = await fs.readFile(path.join(logsDir, 'dns.log'), 'utf8');
-            } catch (err) {
-                await fs.writeFile(path.join(logsDir, 'dns.log'), '');
-            }
-            
-            const lines = logContent.split('\n');
-            queryCount = lines.filter(line => line.includes('DNS QUERY:')).length;
-            
-            // Add a few simulated queries for demonstration
-            if (queryCount === 0) {
-                const simulatedQueries = [
-                    `[${new Date(Date.now() - 3600000).toISOString()}] DNS QUERY: netflix.com -> 1.1.1.1`,
-                    `[${new Date(Date.now() - 1800000).toISOString()}] DNS QUERY: spotify.com -> 8.8.8.8`,
-                    `[${new Date(Date.now() - 900000).toISOString()}] DNS QUERY: hulu.com -> 1.1.1.1`
-                ];
-                await fs.writeFile(path.join(logsDir, 'dns.log'), simulatedQueries.join('\n') + '\n');
-                queryCount = simulatedQueries.length;
-            }
-        } catch (err) {
-            logger.error(`Failed to count DNS queries: ${err.message}`);
-        }
-        
-        // Get cache entries from config
-        let cacheEntries = 0;
-        try {
-            const appConfig = await config.getConfig();
-            cacheEntries = appConfig.dnsServer.cacheSize;
-        } catch (err) {
-            logger.error(`Failed to get cache entries: ${err.message}`);
-        }
+        // Count today's queries and see how full the built-in cache is
+        const queryCount = stats.getStats({ limit: 0 }).today.queries;
+        const cache = resolver.getCacheStatus();
         
         // Get DNS server port
-        const appConfig = await config.getConfig();
         const port = appConfig.dnsServer.port;
         
         res.json({
             running,
+            engine: builtin ? 'builtin' : 'dnsmasq',
+            pid: builtin ? process.pid : engineStatus.pid,
+            lastExit: engineStatus.lastExit || null,
+            lastReload: engineStatus.lastReload || null,
+            lastError: engineStatus.lastError || null,
+            forwarder: builtin ? null : dnsserver.getStatus(),
             version,
             port,
             uptime,
             lastUpdate,
             domainCount,
             queryCount,
-            cacheEntries
+            cacheSize: appConfig.dnsServer.cacheSize,
+            // dnsmasq doesn't report its cache, only the built-in server's is known
+            cacheEntries: builtin ? cache.entries : null
         });
     } catch (error) {
         logger.error(`Error in /api/status: ${error.message}`);
@@ -117,14 +101,71 @@ router.get('/status', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/stats
+ * Returns the query statistics: totals, per minute, hour and day series,
+ * the most queried names and busiest clients, and per-upstream counters
+ *
+ * Query: limit, the number of top names and clients (default 10, up to 100)
+ */
+router.get('/stats', requireRole('viewer'), async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+        if (!Number.isInteger(limit) || limit < 0 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'limit must be between 0 and 100'
+            });
+        }
+        
+        res.json(stats.getStats({ limit }));
+    } catch (error) {
+        logger.error(`Error in /api/stats: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get statistics',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/upstreams
+ * Returns the health of every upstream in use and where failed ones fail over to
+ */
+router.get('/upstreams', requireRole('viewer'), async (req, res) => {
+    try {
+        const appConfig = await config.getConfig();
+        const domainList = await subscriptions.getEffectiveDomainList();
+        
+        res.json(healthcheck.getStatus(appConfig, domainList, await clients.getStore()));
+    } catch (error) {
+        logger.error(`Error in /api/upstreams: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get upstream health',
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/domains
  * Returns the list of configured domains
  */
-router.get('/domains', async (req, res) => {
+router.get('/domains', requireRole('operator'), async (req, res) => {
     try {
         const domainList = await config.getDomainList();
-        res.json(domainList);
+        
+        // Fill in group DNS servers and tell the UI which protocols the upstreams use
+        const resolved = groups.resolveDomains(domainList).map((item, index) => ({
+            ...item,
+            type: rules.typeOf(item),
+            inherited: groups.inheritsUpstream(domainList.domains[index]),
+            protocols: Array.from(new Set(rules.upstreamsOf(item).map(upstreams.protocolOf)))
+        }));
+        
+        res.json({ groups: domainList.groups || [], domains: resolved });
     } catch (error) {
         logger.error(`Error in GET /api/domains: ${error.message}`);
         res.status(500).json({
@@ -138,34 +179,61 @@ router.get('/domains', async (req, res) => {
 /**
  * POST /api/domains
  * Adds a new domain to the configuration
+ *
+ * Body: { domain, type, resolveVia, strategy, filterAAAA, group }.
+ * resolveVia is one DNS server or a list of them, tried as the strategy
+ * (order, round-robin, random or latency) decides.
  */
-router.post('/domains', async (req, res) => {
+router.post('/domains', requireRole('operator'), async (req, res) => {
     try {
-        const { domain, resolveVia } = req.body;
+        const { domain, resolveVia, strategy, filterAAAA, type = 'suffix', group } = req.body;
+        const needsUpstream = type !== 'exclude';
+        
+        const targetGroup = group ? await groups.getGroup(group) : null;
+        if (group && !targetGroup) {
+            return res.status(400).json({
+                success: false,
+                message: `Group ${group} does not exist`
+            });
+        }
         
-        if (!domain || !resolveVia) {
+        // Rules in a group with a DNS server may use that one
+        if (!domain || (needsUpstream && !resolveVia && !(targetGroup && targetGroup.resolveVia))) {
             return res.status(400).json({
                 success: false,
-                message: 'Domain and resolveVia are required'
+                message: targetGroup ? 'Domain and resolveVia are required, as the group has no DNS server' : 'Domain and resolveVia are required'
             });
         }
         
         // Basic validation
-        if (!/^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9](?:\.[a-zA-Z]{2,})+$/.test(domain)) {
+        const problem = rules.validatePattern(type, domain);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+        
+        if (needsUpstream && resolveVia && !upstreams.isValidList(resolveVia)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid domain format'
+                message: 'Invalid DNS server: expected up to 8 distinct IPv4 or IPv6 addresses (with an optional #port), DNS-over-HTTPS URLs or tls:// DNS-over-TLS servers'
             });
         }
         
-        if (!/^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/.test(resolveVia)) {
+        if (strategy !== undefined && !strategies.isValidStrategy(strategy)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid IP address format'
+                message: `Strategy must be one of ${strategies.STRATEGIES.join(', ')}`
             });
         }
         
-        await dnsconfig.addDomain(domain, resolveVia);
+        await dnsconfig.addDomain(domain, needsUpstream && resolveVia ? resolveVia : null, {
+            type,
+            strategy,
+            filterAAAA: needsUpstream && filterAAAA === true,
+            group: targetGroup ? targetGroup.id : undefined
+        });
         
         res.json({
             success: true,
@@ -181,11 +249,104 @@ router.post('/domains', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/domains/export?format=text|csv|dnsmasq|json
+ * Downloads the domain list
+ */
+router.get('/domains/export', requireRole('operator'), async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        
+        if (!domainlists.FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of ${domainlists.FORMATS.join(', ')}`
+            });
+        }
+        
+        const domainList = await config.getDomainList();
+        const extensions = { text: 'txt', csv: 'csv', dnsmasq: 'conf', json: 'json' };
+        
+        res.type(format === 'json' ? 'application/json' : format === 'csv' ? 'text/csv' : 'text/plain');
+        res.attachment(`smart-dns-domains.${extensions[format]}`);
+        // Rules using their group's DNS server are written with it
+        const domains = groups.resolveDomains(domainList).map(({ active, ...item }) => item);
+        res.send(domainlists.formatList(format, domains));
+    } catch (error) {
+        logger.error(`Error in GET /api/domains/export: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export domains',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/domains/import
+ * Previews or applies a domain list in one of the export formats
+ *
+ * Body: { format, content, resolveVia, type, apply }. Without apply the
+ * response only describes what would change.
+ */
+router.post('/domains/import', requireRole('operator'), async (req, res) => {
+    try {
+        const { format, content, resolveVia, type = 'suffix', apply } = req.body;
+        
+        if (!domainlists.FORMATS.includes(format) || typeof content !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: `Expected a format (${domainlists.FORMATS.join(', ')}) and the list content`
+            });
+        }
+        
+        if (format === 'text' && rules.hasUpstream({ type }) && !upstreams.isValidList(resolveVia)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Plain text lists need a valid DNS server to resolve the domains via'
+            });
+        }
+        
+        const { entries, invalid } = domainlists.parseList(format, content, { resolveVia, type });
+        const domainList = await config.getDomainList();
+        let plan = domainlists.planImport(domainList.domains, entries);
+        
+        if (apply && (plan.adds.length > 0 || plan.updates.length > 0)) {
+            plan = await dnsconfig.importDomains(entries);
+        }
+        
+        const preview = {
+            adds: plan.adds,
+            updates: plan.updates,
+            duplicates: plan.duplicates,
+            invalid
+        };
+        
+        if (!apply) {
+            return res.json({ success: true, applied: false, ...preview });
+        }
+        
+        res.json({
+            success: true,
+            applied: true,
+            message: `Imported ${plan.adds.length} new and ${plan.updates.length} updated domains`,
+            ...preview
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/domains/import: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import domains',
+            error: error.message
+        });
+    }
+});
+
 /**
  * DELETE /api/domains/:domain
  * Removes a domain from the configuration
  */
-router.delete('/domains/:domain', async (req, res) => {
+router.delete('/domains/:domain', requireRole('operator'), async (req, res) => {
     try {
         const { domain } = req.params;
         
@@ -216,16 +377,10 @@ router.delete('/domains/:domain', async (req, res) => {
  * GET /api/settings
  * Returns the current application settings
  */
-router.get('/settings', async (req, res) => {
+router.get('/settings', requireRole('admin'), async (req, res) => {
     try {
-        const settings = await config.getConfig();
-        
-        // Don't return the password
-        if (settings.webInterface && settings.webInterface.password) {
-            delete settings.webInterface.password;
-        }
-        
-        res.json(settings);
+        // Legacy credentials that haven't been migrated yet stay private
+        res.json(settingsSchema.publicSettings(await config.getConfig()));
     } catch (error) {
         logger.error(`Error in GET /api/settings: ${error.message}`);
         res.status(500).json({
@@ -237,123 +392,213 @@ router.get('/settings', async (req, res) => {
 });
 
 /**
- * POST /api/settings
- * Updates the application settings
+ * Check settings against the schema, then save and apply them
+ *
+ * Answers 400 with every problem found, as { field, message } in errors.
  */
-router.post('/settings', async (req, res) => {
+async function saveSettings(req, res, partial) {
+    const method = partial ? 'PATCH' : 'POST';
+    // Express leaves the body undefined when it isn't JSON, and an empty
+    // JSON body becomes {}; saving either would reset every setting
+    if (typeof req.body !== 'object' || req.body === null || Array.isArray(req.body) || Object.keys(req.body).length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Send the settings as a JSON object'
+        });
+    }
     try {
-        const settings = req.body;
-        
-        // Basic validation
-        if (!settings.dnsServer || !settings.alternativeDNS || !settings.webInterface) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid settings format'
-            });
-        }
+        // Checked against the stored settings as they are when saved, so
+        // PATCH requests at the same time don't undo each other
+        const updated = await config.updateConfig(appConfig => settingsSchema.apply(appConfig, req.body, { partial }));
         
-        // Save the updated settings
-        await config.saveConfig(settings);
+        logger.setLevel(updated.logging.level);
         
         // Update DNS configuration
-        await dnsconfig.updateDNSConfig();
+        await dnsconfig.updateDNSConfig({ message: 'Settings updated' });
         
         res.json({
             success: true,
-            message: 'Settings updated successfully'
+            message: 'Settings updated successfully',
+            settings: settingsSchema.publicSettings(updated)
         });
     } catch (error) {
-        logger.error(`Error in POST /api/settings: ${error.message}`);
+        if (error.errors) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message,
+                errors: error.errors
+            });
+        }
+        logger.error(`Error in ${method} /api/settings: ${error.message}`);
         res.status(500).json({
             success: false,
             message: 'Failed to update settings',
             error: error.message
         });
     }
-});
+}
+
+/**
+ * POST /api/settings
+ * Replaces the application settings; settings left out get their defaults
+ */
+router.post('/settings', requireRole('admin'), (req, res) => saveSettings(req, res, false));
+
+/**
+ * PATCH /api/settings
+ * Changes only the settings sent, merged into the current ones; null
+ * resets a setting to its default
+ */
+router.patch('/settings', requireRole('admin'), (req, res) => saveSettings(req, res, true));
 
 /**
  * GET /api/logs/:type
- * Returns the logs of the specified type
+ * Returns a page of log records, newest first, read across rotated segments
+ *
+ * Filtered by ?since= and ?until= (dates), ?level= (comma separated debug,
+ * info, warn, error), ?component= (comma separated), ?requestId= and ?q=
+ * (text, any case). ?limit= sets the page size
+ * (default 100, up to 1000); pass the nextCursor of one page as ?cursor=
+ * to get the next.
  */
-router.get('/logs/:type', async (req, res) => {
-    try {
-        const { type } = req.params;
-        let logPath;
-        
-        // Determine log file path based on type
-        switch (type) {
-            case 'dns':
-                logPath = path.join(__dirname, '../logs/dns.log');
-                break;
-            case 'access':
-                logPath = path.join(__dirname, '../logs/access.log');
-                break;
-            case 'error':
-                logPath = path.join(__dirname, '../logs/error.log');
-                break;
-            default:
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid log type'
-                });
-        }
-        
-        // Ensure logs directory exists
-        const logsDir = path.join(__dirname, '../logs');
-        await fs.mkdir(logsDir, { recursive: true });
-        
-        // If log file doesn't exist, create it with sample data
-        try {
-            await fs.access(logPath);
-        } catch (err) {
-            // File doesn't exist, create it with sample data
-            let sampleData = '';
-            const now = Date.now();
-            
-            if (type === 'dns') {
-                // Sample DNS logs
-                sampleData = [
-                    `[${new Date(now - 3600000).toISOString()}] DNS QUERY: netflix.com -> 1.1.1.1`,
-                    `[${new Date(now - 2700000).toISOString()}] DNS QUERY: spotify.com -> 8.8.8.8`,
-                    `[${new Date(now - 1800000).toISOString()}] DNS QUERY: hulu.com -> 1.1.1.1`,
-                    `[${new Date(now - 900000).toISOString()}] DNS QUERY: amazon.com -> 8.8.8.8`,
-                    `[${new Date().toISOString()}] INFO: DNS service restarted`
-                ].join('\n') + '\n';
-            } else if (type === 'access') {
-                // Sample access logs
-                sampleData = [
-                    `[${new Date(now - 3600000).toISOString()}] INFO: GET /`,
-                    `[${new Date(now - 2700000).toISOString()}] INFO: GET /api/status`,
-                    `[${new Date(now - 1800000).toISOString()}] INFO: GET /api/domains`,
-                    `[${new Date(now - 900000).toISOString()}] INFO: POST /api/domains`,
-                    `[${new Date().toISOString()}] INFO: GET /api/settings`
-                ].join('\n') + '\n';
-            } else if (type === 'error') {
-                // Sample error logs (empty by default)
-                sampleData = '';
-            }
-            
-            await fs.writeFile(logPath, sampleData);
+router.get('/logs/:type', requireRole('viewer'), async (req, res) => {
+    const { type } = req.params;
+    if (!logger.getLogPath(type)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid log type'
+        });
+    }
+    
+    const query = {};
+    ['since', 'until', 'level', 'component', 'requestId', 'q', 'limit', 'cursor'].forEach(key => {
+        if (typeof req.query[key] === 'string' && req.query[key] !== '') {
+            query[key] = req.query[key];
         }
-        
-        // Read log file content
-        const logContent = await fs.readFile(logPath, 'utf8');
-        
-        // Send logs as plain text
-        res.setHeader('Content-Type', 'text/plain');
-        res.send(logContent);
+    });
+    const problem = logfiles.validateQuery(query);
+    if (problem) {
+        return res.status(400).json({
+            success: false,
+            message: problem
+        });
+    }
+    
+    try {
+        res.json(await logfiles.readLines(type, query));
     } catch (error) {
-        logger.error(`Error in GET /api/logs/${req.params.type}: ${error.message}`);
-        res.status(500).send(`Error retrieving logs: ${error.message}`);
+        logger.error(`Error in GET /api/logs/${type}: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to read log',
+            error: error.message
+        });
     }
 });
 
+/**
+ * GET /api/logs/:type/stream
+ * Streams a log as Server-Sent Events
+ *
+ * Starts with a 'backlog' event holding the last lines (?lines=, default
+ * 200, up to 1000), then sends new lines as 'lines' events, batched a few
+ * times a second. 'clear' is sent when the logs are cleared, and
+ * 'dropped' with a count when a slow client missed lines.
+ */
+router.get('/logs/:type/stream', requireRole('viewer'), async (req, res) => {
+    const { type } = req.params;
+    if (!logger.getLogPath(type)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid log type'
+        });
+    }
+    const lines = req.query.lines === undefined ? 200 : parseInt(req.query.lines, 10);
+    if (!Number.isInteger(lines) || lines < 0 || lines > 1000) {
+        return res.status(400).json({
+            success: false,
+            message: 'lines must be between 0 and 1000'
+        });
+    }
+    
+    let backlog;
+    try {
+        backlog = await logger.readTail(type, lines);
+    } catch (error) {
+        logger.error(`Error in GET /api/logs/${type}/stream: ${error.message}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to read log',
+            error: error.message
+        });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies from holding events back
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('backlog', backlog);
+    
+    // Lines are sent in batches, and dropped while the client can't keep up
+    let pending = [];
+    let dropped = 0;
+    let blocked = false;
+    const flush = () => {
+        if (blocked) {
+            return;
+        }
+        if (dropped > 0) {
+            send('dropped', dropped);
+            dropped = 0;
+        }
+        if (pending.length > 0) {
+            blocked = !send('lines', pending);
+            pending = [];
+        }
+    };
+    const onLine = (lineType, line) => {
+        if (lineType !== type) {
+            return;
+        }
+        pending.push(line);
+        if (pending.length > LOG_STREAM_BUFFER) {
+            dropped += pending.length - LOG_STREAM_BUFFER;
+            pending = pending.slice(-LOG_STREAM_BUFFER);
+        }
+    };
+    const onClear = () => {
+        pending = [];
+        send('clear', null);
+    };
+    
+    res.on('drain', () => {
+        blocked = false;
+    });
+    logger.events.on('line', onLine);
+    logger.events.on('clear', onClear);
+    const flushTimer = setInterval(flush, LOG_STREAM_INTERVAL);
+    // Comments keep idle connections from being closed by proxies
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    
+    res.on('close', () => {
+        clearInterval(flushTimer);
+        clearInterval(keepAlive);
+        logger.events.off('line', onLine);
+        logger.events.off('clear', onClear);
+    });
+});
+
 /**
  * POST /api/logs/clear
- * Clears all log files
+ * Clears all log files and deletes their rotated segments
  */
-router.post('/logs/clear', async (req, res) => {
+router.post('/logs/clear', requireRole('admin'), async (req, res) => {
     try {
         // Ensure logs directory exists
         const logsDir = path.join(__dirname, '../logs');
@@ -369,7 +614,10 @@ router.post('/logs/clear', async (req, res) => {
         for (const logPath of logPaths) {
             await fs.writeFile(logPath, '');
         }
+        await logfiles.removeSegments();
         
+        // Tell live log streams to empty their views
+        logger.events.emit('clear');
         await logger.info('Logs cleared by user');
         
         res.json({
@@ -0,0 +1,163 @@
+/**
+ * Authentication Routes for Smart DNS Proxy
+ *
+ * Handles login, logout and password changes for the web interface
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const auth = require('../auth');
+const users = require('../users');
+const passwords = require('../passwords');
+const logger = require('../logger').child('api');
+
+/**
+ * GET /login
+ * Render the login page
+ */
+router.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/login.html'));
+});
+
+/**
+ * GET /api/auth/session
+ * Returns the state of the current session
+ */
+router.get('/api/auth/session', async (req, res) => {
+    try {
+        const authEnabled = await auth.isAuthEnabled();
+        const user = authEnabled ? await auth.identify(req) : null;
+
+        res.json({
+            authEnabled,
+            authenticated: !authEnabled || Boolean(user),
+            username: user ? user.username : null,
+            // Without authentication everyone has full access
+            role: authEnabled ? (user ? user.role : null) : 'admin',
+            mustChangePassword: user ? user.mustChangePassword : false
+        });
+    } catch (error) {
+        logger.error(`Error in GET /api/auth/session: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get session',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Checks credentials and starts a session
+ */
+router.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username and password are required'
+            });
+        }
+
+        const user = await users.verifyCredentials(username, password);
+        if (!user) {
+            logger.warn(`Failed login attempt for user ${username} from ${req.ip}`);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid username or password'
+            });
+        }
+
+        const sessionId = auth.createSession(user.username);
+        auth.setSessionCookie(req, res, sessionId);
+        logger.info(`User ${user.username} logged in from ${req.ip}`);
+
+        // Default or admin-assigned passwords must be changed before anything else
+        res.json({
+            success: true,
+            mustChangePassword: Boolean(user.mustChangePassword)
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/auth/login: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log in',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Ends the current session
+ */
+router.post('/api/auth/logout', (req, res) => {
+    const session = auth.getSession(req);
+    if (session) {
+        auth.destroySession(session.id);
+        logger.info(`User ${session.username} logged out`);
+    }
+    auth.clearSessionCookie(res);
+    res.json({
+        success: true,
+        message: 'Logged out'
+    });
+});
+
+/**
+ * POST /api/auth/password
+ * Changes the web interface password
+ */
+router.post('/api/auth/password', async (req, res) => {
+    try {
+        const session = auth.getSession(req);
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        if (!(await users.verifyCredentials(session.username, currentPassword))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        const problem = passwords.checkNewPassword(newPassword);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+
+        await users.updateUser(session.username, { password: newPassword, mustChangePassword: false });
+
+        // Other sessions were opened with the old password
+        auth.destroyUserSessions(session.username);
+        const sessionId = auth.createSession(session.username);
+        auth.setSessionCookie(req, res, sessionId);
+        logger.info(`Password changed for user ${session.username}`);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/auth/password: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change password',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * Backup and Restore Routes for Smart DNS Proxy
+ *
+ * Downloads backup archives, lists and saves the scheduled ones in
+ * data/backups and restores an archive after showing what it would change.
+ * All endpoints require the admin role, as archives carry the account
+ * password hashes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const backup = require('../backup');
+const auth = require('../auth');
+const logger = require('../logger').child('api');
+
+const INCLUDE_OPTIONS = ['logs', 'stats'];
+
+router.use(['/backup', '/backups', '/restore'], auth.requireRole('admin'));
+
+/**
+ * Send an error response, using the status attached by the backup module
+ */
+function sendError(res, error, message) {
+    const status = error.statusCode || 500;
+    res.status(status).json({
+        success: false,
+        message: status === 500 ? message : error.message,
+        error: error.message
+    });
+}
+
+/**
+ * Send an archive as a file download
+ */
+function sendArchive(res, name, content) {
+    res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${name}"`
+    });
+    res.send(content);
+}
+
+/**
+ * GET /api/backup
+ * Downloads a backup of the settings, domain rules, accounts, clients and
+ * subscriptions
+ *
+ * Query: include, a comma separated list of logs and stats to add.
+ */
+router.get('/backup', async (req, res) => {
+    try {
+        const include = req.query.include ? String(req.query.include).split(',').map(item => item.trim()) : [];
+        const unknown = include.find(item => !INCLUDE_OPTIONS.includes(item));
+        if (unknown !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: `include may list ${INCLUDE_OPTIONS.join(' and ')}, not ${unknown}`
+            });
+        }
+
+        const { name, content } = await backup.createBackup({
+            includeLogs: include.includes('logs'),
+            includeStats: include.includes('stats')
+        });
+        sendArchive(res, name, content);
+    } catch (error) {
+        logger.error(`Error in GET /api/backup: ${error.message}`);
+        sendError(res, error, 'Failed to create the backup');
+    }
+});
+
+/**
+ * GET /api/backups
+ * Lists the backups saved in data/backups, newest first
+ */
+router.get('/backups', async (req, res) => {
+    try {
+        res.json({ backups: await backup.listBackups() });
+    } catch (error) {
+        logger.error(`Error in GET /api/backups: ${error.message}`);
+        sendError(res, error, 'Failed to list the backups');
+    }
+});
+
+/**
+ * POST /api/backups
+ * Saves a backup to data/backups now, with the scheduled backup settings
+ */
+router.post('/backups', async (req, res) => {
+    try {
+        const saved = await backup.saveBackup();
+
+        res.json({
+            success: true,
+            message: `Saved backup ${saved.name}`,
+            backup: saved
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/backups: ${error.message}`);
+        sendError(res, error, 'Failed to save the backup');
+    }
+});
+
+/**
+ * GET /api/backups/:name
+ * Downloads a saved backup
+ */
+router.get('/backups/:name', async (req, res) => {
+    try {
+        sendArchive(res, req.params.name, await backup.readBackup(req.params.name));
+    } catch (error) {
+        logger.error(`Error in GET /api/backups/${req.params.name}: ${error.message}`);
+        sendError(res, error, 'Failed to read the backup');
+    }
+});
+
+/**
+ * POST /api/restore
+ * Checks a backup and lists what restoring it would change; with
+ * ?apply=true restores it and regenerates the DNS configuration
+ *
+ * Body: the archive, gzipped or as JSON. Query: backup, the name of a
+ * saved backup to restore instead of an upload.
+ */
+router.post('/restore', express.raw({ type: () => true, limit: backup.MAX_ARCHIVE_SIZE }), async (req, res) => {
+    try {
+        let input = req.body;
+        if (req.query.backup !== undefined) {
+            input = await backup.readBackup(String(req.query.backup));
+        } else if (!input || (Buffer.isBuffer(input) && input.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a backup file or name a saved backup'
+            });
+        }
+
+        const apply = req.query.apply === 'true';
+        const result = await backup.restore(input, { apply });
+
+        res.json({
+            success: true,
+            message: apply ? 'Backup restored successfully' : 'Backup checked; nothing has been changed yet',
+            ...result
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/restore: ${error.message}`);
+        // Archives that don't pass validation list their problems
+        if (error.errors) {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+                errors: error.errors
+            });
+        }
+        sendError(res, error, 'Failed to restore the backup');
+    }
+});
+
+module.exports = router;
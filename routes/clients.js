@@ -0,0 +1,192 @@
+/**
+ * Client Routes for Smart DNS Proxy
+ *
+ * Handles management of clients and the routing policies they use.
+ * All endpoints require the operator role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const clients = require('../clients');
+const dnsconfig = require('../dnsconfig');
+const auth = require('../auth');
+const logger = require('../logger').child('api');
+
+router.use('/clients', auth.requireRole('operator'));
+router.use('/policies', auth.requireRole('operator'));
+
+/**
+ * Send an error response, using the status attached by the clients module
+ */
+function sendError(res, error, message) {
+    const status = error.statusCode || 500;
+    res.status(status).json({
+        success: false,
+        message: status === 500 ? message : error.message,
+        error: error.message
+    });
+}
+
+/**
+ * Pick the given fields out of a request body, leaving out missing ones
+ */
+function pick(body, fields) {
+    const changes = {};
+    fields.forEach(field => {
+        if (body[field] !== undefined) {
+            changes[field] = body[field];
+        }
+    });
+    return changes;
+}
+
+/**
+ * GET /api/clients
+ * Returns the clients
+ */
+router.get('/clients', async (req, res) => {
+    try {
+        res.json({ clients: await clients.listClients() });
+    } catch (error) {
+        logger.error(`Error in GET /api/clients: ${error.message}`);
+        sendError(res, error, 'Failed to get clients');
+    }
+});
+
+/**
+ * POST /api/clients
+ * Adds a client
+ *
+ * Body: { name, match: [ip | cidr | mac], policy }
+ */
+router.post('/clients', async (req, res) => {
+    try {
+        const { name, match, policy } = req.body;
+        const client = await clients.addClient({ name, match, policy });
+        await dnsconfig.updateDNSConfig({ message: `Added client ${client.name}` });
+
+        res.json({
+            success: true,
+            message: 'Client added successfully',
+            client
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/clients: ${error.message}`);
+        sendError(res, error, 'Failed to add client');
+    }
+});
+
+/**
+ * PUT /api/clients/:id
+ * Changes a client's name, addresses or policy
+ */
+router.put('/clients/:id', async (req, res) => {
+    try {
+        const client = await clients.updateClient(req.params.id, pick(req.body, ['name', 'match', 'policy']));
+        await dnsconfig.updateDNSConfig({ message: `Updated client ${client.name}` });
+
+        res.json({
+            success: true,
+            message: 'Client updated successfully',
+            client
+        });
+    } catch (error) {
+        logger.error(`Error in PUT /api/clients/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to update client');
+    }
+});
+
+/**
+ * DELETE /api/clients/:id
+ * Removes a client; its queries get the global routing again
+ */
+router.delete('/clients/:id', async (req, res) => {
+    try {
+        await clients.removeClient(req.params.id);
+        await dnsconfig.updateDNSConfig({ message: 'Removed a client' });
+
+        res.json({
+            success: true,
+            message: 'Client removed successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in DELETE /api/clients/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to remove client');
+    }
+});
+
+/**
+ * GET /api/policies
+ * Returns the routing policies
+ */
+router.get('/policies', async (req, res) => {
+    try {
+        res.json({ policies: await clients.listPolicies() });
+    } catch (error) {
+        logger.error(`Error in GET /api/policies: ${error.message}`);
+        sendError(res, error, 'Failed to get policies');
+    }
+});
+
+/**
+ * POST /api/policies
+ * Adds a routing policy
+ *
+ * Body: { name, groups, alternativeDNS }. groups: null applies every
+ * group; an empty alternativeDNS uses the global alternative servers.
+ */
+router.post('/policies', async (req, res) => {
+    try {
+        const { name, groups, alternativeDNS } = req.body;
+        const policy = await clients.addPolicy({ name, groups, alternativeDNS });
+
+        res.json({
+            success: true,
+            message: 'Policy added successfully',
+            policy
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/policies: ${error.message}`);
+        sendError(res, error, 'Failed to add policy');
+    }
+});
+
+/**
+ * PUT /api/policies/:id
+ * Changes a policy's name, groups or DNS servers
+ */
+router.put('/policies/:id', async (req, res) => {
+    try {
+        const policy = await clients.updatePolicy(req.params.id, pick(req.body, ['name', 'groups', 'alternativeDNS']));
+        await dnsconfig.updateDNSConfig({ message: `Updated policy ${policy.name}` });
+
+        res.json({
+            success: true,
+            message: 'Policy updated successfully',
+            policy
+        });
+    } catch (error) {
+        logger.error(`Error in PUT /api/policies/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to update policy');
+    }
+});
+
+/**
+ * DELETE /api/policies/:id
+ * Removes a policy that no client uses
+ */
+router.delete('/policies/:id', async (req, res) => {
+    try {
+        await clients.removePolicy(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Policy removed successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in DELETE /api/policies/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to remove policy');
+    }
+});
+
+module.exports = router;
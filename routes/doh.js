@@ -0,0 +1,207 @@
+/**
+ * DNS-over-HTTPS Routes for Smart DNS Proxy
+ *
+ * Answers DNS queries sent to the management server, using the same
+ * per-domain routing as the DNS listener:
+ *
+ *   GET/POST /dns-query        RFC 8484 wire format (application/dns-message)
+ *   GET /resolve?name=&type=   JSON answers for debugging
+ *
+ * Clients can't log in, so these routes are mounted ahead of the
+ * authentication middleware. Both are off until enabled in the settings,
+ * and /resolve only says which upstream it used to signed-in callers.
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const resolver = require('../resolver');
+const dnspacket = require('../dnspacket');
+const auth = require('../auth');
+const logger = require('../logger').child('dns');
+
+const DNS_MESSAGE = 'application/dns-message';
+const MAX_MESSAGE_SIZE = 65535;
+
+/**
+ * Only continue when the given dnsServer setting is enabled
+ */
+function whenEnabled(setting) {
+    return async (req, res, next) => {
+        try {
+            const appConfig = await config.getConfig();
+            if (appConfig.dnsServer[setting] !== true) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Not found'
+                });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Check whether the caller may see how queries are routed, as anyone can
+ * when authentication is off
+ */
+async function canSeeRouting(req) {
+    if (!await auth.isAuthEnabled()) {
+        return true;
+    }
+    const user = await auth.identify(req);
+    return Boolean(user && !user.mustChangePassword);
+}
+
+/**
+ * Send a wire-format answer, cacheable for as long as its records live
+ */
+function sendMessage(res, response) {
+    const ttl = dnspacket.getRcode(response) === dnspacket.RCODE.NOERROR ? dnspacket.getMinTtl(response) : null;
+    res.set('Content-Type', DNS_MESSAGE);
+    res.set('Cache-Control', ttl === null ? 'no-cache' : `max-age=${ttl}`);
+    res.send(response);
+}
+
+/**
+ * Check that a request body looks like a DNS query before resolving it
+ */
+function isQuery(packet) {
+    return packet.length >= 12 && packet.length <= MAX_MESSAGE_SIZE;
+}
+
+/**
+ * GET /dns-query?dns=<base64url>
+ * Resolves a wire-format query encoded in the URL
+ */
+router.get('/dns-query', whenEnabled('serveDoh'), async (req, res) => {
+    try {
+        const encoded = req.query.dns;
+
+        if (typeof encoded !== 'string' || !/^[A-Za-z0-9_-]+$/.test(encoded)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The dns parameter must be a base64url encoded DNS query'
+            });
+        }
+
+        const packet = Buffer.from(encoded, 'base64url');
+        if (!isQuery(packet)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid DNS query'
+            });
+        }
+
+        sendMessage(res, await resolver.resolve(packet, { transport: 'https', client: req.ip }));
+    } catch (error) {
+        logger.error(`Error in GET /dns-query: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resolve query',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /dns-query
+ * Resolves a wire-format query sent as the request body
+ */
+router.post('/dns-query',
+    whenEnabled('serveDoh'),
+    express.raw({ type: DNS_MESSAGE, limit: MAX_MESSAGE_SIZE }),
+    async (req, res) => {
+        try {
+            if (!Buffer.isBuffer(req.body)) {
+                return res.status(415).json({
+                    success: false,
+                    message: `Content-Type must be ${DNS_MESSAGE}`
+                });
+            }
+
+            if (!isQuery(req.body)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid DNS query'
+                });
+            }
+
+            sendMessage(res, await resolver.resolve(req.body, { transport: 'https', client: req.ip }));
+        } catch (error) {
+            logger.error(`Error in POST /dns-query: ${error.message}`);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to resolve query',
+                error: error.message
+            });
+        }
+    }
+);
+
+/**
+ * GET /resolve?name=example.com&type=AAAA
+ * Resolves a name and returns the answer as JSON
+ */
+router.get('/resolve', whenEnabled('serveJson'), async (req, res) => {
+    try {
+        const name = typeof req.query.name === 'string' ? req.query.name.trim() : '';
+        const type = dnspacket.typeCode(req.query.type || 'A');
+
+        if (!name || type === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expected a name and an optional record type, e.g. ?name=example.com&type=AAAA'
+            });
+        }
+
+        let packet;
+        try {
+            packet = dnspacket.buildQuery(name, type, Math.floor(Math.random() * 0x10000));
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.message
+            });
+        }
+
+        const response = dnspacket.parseResponse(
+            await resolver.resolve(packet, { transport: 'https', client: req.ip })
+        );
+        const record = item => ({
+            name: `${item.name}.`,
+            type: item.type,
+            TTL: item.ttl,
+            data: item.data
+        });
+
+        const answer = {
+            Status: response.rcode,
+            TC: Boolean(response.flags & 0x0200),
+            RD: Boolean(response.flags & 0x0100),
+            RA: Boolean(response.flags & 0x0080),
+            AD: Boolean(response.flags & 0x0020),
+            CD: Boolean(response.flags & 0x0010),
+            Question: response.questions.map(item => ({ name: `${item.name}.`, type: item.type })),
+            Answer: response.answers.map(record),
+            Authority: response.authority.map(record)
+        };
+        if (await canSeeRouting(req)) {
+            // Which upstream the routing rules picked, to debug them
+            answer.Upstream = resolver.describeRoute(name, req.ip);
+        }
+
+        res.json(answer);
+    } catch (error) {
+        logger.error(`Error in GET /resolve: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resolve name',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+/**
+ * Domain Group Routes for Smart DNS Proxy
+ *
+ * Handles management of domain groups.
+ * All endpoints require the operator role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const groups = require('../groups');
+const dnsconfig = require('../dnsconfig');
+const auth = require('../auth');
+const logger = require('../logger').child('api');
+
+router.use('/groups', auth.requireRole('operator'));
+
+/**
+ * Send an error response, using the status attached by the groups module
+ */
+function sendError(res, error, message) {
+    const status = error.statusCode || 500;
+    res.status(status).json({
+        success: false,
+        message: status === 500 ? message : error.message,
+        error: error.message
+    });
+}
+
+/**
+ * GET /api/groups
+ * Returns the groups with their domain counts
+ */
+router.get('/groups', async (req, res) => {
+    try {
+        res.json({ groups: await groups.listGroups() });
+    } catch (error) {
+        logger.error(`Error in GET /api/groups: ${error.message}`);
+        sendError(res, error, 'Failed to get groups');
+    }
+});
+
+/**
+ * POST /api/groups
+ * Adds a group
+ *
+ * Body: { name, description, resolveVia, enabled }
+ */
+router.post('/groups', async (req, res) => {
+    try {
+        const { name, description, resolveVia, enabled } = req.body;
+        const group = await groups.addGroup({ name, description, resolveVia, enabled });
+
+        res.json({
+            success: true,
+            message: 'Group added successfully',
+            group
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/groups: ${error.message}`);
+        sendError(res, error, 'Failed to add group');
+    }
+});
+
+/**
+ * PUT /api/groups/:id
+ * Changes a group's settings or turns all its domains on or off
+ */
+router.put('/groups/:id', async (req, res) => {
+    try {
+        const { name, description, resolveVia, enabled } = req.body;
+        const changes = { name, description, resolveVia, enabled };
+        Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+
+        if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'enabled must be true or false'
+            });
+        }
+
+        const group = await dnsconfig.updateGroup(req.params.id, changes);
+
+        res.json({
+            success: true,
+            message: 'Group updated successfully',
+            group
+        });
+    } catch (error) {
+        logger.error(`Error in PUT /api/groups/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to update group');
+    }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Removes a group; its domains are kept without a group
+ */
+router.delete('/groups/:id', async (req, res) => {
+    try {
+        await dnsconfig.removeGroup(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Group removed successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in DELETE /api/groups/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to remove group');
+    }
+});
+
+module.exports = router;
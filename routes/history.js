@@ -0,0 +1,118 @@
+/**
+ * Configuration History Routes for Smart DNS Proxy
+ *
+ * Lists the saved revisions of the configuration, shows what each one
+ * changed and rolls back to them. All endpoints require the admin role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const history = require('../history');
+const dnsconfig = require('../dnsconfig');
+const auth = require('../auth');
+const logger = require('../logger').child('api');
+
+router.use(['/config/history', '/config/rollback'], auth.requireRole('admin'));
+
+/**
+ * Send an error response, using the status attached by the history module
+ */
+function sendError(res, error, message) {
+    const status = error.statusCode || 500;
+    res.status(status).json({
+        success: false,
+        message: status === 500 ? message : error.message,
+        error: error.message
+    });
+}
+
+/**
+ * Parse a whole number from the request, returning null if it isn't one
+ */
+function parseNumber(value) {
+    return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * GET /api/config/history
+ * Returns the revisions, newest first
+ *
+ * Query: limit (1-200, default 50) and offset.
+ */
+router.get('/config/history', async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 50 : parseNumber(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : parseNumber(req.query.offset);
+        if (limit === null || limit < 1 || limit > history.MAX_REVISIONS || offset === null) {
+            return res.status(400).json({
+                success: false,
+                message: `limit must be between 1 and ${history.MAX_REVISIONS} and offset a whole number`
+            });
+        }
+
+        res.json(await history.list({ limit, offset }));
+    } catch (error) {
+        logger.error(`Error in GET /api/config/history: ${error.message}`);
+        sendError(res, error, 'Failed to get the configuration history');
+    }
+});
+
+/**
+ * GET /api/config/history/:rev/diff
+ * Returns what a revision changed, as a unified diff per file
+ *
+ * Query: against, the revision to compare with (default the one before).
+ */
+router.get('/config/history/:rev/diff', async (req, res) => {
+    try {
+        const rev = parseNumber(req.params.rev);
+        const against = req.query.against === undefined ? undefined : parseNumber(req.query.against);
+        if (rev === null || against === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revisions are numbers'
+            });
+        }
+
+        res.json(await history.diff(rev, against));
+    } catch (error) {
+        logger.error(`Error in GET /api/config/history/${req.params.rev}/diff: ${error.message}`);
+        sendError(res, error, 'Failed to compare revisions');
+    }
+});
+
+/**
+ * POST /api/config/rollback/:rev
+ * Restores the settings and domain rules of a revision and applies them
+ */
+router.post('/config/rollback/:rev', async (req, res) => {
+    try {
+        const rev = parseNumber(req.params.rev);
+        if (rev === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revisions are numbers'
+            });
+        }
+
+        await dnsconfig.rollback(rev);
+
+        res.json({
+            success: true,
+            message: `Rolled back to revision ${rev}`
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/config/rollback/${req.params.rev}: ${error.message}`);
+        // Settings that no longer pass validation list their problems
+        if (error.errors) {
+            return res.status(400).json({
+                success: false,
+                message: `Revision ${req.params.rev} can't be restored: ${error.message}`,
+                errors: error.errors
+            });
+        }
+        sendError(res, error, 'Failed to roll back the configuration');
+    }
+});
+
+module.exports = router;
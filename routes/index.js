@@ -7,7 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
-const logger = require('../logger');
+const logger = require('../logger').child('api');
 
 /**
  * GET /
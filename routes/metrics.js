@@ -0,0 +1,75 @@
+/**
+ * Metrics Route for Smart DNS Proxy
+ *
+ * Serves GET /metrics for Prometheus. Mounted ahead of the authentication
+ * middleware because scrapers can't follow the login redirect: when
+ * webInterface.metricsAuth is set (the default) and authentication is
+ * enabled, a viewer API token must be sent as a bearer token instead.
+ * Turned off with webInterface.serveMetrics: false.
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const auth = require('../auth');
+const users = require('../users');
+const metrics = require('../metrics');
+const logger = require('../logger').child('api');
+
+/**
+ * Only continue when metrics are on and, if required, the caller may see them
+ */
+async function guard(req, res, next) {
+    try {
+        const appConfig = await config.getConfig();
+        const settings = appConfig.webInterface || {};
+        if (settings.serveMetrics === false) {
+            return res.status(404).json({
+                success: false,
+                message: 'Not found'
+            });
+        }
+
+        if (settings.metricsAuth === false || !(await auth.isAuthEnabled())) {
+            return next();
+        }
+
+        const user = await auth.identify(req);
+        if (!user) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+        if (user.mustChangePassword || !users.hasRole(user.role, 'viewer')) {
+            return res.status(403).json({
+                success: false,
+                message: 'This action requires the viewer role'
+            });
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /metrics
+ * Returns the metrics in the Prometheus text format
+ */
+router.get('/metrics', guard, async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.CONTENT_TYPE);
+        res.send(await metrics.render());
+    } catch (error) {
+        logger.error(`Error in GET /metrics: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to render metrics',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+/**
+ * Staged Configuration Routes for Smart DNS Proxy
+ *
+ * Previews the DNS configuration that pending changes would generate and
+ * applies them, optionally reverting unless the result is confirmed.
+ * All endpoints require the operator role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const dnsconfig = require('../dnsconfig');
+const auth = require('../auth');
+const logger = require('../logger').child('api');
+
+// Longest wait for an applied configuration to be confirmed
+const MAX_CONFIRM_SECONDS = 3600;
+
+router.use(['/config/preview', '/config/apply', '/config/confirm', '/config/revert'], auth.requireRole('operator'));
+
+/**
+ * Send an error response, using the status attached by the dnsconfig module
+ */
+function sendError(res, error, message) {
+    const status = error.statusCode || 500;
+    res.status(status).json({
+        success: false,
+        message: status === 500 ? message : error.message,
+        error: error.message
+    });
+}
+
+/**
+ * GET /api/config/preview
+ * Returns the pending changes, the smartdns.conf and servers file they
+ * would generate and a line diff of each against the live one
+ */
+router.get('/config/preview', async (req, res) => {
+    try {
+        res.json(await dnsconfig.previewChanges());
+    } catch (error) {
+        logger.error(`Error in GET /api/config/preview: ${error.message}`);
+        sendError(res, error, 'Failed to preview the configuration');
+    }
+});
+
+/**
+ * POST /api/config/apply
+ * Validates and applies every pending change at once
+ *
+ * Body: { confirmSeconds } (optional). The configuration live before is
+ * restored unless POST /api/config/confirm follows within that time.
+ */
+router.post('/config/apply', async (req, res) => {
+    try {
+        const { confirmSeconds = 0 } = req.body || {};
+        if (!Number.isInteger(confirmSeconds) || confirmSeconds < 0 || confirmSeconds > MAX_CONFIRM_SECONDS) {
+            return res.status(400).json({
+                success: false,
+                message: `confirmSeconds must be a whole number between 0 and ${MAX_CONFIRM_SECONDS}`
+            });
+        }
+
+        const { applied, confirmBy } = await dnsconfig.applyChanges({ confirmSeconds });
+
+        res.json({
+            success: true,
+            message: confirmBy
+                ? `Configuration applied; confirm it by ${confirmBy} or it will be reverted`
+                : 'Configuration applied successfully',
+            applied,
+            confirmBy
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/config/apply: ${error.message}`);
+        sendError(res, error, 'Failed to apply the configuration');
+    }
+});
+
+/**
+ * POST /api/config/confirm
+ * Keeps the configuration applied with a confirmation deadline
+ */
+router.post('/config/confirm', async (req, res) => {
+    try {
+        await dnsconfig.confirmChanges();
+
+        res.json({
+            success: true,
+            message: 'Configuration confirmed'
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/config/confirm: ${error.message}`);
+        sendError(res, error, 'Failed to confirm the configuration');
+    }
+});
+
+/**
+ * POST /api/config/revert
+ * Restores the configuration live before an unconfirmed apply, without
+ * waiting for the deadline
+ */
+router.post('/config/revert', async (req, res) => {
+    try {
+        await dnsconfig.revertChanges();
+
+        res.json({
+            success: true,
+            message: 'Configuration reverted; the changes are pending again'
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/config/revert: ${error.message}`);
+        sendError(res, error, 'Failed to revert the configuration');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * Subscription Routes for Smart DNS Proxy
+ *
+ * Handles management of remote domain list subscriptions.
+ * All endpoints require the operator role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const subscriptions = require('../subscriptions');
+const dnsconfig = require('../dnsconfig');
+const auth = require('../auth');
+const logger = require('../logger').child('api');
+
+router.use('/subscriptions', auth.requireRole('operator'));
+
+/**
+ * Send an error response, using the status attached by the subscriptions module
+ */
+function sendError(res, error, message) {
+    const status = error.statusCode || 500;
+    res.status(status).json({
+        success: false,
+        message: status === 500 ? message : error.message,
+        error: error.message
+    });
+}
+
+/**
+ * Update the DNS configuration if a change affected the effective rules
+ *
+ * message describes the change in the configuration history. Subscribed
+ * lists are never staged, so they go live straight away.
+ */
+async function applyChange({ changed }, message) {
+    if (changed) {
+        await dnsconfig.reloadDNSConfig({ message });
+    }
+}
+
+/**
+ * Fetch a subscription's list and apply whatever it changed
+ */
+async function refresh(id) {
+    const outcome = await subscriptions.refreshSubscription(id);
+    await applyChange(outcome, `Fetched subscription ${outcome.result ? outcome.result.name : id}`);
+    return outcome.result;
+}
+
+/**
+ * GET /api/subscriptions
+ * Returns the subscriptions with their last fetch status
+ */
+router.get('/subscriptions', async (req, res) => {
+    try {
+        res.json({ subscriptions: await subscriptions.listSubscriptions() });
+    } catch (error) {
+        logger.error(`Error in GET /api/subscriptions: ${error.message}`);
+        sendError(res, error, 'Failed to get subscriptions');
+    }
+});
+
+/**
+ * POST /api/subscriptions
+ * Adds a subscription and fetches it straight away
+ *
+ * Body: { name, url, format, resolveVia, type, refreshHours }. A failed
+ * first fetch still adds the subscription, with the error as its status.
+ */
+router.post('/subscriptions', async (req, res) => {
+    try {
+        const { name, url, format, resolveVia, type, refreshHours } = req.body;
+        const subscription = await subscriptions.addSubscription({ name, url, format, resolveVia, type, refreshHours });
+
+        res.json({
+            success: true,
+            message: 'Subscription added successfully',
+            subscription: await refresh(subscription.id)
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/subscriptions: ${error.message}`);
+        sendError(res, error, 'Failed to add subscription');
+    }
+});
+
+/**
+ * PUT /api/subscriptions/:id
+ * Changes a subscription's settings or enables/disables it
+ */
+router.put('/subscriptions/:id', async (req, res) => {
+    try {
+        const { name, url, format, resolveVia, type, refreshHours, enabled } = req.body;
+        const changes = { name, url, format, resolveVia, type, refreshHours, enabled };
+        Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+
+        const outcome = await subscriptions.updateSubscription(req.params.id, changes);
+        await applyChange(outcome, `Updated subscription ${outcome.result.name}`);
+
+        // A changed source has to be fetched again
+        const subscription = outcome.result.enabled && !outcome.result.lastFetch
+            ? await refresh(req.params.id)
+            : outcome.result;
+
+        res.json({
+            success: true,
+            message: 'Subscription updated successfully',
+            subscription
+        });
+    } catch (error) {
+        logger.error(`Error in PUT /api/subscriptions/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to update subscription');
+    }
+});
+
+/**
+ * DELETE /api/subscriptions/:id
+ * Removes a subscription and the rules it provided
+ */
+router.delete('/subscriptions/:id', async (req, res) => {
+    try {
+        await applyChange(await subscriptions.removeSubscription(req.params.id), 'Removed a subscription');
+
+        res.json({
+            success: true,
+            message: 'Subscription removed successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in DELETE /api/subscriptions/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to remove subscription');
+    }
+});
+
+/**
+ * POST /api/subscriptions/:id/refresh
+ * Fetches a subscription's list now
+ */
+router.post('/subscriptions/:id/refresh', async (req, res) => {
+    try {
+        const subscription = await refresh(req.params.id);
+
+        res.json({
+            success: !subscription.lastError,
+            message: subscription.lastError
+                ? `Failed to fetch list: ${subscription.lastError}`
+                : 'Subscription refreshed successfully',
+            subscription
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/subscriptions/${req.params.id}/refresh: ${error.message}`);
+        sendError(res, error, 'Failed to refresh subscription');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+/**
+ * User and Token Routes for Smart DNS Proxy
+ *
+ * Handles management of web interface accounts and API tokens.
+ * All endpoints require the admin role.
+ */
+
+const express = require('express');
+const router = express.Router();
+const users = require('../users');
+const auth = require('../auth');
+const passwords = require('../passwords');
+const logger = require('../logger').child('api');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{1,32}$/;
+
+router.use(['/users', '/tokens'], auth.requireRole('admin'));
+
+/**
+ * Send an error response, using the status attached by the users module
+ */
+function sendError(res, error, message) {
+    const status = error.statusCode || 500;
+    res.status(status).json({
+        success: false,
+        message: status === 500 ? message : error.message,
+        error: error.message
+    });
+}
+
+/**
+ * GET /api/users
+ * Returns the list of users
+ */
+router.get('/users', async (req, res) => {
+    try {
+        res.json({ users: await users.listUsers() });
+    } catch (error) {
+        logger.error(`Error in GET /api/users: ${error.message}`);
+        sendError(res, error, 'Failed to get users');
+    }
+});
+
+/**
+ * POST /api/users
+ * Adds a new user
+ */
+router.post('/users', async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+
+        if (!username || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username may only contain letters, digits, dots, dashes and underscores'
+            });
+        }
+
+        if (!users.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of ${users.ROLES.join(', ')}`
+            });
+        }
+
+        const problem = passwords.checkNewPassword(password);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+
+        await users.addUser(username, password, role);
+
+        res.json({
+            success: true,
+            message: 'User added successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/users: ${error.message}`);
+        sendError(res, error, 'Failed to add user');
+    }
+});
+
+/**
+ * PUT /api/users/:username
+ * Changes a user's role or resets their password
+ */
+router.put('/users/:username', async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { role, password } = req.body;
+
+        if (role && !users.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of ${users.ROLES.join(', ')}`
+            });
+        }
+
+        if (password) {
+            const problem = passwords.checkNewPassword(password);
+            if (problem) {
+                return res.status(400).json({
+                    success: false,
+                    message: problem
+                });
+            }
+        }
+
+        // A reset password has to be changed by its owner at next login
+        await users.updateUser(username, { role, password, mustChangePassword: true });
+        if (password) {
+            auth.destroyUserSessions(username);
+        }
+
+        res.json({
+            success: true,
+            message: 'User updated successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in PUT /api/users/${req.params.username}: ${error.message}`);
+        sendError(res, error, 'Failed to update user');
+    }
+});
+
+/**
+ * DELETE /api/users/:username
+ * Removes a user
+ */
+router.delete('/users/:username', async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        if (req.user && req.user.username === username) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot remove your own account'
+            });
+        }
+
+        await users.removeUser(username);
+        auth.destroyUserSessions(username);
+
+        res.json({
+            success: true,
+            message: 'User removed successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in DELETE /api/users/${req.params.username}: ${error.message}`);
+        sendError(res, error, 'Failed to remove user');
+    }
+});
+
+/**
+ * GET /api/tokens
+ * Returns the list of API tokens (without the secrets)
+ */
+router.get('/tokens', async (req, res) => {
+    try {
+        res.json({ tokens: await users.listTokens() });
+    } catch (error) {
+        logger.error(`Error in GET /api/tokens: ${error.message}`);
+        sendError(res, error, 'Failed to get tokens');
+    }
+});
+
+/**
+ * POST /api/tokens
+ * Creates an API token; the secret is only returned in this response
+ */
+router.post('/tokens', async (req, res) => {
+    try {
+        const { name, role, expiresAt } = req.body;
+
+        if (!name || typeof name !== 'string' || name.length > 64) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token name is required (up to 64 characters)'
+            });
+        }
+
+        if (!users.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of ${users.ROLES.join(', ')}`
+            });
+        }
+
+        let expires = null;
+        if (expiresAt) {
+            expires = new Date(expiresAt);
+            if (isNaN(expires.getTime()) || expires.getTime() <= Date.now()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expiry must be a date in the future'
+                });
+            }
+        }
+
+        const createdBy = req.user && req.user.username ? req.user.username : 'anonymous';
+        const { token, record } = await users.createToken(
+            name.trim(),
+            role,
+            expires ? expires.toISOString() : null,
+            createdBy
+        );
+
+        res.json({
+            success: true,
+            message: 'Token created successfully',
+            token,
+            record
+        });
+    } catch (error) {
+        logger.error(`Error in POST /api/tokens: ${error.message}`);
+        sendError(res, error, 'Failed to create token');
+    }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revokes an API token
+ */
+router.delete('/tokens/:id', async (req, res) => {
+    try {
+        await users.revokeToken(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Token revoked successfully'
+        });
+    } catch (error) {
+        logger.error(`Error in DELETE /api/tokens/${req.params.id}: ${error.message}`);
+        sendError(res, error, 'Failed to revoke token');
+    }
+});
+
+module.exports = router;
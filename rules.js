@@ -0,0 +1,381 @@
+/**
+ * Domain Rules
+ *
+ * Matching for the entries in data/ips.json. Each entry has a type:
+ *
+ *   suffix     example.com          the domain and all its subdomains (default)
+ *   exact      www.example.com      that host only
+ *   wildcard   *.cdn.example.com    names matching the pattern, '*' standing
+ *                                   for any characters (not the bare domain)
+ *   regex      ^ads?\d+\.           names matching a regular expression
+ *   exclude    login.example.com    the domain and its subdomains use the
+ *                                   alternative DNS servers, whatever else
+ *                                   would match
+ *
+ * Precedence, highest first:
+ *
+ *   1. exact rules
+ *   2. suffix, wildcard and exclude rules; the most specific one wins
+ *      (longest domain, or longest fixed part after the last '*').
+ *      On a tie exclude beats wildcard, which beats suffix.
+ *   3. regex rules, in list order
+ *   4. the alternative DNS servers
+ *
+ * Regex rules are matched with RE2 (the re2js port), which takes time in
+ * proportion to the name whatever the pattern, as every query is checked
+ * against them. Its syntax has no lookarounds or backreferences.
+ */
+
+const { RE2JS } = require('re2js');
+const upstreams = require('./upstreams');
+const logger = require('./logger').child('rules');
+
+const RULE_TYPES = ['suffix', 'exact', 'wildcard', 'regex', 'exclude'];
+
+// Host names with at least two labels and an alphabetic top-level domain
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,63}$/;
+const WILDCARD_PATTERN = /^[a-zA-Z0-9*](?:[a-zA-Z0-9*.-]*[a-zA-Z0-9])?$/;
+const MAX_REGEX_LENGTH = 256;
+// Each '*' can backtrack over the whole name, so matching slows down
+// sharply with more of them
+const MAX_WILDCARDS = 2;
+
+// Ties between equally specific rules are broken in this order
+const TIE_ORDER = { exclude: 3, wildcard: 2, suffix: 1 };
+
+/**
+ * Get a rule's type, treating entries from before rule types as suffix rules
+ */
+function typeOf(item) {
+    return item.type || 'suffix';
+}
+
+/**
+ * Check whether a rule forwards to its own resolveVia (everything but exclusions)
+ */
+function hasUpstream(item) {
+    return typeOf(item) !== 'exclude';
+}
+
+/**
+ * Get the upstreams a rule forwards to, in the order they were given
+ */
+function upstreamsOf(item) {
+    return hasUpstream(item) ? upstreams.listOf(item.resolveVia) : [];
+}
+
+/**
+ * Get how a rule picks among its upstreams (see strategies.js)
+ */
+function strategyOf(item) {
+    return item.strategy || 'order';
+}
+
+/**
+ * Build the stored form of a rule
+ *
+ * Exclusions always use the alternative DNS servers, so they keep no
+ * resolveVia of their own. Rules in a group may leave resolveVia out to
+ * use the group's DNS server. A single upstream is stored as a string
+ * and several as a list; the strategy is only kept when it isn't the
+ * default order and there is a choice to make.
+ */
+function normalizeEntry({ domain, type = 'suffix', resolveVia, strategy, filterAAAA = false, group }) {
+    if (Array.isArray(resolveVia) && resolveVia.length === 1) {
+        resolveVia = resolveVia[0];
+    }
+    const entry = type === 'exclude' ? { domain, type } : { domain, type, resolveVia };
+    if (type !== 'exclude' && strategy && strategy !== 'order' && typeof resolveVia !== 'string') {
+        entry.strategy = strategy;
+    }
+    if (type !== 'exclude') {
+        entry.filterAAAA = Boolean(filterAAAA);
+    }
+    if (group) {
+        entry.group = group;
+    }
+    return entry;
+}
+
+/**
+ * Check a rule's pattern, returning a problem description or null
+ */
+function validatePattern(type, pattern) {
+    if (!RULE_TYPES.includes(type)) {
+        return `Rule type must be one of ${RULE_TYPES.join(', ')}`;
+    }
+    if (typeof pattern !== 'string' || !pattern) {
+        return 'Domain is required';
+    }
+
+    switch (type) {
+        case 'wildcard':
+            if (!pattern.includes('*') || !WILDCARD_PATTERN.test(pattern)) {
+                return 'Wildcard rules need a pattern such as *.cdn.example.com';
+            }
+            if (pattern.includes('**')) {
+                return "Wildcard patterns may not have two '*' in a row";
+            }
+            if (pattern.split('*').length - 1 > MAX_WILDCARDS) {
+                return `Wildcard patterns may have at most ${MAX_WILDCARDS} '*'`;
+            }
+            return null;
+        case 'regex':
+            if (/\s/.test(pattern)) {
+                return 'Regular expressions may not contain whitespace';
+            }
+            if (pattern.length > MAX_REGEX_LENGTH) {
+                return `Regular expressions are limited to ${MAX_REGEX_LENGTH} characters`;
+            }
+            try {
+                RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+            } catch (err) {
+                return err.message;
+            }
+            return checkBacktracking(pattern);
+        default:
+            return DOMAIN_PATTERN.test(pattern) ? null : 'Invalid domain format';
+    }
+}
+
+/**
+ * Read the quantifier starting at a position in a regular expression
+ *
+ * Returns { length, max } with max the most repetitions it allows, or
+ * null when there is no quantifier there.
+ */
+function readQuantifier(pattern, index) {
+    const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    let length;
+    let max;
+
+    if (index < pattern.length && '*+?'.includes(pattern[index])) {
+        length = 1;
+        max = pattern[index] === '?' ? 1 : Infinity;
+    } else if (bounds) {
+        length = bounds[0].length;
+        max = !bounds[2] ? Number(bounds[1]) : bounds[3] ? Number(bounds[3]) : Infinity;
+    } else {
+        return null;
+    }
+
+    // Lazy quantifiers backtrack just the same
+    if (pattern[index + length] === '?') {
+        length++;
+    }
+    return { length, max };
+}
+
+/**
+ * Reject regular expressions whose matching time would explode on a long
+ * name with a backtracking engine: a repeated group with alternatives or
+ * an unbounded quantifier inside, such as (a|b)+ or (a+)+, or two
+ * unbounded quantifiers in a row, such as \d+\d*
+ *
+ * Matching uses RE2, which doesn't backtrack, so this is a second line of
+ * defence that keeps such patterns out of the stored rules. Returns a
+ * problem description or null. Expects a pattern RE2 accepts.
+ */
+function checkBacktracking(pattern) {
+    // One frame per open group: whether it holds an unbounded quantifier
+    // anywhere, whether the last item so far repeats without limit,
+    // whether an earlier alternative ended that way and whether it has
+    // alternatives at all
+    const stack = [{ unbounded: false, trailing: false, endsUnbounded: false, alternatives: false }];
+    let index = 0;
+
+    while (index < pattern.length) {
+        const frame = stack[stack.length - 1];
+        const char = pattern[index];
+        let inner = null;
+
+        if (char === '(') {
+            index++;
+            if (pattern[index] === '?') {
+                // Skip (?:, (?=, (?!, (?<=, (?<! and (?<name>
+                const prefix = /^\?(<[=!]|<[^>]*>|[:=!])/.exec(pattern.slice(index));
+                index += prefix ? prefix[0].length : 1;
+            }
+            stack.push({ unbounded: false, trailing: false, endsUnbounded: false, alternatives: false });
+            continue;
+        }
+        if (char === '|') {
+            frame.endsUnbounded = frame.endsUnbounded || frame.trailing;
+            frame.alternatives = true;
+            frame.trailing = false;
+            index++;
+            continue;
+        }
+
+        if (char === ')') {
+            inner = stack.pop();
+            index++;
+        } else if (char === '[') {
+            // A character class, which may contain escaped brackets
+            index++;
+            while (index < pattern.length && pattern[index] !== ']') {
+                index += pattern[index] === '\\' ? 2 : 1;
+            }
+            index++;
+        } else {
+            index += char === '\\' ? 2 : 1;
+        }
+
+        const current = stack[stack.length - 1];
+        const quantifier = readQuantifier(pattern, index);
+        if (!quantifier) {
+            // A group ending in an unbounded item still runs into the next one
+            current.unbounded = current.unbounded || Boolean(inner && inner.unbounded);
+            current.trailing = Boolean(inner && (inner.trailing || inner.endsUnbounded));
+            continue;
+        }
+        index += quantifier.length;
+
+        if (inner && inner.alternatives && quantifier.max > 1) {
+            return 'Regular expressions may not repeat a group with alternatives, as in (a|b)+';
+        }
+        if (inner && inner.unbounded && quantifier.max > 1) {
+            return 'Regular expressions may not repeat a group that contains +, * or {n,}, as in (a+)+';
+        }
+        if (quantifier.max === Infinity) {
+            if (current.trailing) {
+                return 'Regular expressions may not have two unbounded quantifiers in a row, as in \\d+\\d*';
+            }
+            current.unbounded = true;
+            current.trailing = true;
+        } else {
+            current.unbounded = current.unbounded || Boolean(inner && inner.unbounded);
+            current.trailing = false;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the domain every name matched by a rule falls under, or null
+ *
+ * Used to hand just that part of the namespace to the local forwarder in
+ * dnsmasq mode. Regex rules can match anything, so they have none.
+ */
+function anchorOf(item) {
+    const type = typeOf(item);
+    const pattern = item.domain.toLowerCase();
+
+    if (type === 'regex') {
+        return null;
+    }
+    if (type !== 'wildcard') {
+        return pattern;
+    }
+
+    // Text after the last '*', cut back to a whole label
+    const tail = pattern.slice(pattern.lastIndexOf('*') + 1);
+    const anchor = tail.startsWith('.') ? tail.slice(1) : tail.slice(tail.indexOf('.') + 1);
+    return tail.includes('.') && anchor ? anchor : null;
+}
+
+/**
+ * Turn a wildcard pattern into a regular expression
+ */
+function wildcardToRegex(pattern) {
+    const escaped = pattern.toLowerCase().split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.+')}$`);
+}
+
+/**
+ * Compile a regex rule's pattern, or get null for one RE2 can't read
+ *
+ * Rules saved before regex rules moved to RE2 may use syntax it lacks;
+ * they are left out of routing rather than stopping every other rule.
+ */
+function compileRegex(pattern) {
+    try {
+        return RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+    } catch (err) {
+        logger.warn(`Ignoring regex rule ${pattern}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Prepare rules for matching
+ */
+function compile(domains) {
+    return domains.map(item => {
+        const type = typeOf(item);
+        const domain = type === 'regex' ? item.domain : item.domain.toLowerCase().replace(/\.$/, '');
+        const rule = {
+            type,
+            domain,
+            resolveVia: upstreamsOf(item),
+            strategy: strategyOf(item),
+            filterAAAA: Boolean(item.filterAAAA)
+        };
+
+        if (type === 'wildcard') {
+            rule.regex = wildcardToRegex(domain);
+            rule.specificity = (anchorOf(item) || '').length;
+        } else if (type === 'regex') {
+            rule.regex = compileRegex(domain);
+        } else {
+            rule.specificity = domain.length;
+        }
+        return rule;
+    });
+}
+
+/**
+ * Check whether a compiled rule matches a query name
+ */
+function matches(rule, name) {
+    switch (rule.type) {
+        case 'exact':
+            return name === rule.domain;
+        case 'wildcard':
+            return rule.regex.test(name);
+        case 'regex':
+            return Boolean(rule.regex) && rule.regex.test(name);
+        default:
+            return name === rule.domain || name.endsWith(`.${rule.domain}`);
+    }
+}
+
+/**
+ * Find the rule that applies to a query name, following the precedence above
+ */
+function findMatch(compiled, name) {
+    const exact = compiled.find(rule => rule.type === 'exact' && rule.domain === name);
+    if (exact) {
+        return exact;
+    }
+
+    let best = null;
+    for (const rule of compiled) {
+        if (!TIE_ORDER[rule.type] || !matches(rule, name)) {
+            continue;
+        }
+        if (!best || rule.specificity > best.specificity ||
+            (rule.specificity === best.specificity && TIE_ORDER[rule.type] > TIE_ORDER[best.type])) {
+            best = rule;
+        }
+    }
+    if (best) {
+        return best;
+    }
+
+    return compiled.find(rule => rule.type === 'regex' && matches(rule, name)) || null;
+}
+
+module.exports = {
+    RULE_TYPES,
+    typeOf,
+    hasUpstream,
+    upstreamsOf,
+    strategyOf,
+    normalizeEntry,
+    validatePattern,
+    anchorOf,
+    compile,
+    findMatch
+};
@@ -0,0 +1,302 @@
+/**
+ * Settings Schema
+ *
+ * Describes every setting in config.json: its type, allowed values and
+ * default. Settings sent to the API are checked against it before they are
+ * saved, and anything left out gets its default.
+ *
+ * Each node has a type (object, array, string, integer, number, boolean)
+ * and, depending on it:
+ *   properties   the settings inside an object; others are rejected
+ *   check        a function returning [field, message] pairs for problems
+ *                spanning several settings of an object
+ *   items        the node every array element is checked against
+ *   minItems     the fewest elements an array may have
+ *   enum         the values a string may take
+ *   format       ipv4, ipv6, hostname or upstream, checked for strings
+ *   allowEmpty   lets a formatted string be empty
+ *   minimum, maximum  the range of a number
+ *   default      the value used when the setting is left out
+ *
+ * The web interface account fields kept from before accounts moved to
+ * users.json are internal: they can't be set through the API, and are
+ * carried over from the stored configuration when it is replaced.
+ */
+
+const net = require('net');
+const upstreams = require('./upstreams');
+const strategies = require('./strategies');
+const logger = require('./logger');
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)*[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.?$/i;
+
+const FORMATS = {
+    ipv4: { test: value => net.isIPv4(value), message: 'Must be an IPv4 address' },
+    ipv6: { test: value => net.isIPv6(value), message: 'Must be an IPv6 address' },
+    hostname: { test: value => HOSTNAME_PATTERN.test(value), message: 'Must be a domain name' },
+    upstream: { test: value => upstreams.isValidUpstream(value), message: 'Must be a DNS server address or URL' }
+};
+
+const port = defaultPort => ({ type: 'integer', minimum: 1, maximum: 65535, default: defaultPort });
+const logFile = (maxSizeMB, retainDays) => ({
+    type: 'object',
+    properties: {
+        maxSizeMB: { type: 'number', minimum: 0, maximum: 1024, default: maxSizeMB },
+        rotateHours: { type: 'integer', minimum: 0, maximum: 8760, default: 24 },
+        retainDays: { type: 'integer', minimum: 1, maximum: 3650, default: retainDays }
+    }
+});
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        dnsServer: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: ['dnsmasq', 'builtin'], default: 'dnsmasq' },
+                listenAddress: { type: 'string', format: 'ipv4', allowEmpty: true, default: '0.0.0.0' },
+                listenAddress6: { type: 'string', format: 'ipv6', allowEmpty: true, default: '::' },
+                port: port(53),
+                cacheSize: { type: 'integer', minimum: 0, maximum: 100000, default: 1000 },
+                logQueries: { type: 'boolean', default: true },
+                forwarderPort: port(5353),
+                dohMethod: { type: 'string', enum: ['POST', 'GET'], default: 'POST' },
+                tlsFallback: { type: 'string', enum: ['none', 'plain'], default: 'none' },
+                serveDoh: { type: 'boolean', default: false },
+                serveJson: { type: 'boolean', default: false }
+            },
+            check: ({ listenAddress, listenAddress6, port: dnsPort, forwarderPort }) => [
+                ...(!listenAddress && !listenAddress6 ? [['listenAddress', 'Set an IPv4 or an IPv6 listen address']] : []),
+                ...(dnsPort === forwarderPort ? [['forwarderPort', 'Must differ from the DNS server port']] : [])
+            ]
+        },
+        alternativeDNS: {
+            type: 'array',
+            items: { type: 'string', format: 'upstream' },
+            minItems: 1,
+            default: ['8.8.8.8', '1.1.1.1']
+        },
+        alternativeStrategy: { type: 'string', enum: strategies.STRATEGIES, default: 'order' },
+        healthCheck: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: true },
+                interval: { type: 'integer', minimum: 5, maximum: 3600, default: 30 },
+                testName: { type: 'string', format: 'hostname', default: 'example.com' },
+                timeout: { type: 'integer', minimum: 100, maximum: 10000, default: 2000 },
+                failureThreshold: { type: 'integer', minimum: 1, maximum: 20, default: 3 },
+                backupDNS: { type: 'array', items: { type: 'string', format: 'upstream' }, default: [] }
+            }
+        },
+        staging: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false }
+            }
+        },
+        backup: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                intervalHours: { type: 'integer', minimum: 1, maximum: 720, default: 24 },
+                retain: { type: 'integer', minimum: 1, maximum: 365, default: 7 },
+                includeLogs: { type: 'boolean', default: false },
+                includeStats: { type: 'boolean', default: true }
+            }
+        },
+        logging: {
+            type: 'object',
+            properties: {
+                level: { type: 'string', enum: logger.LEVELS, default: 'info' },
+                dns: logFile(10, 7),
+                access: logFile(10, 14),
+                error: logFile(5, 30)
+            }
+        },
+        webInterface: {
+            type: 'object',
+            properties: {
+                port: port(5000),
+                enableAuth: { type: 'boolean', default: false },
+                serveMetrics: { type: 'boolean', default: true },
+                metricsAuth: { type: 'boolean', default: true },
+                username: { type: 'internal' },
+                password: { type: 'internal' },
+                passwordHash: { type: 'internal' }
+            }
+        }
+    }
+};
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function join(field, key) {
+    return field ? `${field}.${key}` : String(key);
+}
+
+/**
+ * Describe the range of a number node
+ */
+function rangeOf(node) {
+    return `between ${node.minimum} and ${node.maximum}`;
+}
+
+/**
+ * Check a value against a schema node, collecting { field, message }
+ * problems in errors
+ *
+ * Returns the value with defaults filled in, or undefined when it is left
+ * out and has no default.
+ */
+function check(node, value, field, errors) {
+    const fail = message => {
+        errors.push({ field, message });
+        return undefined;
+    };
+
+    if (node.type === 'internal') {
+        return value === undefined ? undefined : fail('Accounts are managed in the Users section');
+    }
+    if (value === undefined) {
+        if (node.type === 'object') {
+            return check(node, {}, field, errors);
+        }
+        return node.default === undefined ? undefined : JSON.parse(JSON.stringify(node.default));
+    }
+
+    switch (node.type) {
+        case 'object': {
+            if (!isObject(value)) {
+                return fail('Must be an object');
+            }
+            Object.keys(value)
+                .filter(key => !Object.prototype.hasOwnProperty.call(node.properties, key))
+                .forEach(key => errors.push({ field: join(field, key), message: 'Unknown setting' }));
+
+            const result = {};
+            const before = errors.length;
+            Object.entries(node.properties).forEach(([key, child]) => {
+                const checked = check(child, value[key], join(field, key), errors);
+                if (checked !== undefined) {
+                    result[key] = checked;
+                }
+            });
+            // Settings that depend on each other are only compared once each is valid
+            if (node.check && errors.length === before) {
+                node.check(result).forEach(([key, message]) => errors.push({ field: join(field, key), message }));
+            }
+            return result;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return fail('Must be a list');
+            }
+            if (node.minItems && value.length < node.minItems) {
+                return fail(`Must have at least ${node.minItems} ${node.minItems === 1 ? 'entry' : 'entries'}`);
+            }
+            return value.map((item, index) => check(node.items, item, join(field, index), errors));
+        }
+        case 'string': {
+            if (typeof value !== 'string') {
+                return fail('Must be text');
+            }
+            if (node.enum && !node.enum.includes(value)) {
+                return fail(`Must be one of ${node.enum.join(', ')}`);
+            }
+            if (node.format && !(node.allowEmpty && value === '') && !FORMATS[node.format].test(value)) {
+                return fail(FORMATS[node.format].message);
+            }
+            return value;
+        }
+        case 'integer':
+        case 'number': {
+            const valid = node.type === 'integer' ? Number.isInteger(value) : typeof value === 'number' && isFinite(value);
+            if (!valid || value < node.minimum || value > node.maximum) {
+                return fail(`Must be a ${node.type === 'integer' ? 'whole number' : 'number'} ${rangeOf(node)}`);
+            }
+            return value;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? value : fail('Must be true or false');
+        default:
+            throw new Error(`Unknown schema type ${node.type}`);
+    }
+}
+
+/**
+ * Apply a partial update to settings, as in a JSON merge patch
+ *
+ * Objects are merged key by key; anything else, lists included, replaces
+ * what was there. null removes a setting, so it goes back to its default.
+ */
+function merge(settings, changes) {
+    if (!isObject(changes)) {
+        return changes;
+    }
+    const result = isObject(settings) ? { ...settings } : {};
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = merge(result[key], value);
+        }
+    });
+    return result;
+}
+
+/**
+ * Split the internal fields from a stored configuration
+ */
+function splitInternal(appConfig) {
+    const { username, password, passwordHash, ...webInterface } = (appConfig && appConfig.webInterface) || {};
+    const internal = { username, password, passwordHash };
+    Object.keys(internal).forEach(key => internal[key] === undefined && delete internal[key]);
+    return { settings: { ...appConfig, webInterface }, internal };
+}
+
+/**
+ * Create an error listing every problem with some settings, as
+ * { field, message } in its errors
+ */
+function settingsError(errors) {
+    const error = new Error(`Invalid settings: ${errors.map(({ field, message }) => `${field || 'settings'}: ${message}`).join('; ')}`);
+    error.statusCode = 400;
+    error.errors = errors;
+    return error;
+}
+
+/**
+ * Check new settings, replacing the stored configuration or, with
+ * partial, updating it
+ *
+ * Returns the configuration to save, or throws a settingsError.
+ */
+function apply(appConfig, changes, { partial = false } = {}) {
+    // Anything else would reset every setting, authentication included
+    if (!isObject(changes)) {
+        throw settingsError([{ field: '', message: 'Must be an object' }]);
+    }
+    const { settings, internal } = splitInternal(appConfig);
+    const errors = [];
+    const checked = check(SCHEMA, partial ? merge(settings, changes) : changes, '', errors);
+    if (errors.length > 0) {
+        throw settingsError(errors);
+    }
+    checked.webInterface = { ...checked.webInterface, ...internal };
+    return checked;
+}
+
+/**
+ * Get the settings as the API shows them, without the internal fields
+ */
+function publicSettings(appConfig) {
+    return splitInternal(appConfig).settings;
+}
+
+module.exports = {
+    SCHEMA,
+    apply,
+    publicSettings
+};
@@ -0,0 +1,535 @@
+/**
+ * Query Statistics
+ *
+ * Counts the DNS queries the proxy actually answers. Events come from two
+ * places:
+ *
+ *   the built-in server   resolver.js calls recordQuery() for every query
+ *                         it answers and recordUpstream() for every query
+ *                         it sends upstream
+ *   dnsmasq               its log-queries=extra output is parsed by
+ *                         ingestDnsmasqLine(); queries it hands to the
+ *                         local forwarder are counted upstream by the
+ *                         forwarder itself
+ *
+ * Counters are kept per minute (last hour), per hour (last day) and per
+ * day (last 30 days), as totals since the statistics were started, and
+ * per queried name, client and upstream. They are saved to
+ * data/stats.json every minute and on shutdown, and loaded again on start.
+ *
+ * Counters by upstream, rule and response code and the latency histograms
+ * behind /metrics (see metrics.js) count from process start and aren't saved.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger').child('stats');
+const storage = require('./storage');
+
+const STATS_PATH = path.join(__dirname, 'data', 'stats.json');
+const SAVE_INTERVAL = 60000;
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How many buckets of each granularity are kept, and how long each is
+const SERIES = {
+    minute: 60,
+    hour: 24,
+    day: 30
+};
+const SPANS = {
+    minute: MINUTE,
+    hour: HOUR,
+    day: DAY
+};
+
+// Names and clients beyond this are pruned, least queried first
+const MAX_KEYS = 5000;
+const PRUNED_KEYS = 4000;
+
+// dnsmasq queries that never got an answer are forgotten after this
+const PENDING_TIMEOUT = 30000;
+const MAX_PENDING = 2000;
+
+// Latency histogram bucket bounds in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// dnsmasq[pid]: <serial> <client>/<port> <verb> <name> <from|to|is> <detail>
+const DNSMASQ_LINE = /dnsmasq(?:\[\d+\])?: (\d+) (\S+)\/\d+ (\S+) (\S+) (from|to|is) (.+)$/;
+
+let state = emptyState();
+let dirty = false;
+let timer = null;
+// Saves run one at a time, as they share a temporary file
+let saving = Promise.resolve();
+// How many keys the name and client tables hold, so counting a query
+// doesn't have to list them
+const keyCounts = new WeakMap();
+let dnsmasqOptions = { forwarder: null, logQueries: false, clientMatcher: null, findRule: null };
+const pending = new Map();
+const live = {
+    queries: new Map(),
+    cacheHits: 0,
+    cacheMisses: 0,
+    queryDuration: emptyHistogram(),
+    upstreamLatency: new Map()
+};
+
+function emptyCounters() {
+    return { queries: 0, cacheHits: 0, cacheMisses: 0, nxdomain: 0, servfail: 0 };
+}
+
+function emptyState() {
+    return {
+        since: new Date().toISOString(),
+        totals: emptyCounters(),
+        series: { minute: [], hour: [], day: [] },
+        domains: {},
+        clients: {},
+        upstreams: {}
+    };
+}
+
+function emptyHistogram() {
+    return { buckets: LATENCY_BUCKETS.map(() => 0), count: 0, sum: 0 };
+}
+
+/**
+ * Add a duration in milliseconds to a latency histogram
+ */
+function observe(histogram, milliseconds) {
+    const seconds = milliseconds / 1000;
+    LATENCY_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) {
+            histogram.buckets[index]++;
+        }
+    });
+    histogram.count++;
+    histogram.sum += seconds;
+}
+
+/**
+ * Get the start of the bucket a time falls in; days start at local midnight
+ */
+function bucketStart(granularity, time) {
+    if (granularity === 'day') {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+    const size = granularity === 'hour' ? HOUR : MINUTE;
+    return Math.floor(time / size) * size;
+}
+
+/**
+ * Get the oldest bucket start still kept for a granularity
+ */
+function oldestKept(granularity, now) {
+    return bucketStart(granularity, now - (SERIES[granularity] - 1) * SPANS[granularity]);
+}
+
+/**
+ * Get the bucket for the current time, starting a new one when needed
+ */
+function currentBucket(granularity, now) {
+    const buckets = state.series[granularity];
+    const start = bucketStart(granularity, now);
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+        bucket = { start, ...emptyCounters() };
+        buckets.push(bucket);
+        const oldest = oldestKept(granularity, now);
+        while (buckets.length > 0 && buckets[0].start < oldest) {
+            buckets.shift();
+        }
+    }
+    return bucket;
+}
+
+/**
+ * Add a query's outcome to a set of counters
+ */
+function count(counters, { answer, rcode }) {
+    counters.queries++;
+    if (answer === 'cache') {
+        counters.cacheHits++;
+    } else if (answer === 'upstream') {
+        counters.cacheMisses++;
+    }
+    if (rcode === 'NXDOMAIN') {
+        counters.nxdomain++;
+    } else if (rcode === 'SERVFAIL') {
+        counters.servfail++;
+    }
+}
+
+/**
+ * Count a key, pruning the least counted keys when there are too many
+ */
+function countKey(table, key) {
+    let size = keyCounts.has(table) ? keyCounts.get(table) : Object.keys(table).length;
+    if (!Object.hasOwn(table, key)) {
+        size++;
+    }
+    table[key] = (table[key] || 0) + 1;
+
+    if (size > MAX_KEYS) {
+        const keys = Object.keys(table);
+        keys.sort((a, b) => table[a] - table[b])
+            .slice(0, keys.length - PRUNED_KEYS)
+            .forEach(removed => delete table[removed]);
+        size = Object.keys(table).length;
+    }
+    keyCounts.set(table, size);
+}
+
+/**
+ * Record a query answered to a client
+ *
+ * answer is 'cache', 'upstream' or 'local' (answered without asking
+ * anyone, like filtered AAAA queries), and rcode the response code name.
+ * upstream is the server that answered, rule the pattern of the rule the
+ * name matched and duration how long answering took in milliseconds.
+ */
+function recordQuery({ name, client, answer, rcode, upstream = null, rule = null, duration = null }) {
+    const event = { answer, rcode };
+    const now = Date.now();
+
+    const key = JSON.stringify([answer === 'upstream' ? upstream || 'none' : answer, rule || '', rcode]);
+    live.queries.set(key, (live.queries.get(key) || 0) + 1);
+    if (answer === 'cache') {
+        live.cacheHits++;
+    } else if (answer === 'upstream') {
+        live.cacheMisses++;
+    }
+    if (duration !== null) {
+        observe(live.queryDuration, duration);
+    }
+
+    count(state.totals, event);
+    Object.keys(SERIES).forEach(granularity => count(currentBucket(granularity, now), event));
+    countKey(state.domains, String(name || '').toLowerCase().replace(/\.$/, '') || '.');
+    countKey(state.clients, client || 'unknown');
+    dirty = true;
+}
+
+/**
+ * Record a query sent to an upstream, with its round-trip time when it answered
+ */
+function recordUpstream(upstream, { ok, latency = null }) {
+    const entry = state.upstreams[upstream] || { queries: 0, failures: 0, latencyTotal: 0, answered: 0 };
+    entry.queries++;
+    if (ok) {
+        entry.answered++;
+        entry.latencyTotal += latency || 0;
+        if (!live.upstreamLatency.has(upstream)) {
+            live.upstreamLatency.set(upstream, emptyHistogram());
+        }
+        observe(live.upstreamLatency.get(upstream), latency || 0);
+    } else {
+        entry.failures++;
+    }
+    state.upstreams[upstream] = entry;
+    dirty = true;
+}
+
+/**
+ * Tell the dnsmasq log parser where the local forwarder is, whether
+ * queries go to the DNS log, how to name clients and how to find the
+ * rule a name matches
+ */
+function configure({ forwarder = null, logQueries = false, clientMatcher = null, findRule = null } = {}) {
+    dnsmasqOptions = { forwarder, logQueries, clientMatcher, findRule };
+}
+
+/**
+ * Name a client dnsmasq reports by address
+ */
+function clientName(address) {
+    const match = dnsmasqOptions.clientMatcher ? dnsmasqOptions.clientMatcher.identify(address, null) : null;
+    return match ? match.client.name : address;
+}
+
+/**
+ * Get the response code name from the detail of a dnsmasq answer line
+ */
+function dnsmasqRcode(detail) {
+    if (detail === 'NXDOMAIN' || detail === 'SERVFAIL' || detail === 'REFUSED') {
+        return detail;
+    }
+    return 'NOERROR';
+}
+
+/**
+ * Forget dnsmasq queries that never got an answer
+ */
+function prunePending(now) {
+    for (const [serial, query] of pending) {
+        if (pending.size <= MAX_PENDING && now - query.at < PENDING_TIMEOUT) {
+            break;
+        }
+        pending.delete(serial);
+    }
+}
+
+/**
+ * Count a line of dnsmasq's log-queries=extra output
+ *
+ * dnsmasq logs each query, where it was forwarded and the answer, tagged
+ * with a serial number. Returns true if the line was a query log line.
+ */
+function ingestDnsmasqLine(line) {
+    const match = line.match(DNSMASQ_LINE);
+    if (!match) {
+        return false;
+    }
+    const [, serial, address, verb, name, , detail] = match;
+    const now = Date.now();
+
+    if (verb.startsWith('query[')) {
+        prunePending(now);
+        pending.set(serial, { at: now, name, type: verb.slice(6, -1), client: clientName(address), address, upstream: null });
+        return true;
+    }
+
+    const query = pending.get(serial);
+    if (!query) {
+        // Further answer lines of a query already counted, or other log lines
+        return true;
+    }
+
+    if (verb === 'forwarded') {
+        query.upstream = detail;
+        return true;
+    }
+
+    const answer = verb.startsWith('cached') ? 'cache' : verb === 'reply' ? 'upstream' : 'local';
+    const rcode = dnsmasqRcode(detail);
+    const toForwarder = Boolean(query.upstream) && query.upstream === dnsmasqOptions.forwarder;
+    const rule = dnsmasqOptions.findRule ? dnsmasqOptions.findRule(query.name) : null;
+    pending.delete(serial);
+    recordQuery({
+        name: query.name,
+        client: query.client,
+        answer,
+        rcode,
+        upstream: toForwarder ? 'forwarder' : query.upstream,
+        rule: rule ? rule.domain : null,
+        duration: now - query.at
+    });
+
+    // The forwarder counts and logs the queries dnsmasq hands it
+    if (toForwarder) {
+        return true;
+    }
+    if (query.upstream) {
+        recordUpstream(query.upstream, { ok: rcode !== 'SERVFAIL' && rcode !== 'REFUSED', latency: now - query.at });
+    }
+    if (dnsmasqOptions.logQueries) {
+        const result = answer === 'cache' ? 'cache' : query.upstream || verb;
+        logger.dnsQuery(`${query.name} ${query.type}`, result, query.client === query.address ? query.address : `${query.address} (${query.client})`);
+    }
+    return true;
+}
+
+/**
+ * Add derived rates to a set of counters
+ */
+function summarize(counters) {
+    const lookups = counters.cacheHits + counters.cacheMisses;
+    return {
+        queries: counters.queries,
+        cacheHits: counters.cacheHits,
+        cacheMisses: counters.cacheMisses,
+        nxdomain: counters.nxdomain,
+        servfail: counters.servfail,
+        hitRate: lookups > 0 ? counters.cacheHits / lookups : null,
+        nxdomainRate: counters.queries > 0 ? counters.nxdomain / counters.queries : null,
+        servfailRate: counters.queries > 0 ? counters.servfail / counters.queries : null
+    };
+}
+
+/**
+ * Add up a list of buckets
+ */
+function sum(buckets) {
+    return buckets.reduce((total, bucket) => {
+        Object.keys(total).forEach(key => {
+            total[key] += bucket[key];
+        });
+        return total;
+    }, emptyCounters());
+}
+
+/**
+ * Get a full series for a granularity, with empty buckets filled in
+ */
+function getSeries(granularity, now) {
+    const buckets = new Map(state.series[granularity].map(bucket => [bucket.start, bucket]));
+    const series = [];
+    let start = oldestKept(granularity, now);
+    const last = bucketStart(granularity, now);
+    while (start <= last) {
+        series.push({ ...(buckets.get(start) || emptyCounters()), start: new Date(start).toISOString() });
+        // Step past the bucket, then back to its start, so days follow DST changes
+        start = bucketStart(granularity, start + SPANS[granularity] + (granularity === 'day' ? 2 * HOUR : 0));
+    }
+    return series;
+}
+
+/**
+ * Get the most counted keys of a table
+ */
+function top(table, limit) {
+    return Object.entries(table)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit);
+}
+
+/**
+ * Get the statistics for the API
+ */
+function getStats({ limit = 10 } = {}) {
+    const now = Date.now();
+    const series = {
+        minute: getSeries('minute', now),
+        hour: getSeries('hour', now),
+        day: getSeries('day', now)
+    };
+
+    return {
+        since: state.since,
+        totals: summarize(state.totals),
+        today: summarize(series.day[series.day.length - 1]),
+        lastHour: summarize(sum(series.minute)),
+        lastDay: summarize(sum(series.hour)),
+        lastMonth: summarize(sum(series.day)),
+        series,
+        topDomains: top(state.domains, limit).map(([name, queries]) => ({ name, queries })),
+        topClients: top(state.clients, limit).map(([client, queries]) => ({ client, queries })),
+        upstreams: Object.entries(state.upstreams)
+            .sort((a, b) => b[1].queries - a[1].queries)
+            .map(([upstream, entry]) => ({
+                upstream,
+                queries: entry.queries,
+                failures: entry.failures,
+                failureRate: entry.queries > 0 ? entry.failures / entry.queries : null,
+                latency: entry.answered > 0 ? Math.round(entry.latencyTotal / entry.answered) : null
+            }))
+    };
+}
+
+/**
+ * Get the counters since process start, for /metrics
+ *
+ * queries lists { upstream, rule, rcode, count }; upstream is 'cache' or
+ * 'local' for queries answered without an upstream and 'none' when no
+ * upstream answered.
+ */
+function getMetrics() {
+    return {
+        queries: Array.from(live.queries, ([key, value]) => {
+            const [upstream, rule, rcode] = JSON.parse(key);
+            return { upstream, rule, rcode, count: value };
+        }),
+        cacheHits: live.cacheHits,
+        cacheMisses: live.cacheMisses,
+        latencyBuckets: LATENCY_BUCKETS,
+        queryDuration: live.queryDuration,
+        upstreamLatency: Array.from(live.upstreamLatency, ([upstream, histogram]) => ({ upstream, ...histogram }))
+    };
+}
+
+/**
+ * Turn saved statistics into the current state, keeping only what is
+ * still in range
+ */
+function fromSaved(saved) {
+    const now = Date.now();
+    const loaded = { ...emptyState(), ...saved };
+    Object.keys(SERIES).forEach(granularity => {
+        const oldest = oldestKept(granularity, now);
+        loaded.series[granularity] = ((saved.series || {})[granularity] || []).filter(bucket => bucket.start >= oldest);
+    });
+    return loaded;
+}
+
+async function load() {
+    try {
+        state = fromSaved(JSON.parse(await fs.readFile(STATS_PATH, 'utf8')));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.error(`Failed to load statistics: ${error.message}`);
+        }
+    }
+}
+
+function save() {
+    const run = saving.then(async () => {
+        if (!dirty) {
+            return;
+        }
+        dirty = false;
+        try {
+            await fs.mkdir(path.dirname(STATS_PATH), { recursive: true });
+            await storage.writeFileAtomic(STATS_PATH, JSON.stringify(state));
+        } catch (error) {
+            dirty = true;
+            logger.error(`Failed to save statistics: ${error.message}`);
+        }
+    });
+    saving = run;
+    return run;
+}
+
+/**
+ * Get the saved part of the statistics as they are now
+ */
+function snapshot() {
+    return JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * Replace the statistics with ones from snapshot(), saving them right away
+ */
+async function restore(saved) {
+    state = fromSaved(saved);
+    dirty = true;
+    await save();
+}
+
+/**
+ * Load the saved statistics and save them every minute from now on
+ */
+async function start() {
+    if (timer) {
+        return;
+    }
+    await load();
+    timer = setInterval(save, SAVE_INTERVAL);
+    timer.unref();
+}
+
+/**
+ * Stop saving periodically and save one last time
+ */
+async function stop() {
+    clearInterval(timer);
+    timer = null;
+    await save();
+}
+
+module.exports = {
+    recordQuery,
+    recordUpstream,
+    configure,
+    ingestDnsmasqLine,
+    getStats,
+    getMetrics,
+    snapshot,
+    restore,
+    start,
+    stop
+};
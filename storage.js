@@ -0,0 +1,178 @@
+/**
+ * JSON File Storage
+ *
+ * Keeps a JSON file in memory and saves it so that neither a crash nor
+ * two requests at once can lose or mangle it:
+ *
+ * - Writes go to a temporary file that is flushed to disk and renamed over
+ *   the old one, so the file is always either the old or the new version.
+ * - Writes and updates are queued and run one at a time, so a
+ *   read-modify-write update always starts from the latest version.
+ * - Reads return a copy of the version in memory. The file is only read
+ *   again when it changed on disk, such as when edited by hand.
+ * - Every version read or written is also kept as <file>.bak. A file that
+ *   isn't valid JSON is moved aside to <file>.corrupt-<time> and replaced
+ *   with that last good copy, or with the defaults when there is none.
+ *   A missing file is created from the defaults.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger').child('storage');
+
+/**
+ * Replace a file's contents in one step
+ */
+async function writeFileAtomic(file, data) {
+    const temp = `${file}.${process.pid}.tmp`;
+    const handle = await fs.open(temp, 'w');
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.rename(temp, file);
+    } catch (error) {
+        await fs.rm(temp, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Open a JSON file as a store with read(), write(value) and update(fn)
+ *
+ * defaults is saved when the file doesn't exist yet; without it, reading
+ * a missing file fails. name describes the file in log messages.
+ */
+function createStore(file, { name = path.basename(file), defaults } = {}) {
+    const backupPath = `${file}.bak`;
+    // The version in memory, with the size and time of the file it matches
+    let cached = null;
+    let queue = Promise.resolve();
+
+    /**
+     * Run a task once the ones before it are done
+     */
+    function enqueue(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    async function save(value) {
+        const data = JSON.stringify(value, null, 2);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await writeFileAtomic(file, data);
+        const { size, mtimeMs } = await fs.stat(file);
+        cached = { value: structuredClone(value), size, mtimeMs };
+        await writeFileAtomic(backupPath, data);
+    }
+
+    /**
+     * Get the last good copy, or undefined when there is none
+     */
+    async function readBackup() {
+        try {
+            return JSON.parse(await fs.readFile(backupPath, 'utf8'));
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Replace a broken file with the last good copy or the defaults
+     */
+    async function recover(problem) {
+        const backup = await readBackup();
+        if (backup !== undefined) {
+            logger.warn(`${problem}; restored the ${name} from ${backupPath}`);
+            await save(backup);
+        } else if (defaults !== undefined) {
+            logger.warn(`${problem}; created the ${name} with default settings`);
+            await save(defaults);
+        } else {
+            throw new Error(`${problem} and there is no copy to restore it from`);
+        }
+        return cached.value;
+    }
+
+    async function load() {
+        let stats;
+        try {
+            stats = await fs.stat(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        // A deleted file starts over from the defaults, as on first start
+        if (!stats) {
+            if (defaults === undefined) {
+                throw new Error(`The ${name} file ${file} doesn't exist`);
+            }
+            logger.info(`Creating the ${name} file ${file}`);
+            await save(defaults);
+            return cached.value;
+        }
+        if (cached && stats.size === cached.size && stats.mtimeMs === cached.mtimeMs) {
+            return cached.value;
+        }
+
+        const data = await fs.readFile(file, 'utf8');
+        let value;
+        try {
+            value = JSON.parse(data);
+        } catch (error) {
+            const corruptPath = `${file}.corrupt-${Date.now()}`;
+            await fs.rename(file, corruptPath);
+            logger.error(`The ${name} file ${file} is not valid JSON (${error.message}), moved it to ${corruptPath}`);
+            return recover(`The ${name} file was corrupt`);
+        }
+
+        cached = { value, size: stats.size, mtimeMs: stats.mtimeMs };
+        await writeFileAtomic(backupPath, data);
+        return value;
+    }
+
+    /**
+     * Get a copy of the contents, which the caller may change freely
+     */
+    async function read() {
+        return structuredClone(await enqueue(load));
+    }
+
+    /**
+     * Replace the contents
+     */
+    function write(value) {
+        return enqueue(() => save(value));
+    }
+
+    /**
+     * Change the contents with no other write in between
+     *
+     * fn gets a copy of the contents and returns the new contents, or
+     * nothing to save the copy as it changed it. If it throws, nothing is
+     * saved. It must not use this store itself. Resolves to a copy of what
+     * was saved.
+     */
+    function update(fn) {
+        return enqueue(async () => {
+            const current = structuredClone(await load());
+            const result = await fn(current);
+            await save(result === undefined ? current : result);
+            return structuredClone(cached.value);
+        });
+    }
+
+    return { read, write, update };
+}
+
+module.exports = {
+    writeFileAtomic,
+    createStore
+};
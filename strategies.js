@@ -0,0 +1,94 @@
+/**
+ * Upstream Selection Strategies
+ *
+ * Decide the order a rule's upstreams (or the alternative DNS servers)
+ * are tried in. The first one gets the query and the others are asked
+ * in turn if it fails:
+ *
+ *   order         as listed (default)
+ *   round-robin   each query starts one further along the list
+ *   random        a new random order for every query
+ *   latency       fastest first, by the smoothed round-trip time of recent
+ *                 queries and health checks; upstreams not measured yet
+ *                 go first so they get measured
+ */
+
+const STRATEGIES = ['order', 'round-robin', 'random', 'latency'];
+
+// Weight of a new measurement in the smoothed round-trip time
+const LATENCY_WEIGHT = 0.3;
+// Round-trip time counted for a failed query
+const FAILURE_PENALTY = 5000;
+
+const latencies = new Map();
+const rotations = new Map();
+
+function isValidStrategy(strategy) {
+    return STRATEGIES.includes(strategy);
+}
+
+/**
+ * Record how long an upstream took to answer, in milliseconds
+ */
+function recordLatency(upstream, milliseconds) {
+    const previous = latencies.get(upstream);
+    latencies.set(upstream, previous === undefined
+        ? milliseconds
+        : previous + LATENCY_WEIGHT * (milliseconds - previous));
+}
+
+/**
+ * Record that an upstream didn't answer, so latency ordering moves it back
+ */
+function recordFailure(upstream) {
+    recordLatency(upstream, FAILURE_PENALTY);
+}
+
+/**
+ * Get an upstream's smoothed round-trip time in milliseconds, or null
+ */
+function getLatency(upstream) {
+    return latencies.has(upstream) ? Math.round(latencies.get(upstream)) : null;
+}
+
+/**
+ * Put a list of upstreams in the order to try them for one query
+ */
+function order(list, strategy) {
+    if (list.length < 2) {
+        return list;
+    }
+
+    switch (strategy) {
+        case 'round-robin': {
+            const key = list.join('\n');
+            const start = (rotations.get(key) || 0) % list.length;
+            rotations.set(key, (start + 1) % list.length);
+            return list.slice(start).concat(list.slice(0, start));
+        }
+        case 'random': {
+            const shuffled = list.slice();
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            return shuffled;
+        }
+        case 'latency':
+            return list
+                .map((upstream, index) => ({ upstream, index, latency: latencies.has(upstream) ? latencies.get(upstream) : -1 }))
+                .sort((a, b) => a.latency - b.latency || a.index - b.index)
+                .map(({ upstream }) => upstream);
+        default:
+            return list;
+    }
+}
+
+module.exports = {
+    STRATEGIES,
+    isValidStrategy,
+    recordLatency,
+    recordFailure,
+    getLatency,
+    order
+};
@@ -0,0 +1,539 @@
+/**
+ * Domain List Subscriptions
+ *
+ * Remote domain lists, stored in data/subscriptions.json, that are
+ * fetched on a schedule and routed alongside the hand-entered rules in
+ * data/ips.json. Each subscription has a URL, one of the import formats
+ * (see domainlists.js), a default resolveVia and rule type for formats
+ * that don't carry their own, and a refresh interval.
+ *
+ * Subscription entries never touch ips.json. When a hand-entered rule and
+ * a subscription entry share a pattern the hand-entered rule wins, and
+ * earlier subscriptions win over later ones. A failed fetch keeps the
+ * entries from the last successful one. Regex rules are only taken from
+ * ips.json, not from lists someone else controls.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const logger = require('./logger').child('subscriptions');
+const config = require('./config');
+const rules = require('./rules');
+const upstreams = require('./upstreams');
+const domainlists = require('./domainlists');
+const groups = require('./groups');
+const storage = require('./storage');
+
+const SUBSCRIPTIONS_PATH = path.join(__dirname, 'data', 'subscriptions.json');
+const FETCH_TIMEOUT = 30000;
+const MAX_LIST_SIZE = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const DEFAULT_REFRESH_HOURS = 24;
+const MAX_REFRESH_HOURS = 24 * 30;
+// How often the scheduler looks for lists that are due
+const CHECK_INTERVAL = 60 * 1000;
+// Failed fetches are retried sooner than the refresh interval
+const RETRY_DELAY = 15 * 60 * 1000;
+const SUBSCRIPTION_TYPES = rules.RULE_TYPES.filter(type => type !== 'regex');
+
+let timer = null;
+let checking = false;
+// Store changes run one at a time so a refresh can't undo an edit
+let pending = Promise.resolve();
+const refreshing = new Map();
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function subscriptionError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+async function getStore() {
+    try {
+        const data = await fs.readFile(SUBSCRIPTIONS_PATH, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { subscriptions: [] };
+        }
+        throw error;
+    }
+}
+
+async function saveStore(store) {
+    await fs.mkdir(path.dirname(SUBSCRIPTIONS_PATH), { recursive: true });
+    await storage.writeFileAtomic(SUBSCRIPTIONS_PATH, JSON.stringify(store, null, 2));
+    return true;
+}
+
+/**
+ * Strip the fetched entries and cache validators from a subscription
+ */
+function publicSubscription(subscription) {
+    const { entries, etag, lastModified, ...rest } = subscription;
+    return rest;
+}
+
+/**
+ * Combine hand-entered rules with the entries of enabled subscriptions
+ */
+function mergeDomains(domains, subscriptions) {
+    const merged = domains.slice();
+    const seen = new Set(domains.map(item => item.domain));
+
+    subscriptions.filter(subscription => subscription.enabled).forEach(subscription => {
+        (subscription.entries || []).forEach(entry => {
+            // Lists fetched before regex rules were refused may still have some
+            if (!seen.has(entry.domain) && rules.typeOf(entry) !== 'regex') {
+                seen.add(entry.domain);
+                merged.push(entry);
+            }
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Get the rules the DNS engines route by: the active rules in ips.json
+ * plus subscriptions, along with the groups for reference
+ *
+ * applied replaces the stored ips.json with the domain list last applied,
+ * for when changes are staged.
+ */
+async function getEffectiveDomainList(applied) {
+    const domainList = applied || await config.getDomainList();
+    const store = await getStore();
+    return {
+        groups: domainList.groups || [],
+        domains: mergeDomains(groups.getActiveDomains(domainList), store.subscriptions)
+    };
+}
+
+/**
+ * Change the store, reporting whether the effective rules changed
+ *
+ * fn gets the store to modify; its return value is passed back as result.
+ */
+function withStore(fn) {
+    const run = pending.then(async () => {
+        const domains = groups.getActiveDomains(await config.getDomainList());
+        const store = await getStore();
+        const before = JSON.stringify(mergeDomains(domains, store.subscriptions));
+
+        const result = await fn(store);
+        await saveStore(store);
+
+        const after = JSON.stringify(mergeDomains(domains, store.subscriptions));
+        return { result, changed: before !== after };
+    });
+    pending = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Check subscription settings, returning a problem description or null
+ */
+function validateSubscription({ name, url, format, resolveVia, type, refreshHours }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+        return 'Name is required and may be at most 64 characters';
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'Invalid list URL';
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return 'List URLs must use http or https';
+    }
+
+    if (!domainlists.FORMATS.includes(format)) {
+        return `Format must be one of ${domainlists.FORMATS.join(', ')}`;
+    }
+    if (!SUBSCRIPTION_TYPES.includes(type)) {
+        return `Rule type must be one of ${SUBSCRIPTION_TYPES.join(', ')}`;
+    }
+    if (resolveVia && !upstreams.isValidList(resolveVia)) {
+        return `Invalid DNS servers ${upstreams.listOf(resolveVia).join(' ')}`;
+    }
+    if (!resolveVia && format === 'text' && rules.hasUpstream({ type })) {
+        return 'Plain text lists need a DNS server to resolve the domains via';
+    }
+    if (!Number.isFinite(refreshHours) || refreshHours < 1 || refreshHours > MAX_REFRESH_HOURS) {
+        return `Refresh interval must be between 1 and ${MAX_REFRESH_HOURS} hours`;
+    }
+    return null;
+}
+
+/**
+ * Fill in defaults for settings left out of a request
+ */
+function withDefaults(fields) {
+    return {
+        name: typeof fields.name === 'string' ? fields.name.trim() : fields.name,
+        url: fields.url,
+        format: fields.format || 'text',
+        resolveVia: fields.resolveVia || undefined,
+        type: fields.type || 'suffix',
+        refreshHours: fields.refreshHours === undefined ? DEFAULT_REFRESH_HOURS : Number(fields.refreshHours),
+        enabled: fields.enabled !== false
+    };
+}
+
+/**
+ * Replace every subscription, as when restoring a backup
+ *
+ * Queued like any other change, so a refresh finishing meanwhile applies
+ * to the restored subscriptions rather than overwriting them.
+ */
+async function restoreStore(restored) {
+    return withStore(store => {
+        store.subscriptions = restored.subscriptions;
+        return null;
+    });
+}
+
+async function listSubscriptions() {
+    const store = await getStore();
+    return store.subscriptions.map(publicSubscription);
+}
+
+async function addSubscription(fields) {
+    const settings = withDefaults(fields);
+    const problem = validateSubscription(settings);
+    if (problem) {
+        throw subscriptionError(problem, 400);
+    }
+
+    const { result } = await withStore(store => {
+        if (store.subscriptions.some(s => s.url === settings.url)) {
+            throw subscriptionError(`Already subscribed to ${settings.url}`, 409);
+        }
+
+        const subscription = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...settings,
+            createdAt: new Date().toISOString(),
+            lastFetch: null,
+            lastSuccess: null,
+            lastError: null,
+            lastChange: null,
+            entryCount: 0,
+            invalidCount: 0,
+            entries: []
+        };
+        store.subscriptions.push(subscription);
+        return publicSubscription(subscription);
+    });
+
+    logger.info(`Subscription ${result.name} added for ${result.url}`);
+    return result;
+}
+
+/**
+ * Change a subscription's settings
+ *
+ * Changing where or how the list is read drops the cache validators so
+ * the next refresh fetches and parses it again.
+ */
+async function updateSubscription(id, changes) {
+    return withStore(store => {
+        const subscription = store.subscriptions.find(s => s.id === id);
+        if (!subscription) {
+            throw subscriptionError('Subscription not found', 404);
+        }
+
+        const settings = withDefaults({ ...subscription, ...changes });
+        const problem = validateSubscription(settings);
+        if (problem) {
+            throw subscriptionError(problem, 400);
+        }
+
+        // resolveVia may be a list, so compare the serialized values
+        if (['url', 'format', 'resolveVia', 'type'].some(key => JSON.stringify(settings[key]) !== JSON.stringify(subscription[key]))) {
+            delete subscription.etag;
+            delete subscription.lastModified;
+            subscription.lastFetch = null;
+        }
+        Object.assign(subscription, settings);
+        logger.info(`Subscription ${subscription.name} updated`);
+        return publicSubscription(subscription);
+    });
+}
+
+async function removeSubscription(id) {
+    return withStore(store => {
+        const subscription = store.subscriptions.find(s => s.id === id);
+        if (!subscription) {
+            throw subscriptionError('Subscription not found', 404);
+        }
+
+        store.subscriptions = store.subscriptions.filter(s => s.id !== id);
+        logger.info(`Subscription ${subscription.name} removed`);
+        return null;
+    });
+}
+
+/**
+ * Download a list, following redirects
+ *
+ * Resolves to { notModified: true } when the cache validators still match,
+ * otherwise to { content, etag, lastModified }.
+ */
+function download(url, validators = {}, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const headers = { 'User-Agent': 'smart-dns-proxy' };
+        if (validators.etag) {
+            headers['If-None-Match'] = validators.etag;
+        }
+        if (validators.lastModified) {
+            headers['If-Modified-Since'] = validators.lastModified;
+        }
+
+        const req = client.get(target, { headers, timeout: FETCH_TIMEOUT }, res => {
+            const { statusCode } = res;
+
+            if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && res.headers.location) {
+                res.resume();
+                const next = new URL(res.headers.location, target);
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new Error('Too many redirects'));
+                } else if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+                    reject(new Error(`Redirected to unsupported URL ${next.href}`));
+                } else {
+                    resolve(download(next.href, validators, redirects + 1));
+                }
+                return;
+            }
+            if (statusCode === 304) {
+                res.resume();
+                resolve({ notModified: true });
+                return;
+            }
+            if (statusCode < 200 || statusCode >= 300) {
+                res.resume();
+                reject(new Error(`Server answered HTTP ${statusCode}`));
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            res.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_LIST_SIZE) {
+                    req.destroy(new Error(`List is larger than ${MAX_LIST_SIZE / 1024 / 1024} MB`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => {
+                resolve({
+                    content: Buffer.concat(chunks).toString('utf8'),
+                    etag: res.headers.etag,
+                    lastModified: res.headers['last-modified']
+                });
+            });
+            res.on('error', reject);
+        });
+
+        req.on('timeout', () => req.destroy(new Error('Timed out fetching list')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Count the entries added, removed and changed between two versions of a list
+ */
+function diffEntries(previous, next) {
+    const before = new Map(previous.map(entry => [entry.domain, JSON.stringify(entry)]));
+    const after = new Map(next.map(entry => [entry.domain, JSON.stringify(entry)]));
+    let added = 0;
+    let changed = 0;
+
+    after.forEach((value, domain) => {
+        if (!before.has(domain)) {
+            added++;
+        } else if (before.get(domain) !== value) {
+            changed++;
+        }
+    });
+    const removed = [...before.keys()].filter(domain => !after.has(domain)).length;
+
+    return { added, removed, changed };
+}
+
+/**
+ * Fetch and parse a subscription's list, returning the fields to update
+ */
+async function fetchList(subscription) {
+    const now = new Date().toISOString();
+
+    try {
+        const result = await download(subscription.url, subscription);
+        if (result.notModified) {
+            return { lastFetch: now, lastSuccess: now, lastError: null };
+        }
+
+        const parsed = domainlists.parseList(subscription.format, result.content, {
+            resolveVia: subscription.resolveVia,
+            type: subscription.type
+        });
+        const entries = parsed.entries.filter(entry => entry.type !== 'regex');
+        const invalid = parsed.invalid.concat(parsed.entries
+            .filter(entry => entry.type === 'regex')
+            .map(entry => ({ line: null, text: entry.domain, reason: 'Regex rules are not accepted from subscriptions' })));
+        // An error page served with 200 shouldn't wipe out a working list
+        if (entries.length === 0 && invalid.length > 0) {
+            throw new Error(`No valid entries (${invalid.length} invalid lines, first: ${invalid[0].reason})`);
+        }
+
+        // Keep the first of any repeated patterns
+        const seen = new Set();
+        const unique = entries.filter(entry => !seen.has(entry.domain) && seen.add(entry.domain));
+        const diff = diffEntries(subscription.entries || [], unique);
+        const updated = diff.added > 0 || diff.removed > 0 || diff.changed > 0;
+
+        return {
+            lastFetch: now,
+            lastSuccess: now,
+            lastError: null,
+            lastChange: updated ? { at: now, ...diff } : subscription.lastChange,
+            entryCount: unique.length,
+            invalidCount: invalid.length,
+            etag: result.etag,
+            lastModified: result.lastModified,
+            entries: unique
+        };
+    } catch (error) {
+        logger.warn(`Failed to fetch subscription ${subscription.name}: ${error.message}`);
+        return { lastFetch: now, lastError: error.message };
+    }
+}
+
+/**
+ * Fetch a subscription now
+ *
+ * Resolves to { result, changed } like the other changes; changed tells
+ * the caller whether the DNS configuration needs updating.
+ */
+async function refreshSubscription(id) {
+    if (refreshing.has(id)) {
+        return refreshing.get(id);
+    }
+
+    const store = await getStore();
+    const subscription = store.subscriptions.find(s => s.id === id);
+    if (!subscription) {
+        throw subscriptionError('Subscription not found', 404);
+    }
+
+    const run = fetchList(subscription)
+        .then(fields => withStore(current => {
+            const target = current.subscriptions.find(s => s.id === id);
+            if (!target) {
+                // Removed while the list was downloading
+                return null;
+            }
+            Object.assign(target, fields);
+            return publicSubscription(target);
+        }))
+        .then(outcome => {
+            const result = outcome.result;
+            if (result && result.lastChange && result.lastChange.at === result.lastFetch) {
+                const { added, removed, changed } = result.lastChange;
+                logger.info(`Subscription ${result.name} updated: ${added} added, ${removed} removed, ${changed} changed`);
+            }
+            return outcome;
+        })
+        .finally(() => refreshing.delete(id));
+
+    refreshing.set(id, run);
+    return run;
+}
+
+/**
+ * Check whether a subscription should be fetched again
+ */
+function isDue(subscription, now) {
+    if (!subscription.enabled) {
+        return false;
+    }
+    if (!subscription.lastFetch) {
+        return true;
+    }
+    const interval = subscription.refreshHours * 3600 * 1000;
+    const wait = subscription.lastError ? Math.min(interval, RETRY_DELAY) : interval;
+    return now - Date.parse(subscription.lastFetch) >= wait;
+}
+
+/**
+ * Refresh every subscription that is due, then call onChange once if
+ * the effective rules changed
+ */
+async function refreshDue(onChange) {
+    if (checking) {
+        return;
+    }
+    checking = true;
+
+    try {
+        const store = await getStore();
+        const now = Date.now();
+        let changed = false;
+
+        for (const subscription of store.subscriptions.filter(s => isDue(s, now))) {
+            const outcome = await refreshSubscription(subscription.id);
+            changed = changed || outcome.changed;
+        }
+
+        if (changed) {
+            await onChange();
+        }
+    } catch (error) {
+        logger.error(`Failed to refresh subscriptions: ${error.message}`);
+    } finally {
+        checking = false;
+    }
+}
+
+/**
+ * Start refreshing subscriptions on their schedule
+ *
+ * onChange is called after a refresh changed the effective rules.
+ */
+function start(onChange) {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(() => refreshDue(onChange), CHECK_INTERVAL);
+    timer.unref();
+    refreshDue(onChange);
+}
+
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    getEffectiveDomainList,
+    validateSubscription,
+    listSubscriptions,
+    addSubscription,
+    updateSubscription,
+    removeSubscription,
+    refreshSubscription,
+    restoreStore,
+    start,
+    stop
+};
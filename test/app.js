@@ -0,0 +1,117 @@
+/**
+ * Test Server
+ *
+ * Starts the app from a copy of the tree, with the built-in DNS server on
+ * free ports, health checks and authentication off, and stops it again.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+// Left out of the copy; data/ keeps only what the tree ships with
+const SKIPPED = new Set(['.git', 'node_modules', 'logs', 'test', 'requests.jsonl']);
+const DATA_FILES = new Set(['config.json', 'ips.json']);
+
+/**
+ * Find a port nothing listens on
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function copyTree() {
+    const copy = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-dns-proxy-'));
+    fs.cpSync(ROOT, copy, {
+        recursive: true,
+        filter: source => {
+            const relative = path.relative(ROOT, source);
+            const [top, name] = relative.split(path.sep);
+            if (SKIPPED.has(top)) {
+                return false;
+            }
+            return top !== 'data' || !name || DATA_FILES.has(name);
+        }
+    });
+    fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(copy, 'node_modules'), 'dir');
+    return copy;
+}
+
+async function waitForServer(server) {
+    const deadline = Date.now() + 15000;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(`${server.baseUrl}/api/status`);
+            if (response.ok) {
+                return;
+            }
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`The app didn't start:\n${server.output}`);
+}
+
+/**
+ * Start the app, resolving to { dir, baseUrl, output, stop() } once it
+ * answers; output collects what it prints
+ */
+async function startApp() {
+    const dir = copyTree();
+    const [webPort, dnsPort, forwarderPort] = [await freePort(), await freePort(), await freePort()];
+
+    const configPath = path.join(dir, 'data', 'config.json');
+    const appConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    Object.assign(appConfig.dnsServer, {
+        mode: 'builtin',
+        listenAddress: '127.0.0.1',
+        listenAddress6: '',
+        port: dnsPort,
+        forwarderPort
+    });
+    appConfig.healthCheck.enabled = false;
+    appConfig.webInterface.enableAuth = false;
+    fs.writeFileSync(configPath, JSON.stringify(appConfig, null, 2));
+
+    const app = spawn(process.execPath, ['app.js'], { cwd: dir, env: { ...process.env, PORT: String(webPort) } });
+    const server = {
+        dir,
+        baseUrl: `http://127.0.0.1:${webPort}`,
+        output: '',
+        async stop() {
+            if (app.exitCode === null) {
+                const exited = new Promise(resolve => app.once('exit', resolve));
+                app.kill('SIGTERM');
+                await exited;
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+    app.stdout.on('data', data => {
+        server.output += data;
+    });
+    app.stderr.on('data', data => {
+        server.output += data;
+    });
+
+    try {
+        await waitForServer(server);
+    } catch (error) {
+        await server.stop();
+        throw error;
+    }
+    return server;
+}
+
+module.exports = { startApp };
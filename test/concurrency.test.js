@@ -0,0 +1,65 @@
+/**
+ * Concurrent Changes
+ *
+ * Starts the app from a copy of the tree and makes changes at the same
+ * time as each other and as startup. Every one must succeed and end up in
+ * the configuration.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./app');
+
+const PARALLEL = 15;
+
+let server;
+
+before(async () => {
+    server = await startApp();
+});
+
+after(async () => {
+    if (server) {
+        await server.stop();
+    }
+});
+
+test('domains added at the same time are all saved and applied', async () => {
+    const domains = Array.from({ length: PARALLEL }, (_, index) => `parallel-${index}.example`);
+    const responses = await Promise.all(domains.map(domain => fetch(`${server.baseUrl}/api/domains`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ domain, resolveVia: '127.0.0.5' })
+    })));
+
+    const statuses = responses.map(response => response.status);
+    assert.ok(statuses.every(status => status >= 200 && status < 300), `Statuses: ${statuses.join(', ')}\n${server.output}`);
+
+    const { domains: saved } = JSON.parse(fs.readFileSync(path.join(server.dir, 'data', 'ips.json'), 'utf8'));
+    const generated = fs.readFileSync(path.join(server.dir, 'data', 'dns_config', 'smartdns-servers.conf'), 'utf8');
+    domains.forEach(domain => {
+        assert.ok(saved.some(item => item.domain === domain), `${domain} missing from ips.json`);
+        assert.ok(generated.includes(domain), `${domain} missing from the generated configuration`);
+    });
+});
+
+test('settings changed at the same time are all saved', async () => {
+    const responses = await Promise.all(Array.from({ length: PARALLEL }, (_, index) => fetch(`${server.baseUrl}/api/settings`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dnsServer: { cacheSize: 2000 + index } })
+    })));
+
+    const statuses = responses.map(response => response.status);
+    assert.ok(statuses.every(status => status >= 200 && status < 300), `Statuses: ${statuses.join(', ')}\n${server.output}`);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(server.dir, 'data', 'config.json'), 'utf8'));
+    assert.ok(saved.dnsServer.cacheSize >= 2000 && saved.dnsServer.cacheSize < 2000 + PARALLEL);
+});
+
+test('the plaintext password is migrated once', () => {
+    const migrations = server.output.split('\n').filter(line => line.includes('Replaced plaintext web interface password'));
+    assert.strictEqual(migrations.length, 1, server.output);
+});
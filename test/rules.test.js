@@ -0,0 +1,68 @@
+/**
+ * Domain Rule Patterns
+ *
+ * Checks which wildcard and regex patterns validatePattern accepts. Patterns
+ * that can make matching backtrack for a long time must be refused.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const rules = require('../rules');
+
+test('accepts ordinary wildcard and regex patterns', () => {
+    ['*.cdn.example.com', 'edge*.example.com', '*.cdn*.example.com'].forEach(pattern => {
+        assert.strictEqual(rules.validatePattern('wildcard', pattern), null, pattern);
+    });
+    [
+        '^ads?\\d+\\.',
+        '^edge-[0-9]+\\.example\\.net$',
+        '^(www|cdn)\\d*\\.example\\.com$',
+        '\\w+\\.\\w+\\.com$',
+        '(ab+)?c',
+        '[a+]+b',
+        '(?:a|b)?x+'
+    ].forEach(pattern => {
+        assert.strictEqual(rules.validatePattern('regex', pattern), null, pattern);
+    });
+});
+
+test('refuses wildcards with too many or adjacent stars', () => {
+    ['*a*b*.example.com', '*.*.*.example.com', '**.example.com', 'a**b.example.com'].forEach(pattern => {
+        assert.match(rules.validatePattern('wildcard', pattern), /'\*'/, pattern);
+    });
+});
+
+test('refuses regex with nested unbounded quantifiers', () => {
+    ['(a+)+$', '(a*)*', '((a+))+', '(?:x|a+)+b', '(?<name>a+)*', '(a+){2}', '(\\w+\\.)+example$', '(a{2,})+?'].forEach(pattern => {
+        assert.match(rules.validatePattern('regex', pattern), /repeat a group/, pattern);
+    });
+});
+
+test('refuses regex that repeat a group with alternatives', () => {
+    ['(a|a)+$', '(a|aa)+$', '(\\w|\\d)+$', '(?:a|a)*b', '(.|a)*x', '(?:www|cdn){2}\\.'].forEach(pattern => {
+        assert.match(rules.validatePattern('regex', pattern), /repeat a group with alternatives/, pattern);
+    });
+});
+
+test('refuses regex syntax RE2 lacks', () => {
+    ['(?=a)b', '(a)\\1'].forEach(pattern => {
+        assert.ok(rules.validatePattern('regex', pattern), pattern);
+    });
+});
+
+test('matches regex rules in linear time', () => {
+    // Each would take seconds on a 253-character name with backtracking
+    const patterns = ['(a|a)+$', '(a|aa)+$', '(\\w|\\d)+$', '(?:a|a)*b', '(.|a)*x', '.*a.*a.*x', '(a|a)(a|a)(a|a)(a|a)(a|a)(a|a)(a|a)(a|a).*a.*x'];
+    const compiled = rules.compile(patterns.map(domain => ({ domain, type: 'regex', resolveVia: '1.1.1.1' })));
+    const name = `${'a'.repeat(252)}!`;
+
+    const started = Date.now();
+    compiled.forEach(rule => rules.findMatch([rule], name));
+    assert.ok(Date.now() - started < 1000, `Took ${Date.now() - started} ms`);
+});
+
+test('refuses regex with adjacent unbounded quantifiers', () => {
+    ['a+a+', '\\d+\\d*', '.*.*x', '^(a+|b)c+', 'a{2,}b*', 'x+?x+'].forEach(pattern => {
+        assert.match(rules.validatePattern('regex', pattern), /in a row/, pattern);
+    });
+});
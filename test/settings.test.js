@@ -0,0 +1,54 @@
+/**
+ * Settings API
+ *
+ * Requests to change the settings without a JSON object as the body must
+ * be refused and leave the saved configuration alone.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./app');
+const settings = require('../settings');
+
+let server;
+
+before(async () => {
+    server = await startApp();
+});
+
+after(async () => {
+    if (server) {
+        await server.stop();
+    }
+});
+
+/**
+ * Read the saved settings, leaving out the account, which startup may
+ * still be moving to users.json
+ */
+function savedSettings() {
+    return settings.publicSettings(JSON.parse(fs.readFileSync(path.join(server.dir, 'data', 'config.json'), 'utf8')));
+}
+
+const BODIES = [
+    { name: 'an empty body', headers: {}, body: undefined },
+    { name: 'an empty JSON body', headers: { 'Content-Type': 'application/json' }, body: '' },
+    { name: 'a text/plain body', headers: { 'Content-Type': 'text/plain' }, body: '{"webInterface":{"enableAuth":false}}' },
+    { name: 'a JSON list', headers: { 'Content-Type': 'application/json' }, body: '[]' }
+];
+
+['POST', 'PATCH'].forEach(method => {
+    BODIES.forEach(({ name, headers, body }) => {
+        test(`${method} /api/settings with ${name} is refused`, async () => {
+            const saved = savedSettings();
+
+            const response = await fetch(`${server.baseUrl}/api/settings`, { method, headers, body });
+
+            assert.strictEqual(response.status, 400, server.output);
+            assert.strictEqual((await response.json()).success, false);
+            assert.deepStrictEqual(savedSettings(), saved);
+        });
+    });
+});
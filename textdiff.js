@@ -0,0 +1,172 @@
+/**
+ * Text Diff
+ *
+ * Line by line differences between two versions of a file, in the unified
+ * format of `diff -u`. Lines are matched with Myers' algorithm after
+ * skipping the lines both versions start and end with; when more than
+ * MAX_EDITS lines differ the whole middle is shown as replaced.
+ */
+
+const MAX_EDITS = 1000;
+
+/**
+ * Split text into lines, without the empty one after a final newline
+ */
+function splitLines(text) {
+    if (!text) {
+        return [];
+    }
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Find the fewest removals and additions turning a into b
+ *
+ * Returns a list of ' ' (kept), '-' (removed) and '+' (added), or null
+ * when more than MAX_EDITS are needed.
+ */
+function shortestEdit(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const offset = MAX_EDITS + 1;
+    const v = new Int32Array(2 * MAX_EDITS + 3);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(n + m, MAX_EDITS); d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                return backtrack(trace, n, m, offset);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Walk the furthest points reached back from the end to list the edits
+ */
+function backtrack(trace, n, m, offset) {
+    const edits = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+        const previousX = v[offset + previousK];
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            edits.push(' ');
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            edits.push(x === previousX ? '+' : '-');
+        }
+        x = previousX;
+        y = previousY;
+    }
+    return edits.reverse();
+}
+
+/**
+ * List every line of both versions as kept, removed or added, with its
+ * position in each
+ */
+function compareLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+        end++;
+    }
+
+    const middleA = a.slice(start, a.length - end);
+    const middleB = b.slice(start, b.length - end);
+    const edits = shortestEdit(middleA, middleB) ||
+        [...middleA.map(() => '-'), ...middleB.map(() => '+')];
+    const types = [...Array(start).fill(' '), ...edits, ...Array(end).fill(' ')];
+
+    const lines = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+    types.forEach(type => {
+        lines.push({ type, oldIndex, newIndex, text: type === '+' ? b[newIndex] : a[oldIndex] });
+        if (type !== '+') {
+            oldIndex++;
+        }
+        if (type !== '-') {
+            newIndex++;
+        }
+    });
+    return lines;
+}
+
+/**
+ * Format a hunk's range of lines, as start,count
+ */
+function range(start, count) {
+    return `${count > 0 ? start + 1 : start},${count}`;
+}
+
+/**
+ * Compare two versions of a file
+ *
+ * Returns { diff, added, removed }, diff being empty when they are the
+ * same. context sets how many unchanged lines are shown around changes.
+ */
+function unifiedDiff(oldText, newText, { oldName = 'a', newName = 'b', context = 3 } = {}) {
+    const lines = compareLines(splitLines(oldText), splitLines(newText));
+    const changes = lines.map((line, index) => (line.type === ' ' ? -1 : index)).filter(index => index >= 0);
+    if (changes.length === 0) {
+        return { diff: '', added: 0, removed: 0 };
+    }
+
+    // Changes close enough for their context to touch share a hunk
+    const hunks = [];
+    changes.forEach(index => {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.end <= 2 * context) {
+            last.end = index;
+        } else {
+            hunks.push({ start: index, end: index });
+        }
+    });
+
+    const output = [`--- ${oldName}`, `+++ ${newName}`];
+    hunks.forEach(hunk => {
+        const shown = lines.slice(Math.max(0, hunk.start - context), Math.min(lines.length, hunk.end + context + 1));
+        const oldCount = shown.filter(line => line.type !== '+').length;
+        const newCount = shown.filter(line => line.type !== '-').length;
+        output.push(`@@ -${range(shown[0].oldIndex, oldCount)} +${range(shown[0].newIndex, newCount)} @@`);
+        shown.forEach(line => output.push(`${line.type}${line.text}`));
+    });
+
+    return {
+        diff: `${output.join('\n')}\n`,
+        added: lines.filter(line => line.type === '+').length,
+        removed: lines.filter(line => line.type === '-').length
+    };
+}
+
+module.exports = {
+    unifiedDiff
+};
@@ -0,0 +1,622 @@
+/**
+ * Upstream DNS Servers
+ *
+ * Parses the upstream strings used in resolveVia and alternativeDNS and
+ * sends queries to them. A resolveVia is one of these strings or a list
+ * of them. Supported forms:
+ *
+ *   8.8.8.8                              plain DNS over UDP/TCP port 53
+ *   2001:4860:4860::8888                 plain DNS over IPv6
+ *   [2001:db8::1]:5353, 10.0.0.1:5353    plain DNS on another port ('#5353'
+ *                                        as in dnsmasq works too)
+ *   https://dns.example/dns-query        DNS-over-HTTPS (RFC 8484)
+ *   http://127.0.0.1:8053/dns-query      DoH without TLS, loopback only (testing)
+ *   tls://1.1.1.1#cloudflare-dns.com     DNS-over-TLS (RFC 7858) on port 853,
+ *                                        verifying the certificate for the name
+ *                                        after '#' (or the host itself)
+ *   tls://[2606:4700:4700::1111]#cloudflare-dns.com
+ *                                        DoT over IPv6
+ *   tls://1.1.1.1:853#name?pin=BASE64    DoT that also requires the SHA-256 of a
+ *                                        certificate's public key (SPKI) in the
+ *                                        chain to match one of the comma
+ *                                        separated pins
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
+const logger = require('./logger').child('upstreams');
+
+const DNS_PORT = 53;
+const DOT_PORT = 853;
+const UPSTREAM_TIMEOUT = 3000;
+const MAX_DOH_RESPONSE = 65535;
+const DOH_CONTENT_TYPE = 'application/dns-message';
+const TLS_IDLE_TIMEOUT = 20000;
+const TLS_RETRY_DELAY = 30000;
+// Upstreams one rule may list
+const MAX_LIST_LENGTH = 8;
+
+const IPV4_PATTERN = /^(?:(?:25[0-5]|2[0-4][0-9]|1[0-9]{2}|[1-9]?[0-9])\.){3}(?:25[0-5]|2[0-4][0-9]|1[0-9]{2}|[1-9]?[0-9])$/;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+const TLS_PATTERN = /^tls:\/\/(\[[0-9a-fA-F:.]+\]|[^:/?#\s[\]]+)(?::([0-9]{1,5}))?(?:#([^?#\s]+))?(?:\?pin=([A-Za-z0-9+/=,_-]+))?$/i;
+
+// Keep DoH connections open between queries
+const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 16 });
+const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 16 });
+
+// Open DNS-over-TLS connections, keyed by upstream string
+const tlsConnections = new Map();
+// Failed DoT handshakes, keyed by upstream string: { error, retryAt }
+const tlsFailures = new Map();
+
+/**
+ * Check whether a host name refers to the local machine
+ */
+function isLoopback(hostname) {
+    return hostname === 'localhost' || hostname === '[::1]' || hostname.startsWith('127.');
+}
+
+/**
+ * Check for an IPv4 or IPv6 address (zone ids aren't supported)
+ */
+function isAddress(value) {
+    return IPV4_PATTERN.test(value) || (net.isIPv6(value) && !value.includes('%'));
+}
+
+/**
+ * Parse a port number, returning null if it is out of range
+ */
+function parsePort(value, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const port = parseInt(value, 10);
+    return port >= 1 && port <= 65535 ? port : null;
+}
+
+/**
+ * Parse a plain DNS server: an address with an optional port
+ */
+function parsePlainUpstream(raw) {
+    let match = raw.match(/^\[([^\]]+)\](?::([0-9]{1,5}))?$/);
+    if (match && !net.isIPv6(match[1])) {
+        return null;
+    }
+    match = match ||
+        raw.match(/^([^#]+)#([0-9]{1,5})$/) ||
+        raw.match(/^([0-9.]+):([0-9]{1,5})$/) ||
+        [raw, raw];
+
+    const [, address, portValue] = match;
+    const port = parsePort(portValue, DNS_PORT);
+    if (!isAddress(address) || port === null) {
+        return null;
+    }
+    return { protocol: 'udp', raw, address, port };
+}
+
+/**
+ * Parse an upstream string, returning null if it isn't valid
+ */
+function parseUpstream(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const raw = value.trim();
+
+    const plain = parsePlainUpstream(raw);
+    if (plain) {
+        return plain;
+    }
+
+    if (/^https?:\/\//i.test(raw)) {
+        let url;
+        try {
+            url = new URL(raw);
+        } catch (err) {
+            return null;
+        }
+        if (url.protocol === 'http:' && !isLoopback(url.hostname)) {
+            return null;
+        }
+        if (url.username || url.password || url.hash) {
+            return null;
+        }
+        return { protocol: 'https', raw, url };
+    }
+
+    const tlsMatch = raw.match(TLS_PATTERN);
+    if (tlsMatch) {
+        return parseTlsUpstream(raw, tlsMatch);
+    }
+
+    return null;
+}
+
+/**
+ * Build a DoT upstream from the parts matched by TLS_PATTERN
+ */
+function parseTlsUpstream(raw, [, host, port, servername, pins]) {
+    const address = host.replace(/^\[(.*)\]$/, '$1');
+    if (host.startsWith('[') ? !net.isIPv6(address) : !isAddress(address) && !HOSTNAME_PATTERN.test(address)) {
+        return null;
+    }
+    if (servername && !HOSTNAME_PATTERN.test(servername)) {
+        return null;
+    }
+
+    const portNumber = parsePort(port, DOT_PORT);
+    if (portNumber === null) {
+        return null;
+    }
+
+    const pinList = pins ? pins.split(',') : [];
+    // Pins are base64 SHA-256 digests
+    if (pinList.some(pin => Buffer.from(pin, 'base64').length !== 32)) {
+        return null;
+    }
+
+    return {
+        protocol: 'tls',
+        raw,
+        address,
+        port: portNumber,
+        // Certificates for IP addresses are checked against their IP SANs
+        servername: servername || (isAddress(address) ? null : address),
+        pins: pinList.map(pin => Buffer.from(pin, 'base64').toString('base64'))
+    };
+}
+
+/**
+ * Check whether an upstream string is valid
+ */
+function isValidUpstream(value) {
+    return parseUpstream(value) !== null;
+}
+
+/**
+ * Get the upstreams of a resolveVia, which is one upstream or a list of them
+ */
+function listOf(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    return value ? [value] : [];
+}
+
+/**
+ * Check whether a resolveVia is a valid upstream or a list of distinct ones
+ */
+function isValidList(value) {
+    const list = listOf(value);
+    return list.length > 0 && list.length <= MAX_LIST_LENGTH &&
+        list.every(isValidUpstream) && new Set(list).size === list.length;
+}
+
+/**
+ * Get the protocol of an upstream string ('udp', 'https', 'tls'), or null
+ */
+function protocolOf(value) {
+    const upstream = parseUpstream(value);
+    return upstream ? upstream.protocol : null;
+}
+
+/**
+ * Check whether an upstream can be written as a plain dnsmasq server= line
+ */
+function isPlain(value) {
+    return protocolOf(value) === 'udp';
+}
+
+/**
+ * Write a plain upstream the way dnsmasq's server= option expects it
+ */
+function toDnsmasq(value) {
+    const upstream = parseUpstream(value);
+    if (!upstream || upstream.protocol !== 'udp') {
+        return null;
+    }
+    return upstream.port === DNS_PORT ? upstream.address : `${upstream.address}#${upstream.port}`;
+}
+
+/**
+ * Send a query to an upstream over UDP
+ */
+function queryUdp(upstream, packet) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(upstream.address) ? 'udp6' : 'udp4');
+        const id = packet.readUInt16BE(0);
+
+        const timer = setTimeout(() => {
+            socket.close();
+            reject(new Error(`Timeout waiting for ${upstream.raw}`));
+        }, UPSTREAM_TIMEOUT);
+
+        socket.on('message', message => {
+            if (message.length < 2 || message.readUInt16BE(0) !== id) {
+                return;
+            }
+            clearTimeout(timer);
+            socket.close();
+            resolve(message);
+        });
+
+        socket.on('error', err => {
+            clearTimeout(timer);
+            socket.close();
+            reject(err);
+        });
+
+        socket.send(packet, upstream.port, upstream.address);
+    });
+}
+
+/**
+ * Send a query to an upstream over TCP
+ */
+function queryTcp(upstream, packet) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(upstream.port, upstream.address);
+        let received = Buffer.alloc(0);
+
+        socket.setTimeout(UPSTREAM_TIMEOUT, () => {
+            socket.destroy(new Error(`Timeout waiting for ${upstream.raw}`));
+        });
+
+        socket.on('connect', () => {
+            const length = Buffer.alloc(2);
+            length.writeUInt16BE(packet.length);
+            socket.write(Buffer.concat([length, packet]));
+        });
+
+        socket.on('data', chunk => {
+            received = Buffer.concat([received, chunk]);
+            if (received.length >= 2 && received.length >= 2 + received.readUInt16BE(0)) {
+                const message = received.subarray(2, 2 + received.readUInt16BE(0));
+                socket.end();
+                resolve(message);
+            }
+        });
+
+        socket.on('error', reject);
+        socket.on('close', () => reject(new Error(`Connection to ${upstream.raw} closed`)));
+    });
+}
+
+/**
+ * Send a query to a plain DNS upstream over the client's transport
+ *
+ * Queries received over HTTPS have no TCP to retry truncated answers on,
+ * so those are retried over TCP here.
+ */
+async function queryPlain(upstream, packet, transport) {
+    if (transport === 'tcp') {
+        return queryTcp(upstream, packet);
+    }
+    const response = await queryUdp(upstream, packet);
+    if (transport === 'https' && response.length >= 4 && (response.readUInt16BE(2) & 0x0200)) {
+        return queryTcp(upstream, packet);
+    }
+    return response;
+}
+
+/**
+ * Send a query to a DNS-over-HTTPS upstream (RFC 8484)
+ *
+ * The query goes out with id 0 so responses are cacheable by HTTP
+ * intermediaries; the original id is restored on the response.
+ */
+function queryDoh(upstream, packet, method) {
+    return new Promise((resolve, reject) => {
+        const id = packet.readUInt16BE(0);
+        const body = Buffer.from(packet);
+        body.writeUInt16BE(0, 0);
+
+        const url = new URL(upstream.url);
+        const useGet = method === 'GET';
+        if (useGet) {
+            url.searchParams.set('dns', body.toString('base64url'));
+        }
+
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.request(url, {
+            method: useGet ? 'GET' : 'POST',
+            agent: url.protocol === 'https:' ? httpsAgent : httpAgent,
+            timeout: UPSTREAM_TIMEOUT,
+            headers: useGet
+                ? { Accept: DOH_CONTENT_TYPE }
+                : { Accept: DOH_CONTENT_TYPE, 'Content-Type': DOH_CONTENT_TYPE, 'Content-Length': body.length }
+        }, res => {
+            const chunks = [];
+            let size = 0;
+
+            res.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_DOH_RESPONSE) {
+                    req.destroy(new Error(`Response from ${upstream.raw} is too large`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    return reject(new Error(`${upstream.raw} answered HTTP ${res.statusCode}`));
+                }
+                const contentType = (res.headers['content-type'] || '').split(';')[0].trim();
+                if (contentType !== DOH_CONTENT_TYPE) {
+                    return reject(new Error(`${upstream.raw} answered with ${contentType || 'no content type'}`));
+                }
+                const message = Buffer.concat(chunks);
+                if (message.length < 12) {
+                    return reject(new Error(`Truncated response from ${upstream.raw}`));
+                }
+                message.writeUInt16BE(id, 0);
+                resolve(message);
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error(`Timeout waiting for ${upstream.raw}`)));
+        req.on('error', reject);
+
+        if (useGet) {
+            req.end();
+        } else {
+            req.end(body);
+        }
+    });
+}
+
+/**
+ * Check a DoT server's certificate against the upstream's SPKI pins
+ *
+ * Any certificate in the presented chain may match, so pinning an
+ * intermediate survives leaf renewals.
+ */
+function checkPins(upstream, cert) {
+    const seen = new Set();
+    for (let current = cert; current && current.pubkey && !seen.has(current); current = current.issuerCertificate) {
+        seen.add(current);
+        const digest = crypto.createHash('sha256').update(current.pubkey).digest('base64');
+        if (upstream.pins.includes(digest)) {
+            return undefined;
+        }
+    }
+    return new Error('no certificate in the chain matches the pinned public key');
+}
+
+/**
+ * Create an error for a DoT connection that never completed its handshake
+ *
+ * verificationFailed marks certificate and pin problems, which are never
+ * answered by falling back to plain DNS.
+ */
+function handshakeError(upstream, message, verificationFailed) {
+    const error = new Error(`TLS handshake with ${upstream.raw} failed: ${message}`);
+    error.handshakeFailed = true;
+    error.verificationFailed = verificationFailed;
+    return error;
+}
+
+/**
+ * Open a DNS-over-TLS connection
+ *
+ * Queries are pipelined over the one connection (RFC 7766). Each gets a
+ * connection-unique id on the wire and its own id back on the response.
+ * Nothing is written until the server's certificate has been verified.
+ */
+function openTlsConnection(upstream) {
+    const pending = new Map();
+    const queued = [];
+    let received = Buffer.alloc(0);
+    let nextId = crypto.randomInt(0x10000);
+    let failure = null;
+
+    const connection = {
+        ready: false,
+        used: false,
+        closed: false,
+        send
+    };
+
+    const socket = tls.connect({
+        host: upstream.address,
+        port: upstream.port,
+        servername: upstream.servername || undefined,
+        ALPNProtocols: ['dot'],
+        // Verified in the secureConnect handler so failures can be told apart
+        rejectUnauthorized: false,
+        checkServerIdentity: (hostname, cert) =>
+            tls.checkServerIdentity(hostname, cert) || (upstream.pins.length ? checkPins(upstream, cert) : undefined)
+    });
+
+    socket.setTimeout(UPSTREAM_TIMEOUT);
+
+    socket.on('secureConnect', () => {
+        if (!socket.authorized) {
+            failure = handshakeError(upstream, String(socket.authorizationError), true);
+            socket.destroy();
+            return;
+        }
+        connection.ready = true;
+        socket.setTimeout(TLS_IDLE_TIMEOUT);
+        for (const frame of queued.splice(0)) {
+            socket.write(frame);
+        }
+    });
+
+    socket.on('data', chunk => {
+        received = Buffer.concat([received, chunk]);
+        while (received.length >= 2 && received.length >= 2 + received.readUInt16BE(0)) {
+            const message = Buffer.from(received.subarray(2, 2 + received.readUInt16BE(0)));
+            received = received.subarray(2 + message.length);
+            if (message.length < 12) {
+                continue;
+            }
+            const entry = pending.get(message.readUInt16BE(0));
+            if (entry) {
+                pending.delete(message.readUInt16BE(0));
+                clearTimeout(entry.timer);
+                connection.used = true;
+                message.writeUInt16BE(entry.id, 0);
+                entry.resolve(message);
+            }
+        }
+    });
+
+    socket.on('timeout', () => {
+        if (!connection.ready) {
+            failure = handshakeError(upstream, 'timed out', false);
+        }
+        socket.destroy();
+    });
+
+    socket.on('error', err => {
+        if (!failure) {
+            failure = connection.ready ? err : handshakeError(upstream, err.message, false);
+        }
+    });
+
+    socket.on('close', () => {
+        connection.closed = true;
+        if (tlsConnections.get(upstream.raw) === connection) {
+            tlsConnections.delete(upstream.raw);
+        }
+        if (!connection.ready) {
+            failure = failure || handshakeError(upstream, 'connection closed', false);
+            recordTlsFailure(upstream, failure);
+        }
+
+        const error = failure || new Error(`Connection to ${upstream.raw} closed`);
+        error.connectionClosed = connection.ready;
+        for (const entry of pending.values()) {
+            clearTimeout(entry.timer);
+            entry.reject(error);
+        }
+        pending.clear();
+    });
+
+    function send(packet) {
+        return new Promise((resolve, reject) => {
+            if (connection.closed) {
+                return reject(failure || new Error(`Connection to ${upstream.raw} closed`));
+            }
+
+            do {
+                nextId = (nextId + 1) & 0xffff;
+            } while (pending.has(nextId));
+            const wireId = nextId;
+
+            const timer = setTimeout(() => {
+                pending.delete(wireId);
+                reject(new Error(`Timeout waiting for ${upstream.raw}`));
+            }, UPSTREAM_TIMEOUT);
+            pending.set(wireId, { id: packet.readUInt16BE(0), resolve, reject, timer });
+
+            const frame = Buffer.alloc(2 + packet.length);
+            frame.writeUInt16BE(packet.length, 0);
+            packet.copy(frame, 2);
+            frame.writeUInt16BE(wireId, 2);
+
+            if (connection.ready) {
+                socket.write(frame);
+            } else {
+                queued.push(frame);
+            }
+        });
+    }
+
+    return connection;
+}
+
+/**
+ * Remember a failed handshake so queries don't each retry it
+ */
+function recordTlsFailure(upstream, error) {
+    if (!tlsFailures.has(upstream.raw)) {
+        logger.warn(`${error.message}; not retrying for ${TLS_RETRY_DELAY / 1000} seconds`);
+    }
+    tlsFailures.set(upstream.raw, { error, retryAt: Date.now() + TLS_RETRY_DELAY });
+}
+
+/**
+ * Get the open connection to a DoT upstream, connecting if needed
+ */
+function getTlsConnection(upstream) {
+    let connection = tlsConnections.get(upstream.raw);
+    if (!connection || connection.closed) {
+        connection = openTlsConnection(upstream);
+        tlsConnections.set(upstream.raw, connection);
+    }
+    return connection;
+}
+
+/**
+ * Send a query to a DNS-over-TLS upstream (RFC 7858)
+ */
+async function queryTls(upstream, packet) {
+    const failed = tlsFailures.get(upstream.raw);
+    if (failed) {
+        if (failed.retryAt > Date.now()) {
+            throw failed.error;
+        }
+        tlsFailures.delete(upstream.raw);
+    }
+
+    const connection = getTlsConnection(upstream);
+    const reused = connection.used;
+    try {
+        return await connection.send(packet);
+    } catch (err) {
+        // The server may have closed an idle connection as we wrote to it
+        if (reused && err.connectionClosed) {
+            return getTlsConnection(upstream).send(packet);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Send a raw DNS query to an upstream and resolve to the raw response
+ *
+ * options.transport is the transport the client used ('udp', 'tcp' or 'https'),
+ * options.dohMethod selects GET or POST for DoH upstreams and
+ * options.tlsFallback is 'plain' to retry DoT servers whose handshake
+ * fails over plain DNS on port 53.
+ */
+function query(value, packet, options = {}) {
+    const upstream = parseUpstream(value);
+    if (!upstream) {
+        return Promise.reject(new Error(`Invalid upstream ${value}`));
+    }
+
+    if (upstream.protocol === 'https') {
+        return queryDoh(upstream, packet, options.dohMethod);
+    }
+    if (upstream.protocol === 'tls') {
+        return queryTls(upstream, packet).catch(err => {
+            // A certificate or pin failure may be an attack, never downgrade
+            if (options.tlsFallback !== 'plain' || !err.handshakeFailed || err.verificationFailed) {
+                throw err;
+            }
+            const plain = { protocol: 'udp', raw: `${upstream.address} (fallback)`, address: upstream.address, port: DNS_PORT };
+            return queryPlain(plain, packet, options.transport);
+        });
+    }
+    return queryPlain(upstream, packet, options.transport);
+}
+
+module.exports = {
+    parseUpstream,
+    isValidUpstream,
+    listOf,
+    isValidList,
+    protocolOf,
+    isPlain,
+    toDnsmasq,
+    query
+};
@@ -0,0 +1,364 @@
+/**
+ * Users and API Tokens
+ *
+ * Manages web interface accounts and bearer tokens stored in
+ * data/users.json. On first use the single webInterface account from
+ * config.json is moved here as the initial admin.
+ *
+ * When a token was last used is kept in memory and saved at most once a
+ * minute per token, so authenticated requests don't each rewrite the file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger').child('users');
+const config = require('./config');
+const passwords = require('./passwords');
+const storage = require('./storage');
+
+const USERS_PATH = path.join(__dirname, 'data', 'users.json');
+const TOKEN_PREFIX = 'sdp_';
+const LAST_USED_SAVE_INTERVAL = 60000;
+
+// Created by ensureUsersExist(), so it has no defaults
+const userStore = storage.createStore(USERS_PATH, { name: 'users' });
+// Token id to { time, savedAt }: when it was last used and last saved
+const lastUsed = new Map();
+let creating = null;
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ */
+function userError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Check whether a role is at least as privileged as another
+ */
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+/**
+ * Create the users file from the legacy webInterface credentials
+ */
+async function ensureUsersExist() {
+    try {
+        await fs.access(USERS_PATH);
+        return;
+    } catch (error) {
+        // Users file doesn't exist, migrate the single account
+    }
+
+    // Requests arriving together wait for the same migration
+    if (!creating) {
+        creating = createUsersFile().finally(() => {
+            creating = null;
+        });
+    }
+    await creating;
+}
+
+async function createUsersFile() {
+    const appConfig = await config.getConfig();
+    const webInterface = appConfig.webInterface || {};
+    const username = webInterface.username || passwords.DEFAULT_USERNAME;
+    const passwordHash = webInterface.passwordHash ||
+        await passwords.hashPassword(passwords.DEFAULT_PASSWORD);
+    const mustChangePassword = await passwords.verifyPassword(passwords.DEFAULT_PASSWORD, passwordHash);
+
+    const store = {
+        users: [{
+            username,
+            role: 'admin',
+            passwordHash,
+            mustChangePassword,
+            createdAt: new Date().toISOString()
+        }],
+        tokens: []
+    };
+
+    logger.info(`Creating users file with admin account ${username}`);
+    await userStore.write(store);
+
+    // Credentials now live in users.json only
+    await config.updateConfig(current => {
+        if (current.webInterface) {
+            delete current.webInterface.username;
+            delete current.webInterface.passwordHash;
+        }
+    });
+}
+
+async function getStore() {
+    await ensureUsersExist();
+    return userStore.read();
+}
+
+/**
+ * Change the users file with no other change in between, as storage.js
+ * update() does
+ */
+async function updateStore(fn) {
+    await ensureUsersExist();
+    return userStore.update(fn);
+}
+
+/**
+ * Replace every account and token, as when restoring a backup
+ *
+ * Queued like any other change; uses noted since the last save belong to
+ * the replaced tokens and are dropped.
+ */
+async function restoreStore(store) {
+    await updateStore(() => store);
+    lastUsed.clear();
+}
+
+/**
+ * Strip secrets from a user record
+ */
+function publicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        mustChangePassword: Boolean(user.mustChangePassword),
+        createdAt: user.createdAt
+    };
+}
+
+/**
+ * Strip secrets from a token record
+ */
+function publicToken(token) {
+    return {
+        id: token.id,
+        name: token.name,
+        role: token.role,
+        prefix: token.prefix,
+        createdBy: token.createdBy,
+        createdAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        lastUsedAt: lastUsedAt(token),
+        revokedAt: token.revokedAt
+    };
+}
+
+/**
+ * Get when a token was last used, including uses not saved yet
+ */
+function lastUsedAt(token) {
+    const used = lastUsed.get(token.id);
+    return used && (!token.lastUsedAt || used.time > token.lastUsedAt) ? used.time : token.lastUsedAt;
+}
+
+async function getUser(username) {
+    const store = await getStore();
+    return store.users.find(u => u.username === username) || null;
+}
+
+async function listUsers() {
+    const store = await getStore();
+    return store.users.map(publicUser);
+}
+
+/**
+ * Check a username and password, returning the user or null
+ */
+async function verifyCredentials(username, password) {
+    const user = typeof username === 'string' ? await getUser(username) : null;
+    if (!user) {
+        // Hash anyway so failures take the same time whether or not the user exists
+        await passwords.hashPassword(password || '');
+        return null;
+    }
+    return (await passwords.verifyPassword(password, user.passwordHash)) ? user : null;
+}
+
+async function addUser(username, password, role) {
+    const passwordHash = await passwords.hashPassword(password);
+
+    await updateStore(store => {
+        if (store.users.some(u => u.username === username)) {
+            throw userError(`User ${username} already exists`, 409);
+        }
+
+        store.users.push({
+            username,
+            role,
+            passwordHash,
+            // The admin chose this password, let the user pick their own
+            mustChangePassword: true,
+            createdAt: new Date().toISOString()
+        });
+    });
+    logger.info(`User ${username} added with role ${role}`);
+}
+
+/**
+ * Change a user's role and/or password
+ */
+async function updateUser(username, { role, password, mustChangePassword }) {
+    const passwordHash = password ? await passwords.hashPassword(password) : null;
+
+    await updateStore(store => {
+        const user = store.users.find(u => u.username === username);
+
+        if (!user) {
+            throw userError(`User ${username} not found`, 404);
+        }
+
+        if (role && role !== user.role) {
+            if (user.role === 'admin' && store.users.filter(u => u.role === 'admin').length === 1) {
+                throw userError('Cannot remove the admin role from the last admin', 400);
+            }
+            user.role = role;
+        }
+
+        if (passwordHash) {
+            user.passwordHash = passwordHash;
+            user.mustChangePassword = Boolean(mustChangePassword);
+        }
+    });
+    logger.info(`User ${username} updated`);
+}
+
+async function removeUser(username) {
+    await updateStore(store => {
+        const user = store.users.find(u => u.username === username);
+
+        if (!user) {
+            throw userError(`User ${username} not found`, 404);
+        }
+        if (user.role === 'admin' && store.users.filter(u => u.role === 'admin').length === 1) {
+            throw userError('Cannot remove the last admin', 400);
+        }
+
+        store.users = store.users.filter(u => u.username !== username);
+    });
+    logger.info(`User ${username} removed`);
+}
+
+/**
+ * Hash a bearer token for storage
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function listTokens() {
+    const store = await getStore();
+    return store.tokens.map(publicToken);
+}
+
+/**
+ * Create a bearer token
+ *
+ * The plaintext token is only returned here; we keep its hash.
+ */
+async function createToken(name, role, expiresAt, createdBy) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        name,
+        role,
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        tokenHash: hashToken(token),
+        createdBy,
+        createdAt: new Date().toISOString(),
+        expiresAt: expiresAt || null,
+        lastUsedAt: null,
+        revokedAt: null
+    };
+
+    await updateStore(store => {
+        store.tokens.push(record);
+    });
+    logger.info(`API token ${name} created by ${createdBy} with role ${role}`);
+    return { token, record: publicToken(record) };
+}
+
+async function revokeToken(id) {
+    let token;
+    await updateStore(store => {
+        token = store.tokens.find(t => t.id === id);
+
+        if (!token) {
+            throw userError('Token not found', 404);
+        }
+
+        token.revokedAt = token.revokedAt || new Date().toISOString();
+    });
+    logger.info(`API token ${token.name} revoked`);
+}
+
+/**
+ * Look up an active token, returning its record or null
+ */
+async function verifyToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+
+    const store = await getStore();
+    const tokenHash = hashToken(token);
+    const record = store.tokens.find(t => t.tokenHash === tokenHash);
+
+    if (!record || record.revokedAt) {
+        return null;
+    }
+    if (record.expiresAt && new Date(record.expiresAt).getTime() < Date.now()) {
+        return null;
+    }
+
+    recordUse(record.id);
+    return publicToken(record);
+}
+
+/**
+ * Note that a token was used, saving it unless it was saved in the last minute
+ */
+function recordUse(id) {
+    const now = Date.now();
+    const previous = lastUsed.get(id);
+    const time = new Date(now).toISOString();
+    if (previous && now - previous.savedAt < LAST_USED_SAVE_INTERVAL) {
+        lastUsed.set(id, { time, savedAt: previous.savedAt });
+        return;
+    }
+
+    lastUsed.set(id, { time, savedAt: now });
+    // Only this field is written, so it can't undo a revoke made meanwhile
+    updateStore(store => {
+        const token = store.tokens.find(t => t.id === id);
+        if (token) {
+            token.lastUsedAt = time;
+        }
+    }).catch(error => {
+        logger.error(`Failed to save when token ${id} was last used: ${error.message}`);
+    });
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    ensureUsersExist,
+    getUser,
+    listUsers,
+    verifyCredentials,
+    addUser,
+    updateUser,
+    removeUser,
+    listTokens,
+    createToken,
+    revokeToken,
+    verifyToken,
+    restoreStore
+};